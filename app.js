@@ -1,6 +1,5 @@
 const express = require("express");
 const http = require("http");
-const { Server } = require("socket.io");
 const { Pool } = require("pg"); // retained for legacy default usage (optional)
 const session = require("express-session");
 const pgSession = require("connect-pg-simple")(session);
@@ -291,25 +290,25 @@ app.use(express.urlencoded({ extended: true }));
 // If the renderer is loaded from file:// (Electron) or a different origin, SameSite=lax blocks the cookie.
 // Set env CROSS_SITE_SESSION=1 to relax to SameSite=None (requires HTTPS/secure cookie) so XHRs include session.
 const CROSS_SITE = process.env.CROSS_SITE_SESSION === "1";
-app.use(
-  session({
-    store: new pgSession({
-      pool: pool, // Use the default app pool for session storage
-      tableName: "session", // Table name (will be created automatically)
-      createTableIfMissing: true,
-    }),
-    secret: SESSION_SECRET,
-    resave: false,
-    saveUninitialized: false,
-    name: "sid",
-    cookie: {
-      httpOnly: true,
-      secure: CROSS_SITE ? true : process.env.NODE_ENV === "production",
-      sameSite: CROSS_SITE ? "none" : "lax",
-      maxAge: 1000 * 60 * 60 * 4, // 4h
-    },
-  })
-);
+// Kept in a variable: Socket.IO authenticates its handshakes with the same session
+const sessionMiddleware = session({
+  store: new pgSession({
+    pool: pool, // Use the default app pool for session storage
+    tableName: "session", // Table name (will be created automatically)
+    createTableIfMissing: true,
+  }),
+  secret: SESSION_SECRET,
+  resave: false,
+  saveUninitialized: false,
+  name: "sid",
+  cookie: {
+    httpOnly: true,
+    secure: CROSS_SITE ? true : process.env.NODE_ENV === "production",
+    sameSite: CROSS_SITE ? "none" : "lax",
+    maxAge: 1000 * 60 * 60 * 4, // 4h
+  },
+});
+app.use(sessionMiddleware);
 
 // Swagger will be configured after ensureAuthenticated is defined below
 
@@ -1047,8 +1046,11 @@ function ensureAuthenticatedExceptPublic(req, res, next) {
 if (fs.existsSync(appRoutesDir)) {
   APP_IDS.forEach((aid) => {
     const file = path.join(appRoutesDir, `${aid}.js`);
-    const dir = path.join(appRoutesDir, aid); // Also check for directory with index.js
-    const routePath = fs.existsSync(file) ? file : (fs.existsSync(dir) ? dir : null);
+    // Modular router: <aid>/index.js. Required by its file name, since require("<aid>")
+    // would resolve to the same-named <aid>.js first
+    const index = path.join(appRoutesDir, aid, "index.js");
+    // Prefer the modular router; a same-named file is the legacy single-module fallback
+    const routePath = fs.existsSync(index) ? index : (fs.existsSync(file) ? file : null);
     if (routePath) {
       try {
         const rtr = require(routePath);
@@ -1062,11 +1064,16 @@ if (fs.existsSync(appRoutesDir)) {
           console.log(`Mounted routes for app '${aid}' from ${routePath}`);
         // If ATS, initialize routers with dependencies and start AI scoring backfill
         if (aid === "ats") {
-          // Initialize routers with graphMsal
+          // Initialize routers with graphMsal, email and the legacy module's scoring helpers
           if (typeof rtr.initRouters === "function") {
             try {
+              const legacy =
+                routePath !== file && fs.existsSync(file) ? require(file) : {};
               rtr.initRouters({
+                ...(legacy.routerDependencies || {}),
                 graphMsal: msalClient, // Reuse the MSAL client for Graph API
+                emailService: require("./services/emailService"),
+                buildSignedUrl,
               });
               if (VERBOSE_APP_DEBUG)
                 console.log(`Initialized ATS routers with graphMsal`);
@@ -1074,6 +1081,12 @@ if (fs.existsSync(appRoutesDir)) {
               console.error(`Failed to initialize ATS routers:`, initErr.message);
             }
           }
+          // Start the search index backfill and the durable AI score queue for this tenant
+          if (typeof rtr.startBackfill === "function") {
+            Promise.resolve(rtr.startBackfill(aid, pools[aid])).catch((err) =>
+              console.error(`Failed to start ATS backfill:`, err.message)
+            );
+          }
         }
       } catch (e) {
         console.error(`Failed mounting routes for app '${aid}':`, e.message);
@@ -1217,6 +1230,22 @@ function getKeyFromReq(req) {
   return req.query.key || (req.params && req.params[0]);
 }
 
+// Candidate documents (resumes, cover letters, attachments) live under ats/applications/<id>/;
+// reading or signing them is recorded in the ATS audit log (routes/apps/ats/audit.js)
+const { recordAudit } = require("./routes/apps/ats/audit");
+const ATS_APPLICATION_FILE = /^(?:ats\/)?applications\/(\d+)\//;
+function auditAtsFileAccess(req, action, key, metadata = {}) {
+  const match = ATS_APPLICATION_FILE.exec(String(key || "").replace(/^\/+/, ""));
+  if (!match || !pools.ats) return;
+  recordAudit(req, {
+    db: pools.ats,
+    action,
+    entityType: "application",
+    entityId: match[1],
+    metadata: { key, ...metadata },
+  });
+}
+
 async function streamFile(res, absPath, fileName, asAttachment) {
   const stat = await fs.promises.stat(absPath);
   const ctype = mime.lookup(fileName) || "application/octet-stream";
@@ -1237,6 +1266,7 @@ app.get("/files", ensureAuthenticated, async (req, res) => {
     const abs = safeJoin(FILES_ROOT, key);
     const name = path.basename(key);
     await streamFile(res, abs, name, req.query.download === "1");
+    auditAtsFileAccess(req, "file.download", key);
   } catch (e) {
     const code = e.code === "ENOENT" ? 404 : 500;
     res.status(code).json({ error: "read_failed", detail: e.message });
@@ -1250,6 +1280,7 @@ app.get("/files/*", ensureAuthenticated, async (req, res) => {
     const abs = safeJoin(FILES_ROOT, key);
     const name = path.basename(key);
     await streamFile(res, abs, name, req.query.download === "1");
+    auditAtsFileAccess(req, "file.download", key);
   } catch (e) {
     const code = e.code === "ENOENT" ? 404 : 500;
     res.status(code).json({ error: "read_failed", detail: e.message });
@@ -1295,6 +1326,31 @@ try {
   console.log("[InterviewReminder] Interview reminders will be disabled");
 }
 
+// --- Initialize Scheduled Reports ---
+let reportScheduler = null;
+if (String(process.env.REPORT_SCHEDULER_ENABLED || "1") !== "0") {
+  try {
+    const ReportScheduler = require("./services/reportScheduler");
+    reportScheduler = new ReportScheduler(pools);
+    // Report routes call reload() when definitions change
+    app.set("reportScheduler", reportScheduler);
+
+    setTimeout(() => {
+      Promise.resolve(reportScheduler.start()).catch((error) =>
+        console.error(
+          "[ReportScheduler] Failed to start scheduler:",
+          error.message
+        )
+      );
+    }, 10000); // 10 second delay
+  } catch (error) {
+    console.error(
+      "[ReportScheduler] Failed to initialize scheduler:",
+      error.message
+    );
+  }
+}
+
 // Optional: Manual trigger endpoint for testing/debugging (Traefik strips /api)
 app.post(
   "/interview-reminders/trigger",
@@ -1350,20 +1406,56 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: "server_error", detail: err.message });
 });
 
+// --- Initialize Notification Digests ---
+let notificationDigestScheduler = null;
+if (String(process.env.NOTIFICATION_DIGESTS_ENABLED || "1") !== "0") {
+  try {
+    const NotificationDigestScheduler = require("./services/notificationDigestScheduler");
+    notificationDigestScheduler = new NotificationDigestScheduler(pools);
+
+    setTimeout(() => {
+      try {
+        notificationDigestScheduler.start();
+      } catch (error) {
+        console.error(
+          "[NotificationDigest] Failed to start scheduler:",
+          error.message
+        );
+      }
+    }, 10000); // 10 second delay
+  } catch (error) {
+    console.error(
+      "[NotificationDigest] Failed to initialize scheduler:",
+      error.message
+    );
+  }
+}
+
 // --- Socket.IO Setup ---
+// Sockets must carry a valid session cookie; clients subscribe to department/requisition
+// rooms and routes push candidate updates to them (see services/realtime.js)
 const server = http.createServer(app);
-const io = new Server(server, {
-  cors: {
-    origin: "*", // Configure this based on your security needs
-    methods: ["GET", "POST"],
-  },
+const realtime = require("./services/realtime");
+const { authorizeRooms: authorizeAtsRooms } = require("./routes/apps/ats/realtime");
+const io = realtime.attach(server, {
+  sessionMiddleware,
+  appIds: APP_IDS,
+  // ATS users limited to their departments only join those departments' rooms
+  authorizeRooms: (socket, rooms) =>
+    socket.data.appId === "ats" ? authorizeAtsRooms(pools.ats, socket, rooms) : rooms,
+  // Same-origin only unless SOCKET_CORS_ORIGINS lists the frontend origins (credentialed CORS
+  // must not reflect arbitrary origins)
+  corsOrigin: process.env.SOCKET_CORS_ORIGINS
+    ? process.env.SOCKET_CORS_ORIGINS.split(",").map((o) => o.trim()).filter(Boolean)
+    : false,
 });
 
 // Store io instance globally for use in routes
 app.set("io", io);
 
 io.on("connection", (socket) => {
-  if (VERBOSE_APP_DEBUG) console.log("Client connected:", socket.id);
+  if (VERBOSE_APP_DEBUG)
+    console.log("Client connected:", socket.id, socket.data.user?.email, socket.data.appId);
 
   socket.on("disconnect", () => {
     if (VERBOSE_APP_DEBUG) console.log("Client disconnected:", socket.id);
@@ -1383,6 +1475,12 @@ process.on("SIGINT", async () => {
   if (reminderScheduler) {
     reminderScheduler.stop();
   }
+  if (reportScheduler) {
+    reportScheduler.stop();
+  }
+  if (notificationDigestScheduler) {
+    notificationDigestScheduler.stop();
+  }
   const { shutdownPools } = require("./multiTenant");
   await shutdownPools(pools).catch(() => {});
   process.exit(0);
@@ -1427,6 +1525,7 @@ app.get("/files/sign", ensureAuthenticated, async (req, res) => {
       throw e;
     }
     const signed = buildSignedUrl(key, ttlSeconds);
+    auditAtsFileAccess(req, "file.sign", key, { ttlSeconds });
     res.json({ ok: true, url: signed, key });
   } catch (e) {
     res.status(500).json({ error: "sign_failed", detail: e.message });
@@ -1443,6 +1542,7 @@ app.get("/files-signed", async (req, res) => {
     const abs = safeJoin(FILES_ROOT, key);
     const name = path.basename(key);
     await streamFile(res, abs, name, req.query.download === "1");
+    auditAtsFileAccess(req, "file.download", key, { signed: true, expires: Number(exp) });
   } catch (e) {
     const code = e.code === "ENOENT" ? 404 : 500;
     res.status(code).json({ error: "read_failed", detail: e.message });
@@ -1458,6 +1558,7 @@ app.get("/files-signed/*", async (req, res) => {
     const abs = safeJoin(FILES_ROOT, key);
     const name = path.basename(key);
     await streamFile(res, abs, name, req.query.download === "1");
+    auditAtsFileAccess(req, "file.download", key, { signed: true, expires: Number(exp) });
   } catch (e) {
     const code = e.code === "ENOENT" ? 404 : 500;
     res.status(code).json({ error: "read_failed", detail: e.message });
@@ -0,0 +1,35 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    -- Extracted resume / cover letter text, indexed for full-text candidate search
+    CREATE TABLE IF NOT EXISTS ${schema}.candidate_documents (
+      id SERIAL PRIMARY KEY,
+      candidate_id INTEGER NOT NULL,
+      application_id INTEGER,
+      kind VARCHAR(32) NOT NULL,
+      source_url TEXT NOT NULL,
+      content TEXT NOT NULL DEFAULT '',
+      search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(content, ''))) STORED,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (candidate_id, kind, source_url)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_candidate_documents_search ON ${schema}.candidate_documents USING GIN (search_vector);
+    CREATE INDEX IF NOT EXISTS idx_candidate_documents_candidate ON ${schema}.candidate_documents(candidate_id);
+    CREATE INDEX IF NOT EXISTS idx_candidate_documents_source_url ON ${schema}.candidate_documents(source_url);
+
+    COMMENT ON COLUMN ${schema}.candidate_documents.kind IS 'resume or cover_letter';
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    DROP TABLE IF EXISTS ${schema}.candidate_documents;
+  `);
+};
@@ -0,0 +1,57 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    -- Durable AI scoring queue (replaces the in-memory _scoreQueue)
+    CREATE TABLE IF NOT EXISTS ${schema}.score_jobs (
+      id SERIAL PRIMARY KEY,
+      candidate_id INTEGER NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      force BOOLEAN NOT NULL DEFAULT FALSE,
+      priority INTEGER NOT NULL DEFAULT 0,
+      reason VARCHAR(50),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      locked_at TIMESTAMP,
+      locked_by VARCHAR(255),
+      last_error TEXT,
+      result_status VARCHAR(30),
+      created_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      finished_at TIMESTAMP,
+      CONSTRAINT score_jobs_status_check CHECK (status IN ('pending', 'running', 'succeeded', 'dead', 'cancelled'))
+    );
+
+    -- At most one queued job per candidate; later enqueues merge into it
+    CREATE UNIQUE INDEX IF NOT EXISTS uq_score_jobs_pending_candidate ON ${schema}.score_jobs(candidate_id) WHERE status = 'pending';
+    CREATE INDEX IF NOT EXISTS idx_score_jobs_claim ON ${schema}.score_jobs(status, run_at);
+    CREATE INDEX IF NOT EXISTS idx_score_jobs_candidate ON ${schema}.score_jobs(candidate_id);
+
+    CREATE TABLE IF NOT EXISTS ${schema}.score_job_attempts (
+      id SERIAL PRIMARY KEY,
+      job_id INTEGER NOT NULL REFERENCES ${schema}.score_jobs(id) ON DELETE CASCADE,
+      attempt INTEGER NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      error TEXT,
+      worker VARCHAR(255),
+      started_at TIMESTAMP NOT NULL,
+      finished_at TIMESTAMP DEFAULT NOW(),
+      duration_ms INTEGER
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_score_job_attempts_job ON ${schema}.score_job_attempts(job_id);
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    DROP TABLE IF EXISTS ${schema}.score_job_attempts;
+    DROP TABLE IF EXISTS ${schema}.score_jobs;
+  `);
+};
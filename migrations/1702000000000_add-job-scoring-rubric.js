@@ -0,0 +1,41 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    -- Weighted AI scoring rubric per job (must-haves, nice-to-haves, min years, knockouts)
+    ALTER TABLE IF EXISTS ${schema}.job_listings ADD COLUMN IF NOT EXISTS scoring_rubric JSONB;
+
+    -- Scores are tied to the job they were produced for, with per-criterion results and evidence
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores ADD COLUMN IF NOT EXISTS job_requisition_id VARCHAR(100);
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores ADD COLUMN IF NOT EXISTS criteria_scores JSONB;
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores ADD COLUMN IF NOT EXISTS knockout_failed BOOLEAN NOT NULL DEFAULT FALSE;
+
+    -- Rubric score versions embed the requisition and rubric revision (e.g. v3-REQ-2024-001-r2-rerun-<ts>)
+    DO $$
+    BEGIN
+      IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+         WHERE table_schema = '${schema}' AND table_name = 'candidate_ai_scores'
+           AND column_name = 'version' AND character_maximum_length < 100
+      ) THEN
+        ALTER TABLE ${schema}.candidate_ai_scores ALTER COLUMN version TYPE VARCHAR(100);
+      END IF;
+    END $$;
+
+    CREATE INDEX IF NOT EXISTS idx_candidate_ai_scores_job ON ${schema}.candidate_ai_scores(job_requisition_id, candidate_id);
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    DROP INDEX IF EXISTS ${schema}.idx_candidate_ai_scores_job;
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores DROP COLUMN IF EXISTS knockout_failed;
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores DROP COLUMN IF EXISTS criteria_scores;
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores DROP COLUMN IF EXISTS job_requisition_id;
+    ALTER TABLE IF EXISTS ${schema}.job_listings DROP COLUMN IF EXISTS scoring_rubric;
+  `);
+};
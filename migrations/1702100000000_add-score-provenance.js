@@ -0,0 +1,30 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    -- What produced each AI score: provider, prompt revision and the resume/cover letter it read
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores ADD COLUMN IF NOT EXISTS provider VARCHAR(30);
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores ADD COLUMN IF NOT EXISTS prompt_version VARCHAR(50);
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores ADD COLUMN IF NOT EXISTS resume_url TEXT;
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores ADD COLUMN IF NOT EXISTS cover_letter_url TEXT;
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores ADD COLUMN IF NOT EXISTS source_text_hash VARCHAR(64);
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores ADD COLUMN IF NOT EXISTS reason VARCHAR(50);
+    CREATE INDEX IF NOT EXISTS idx_candidate_ai_scores_candidate_created ON ${schema}.candidate_ai_scores(candidate_id, created_at DESC);
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    DROP INDEX IF EXISTS ${schema}.idx_candidate_ai_scores_candidate_created;
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores DROP COLUMN IF EXISTS reason;
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores DROP COLUMN IF EXISTS source_text_hash;
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores DROP COLUMN IF EXISTS cover_letter_url;
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores DROP COLUMN IF EXISTS resume_url;
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores DROP COLUMN IF EXISTS prompt_version;
+    ALTER TABLE IF EXISTS ${schema}.candidate_ai_scores DROP COLUMN IF EXISTS provider;
+  `);
+};
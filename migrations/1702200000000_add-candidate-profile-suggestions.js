@@ -0,0 +1,43 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    -- Structured profile data parsed from resumes
+    ALTER TABLE IF EXISTS ${schema}.candidates ADD COLUMN IF NOT EXISTS work_history JSONB;
+    ALTER TABLE IF EXISTS ${schema}.candidates ADD COLUMN IF NOT EXISTS education JSONB;
+    ALTER TABLE IF EXISTS ${schema}.candidates ADD COLUMN IF NOT EXISTS certifications JSONB;
+
+    -- Parsed resume profiles awaiting recruiter review before they overwrite existing data
+    CREATE TABLE IF NOT EXISTS ${schema}.candidate_profile_suggestions (
+      id SERIAL PRIMARY KEY,
+      candidate_id INTEGER NOT NULL,
+      application_id INTEGER,
+      source_kind VARCHAR(20) NOT NULL,
+      source_url TEXT,
+      parser VARCHAR(100) NOT NULL,
+      profile JSONB NOT NULL,
+      changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      reviewed_by VARCHAR(255),
+      reviewed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      CONSTRAINT candidate_profile_suggestions_status_check CHECK (status IN ('pending', 'applied', 'accepted', 'rejected', 'superseded'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_profile_suggestions_candidate ON ${schema}.candidate_profile_suggestions(candidate_id, created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_profile_suggestions_pending ON ${schema}.candidate_profile_suggestions(candidate_id) WHERE status = 'pending';
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    DROP TABLE IF EXISTS ${schema}.candidate_profile_suggestions;
+    ALTER TABLE IF EXISTS ${schema}.candidates DROP COLUMN IF EXISTS certifications;
+    ALTER TABLE IF EXISTS ${schema}.candidates DROP COLUMN IF EXISTS education;
+    ALTER TABLE IF EXISTS ${schema}.candidates DROP COLUMN IF EXISTS work_history;
+  `);
+};
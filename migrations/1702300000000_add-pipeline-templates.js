@@ -0,0 +1,37 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    -- Admin-defined hiring pipelines: ordered stages with allowed transitions and terminal stages
+    CREATE TABLE IF NOT EXISTS ${schema}.pipeline_templates (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(120) NOT NULL,
+      description TEXT,
+      stages JSONB NOT NULL,
+      is_default BOOLEAN NOT NULL DEFAULT FALSE,
+      created_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS uq_pipeline_templates_name ON ${schema}.pipeline_templates(LOWER(name));
+    -- At most one default template
+    CREATE UNIQUE INDEX IF NOT EXISTS uq_pipeline_templates_default ON ${schema}.pipeline_templates(is_default) WHERE is_default;
+
+    -- Assignment: job listing first, then its department, then the default template
+    ALTER TABLE IF EXISTS ${schema}.job_listings ADD COLUMN IF NOT EXISTS pipeline_id INTEGER REFERENCES ${schema}.pipeline_templates(id) ON DELETE SET NULL;
+    ALTER TABLE IF EXISTS ${schema}.departments ADD COLUMN IF NOT EXISTS pipeline_id INTEGER REFERENCES ${schema}.pipeline_templates(id) ON DELETE SET NULL;
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    ALTER TABLE IF EXISTS ${schema}.departments DROP COLUMN IF EXISTS pipeline_id;
+    ALTER TABLE IF EXISTS ${schema}.job_listings DROP COLUMN IF EXISTS pipeline_id;
+    DROP TABLE IF EXISTS ${schema}.pipeline_templates;
+  `);
+};
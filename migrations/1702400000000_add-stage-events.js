@@ -0,0 +1,65 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    -- Append-only log of stage/status transitions (application_stages only holds the latest state)
+    CREATE TABLE IF NOT EXISTS ${schema}.application_stage_events (
+      id BIGSERIAL PRIMARY KEY,
+      application_id INTEGER NOT NULL REFERENCES ${schema}.applications(application_id) ON DELETE CASCADE,
+      candidate_id INTEGER,
+      from_stage VARCHAR(100),
+      to_stage VARCHAR(100),
+      from_status VARCHAR(50),
+      to_status VARCHAR(50),
+      reason TEXT,
+      notes TEXT,
+      actor_user_id INTEGER,
+      actor_label VARCHAR(255),
+      source VARCHAR(50) NOT NULL DEFAULT 'stage_update',
+      occurred_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_stage_events_application ON ${schema}.application_stage_events(application_id, occurred_at, id);
+    CREATE INDEX IF NOT EXISTS idx_stage_events_candidate ON ${schema}.application_stage_events(candidate_id, occurred_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_stage_events_to_stage ON ${schema}.application_stage_events(LOWER(to_stage), occurred_at);
+
+    -- Events are immutable; rows only go away with their application
+    CREATE OR REPLACE FUNCTION ${schema}.application_stage_events_immutable() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'application_stage_events rows are immutable';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS application_stage_events_no_update ON ${schema}.application_stage_events;
+    CREATE TRIGGER application_stage_events_no_update
+      BEFORE UPDATE ON ${schema}.application_stage_events
+      FOR EACH ROW EXECUTE FUNCTION ${schema}.application_stage_events_immutable();
+
+    -- Seed the log from the stage rows that exist today
+    INSERT INTO ${schema}.application_stage_events
+      (application_id, candidate_id, from_stage, to_stage, from_status, to_status, source, occurred_at)
+    SELECT s.application_id,
+           a.candidate_id,
+           LAG(s.stage_name) OVER w,
+           s.stage_name,
+           LAG(s.status) OVER w,
+           s.status,
+           'backfill',
+           COALESCE(s.updated_at, a.application_date, NOW())
+      FROM ${schema}.application_stages s
+      JOIN ${schema}.applications a ON a.application_id = s.application_id
+     WHERE NOT EXISTS (SELECT 1 FROM ${schema}.application_stage_events)
+    WINDOW w AS (PARTITION BY s.application_id ORDER BY s.updated_at NULLS FIRST, s.stage_id);
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    DROP TABLE IF EXISTS ${schema}.application_stage_events;
+    DROP FUNCTION IF EXISTS ${schema}.application_stage_events_immutable();
+  `);
+};
@@ -0,0 +1,61 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    -- Saved report definitions: report type + parameters, optionally on a cron schedule
+    CREATE TABLE IF NOT EXISTS ${schema}.report_definitions (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      report_type VARCHAR(50) NOT NULL,
+      filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+      schedule_cron VARCHAR(100),
+      timezone VARCHAR(64),
+      recipients TEXT[] NOT NULL DEFAULT '{}',
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      owner_email VARCHAR(255) NOT NULL,
+      last_run_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_report_definitions_owner ON ${schema}.report_definitions(LOWER(owner_email));
+    CREATE INDEX IF NOT EXISTS idx_report_definitions_scheduled ON ${schema}.report_definitions(enabled) WHERE schedule_cron IS NOT NULL;
+
+    -- Every generated workbook (ad-hoc or scheduled); the file stays on disk until expires_at
+    CREATE TABLE IF NOT EXISTS ${schema}.report_runs (
+      id UUID PRIMARY KEY,
+      definition_id INTEGER REFERENCES ${schema}.report_definitions(id) ON DELETE SET NULL,
+      report_type VARCHAR(50) NOT NULL,
+      title VARCHAR(255),
+      filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+      trigger VARCHAR(20) NOT NULL DEFAULT 'manual',
+      status VARCHAR(20) NOT NULL DEFAULT 'running',
+      owner_email VARCHAR(255) NOT NULL,
+      file_path TEXT,
+      file_name VARCHAR(255),
+      size_bytes BIGINT,
+      row_count INTEGER,
+      emailed_to TEXT[] NOT NULL DEFAULT '{}',
+      email_error TEXT,
+      error TEXT,
+      started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      finished_at TIMESTAMP,
+      expires_at TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_report_runs_owner ON ${schema}.report_runs(LOWER(owner_email), started_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_report_runs_definition ON ${schema}.report_runs(definition_id, started_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_report_runs_expires ON ${schema}.report_runs(expires_at) WHERE file_path IS NOT NULL;
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    DROP TABLE IF EXISTS ${schema}.report_runs;
+    DROP TABLE IF EXISTS ${schema}.report_definitions;
+  `);
+};
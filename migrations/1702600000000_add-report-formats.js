@@ -0,0 +1,20 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    -- Export format of a report: xlsx | csv (zipped, one file per sheet) | pdf
+    ALTER TABLE ${schema}.report_definitions ADD COLUMN IF NOT EXISTS format VARCHAR(10) NOT NULL DEFAULT 'xlsx';
+    ALTER TABLE ${schema}.report_runs ADD COLUMN IF NOT EXISTS format VARCHAR(10) NOT NULL DEFAULT 'xlsx';
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    ALTER TABLE ${schema}.report_runs DROP COLUMN IF EXISTS format;
+    ALTER TABLE ${schema}.report_definitions DROP COLUMN IF EXISTS format;
+  `);
+};
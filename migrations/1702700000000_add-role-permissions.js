@@ -0,0 +1,120 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+// Seeded system roles; permission names are listed in routes/apps/ats/permissions.js
+const SYSTEM_ROLES = [
+  {
+    name: "Administrator",
+    description: "Full access, including users, roles and settings",
+    permissions: ["*"],
+  },
+  {
+    name: "Recruiter",
+    description: "Manages candidates, job listings and reports",
+    permissions: [
+      "candidates:archive",
+      "candidates:bulk",
+      "jobs:write",
+      "jobs:publish",
+      "reports:generate",
+      "reports:schedule",
+    ],
+    isDefault: true,
+  },
+  {
+    name: "Hiring Manager",
+    description: "Reviews candidates and drafts job listings for their department",
+    permissions: ["jobs:write", "reports:generate"],
+  },
+  {
+    name: "Viewer",
+    description: "Read-only access",
+    permissions: [],
+  },
+];
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  const literal = (value) => `'${String(value).replace(/'/g, "''")}'`;
+  const seedValues = SYSTEM_ROLES.map(
+    (r) =>
+      `(${literal(r.name)}, ${literal(r.description)}, ${literal(JSON.stringify(r.permissions))}::jsonb, ${r.isDefault ? "TRUE" : "FALSE"})`
+  ).join(",\n      ");
+
+  pgm.sql(`
+    -- Roles and users predate the migrations; create them on fresh databases
+    CREATE TABLE IF NOT EXISTS ${schema}.roles (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      description TEXT,
+      permissions JSONB NOT NULL DEFAULT '[]'::jsonb,
+      is_system BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS ${schema}.users (
+      user_id SERIAL PRIMARY KEY,
+      username VARCHAR(100) NOT NULL UNIQUE,
+      email VARCHAR(255),
+      password_hash TEXT,
+      role VARCHAR(50),
+      role_id INTEGER REFERENCES ${schema}.roles(id),
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      last_login TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP
+    );
+
+    -- Role given to signed-in users that have no row in users
+    ALTER TABLE ${schema}.roles ADD COLUMN IF NOT EXISTS is_default BOOLEAN NOT NULL DEFAULT FALSE;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_roles_single_default ON ${schema}.roles(is_default) WHERE is_default;
+    CREATE INDEX IF NOT EXISTS idx_users_email_lower ON ${schema}.users(LOWER(email));
+
+    WITH seed(name, description, permissions, is_default) AS (
+      VALUES
+      ${seedValues}
+    )
+    INSERT INTO ${schema}.roles (name, description, permissions, is_system, created_at)
+    SELECT s.name, s.description, s.permissions, TRUE, NOW()
+      FROM seed s
+     WHERE NOT EXISTS (SELECT 1 FROM ${schema}.roles r WHERE LOWER(r.name) = LOWER(s.name));
+
+    -- Same-named roles created by hand become the system roles; their permissions are
+    -- only filled in when they had none
+    WITH seed(name, description, permissions, is_default) AS (
+      VALUES
+      ${seedValues}
+    )
+    UPDATE ${schema}.roles r
+       SET is_system = TRUE,
+           permissions = CASE
+             WHEN r.permissions IS NULL OR r.permissions::text IN ('{}', '[]', 'null') THEN s.permissions
+             ELSE r.permissions
+           END,
+           updated_at = NOW()
+      FROM seed s
+     WHERE LOWER(r.name) = LOWER(s.name);
+
+    WITH seed(name, description, permissions, is_default) AS (
+      VALUES
+      ${seedValues}
+    )
+    UPDATE ${schema}.roles r
+       SET is_default = TRUE
+      FROM seed s
+     WHERE s.is_default
+       AND LOWER(r.name) = LOWER(s.name)
+       AND NOT EXISTS (SELECT 1 FROM ${schema}.roles d WHERE d.is_default);
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    DROP INDEX IF EXISTS ${schema}.idx_users_email_lower;
+    DROP INDEX IF EXISTS ${schema}.idx_roles_single_default;
+    ALTER TABLE ${schema}.roles DROP COLUMN IF EXISTS is_default;
+  `);
+};
@@ -0,0 +1,53 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+// Roles that keep seeing every department; the others (Hiring Manager, Viewer, custom roles)
+// are limited to their department_members departments (routes/apps/ats/departmentScope.js)
+const GLOBAL_ROLES = ["Recruiter"];
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  const names = GLOBAL_ROLES.map((n) => `'${n.toLowerCase()}'`).join(", ");
+  pgm.sql(`
+    -- Departments predate the migrations; create them on fresh databases
+    CREATE TABLE IF NOT EXISTS ${schema}.departments (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL UNIQUE,
+      description TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS ${schema}.department_members (
+      department_id INTEGER NOT NULL REFERENCES ${schema}.departments(id) ON DELETE CASCADE,
+      email VARCHAR(255) NOT NULL,
+      role VARCHAR(50) NOT NULL DEFAULT 'member',
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE (department_id, email)
+    );
+
+    UPDATE ${schema}.roles
+       SET permissions = COALESCE(permissions::jsonb, '[]'::jsonb) || '["departments:all"]'::jsonb,
+           updated_at = NOW()
+     WHERE is_system
+       AND LOWER(name) IN (${names})
+       AND jsonb_typeof(COALESCE(permissions::jsonb, '[]'::jsonb)) = 'array'
+       AND NOT COALESCE(permissions::jsonb, '[]'::jsonb) ? 'departments:all';
+
+    CREATE INDEX IF NOT EXISTS idx_department_members_email_lower
+      ON ${schema}.department_members(LOWER(email));
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    DROP INDEX IF EXISTS ${schema}.idx_department_members_email_lower;
+    UPDATE ${schema}.roles
+       SET permissions = permissions::jsonb - 'departments:all',
+           updated_at = NOW()
+     WHERE is_system
+       AND jsonb_typeof(permissions::jsonb) = 'array'
+       AND permissions::jsonb ? 'departments:all';
+  `);
+};
@@ -0,0 +1,60 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    -- Append-only audit trail (routes/apps/ats/audit.js)
+    CREATE TABLE IF NOT EXISTS ${schema}.audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      request_id TEXT,
+      actor_user_id INTEGER,
+      actor_email TEXT,
+      actor_name TEXT,
+      ip TEXT,
+      user_agent TEXT,
+      method TEXT,
+      path TEXT,
+      status_code INTEGER,
+      action TEXT NOT NULL,
+      entity_type TEXT,
+      entity_id TEXT,
+      before JSONB,
+      after JSONB,
+      metadata JSONB
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_log_occurred_at ON ${schema}.audit_log(occurred_at DESC, id DESC);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON ${schema}.audit_log(entity_type, entity_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON ${schema}.audit_log(LOWER(actor_email));
+    CREATE INDEX IF NOT EXISTS idx_audit_log_action ON ${schema}.audit_log(action);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_request ON ${schema}.audit_log(request_id);
+
+    -- Entries can be added, never changed or removed
+    CREATE OR REPLACE FUNCTION ${schema}.audit_log_immutable() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only (% rejected)', TG_OP;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS audit_log_no_update ON ${schema}.audit_log;
+    CREATE TRIGGER audit_log_no_update
+      BEFORE UPDATE OR DELETE ON ${schema}.audit_log
+      FOR EACH ROW EXECUTE FUNCTION ${schema}.audit_log_immutable();
+
+    DROP TRIGGER IF EXISTS audit_log_no_truncate ON ${schema}.audit_log;
+    CREATE TRIGGER audit_log_no_truncate
+      BEFORE TRUNCATE ON ${schema}.audit_log
+      FOR EACH STATEMENT EXECUTE FUNCTION ${schema}.audit_log_immutable();
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    DROP TABLE IF EXISTS ${schema}.audit_log;
+    DROP FUNCTION IF EXISTS ${schema}.audit_log_immutable();
+  `);
+};
@@ -0,0 +1,55 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    -- Rows removed by the destructive admin deletes, restorable until purge_after (routes/apps/ats/trash.js)
+    CREATE TABLE IF NOT EXISTS ${schema}.trash_batches (
+      id SERIAL PRIMARY KEY,
+      kind VARCHAR(50) NOT NULL,
+      root_table TEXT NOT NULL,
+      tables JSONB NOT NULL DEFAULT '[]'::jsonb,
+      counts JSONB NOT NULL DEFAULT '{}'::jsonb,
+      deleted_by VARCHAR(255),
+      deleted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      purge_after TIMESTAMPTZ NOT NULL,
+      restored_at TIMESTAMPTZ,
+      restored_by VARCHAR(255),
+      purged_at TIMESTAMPTZ
+    );
+
+    CREATE TABLE IF NOT EXISTS ${schema}.trash_rows (
+      id BIGSERIAL PRIMARY KEY,
+      batch_id INTEGER NOT NULL REFERENCES ${schema}.trash_batches(id) ON DELETE CASCADE,
+      table_name TEXT NOT NULL,
+      row_data JSONB NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trash_rows_batch ON ${schema}.trash_rows(batch_id, table_name, id);
+    CREATE INDEX IF NOT EXISTS idx_trash_batches_purge ON ${schema}.trash_batches(purge_after)
+      WHERE restored_at IS NULL AND purged_at IS NULL;
+
+    -- Single-use confirmation tokens for destructive endpoints (only the hash is stored)
+    CREATE TABLE IF NOT EXISTS ${schema}.admin_confirmations (
+      id SERIAL PRIMARY KEY,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      action VARCHAR(100) NOT NULL,
+      issued_to VARCHAR(255) NOT NULL,
+      preview JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      used_at TIMESTAMPTZ
+    );
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    DROP TABLE IF EXISTS ${schema}.admin_confirmations;
+    DROP TABLE IF EXISTS ${schema}.trash_rows;
+    DROP TABLE IF EXISTS ${schema}.trash_batches;
+  `);
+};
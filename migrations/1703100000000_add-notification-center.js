@@ -0,0 +1,54 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    -- Notifications and user preferences predate the migrations; create them on fresh databases
+    CREATE TABLE IF NOT EXISTS ${schema}.notifications (
+      id SERIAL PRIMARY KEY,
+      user_email VARCHAR(255) NOT NULL,
+      type VARCHAR(50) NOT NULL,
+      reference_type VARCHAR(50),
+      reference_id INTEGER,
+      message TEXT,
+      is_read BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS ${schema}.user_preferences (
+      id SERIAL PRIMARY KEY,
+      user_email VARCHAR(255) NOT NULL UNIQUE,
+      preferences JSONB DEFAULT '{}'::jsonb,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Notification center (routes/apps/ats/notifications.js)
+    ALTER TABLE ${schema}.notifications ADD COLUMN IF NOT EXISTS read_at TIMESTAMP;
+    ALTER TABLE ${schema}.notifications ADD COLUMN IF NOT EXISTS emailed_at TIMESTAMP;
+    ALTER TABLE ${schema}.notifications ADD COLUMN IF NOT EXISTS metadata JSONB;
+
+    CREATE INDEX IF NOT EXISTS idx_notifications_user
+      ON ${schema}.notifications(LOWER(user_email), created_at DESC, id DESC);
+    CREATE INDEX IF NOT EXISTS idx_notifications_unread
+      ON ${schema}.notifications(LOWER(user_email))
+      WHERE is_read = FALSE;
+    CREATE INDEX IF NOT EXISTS idx_notifications_digest
+      ON ${schema}.notifications(created_at)
+      WHERE is_read = FALSE AND emailed_at IS NULL;
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    DROP INDEX IF EXISTS ${schema}.idx_notifications_digest;
+    DROP INDEX IF EXISTS ${schema}.idx_notifications_unread;
+    DROP INDEX IF EXISTS ${schema}.idx_notifications_user;
+    ALTER TABLE ${schema}.notifications DROP COLUMN IF EXISTS metadata;
+    ALTER TABLE ${schema}.notifications DROP COLUMN IF EXISTS emailed_at;
+    ALTER TABLE ${schema}.notifications DROP COLUMN IF EXISTS read_at;
+  `);
+};
@@ -0,0 +1,70 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    -- Threaded comments on candidates and applications (routes/apps/ats/comments.js)
+    CREATE TABLE IF NOT EXISTS ${schema}.candidate_comments (
+      id SERIAL PRIMARY KEY,
+      candidate_id INTEGER NOT NULL REFERENCES ${schema}.candidates(candidate_id) ON DELETE CASCADE,
+      application_id INTEGER REFERENCES ${schema}.applications(application_id) ON DELETE CASCADE,
+      parent_id INTEGER REFERENCES ${schema}.candidate_comments(id) ON DELETE CASCADE,
+      body TEXT NOT NULL,
+      author_email VARCHAR(255),
+      author_name VARCHAR(255),
+      author_user_id INTEGER,
+      source VARCHAR(30) NOT NULL DEFAULT 'comment',
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      edited_at TIMESTAMP,
+      deleted_at TIMESTAMP,
+      deleted_by VARCHAR(255)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_candidate_comments_candidate ON ${schema}.candidate_comments(candidate_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_candidate_comments_application ON ${schema}.candidate_comments(application_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_candidate_comments_parent ON ${schema}.candidate_comments(parent_id);
+
+    -- Same shape as note_mentions / idea_mentions (helpers.saveMentions)
+    CREATE TABLE IF NOT EXISTS ${schema}.comment_mentions (
+      id SERIAL PRIMARY KEY,
+      comment_id INTEGER NOT NULL REFERENCES ${schema}.candidate_comments(id) ON DELETE CASCADE,
+      mentioned_email VARCHAR(255) NOT NULL,
+      mentioned_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (comment_id, mentioned_email)
+    );
+
+    -- Jobs a comment is tagged with
+    CREATE TABLE IF NOT EXISTS ${schema}.candidate_comment_jobs (
+      comment_id INTEGER NOT NULL REFERENCES ${schema}.candidate_comments(id) ON DELETE CASCADE,
+      job_listing_id INTEGER NOT NULL REFERENCES ${schema}.job_listings(job_listing_id) ON DELETE CASCADE,
+      PRIMARY KEY (comment_id, job_listing_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_candidate_comment_jobs_job ON ${schema}.candidate_comment_jobs(job_listing_id);
+
+    -- The notes kept on application_stages become the first comments of each application
+    INSERT INTO ${schema}.candidate_comments
+      (candidate_id, application_id, body, source, created_at, updated_at)
+    SELECT a.candidate_id, s.application_id, s.notes, 'stage_notes',
+           COALESCE(s.updated_at, NOW()), COALESCE(s.updated_at, NOW())
+      FROM ${schema}.application_stages s
+      JOIN ${schema}.applications a ON a.application_id = s.application_id
+     WHERE COALESCE(TRIM(s.notes), '') <> ''
+       AND a.candidate_id IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM ${schema}.candidate_comments WHERE source = 'stage_notes')
+     ORDER BY COALESCE(s.updated_at, NOW()), s.stage_id;
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    DROP TABLE IF EXISTS ${schema}.candidate_comment_jobs;
+    DROP TABLE IF EXISTS ${schema}.comment_mentions;
+    DROP TABLE IF EXISTS ${schema}.candidate_comments;
+  `);
+};
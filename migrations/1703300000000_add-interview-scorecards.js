@@ -0,0 +1,95 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+// New permissions (routes/apps/ats/permissions.js) given to the seeded system roles
+const ROLE_GRANTS = {
+  recruiter: ["scorecards:manage", "scorecards:read_all"],
+  "hiring manager": ["scorecards:manage"],
+};
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  const grants = Object.entries(ROLE_GRANTS)
+    .map(
+      ([role, permissions]) => `
+    UPDATE ${schema}.roles
+       SET permissions = COALESCE(permissions::jsonb, '[]'::jsonb)
+             || (SELECT COALESCE(jsonb_agg(p), '[]'::jsonb)
+                   FROM jsonb_array_elements_text('${JSON.stringify(permissions)}'::jsonb) p
+                  WHERE NOT COALESCE(permissions::jsonb, '[]'::jsonb) ? p),
+           updated_at = NOW()
+     WHERE is_system
+       AND LOWER(name) = '${role}'
+       AND jsonb_typeof(COALESCE(permissions::jsonb, '[]'::jsonb)) = 'array';`
+    )
+    .join("\n");
+
+  pgm.sql(`
+    -- Scorecard templates per job listing (routes/apps/ats/scorecards.js)
+    CREATE TABLE IF NOT EXISTS ${schema}.scorecard_templates (
+      id SERIAL PRIMARY KEY,
+      job_listing_id INTEGER NOT NULL REFERENCES ${schema}.job_listings(job_listing_id) ON DELETE CASCADE,
+      name VARCHAR(200) NOT NULL,
+      stage_name VARCHAR(100),
+      competencies JSONB NOT NULL DEFAULT '[]'::jsonb,
+      rating_scale JSONB NOT NULL DEFAULT '{"min": 1, "max": 5}'::jsonb,
+      questions JSONB NOT NULL DEFAULT '[]'::jsonb,
+      version INTEGER NOT NULL DEFAULT 1,
+      created_by VARCHAR(255),
+      updated_by VARCHAR(255),
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      archived_at TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_scorecard_templates_job ON ${schema}.scorecard_templates(job_listing_id);
+
+    -- One scorecard per interviewer per interview (template) of an application; the template
+    -- is copied in when the scorecard is started so later template edits do not change it
+    CREATE TABLE IF NOT EXISTS ${schema}.interview_scorecards (
+      id SERIAL PRIMARY KEY,
+      application_id INTEGER NOT NULL REFERENCES ${schema}.applications(application_id) ON DELETE CASCADE,
+      candidate_id INTEGER NOT NULL REFERENCES ${schema}.candidates(candidate_id) ON DELETE CASCADE,
+      template_id INTEGER REFERENCES ${schema}.scorecard_templates(id) ON DELETE SET NULL,
+      template JSONB NOT NULL,
+      interviewer_email VARCHAR(255) NOT NULL,
+      interviewer_name VARCHAR(255),
+      interview_label VARCHAR(200),
+      interviewed_at TIMESTAMP,
+      meeting_id TEXT,
+      ratings JSONB NOT NULL DEFAULT '{}'::jsonb,
+      answers JSONB NOT NULL DEFAULT '{}'::jsonb,
+      recommendation VARCHAR(20),
+      summary TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'draft',
+      assigned_by VARCHAR(255),
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      submitted_at TIMESTAMP,
+      CONSTRAINT interview_scorecards_status_check CHECK (status IN ('draft', 'submitted')),
+      CONSTRAINT interview_scorecards_recommendation_check
+        CHECK (recommendation IS NULL OR recommendation IN ('strong_no_hire', 'no_hire', 'hire', 'strong_hire'))
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_interview_scorecards_unique
+      ON ${schema}.interview_scorecards(application_id, template_id, LOWER(interviewer_email));
+    CREATE INDEX IF NOT EXISTS idx_interview_scorecards_candidate ON ${schema}.interview_scorecards(candidate_id);
+    CREATE INDEX IF NOT EXISTS idx_interview_scorecards_interviewer
+      ON ${schema}.interview_scorecards(LOWER(interviewer_email), status);
+${grants}
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    DROP TABLE IF EXISTS ${schema}.interview_scorecards;
+    DROP TABLE IF EXISTS ${schema}.scorecard_templates;
+    UPDATE ${schema}.roles
+       SET permissions = permissions::jsonb - 'scorecards:manage' - 'scorecards:read_all',
+           updated_at = NOW()
+     WHERE is_system
+       AND jsonb_typeof(permissions::jsonb) = 'array';
+  `);
+};
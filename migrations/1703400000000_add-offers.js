@@ -0,0 +1,150 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+// Default approval chain (role names, in order); departments can have their own
+const DEFAULT_APPROVAL_STEPS = ["Hiring Manager", "Administrator"];
+
+const DEFAULT_LETTER = {
+  name: "Standard offer letter",
+  subject: "Your offer for {{job_title}}",
+  body: `<p>Dear {{candidate_name}},</p>
+<p>We are delighted to offer you the position of <strong>{{job_title}}</strong>.</p>
+<ul>
+  <li><strong>Base salary:</strong> {{salary}} per {{salary_period}}</li>
+  <li><strong>Start date:</strong> {{start_date}}</li>
+  <li><strong>Bonus:</strong> {{bonus}}</li>
+  <li><strong>Equity:</strong> {{equity}}</li>
+</ul>
+<p>This offer is valid until {{expires_at}}. Please use the buttons below to accept or decline it.</p>
+<p>We look forward to welcoming you to the team.</p>
+<p>Sincerely,<br>{{sender_name}}<br>The Hiring Team</p>`,
+};
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  const literal = (value) => `'${String(value).replace(/'/g, "''")}'`;
+  pgm.sql(`
+    -- Approval chains per department (department NULL = default) (routes/apps/ats/offers.js)
+    CREATE TABLE IF NOT EXISTS ${schema}.offer_approval_chains (
+      id SERIAL PRIMARY KEY,
+      department VARCHAR(255),
+      steps JSONB NOT NULL DEFAULT '[]'::jsonb,
+      updated_by VARCHAR(255),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_offer_approval_chains_department
+      ON ${schema}.offer_approval_chains(COALESCE(LOWER(TRIM(department)), ''));
+
+    INSERT INTO ${schema}.offer_approval_chains (department, steps)
+    SELECT NULL, ${literal(JSON.stringify(DEFAULT_APPROVAL_STEPS))}::jsonb
+     WHERE NOT EXISTS (SELECT 1 FROM ${schema}.offer_approval_chains WHERE department IS NULL);
+
+    -- Offer letter templates with {{merge}} fields (routes/apps/ats/mergeFields.js)
+    CREATE TABLE IF NOT EXISTS ${schema}.offer_letter_templates (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      department VARCHAR(255),
+      subject VARCHAR(500) NOT NULL,
+      body TEXT NOT NULL,
+      is_default BOOLEAN NOT NULL DEFAULT FALSE,
+      created_by VARCHAR(255),
+      updated_by VARCHAR(255),
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      archived_at TIMESTAMP
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_offer_letter_templates_single_default
+      ON ${schema}.offer_letter_templates(is_default) WHERE is_default;
+
+    INSERT INTO ${schema}.offer_letter_templates (name, subject, body, is_default)
+    SELECT ${literal(DEFAULT_LETTER.name)}, ${literal(DEFAULT_LETTER.subject)}, ${literal(DEFAULT_LETTER.body)}, TRUE
+     WHERE NOT EXISTS (SELECT 1 FROM ${schema}.offer_letter_templates);
+
+    CREATE TABLE IF NOT EXISTS ${schema}.offers (
+      id SERIAL PRIMARY KEY,
+      application_id INTEGER NOT NULL REFERENCES ${schema}.applications(application_id) ON DELETE CASCADE,
+      candidate_id INTEGER NOT NULL REFERENCES ${schema}.candidates(candidate_id) ON DELETE CASCADE,
+      job_title VARCHAR(255),
+      department VARCHAR(255),
+      status VARCHAR(30) NOT NULL DEFAULT 'draft',
+      salary NUMERIC(12, 2),
+      currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+      salary_period VARCHAR(10) NOT NULL DEFAULT 'year',
+      start_date DATE,
+      bonus NUMERIC(12, 2),
+      bonus_details TEXT,
+      equity TEXT,
+      expires_at TIMESTAMP,
+      notes TEXT,
+      letter_template_id INTEGER REFERENCES ${schema}.offer_letter_templates(id) ON DELETE SET NULL,
+      letter_subject TEXT,
+      letter_html TEXT,
+      approval_steps JSONB NOT NULL DEFAULT '[]'::jsonb,
+      approval_round INTEGER NOT NULL DEFAULT 0,
+      current_step INTEGER NOT NULL DEFAULT 0,
+      response_token_hash VARCHAR(64),
+      response_reason TEXT,
+      created_by VARCHAR(255),
+      sent_by VARCHAR(255),
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      submitted_at TIMESTAMP,
+      approved_at TIMESTAMP,
+      sent_at TIMESTAMP,
+      responded_at TIMESTAMP,
+      closed_at TIMESTAMP,
+      CONSTRAINT offers_status_check CHECK (status IN
+        ('draft', 'pending_approval', 'approved', 'sent', 'accepted', 'declined', 'withdrawn', 'expired')),
+      CONSTRAINT offers_salary_period_check CHECK (salary_period IN ('year', 'month', 'hour'))
+    );
+
+    -- One open offer per application
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_offers_open_application
+      ON ${schema}.offers(application_id) WHERE status IN ('draft', 'pending_approval', 'approved', 'sent');
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_offers_response_token
+      ON ${schema}.offers(response_token_hash) WHERE response_token_hash IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_offers_candidate ON ${schema}.offers(candidate_id);
+    CREATE INDEX IF NOT EXISTS idx_offers_status ON ${schema}.offers(status, expires_at);
+
+    CREATE TABLE IF NOT EXISTS ${schema}.offer_approvals (
+      id SERIAL PRIMARY KEY,
+      offer_id INTEGER NOT NULL REFERENCES ${schema}.offers(id) ON DELETE CASCADE,
+      round INTEGER NOT NULL,
+      step INTEGER NOT NULL,
+      role VARCHAR(100) NOT NULL,
+      decision VARCHAR(20) NOT NULL CHECK (decision IN ('approved', 'rejected')),
+      comment TEXT,
+      decided_by VARCHAR(255),
+      decided_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE (offer_id, round, step)
+    );
+
+    -- Recruiters draft and send offers
+    UPDATE ${schema}.roles
+       SET permissions = COALESCE(permissions::jsonb, '[]'::jsonb) || '["offers:write"]'::jsonb,
+           updated_at = NOW()
+     WHERE is_system
+       AND LOWER(name) = 'recruiter'
+       AND jsonb_typeof(COALESCE(permissions::jsonb, '[]'::jsonb)) = 'array'
+       AND NOT COALESCE(permissions::jsonb, '[]'::jsonb) ? 'offers:write';
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    DROP TABLE IF EXISTS ${schema}.offer_approvals;
+    DROP TABLE IF EXISTS ${schema}.offers;
+    DROP TABLE IF EXISTS ${schema}.offer_letter_templates;
+    DROP TABLE IF EXISTS ${schema}.offer_approval_chains;
+    UPDATE ${schema}.roles
+       SET permissions = permissions::jsonb - 'offers:write',
+           updated_at = NOW()
+     WHERE is_system
+       AND jsonb_typeof(permissions::jsonb) = 'array'
+       AND permissions::jsonb ? 'offers:write';
+  `);
+};
@@ -0,0 +1,151 @@
+/* eslint-disable camelcase */
+
+exports.shorthands = undefined;
+
+// Default templates (version 1), the stored copies of the built-in emails in services/emailService.js.
+// Bodies go inside the shared email layout (routes/apps/ats/emailTemplateRenderer.js).
+const DEFAULT_TEMPLATES = [
+  {
+    key: "interview_reminder",
+    subject: "Reminder: Interview Tomorrow - {{meeting_subject}}",
+    body: `<div class="header">
+  <h1>Interview Reminder</h1>
+  <p>Your interview is scheduled for tomorrow</p>
+</div>
+<p>Dear {{candidate_first_name}},</p>
+<div class="details">
+  <h2>{{meeting_subject}}</h2>
+  <p><strong>Date:</strong> {{interview_date}}<br>
+  <strong>Time:</strong> {{interview_time}} - {{interview_end_time}} ({{duration_minutes}} minutes)
+  {{#organizer_name}}<br><strong>Organizer:</strong> {{organizer_name}}{{/organizer_name}}
+  {{#location}}<br><strong>Location:</strong> {{location}}{{/location}}</p>
+  {{#meeting_link}}<p class="center"><a href="{{meeting_link}}" target="_blank">Join Meeting (Outlook)</a></p>{{/meeting_link}}
+</div>
+<p class="center">Please confirm your attendance or let us know if you need to reschedule:</p>
+<p class="center">
+  <a href="{{confirm_url}}" class="btn">Confirm Attendance</a>
+  <a href="{{reschedule_url}}" class="btn btn-secondary">Request Reschedule</a>
+  <a href="{{cancel_url}}" class="btn btn-danger">Cancel Interview</a>
+</p>
+<div class="footer">
+  <p>If you have any questions, please contact the organizer directly.</p>
+  <p>This is an automated reminder. Please do not reply to this email.</p>
+</div>`,
+  },
+  {
+    key: "rejection",
+    subject: "Update on Your Application - {{job_title}}",
+    body: `<div class="header">
+  <h1>Application Status Update</h1>
+</div>
+<p>Dear {{candidate_name}},</p>
+<p>Thank you for your interest in the following position with our organization:</p>
+<p class="highlight">{{job_title}}</p>
+<div class="details"><p>{{rejection_message}}</p></div>
+{{#keep_in_touch}}<div class="details">
+  <h2>We'd Like to Stay Connected</h2>
+  <p>Your profile will remain in our system, and we will reach out if a suitable opportunity arises that matches your qualifications and career goals. We encourage you to check our careers page periodically for new openings.</p>
+</div>{{/keep_in_touch}}
+<p>We appreciate the time and effort you put into your application and wish you the very best in your career search.</p>
+<div class="details center">
+  <h2>We Value Your Feedback</h2>
+  <p>We're always looking to improve our hiring process. If you'd like to share your experience or request specific feedback about your application, please click the button below:</p>
+  <p><a href="{{feedback_url}}" class="btn">Request Feedback</a></p>
+</div>
+<div class="footer">
+  <p>Sincerely,<br>The Hiring Team</p>
+  <p>This is an automated notification. Please do not reply directly to this email.</p>
+</div>`,
+  },
+  {
+    key: "application_confirmation",
+    subject: "Application Received - {{job_title}}",
+    body: `<div class="header">
+  <h1>Application Received</h1>
+</div>
+<p>Dear {{candidate_first_name}},</p>
+<p>Thank you for your application for the <strong>{{job_title}}</strong> position. We have successfully received your submission.</p>
+<div class="details">
+  <p><strong>What happens next?</strong><br>
+  Your application will be reviewed by someone on our talent team for consideration. We carefully evaluate each application to find the best fit for our team.</p>
+</div>
+<p>If your qualifications match our current needs, a member of our team will reach out to you to discuss next steps.</p>
+<p>We appreciate your interest in joining our team and the time you invested in your application.</p>
+<p>Best regards,<br><strong>Talent Acquisition Team</strong></p>
+<div class="footer">
+  <p>This is an automated confirmation from our Applicant Tracking System.<br>Please do not reply to this email.</p>
+</div>`,
+  },
+];
+
+exports.up = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  const literal = (value) => `'${String(value).replace(/'/g, "''")}'`;
+  pgm.sql(`
+    -- Candidate email templates; department NULL = the default a department can override
+    -- (routes/apps/ats/emailTemplates.js)
+    CREATE TABLE IF NOT EXISTS ${schema}.email_templates (
+      id SERIAL PRIMARY KEY,
+      template_key VARCHAR(100) NOT NULL,
+      department VARCHAR(255),
+      current_version INTEGER NOT NULL DEFAULT 1,
+      created_by VARCHAR(255),
+      updated_by VARCHAR(255),
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_key_department
+      ON ${schema}.email_templates(template_key, COALESCE(LOWER(TRIM(department)), ''));
+
+    -- Every saved edit is a new version; current_version points at the one in use
+    CREATE TABLE IF NOT EXISTS ${schema}.email_template_versions (
+      id SERIAL PRIMARY KEY,
+      template_id INTEGER NOT NULL REFERENCES ${schema}.email_templates(id) ON DELETE CASCADE,
+      version INTEGER NOT NULL,
+      subject VARCHAR(500) NOT NULL,
+      body TEXT NOT NULL,
+      comment VARCHAR(500),
+      created_by VARCHAR(255),
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE (template_id, version)
+    );
+${DEFAULT_TEMPLATES.map(
+  (t) => `
+    INSERT INTO ${schema}.email_templates (template_key, department, current_version, created_by)
+    SELECT ${literal(t.key)}, NULL, 1, 'system'
+     WHERE NOT EXISTS (
+       SELECT 1 FROM ${schema}.email_templates WHERE template_key = ${literal(t.key)} AND department IS NULL
+     );
+
+    INSERT INTO ${schema}.email_template_versions (template_id, version, subject, body, comment, created_by)
+    SELECT t.id, 1, ${literal(t.subject)}, ${literal(t.body)}, 'Built-in template', 'system'
+      FROM ${schema}.email_templates t
+     WHERE t.template_key = ${literal(t.key)} AND t.department IS NULL
+    ON CONFLICT (template_id, version) DO NOTHING;`
+).join("\n")}
+
+    -- Recruiters edit candidate email wording
+    UPDATE ${schema}.roles
+       SET permissions = COALESCE(permissions::jsonb, '[]'::jsonb) || '["email_templates:manage"]'::jsonb,
+           updated_at = NOW()
+     WHERE is_system
+       AND LOWER(name) = 'recruiter'
+       AND jsonb_typeof(COALESCE(permissions::jsonb, '[]'::jsonb)) = 'array'
+       AND NOT COALESCE(permissions::jsonb, '[]'::jsonb) ? 'email_templates:manage';
+  `);
+};
+
+exports.down = (pgm) => {
+  const schema = process.env.DB_SCHEMA || "public";
+  pgm.sql(`
+    DROP TABLE IF EXISTS ${schema}.email_template_versions;
+    DROP TABLE IF EXISTS ${schema}.email_templates;
+    UPDATE ${schema}.roles
+       SET permissions = permissions::jsonb - 'email_templates:manage',
+           updated_at = NOW()
+     WHERE is_system
+       AND jsonb_typeof(permissions::jsonb) = 'array'
+       AND permissions::jsonb ? 'email_templates:manage';
+  `);
+};
@@ -11,6 +11,8 @@ const pdfParse = require("pdf-parse");
 const mammoth = require("mammoth");
 const ExcelJS = require("exceljs");
 const emailService = require("../../services/emailService");
+const scoreQueue = require("./ats/scoreQueue");
+const scoringRubric = require("./ats/scoringRubric");
 let jsonrepairFn = null;
 try {
   const jr = require("jsonrepair");
@@ -18,23 +20,8 @@ try {
   else if (jr && typeof jr.jsonrepair === "function")
     jsonrepairFn = jr.jsonrepair;
 } catch {}
-// OpenAI (ChatGPT) client
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-let _openaiClient = null;
-function getOpenAIClient() {
-  if (!OPENAI_API_KEY) {
-    throw new Error("openai_not_configured");
-  }
-  if (!_openaiClient) {
-    try {
-      const OpenAI = require("openai");
-      _openaiClient = new OpenAI({ apiKey: OPENAI_API_KEY });
-    } catch (e) {
-      throw new Error("openai_sdk_not_installed");
-    }
-  }
-  return _openaiClient;
-}
+// LLM provider layer (OpenAI / Azure OpenAI / local / fake), selectable per feature
+const llm = require("./ats/llm");
 
 // Local helpers and constants (DB access comes from req.db via multi-tenant middleware)
 const DEFAULT_SCHEMA = process.env.DB_SCHEMA || "public";
@@ -658,16 +645,26 @@ async function getExtractedTextForUrl(urlStr, debugOverride = false) {
 }
 
 // --- AI Scoring helpers (OpenAI ChatGPT) ---
-async function getLatestCandidateScore(db, candidateId) {
+// options.jobRequisitionId limits the lookup to scores produced for that job
+async function getLatestCandidateScore(db, candidateId, options = {}) {
   try {
+    const params = [candidateId];
+    let jobFilter = "";
+    if (options.jobRequisitionId) {
+      params.push(String(options.jobRequisitionId));
+      jobFilter = "AND job_requisition_id = $2";
+    }
     const sql = `SELECT id, candidate_id, model, version, created_at, overall_score,
                         experience_fit, skills_fit, culture_fit, location_fit,
-                        risk_flags, rationale, raw_json
+                        risk_flags, rationale, raw_json,
+                        job_requisition_id, criteria_scores, knockout_failed,
+                        provider, prompt_version, resume_url, cover_letter_url,
+                        source_text_hash, reason
                    FROM candidate_ai_scores
-                  WHERE candidate_id = $1
+                  WHERE candidate_id = $1 ${jobFilter}
                ORDER BY created_at DESC, id DESC
                   LIMIT 1`;
-    const r = await db.query(sql, [candidateId]);
+    const r = await db.query(sql, params);
     return r.rows[0] || null;
   } catch {
     return null;
@@ -687,11 +684,22 @@ async function insertCandidateScore(db, candidateId, payload) {
     recommendations = null,
     rationale = null,
     raw_json = null,
+    job_requisition_id = null,
+    criteria_scores = null,
+    knockout_failed = false,
+    provider = null,
+    prompt_version = null,
+    resume_url = null,
+    cover_letter_url = null,
+    source_text_hash = null,
+    reason = null,
   } = payload || {};
   const versionValue = String(version || "v1");
   const sql = `INSERT INTO candidate_ai_scores
-    (candidate_id, model, version, overall_score, experience_fit, skills_fit, culture_fit, risk_flags, strengths, recommendations, rationale, raw_json)
-    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+    (candidate_id, model, version, overall_score, experience_fit, skills_fit, culture_fit, risk_flags, strengths, recommendations, rationale, raw_json,
+     job_requisition_id, criteria_scores, knockout_failed,
+     provider, prompt_version, resume_url, cover_letter_url, source_text_hash, reason)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21)
     ON CONFLICT (candidate_id, model, version) DO UPDATE SET
       overall_score = EXCLUDED.overall_score,
       experience_fit = EXCLUDED.experience_fit,
@@ -702,6 +710,15 @@ async function insertCandidateScore(db, candidateId, payload) {
       recommendations = EXCLUDED.recommendations,
       rationale = EXCLUDED.rationale,
       raw_json = EXCLUDED.raw_json,
+      job_requisition_id = EXCLUDED.job_requisition_id,
+      criteria_scores = EXCLUDED.criteria_scores,
+      knockout_failed = EXCLUDED.knockout_failed,
+      provider = EXCLUDED.provider,
+      prompt_version = EXCLUDED.prompt_version,
+      resume_url = EXCLUDED.resume_url,
+      cover_letter_url = EXCLUDED.cover_letter_url,
+      source_text_hash = EXCLUDED.source_text_hash,
+      reason = EXCLUDED.reason,
       created_at = NOW()
     RETURNING id`;
   const params = [
@@ -717,6 +734,15 @@ async function insertCandidateScore(db, candidateId, payload) {
     recommendations,
     rationale,
     raw_json,
+    job_requisition_id,
+    criteria_scores ? JSON.stringify(criteria_scores) : null,
+    !!knockout_failed,
+    provider,
+    prompt_version,
+    resume_url || null,
+    cover_letter_url || null,
+    source_text_hash,
+    reason,
   ];
   try {
     const r = await db.query(sql, params);
@@ -727,7 +753,8 @@ async function insertCandidateScore(db, candidateId, payload) {
   }
 }
 
-async function buildCandidateScoringContext(db, candidateId) {
+// options.jobRequisitionId scores against a specific job instead of the latest application's
+async function buildCandidateScoringContext(db, candidateId, options = {}) {
   const vm = await buildCandidateVM(db, candidateId);
   if (!vm) return null;
   // Collect any resume/cover text
@@ -745,7 +772,13 @@ async function buildCandidateScoringContext(db, candidateId) {
     }
   } catch {}
   const combined = texts.join("\n\n").slice(0, 25000); // cap size
-  return { vm, combinedText: combined };
+  const jobRequisitionId = options.jobRequisitionId || vm.requisitionId || null;
+  const rubric = await scoringRubric.getJobRubric(db, DEFAULT_SCHEMA, jobRequisitionId);
+  // Fingerprint of the text the model sees; a new resume/cover letter makes older scores stale
+  const sourceTextHash = combined
+    ? crypto.createHash("sha256").update(combined).digest("hex")
+    : null;
+  return { vm, combinedText: combined, jobRequisitionId, rubric, sourceTextHash };
 }
 
 async function callOpenAIScore({
@@ -756,10 +789,11 @@ async function callOpenAIScore({
   yearsExperience,
   expectedSalary,
   combinedText,
+  rubric = null,
 }) {
-  if (!OPENAI_API_KEY) throw new Error("openai_api_key_missing");
-  const modelName = process.env.OPENAI_MODEL || "gpt-4o-mini";
-  const client = getOpenAIClient();
+  if (!llm.isLLMConfigured(llm.FEATURES.SCORING))
+    throw new Error("openai_api_key_missing");
+  let modelName = llm.resolveFeatureConfig(llm.FEATURES.SCORING).model;
 
   const basePrompt = `You are an expert ATS (Applicant Tracking System) evaluator with deep knowledge of recruitment best practices.
 
@@ -806,6 +840,10 @@ RECOMMENDATIONS: Actionable next steps
 RATIONALE: Clear 200-500 character explanation of overall assessment
 
 Return ONLY valid JSON (no markdown, no code blocks).`;
+  const systemPrompt = rubric
+    ? `${basePrompt}\n\n${scoringRubric.buildRubricPrompt(rubric)}`
+    : basePrompt;
+  const promptLabel = rubric ? "v3" : "v2";
 
   const userContext = `CANDIDATE PROFILE:
 Name: ${name || "Not provided"}
@@ -818,7 +856,7 @@ Expected Salary: ${expectedSalary ? expectedSalary : "Not specified"}
 APPLICATION DETAILS:
 ${combinedText || "No additional information provided"}`;
 
-  // OpenAI response schema
+  // OpenAI response schema (criteria only when the job has a rubric)
   const responseFormat = {
     type: "json_schema",
     json_schema: {
@@ -850,6 +888,18 @@ ${combinedText || "No additional information provided"}`;
       },
     },
   };
+  if (rubric) {
+    const schema = responseFormat.json_schema.schema;
+    schema.properties.criteria = scoringRubric.rubricResponseSchema(rubric);
+    schema.required.push("criteria");
+  }
+  // Label plus a hash of the exact prompt and schema, so prompt edits show up in score history
+  const promptVersion = `${promptLabel}-${crypto
+    .createHash("sha256")
+    .update(systemPrompt + JSON.stringify(responseFormat))
+    .digest("hex")
+    .slice(0, 12)}`;
+  let providerName = null;
 
   let jsonText = "";
   try {
@@ -858,25 +908,26 @@ ${combinedText || "No additional information provided"}`;
       email,
       jobTitle,
     });
-    const completion = await client.chat.completions.create({
-      model: modelName,
+    const completion = await llm.complete(llm.FEATURES.SCORING, {
       temperature: 0.3,
-      max_tokens: 2048,
-      response_format: responseFormat,
+      maxTokens: 2048,
+      responseFormat,
       messages: [
-        { role: "system", content: basePrompt },
+        { role: "system", content: systemPrompt },
         { role: "user", content: userContext },
       ],
     });
+    modelName = completion.model;
+    providerName = completion.provider;
 
     // Log the full result object for debugging
     console.log("[OpenAI] Response received:", {
-      hasChoices: !!completion?.choices?.length,
-      finishReason: completion?.choices?.[0]?.finish_reason,
-      usage: completion?.usage,
+      provider: completion.provider,
+      finishReason: completion.finishReason,
+      usage: completion.usage,
     });
 
-    jsonText = completion?.choices?.[0]?.message?.content || "";
+    jsonText = completion.text;
 
     if (!jsonText) {
       console.error(
@@ -887,7 +938,7 @@ ${combinedText || "No additional information provided"}`;
       err.detail =
         "OpenAI returned an empty response. Check if content was filtered or API key is valid.";
       err.metadata = {
-        finishReason: completion?.choices?.[0]?.finish_reason,
+        finishReason: completion.finishReason,
         isRetryable: true,
       };
       throw err;
@@ -977,9 +1028,11 @@ ${combinedText || "No additional information provided"}`;
     Array.isArray(v)
       ? v.slice(0, 10).map((x) => String(x).slice(0, 100))
       : null;
-  return {
+  const result = {
     model: modelName,
-    version: "v2",
+    version: promptLabel,
+    provider: providerName,
+    prompt_version: promptVersion,
     overall_score: num(parsed.overall_score),
     experience_fit: num(parsed.experience_fit),
     skills_fit: num(parsed.skills_fit),
@@ -991,18 +1044,52 @@ ${combinedText || "No additional information provided"}`;
     raw_json: parsed,
     raw_text_source: parsedSource,
   };
+  if (!rubric) return result;
+
+  // Rubric scoring: overall and fit scores come from the weighted criteria, not the model's holistic guess
+  const applied = scoringRubric.applyRubricScores(rubric, parsed.criteria, combinedText);
+  return {
+    ...result,
+    overall_score: applied.overall ?? result.overall_score,
+    skills_fit: applied.skillsFit ?? result.skills_fit,
+    experience_fit: applied.experienceFit ?? result.experience_fit,
+    risk_flags: [
+      ...applied.failedKnockouts.map((k) => `Knockout: ${k}`.slice(0, 100)),
+      ...(result.risk_flags || []),
+    ].slice(0, 10),
+    knockout_failed: applied.knockoutFailed,
+    criteria_scores: {
+      rubric_version: rubric.version || 1,
+      model_overall_score: result.overall_score,
+      criteria: applied.criteria,
+    },
+  };
 }
 
 async function generateAndStoreCandidateScore(db, candidateId, options = {}) {
   const { force = false } = options;
-  // Idempotent: return existing score when not forcing a regeneration
-  const existing = await getLatestCandidateScore(db, candidateId);
-  if (existing && !force) {
+  const ctx = await buildCandidateScoringContext(db, candidateId, {
+    jobRequisitionId: options.jobRequisitionId,
+  });
+  if (!ctx) throw new Error("candidate_not_found");
+  const { vm, combinedText, jobRequisitionId, rubric, sourceTextHash } = ctx;
+  // Idempotent: return the existing score for this job unless forcing, the rubric changed
+  // or the resume/cover letter text differs from what the existing score was produced from
+  const existing = await getLatestCandidateScore(db, candidateId, {
+    jobRequisitionId: rubric ? jobRequisitionId : null,
+  });
+  const rubricStale =
+    rubric &&
+    existing &&
+    Number(existing.criteria_scores?.rubric_version) !== Number(rubric.version || 1);
+  const sourceStale =
+    existing &&
+    existing.source_text_hash &&
+    sourceTextHash &&
+    existing.source_text_hash !== sourceTextHash;
+  if (existing && !force && !rubricStale && !sourceStale) {
     return { score: existing, status: "existing" };
   }
-  const ctx = await buildCandidateScoringContext(db, candidateId);
-  if (!ctx) throw new Error("candidate_not_found");
-  const { vm, combinedText } = ctx;
   const maxAttemptsEnv = Number(
     process.env.OPENAI_SCORE_RETRIES || process.env.AI_RETRY_ATTEMPTS || 3
   );
@@ -1022,6 +1109,7 @@ async function generateAndStoreCandidateScore(db, candidateId, options = {}) {
         yearsExperience: vm.yearsExperience || "",
         expectedSalary: vm.expectedSalary || "",
         combinedText,
+        rubric,
       });
       break;
     } catch (err) {
@@ -1062,35 +1150,33 @@ async function generateAndStoreCandidateScore(db, candidateId, options = {}) {
     }
     throw err;
   }
-  const baseVersion = payload?.version ? String(payload.version) : "v1";
-  const version = force ? `${baseVersion}-rerun-${Date.now()}` : baseVersion;
-  await insertCandidateScore(db, candidateId, { ...payload, version });
-  const next = await getLatestCandidateScore(db, candidateId);
-  return { score: next, status: force ? "regenerated" : "generated" };
+  let baseVersion = payload?.version ? String(payload.version) : "v1";
+  // Rubric scores are per job and rubric revision, so they must not overwrite each other
+  if (rubric) baseVersion = `${baseVersion}-${jobRequisitionId}-r${rubric.version || 1}`;
+  // Any re-score gets its own row so the history (GET /candidates/:id/score/history) stays intact
+  const version = force || existing ? `${baseVersion}-rerun-${Date.now()}` : baseVersion;
+  const reason =
+    options.reason ||
+    (force ? "manual_rescore" : sourceStale ? "source_changed" : rubricStale ? "rubric_changed" : "initial");
+  await insertCandidateScore(db, candidateId, {
+    ...payload,
+    version,
+    job_requisition_id: jobRequisitionId,
+    resume_url: vm.resumeUrl,
+    cover_letter_url: vm.coverLetterUrl,
+    source_text_hash: sourceTextHash,
+    reason,
+  });
+  const next = await getLatestCandidateScore(db, candidateId, {
+    jobRequisitionId: rubric ? jobRequisitionId : null,
+  });
+  return { score: next, status: force || existing ? "regenerated" : "generated" };
 }
 
-// Lightweight queue to avoid overlapping runs
-const _scoreQueue = new Set();
-function enqueueCandidateScore(db, candidateId) {
-  const id = Number(candidateId);
-  if (!Number.isFinite(id)) return;
-  if (_scoreQueue.has(id)) return;
-  _scoreQueue.add(id);
-  // Run soon, non-blocking
-  setTimeout(async () => {
-    try {
-      // Idempotent inside
-      await generateAndStoreCandidateScore(db, id).catch((err) => {
-        console.warn("[ai-score] background generation failed", {
-          candidateId: id,
-          error: err?.message,
-        });
-        return null;
-      });
-    } finally {
-      _scoreQueue.delete(id);
-    }
-  }, 100);
+// Durable Postgres-backed queue (see ats/scoreQueue.js); jobs survive restarts
+scoreQueue.initScoreQueue({ generateAndStoreCandidateScore });
+function enqueueCandidateScore(db, candidateId, options = {}) {
+  return scoreQueue.enqueueCandidateScore(db, candidateId, options);
 }
 
 // Common utility to fetch available columns for a table in a given schema
@@ -2179,7 +2265,9 @@ router.post("/candidates/:id/skills", async (req, res) => {
     if (code === "openai_not_supported")
       return res.status(503).json({ error: "openai_not_supported" });
     if (code === "openai_api_key_missing")
-      return res.status(503).json({ error: "openai_not_configured" });
+      return res
+        .status(503)
+        .json({ error: llm.getLLMStatus(llm.FEATURES.SCORING).error });
     if (code === "openai_generation_failed")
       return res.status(502).json({ error: "openai_generation_failed" });
     if (code === "invalid_openai_json")
@@ -3140,8 +3228,11 @@ async function buildCandidateVM(db, candidateId) {
       work_authorization,
       expected_salary_range,
       interview_questions,
-      interview_questions_generated_at
-  FROM ${PEOPLE_TABLE}
+      interview_questions_generated_at,
+      to_jsonb(c)->'work_history' AS work_history,
+      to_jsonb(c)->'education' AS education,
+      to_jsonb(c)->'certifications' AS certifications
+  FROM ${PEOPLE_TABLE} c
     WHERE ${PEOPLE_PK} = $1
   `;
   const cand = (await db.query(candSql, [candidateId])).rows[0] || null;
@@ -3264,6 +3355,10 @@ async function buildCandidateVM(db, candidateId) {
       cand?.interview_questions_generated_at || null,
     interview_questions_generated_at:
       cand?.interview_questions_generated_at || null,
+    // Parsed from resumes (see ats/profileSuggestions.js)
+    workHistory: cand?.work_history || [],
+    education: cand?.education || [],
+    certifications: cand?.certifications || [],
     jobTitle: app?.job_title || "—",
     stage: stage?.stage_name
       ? titleCase(stage.stage_name)
@@ -4830,8 +4925,11 @@ router.post("/candidates/:id/score", async (req, res) => {
         ? ["true", "1", "yes", "force"].includes(forceParam.toLowerCase())
         : Boolean(forceParam);
 
-    if (!OPENAI_API_KEY)
-      return res.status(503).json({ error: "openai_not_configured" });
+    const llmStatus = llm.getLLMStatus(llm.FEATURES.SCORING);
+    if (!llmStatus.configured)
+      return res
+        .status(503)
+        .json({ error: llmStatus.error, provider: llmStatus.provider });
 
     const result = await generateAndStoreCandidateScore(req.db, id, { force });
     const score = result?.score || null;
@@ -4866,7 +4964,10 @@ router.post("/candidates/:id/score", async (req, res) => {
 
     if (code === "candidate_not_found") return res.status(404).json(base);
     if (code === "openai_api_key_missing")
-      return res.status(503).json({ ...base, error: "openai_not_configured" });
+      return res.status(503).json({
+        ...base,
+        error: llm.getLLMStatus(llm.FEATURES.SCORING).error,
+      });
     if (code === "openai_generation_failed" || code === "invalid_openai_json") {
       return res.status(200).json({
         ...base,
@@ -4888,8 +4989,11 @@ router.post("/candidates/:id/interview-questions", async (req, res) => {
     if (!Number.isFinite(id))
       return res.status(400).json({ error: "invalid_id" });
 
-    if (!OPENAI_API_KEY)
-      return res.status(503).json({ error: "openai_not_configured" });
+    const llmStatus = llm.getLLMStatus(llm.FEATURES.INTERVIEW_QUESTIONS);
+    if (!llmStatus.configured)
+      return res
+        .status(503)
+        .json({ error: llmStatus.error, provider: llmStatus.provider });
 
     // Check for existing interview questions unless force regenerate is requested
     const forceRegenerate =
@@ -5041,19 +5145,17 @@ ${
       },
     };
 
-    const client = getOpenAIClient();
-    const completion = await client.chat.completions.create({
-      model: "gpt-4o-mini",
+    const completion = await llm.complete(llm.FEATURES.INTERVIEW_QUESTIONS, {
       temperature: 0.4,
-      max_tokens: 2048,
-      response_format: responseFormat,
+      maxTokens: 2048,
+      responseFormat,
       messages: [
         { role: "system", content: systemPrompt },
         { role: "user", content: userContext },
       ],
     });
 
-    const jsonText = completion?.choices?.[0]?.message?.content || "";
+    const jsonText = completion.text;
 
     if (!jsonText) {
       return res.status(500).json({ error: "openai_empty_response" });
@@ -5103,57 +5205,6 @@ ${
   }
 });
 
-// Backfill runner starter (called by app.js on boot)
-async function startBackfill(appId, db) {
-  if (!OPENAI_API_KEY) return; // skip if not configured
-  // Avoid double start per app
-  if (startBackfill._started && startBackfill._started[appId]) return;
-  startBackfill._started = startBackfill._started || {};
-  startBackfill._started[appId] = true;
-  // Scan for up to N candidates without a score and with some resume/cover url
-  const scan = async () => {
-    try {
-      const q = `
-        WITH latest_app AS (
-          SELECT DISTINCT ON (a.candidate_id) a.*
-          FROM ${APP_TABLE} a
-          ORDER BY a.candidate_id, a.application_date DESC NULLS LAST, a.${APP_PK} DESC
-        )
-        SELECT c.${PEOPLE_PK} AS candidate_id,
-               COALESCE(NULLIF(to_jsonb(la)->>'resume_url',''), NULLIF(to_jsonb(la)->>'cover_letter_url','')) AS any_url
-          FROM ${PEOPLE_TABLE} c
-          LEFT JOIN latest_app la ON la.candidate_id = c.${PEOPLE_PK}
-         WHERE NOT EXISTS (
-                 SELECT 1 FROM candidate_ai_scores s
-                  WHERE s.candidate_id = c.${PEOPLE_PK}
-                )
-           AND (
-                 COALESCE(NULLIF(to_jsonb(la)->>'resume_url',''), '') <> '' OR
-                 COALESCE(NULLIF(to_jsonb(la)->>'cover_letter_url',''), '') <> ''
-               )
-         LIMIT 20`;
-      const r = await db.query(q);
-      const ids = r.rows.map((x) => x.candidate_id).filter(Boolean);
-      let i = 0;
-      const tick = async () => {
-        if (i >= ids.length) return;
-        const cid = ids[i++];
-        try {
-          await generateAndStoreCandidateScore(db, cid).catch(() => null);
-        } catch {}
-        setTimeout(tick, 500); // gentle pacing
-      };
-      tick();
-    } catch {}
-  };
-  // Kick initial scan shortly after boot, then periodic rescans
-  setTimeout(scan, 2000);
-  setInterval(scan, 5 * 60 * 1000);
-}
-
-// Attach starter to export
-module.exports.startBackfill = startBackfill;
-
 // PUT /candidates/:id/application
 /**
  * @openapi
@@ -5927,10 +5978,10 @@ router.get("/jobs/public", async (req, res) => {
 // Returns enhanced description, requirements and suggested missing fields.
 router.post("/jobs/ai-assist", async (req, res) => {
   try {
-    if (!OPENAI_API_KEY) {
+    const llmStatus = llm.getLLMStatus(llm.FEATURES.JOB_ASSIST);
+    if (!llmStatus.configured) {
       return res.status(503).json({
-        error:
-          "OpenAI API key not configured. Please add OPENAI_API_KEY to your .env file.",
+        error: `AI provider "${llmStatus.provider}" is not configured (${llmStatus.error}). Check the LLM_PROVIDER settings in your .env file.`,
       });
     }
     const data = req.body || {};
@@ -5954,13 +6005,6 @@ router.post("/jobs/ai-assist", async (req, res) => {
     const missingKeys = Object.keys(fields).filter(
       (k) => !providedKeys.includes(k)
     );
-    const modelName = process.env.OPENAI_MODEL || "gpt-4o-mini";
-    let client;
-    try {
-      client = getOpenAIClient();
-    } catch (e) {
-      return res.status(503).json({ error: e.message });
-    }
     const basePrompt = `You are an expert technical recruiter and copywriter. Given partial job listing input, produce:
 1. A professional, concise, inclusive Description (2-4 short paragraphs, no fluff, US spellings).
 2. A Requirements section as bullet points (each starts with '- ').
@@ -6007,24 +6051,23 @@ Return ONLY JSON (no markdown) matching the response schema.`;
     };
     let jsonText = "";
     try {
-      const completion = await client.chat.completions.create({
-        model: modelName,
+      const completion = await llm.complete(llm.FEATURES.JOB_ASSIST, {
         temperature: 0.4,
-        max_tokens: 768,
-        response_format: responseFormat,
+        maxTokens: 768,
+        responseFormat,
         messages: [
           { role: "system", content: basePrompt },
           { role: "user", content: userContext },
         ],
       });
-      jsonText = completion?.choices?.[0]?.message?.content || "";
+      jsonText = completion.text;
     } catch (e) {
-      console.error("OpenAI API error:", e.message, e.response?.data);
+      console.error("LLM API error:", e.message, e.response?.data);
       const errorMsg =
-        e.response?.data?.error?.message ||
-        e.message ||
-        "OpenAI generation failed";
-      return res.status(502).json({ error: `OpenAI error: ${errorMsg}` });
+        e.response?.data?.error?.message || e.message || "AI generation failed";
+      return res
+        .status(502)
+        .json({ error: `AI provider error (${llmStatus.provider}): ${errorMsg}` });
     }
     let parsed;
     try {
@@ -6492,8 +6535,11 @@ router.get("/jobs/:id/candidates", async (req, res) => {
 // POST /jobs/:id/ai-rank  -> ensure scores exist for all candidates of job, then return sorted list
 router.post("/jobs/:id/ai-rank", async (req, res) => {
   try {
-    if (!OPENAI_API_KEY)
-      return res.status(503).json({ error: "openai_not_configured" });
+    const llmStatus = llm.getLLMStatus(llm.FEATURES.SCORING);
+    if (!llmStatus.configured)
+      return res
+        .status(503)
+        .json({ error: llmStatus.error, provider: llmStatus.provider });
     const id = Number(req.params.id);
     if (!Number.isFinite(id))
       return res.status(400).json({ error: "invalid_id" });
@@ -8582,7 +8628,7 @@ router.post("/public/applications", async (req, res) => {
           candidateEmail: applicantEmail,
           candidateName: candidateName,
           jobTitle: jobTitle,
-        });
+        }, { db: req.db, candidateId, applicationId });
 
         console.log(
           "[PUBLIC_APPLY] Confirmation email sent to:",
@@ -9647,7 +9693,7 @@ router.post("/send-rejection-email", async (req, res) => {
       rejectionReason,
       shouldArchive,
       feedbackToken,
-    });
+    }, { db: req.db, candidateId });
 
     // Store the Message-ID from the sent email for threading
     if (emailResult.messageId) {
@@ -10850,3 +10896,15 @@ router.post("/jobs/:id/reactivate-candidates", async (req, res) => {
 });
 
 module.exports = router;
+
+// Scoring and view-model helpers injected into the modular router (routes/apps/ats/index.js)
+module.exports.routerDependencies = {
+  buildCandidateVM,
+  buildCandidateScoringContext,
+  getLatestCandidateScore,
+  generateAndStoreCandidateScore,
+  enqueueCandidateScore,
+  getExtractedTextForUrl,
+  mapStatusToStage,
+  titleCase,
+};
@@ -1,7 +1,7 @@
 /**
  * Admin Routes Module
  * Handles all /admin/* endpoints for the ATS application
- * Includes departments, users, roles, flags, notes, ideas, notifications, bulk operations
+ * Includes departments, pipelines, users, roles, flags, notes, ideas, notifications, bulk operations, trash
  */
 
 const express = require("express");
@@ -19,23 +19,57 @@ const {
   requireAdmin,
   ensureAdminTables,
   getPrimaryEmail,
+  getSessionEmails,
   qualify,
   extractMentions,
   saveMentions,
   deleteMentions,
   fetchMentions,
 } = require("./helpers");
+const {
+  JOB_STATUSES,
+  listScoreJobs,
+  getScoreJob,
+  retryScoreJob,
+  cancelScoreJob,
+  enqueueScoreBackfill,
+} = require("./scoreQueue");
+const { PIPELINES_TABLE, BUILTIN_PIPELINE, normalizeStages } = require("./pipelines");
+const {
+  PERMISSIONS,
+  normalizePermissions,
+  ensurePermissions,
+  clearPermissionCache,
+} = require("./permissions");
+const { recordAudit, listAuditEntries, exportAuditEntries } = require("./audit");
+const {
+  TRASH_KINDS,
+  RETENTION_DAYS: TRASH_RETENTION_DAYS,
+  previewDelete,
+  issueConfirmation,
+  deleteAllToTrash,
+  restoreBatch,
+  listTrashBatches,
+  getTrashBatch,
+  purgeExpiredTrash,
+} = require("./trash");
+const { listNotifications, markNotificationsRead } = require("./notifications");
 
 // ==================== ADMIN STATUS ====================
 // Return admin status without requiring admin (so UI can gate correctly)
 router.get("/status", async (req, res) => {
+  await ensurePermissions(req).catch(() => {});
   const admin = isAdmin(req);
   if (admin) {
     try {
       await ensureAdminTables(req.db);
     } catch {}
   }
-  const payload = { admin };
+  const payload = {
+    admin,
+    role: req.access?.role || null,
+    permissions: Array.from(req.permissions || []).sort(),
+  };
   if (process.env.ADMIN_DEBUG === "1") {
     try {
       const user = req.session?.user || {};
@@ -123,6 +157,138 @@ router.delete("/departments/:id", requireAdmin, async (req, res) => {
   }
 });
 
+// ==================== PIPELINES ====================
+// Pipeline templates (see pipelines.js); resolved per application as job -> department -> default
+
+// Clear the previous default inside the caller's transaction
+async function clearDefaultPipeline(db, exceptId) {
+  await db.query(`UPDATE ${PIPELINES_TABLE} SET is_default = FALSE WHERE is_default AND id <> $1`, [exceptId || 0]);
+}
+
+function pipelineErrorResponse(res, e, label) {
+  if (e.status === 400) return res.status(400).json({ error: e.message, detail: e.detail });
+  if (e.code === "23505") return res.status(409).json({ error: "name_taken" });
+  console.error(`${label} error:`, e);
+  return res.status(500).json({ error: "db_error", detail: e.message });
+}
+
+// GET /admin/pipelines - List pipeline templates with their department/job assignments
+router.get("/pipelines", requireAdmin, async (req, res) => {
+  try {
+    const { rows } = await req.db.query(
+      `SELECT pt.*,
+              COALESCE((SELECT json_agg(json_build_object('id', d.id, 'name', d.name) ORDER BY d.name)
+                          FROM ${DEFAULT_SCHEMA}.departments d WHERE d.pipeline_id = pt.id), '[]') AS departments,
+              COALESCE((SELECT json_agg(json_build_object('id', jl.job_listing_id, 'job_requisition_id', jl.job_requisition_id, 'job_title', jl.job_title) ORDER BY jl.job_title)
+                          FROM ${DEFAULT_SCHEMA}.job_listings jl WHERE jl.pipeline_id = pt.id), '[]') AS jobs
+         FROM ${PIPELINES_TABLE} pt
+        ORDER BY pt.is_default DESC, pt.name`
+    );
+    return res.json({ pipelines: rows, builtin: rows.length ? null : BUILTIN_PIPELINE });
+  } catch (e) {
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// POST /admin/pipelines - Create pipeline template ({ name, description, stages, isDefault })
+router.post("/pipelines", requireAdmin, async (req, res) => {
+  const { name, description, stages, isDefault } = req.body || {};
+  try {
+    if (!String(name || "").trim()) return res.status(400).json({ error: "name_required" });
+    const normalized = normalizeStages(stages);
+    await req.db.query("BEGIN");
+    if (isDefault) await clearDefaultPipeline(req.db, null);
+    const { rows } = await req.db.query(
+      `INSERT INTO ${PIPELINES_TABLE} (name, description, stages, is_default, created_by)
+       VALUES ($1, $2, $3::jsonb, $4, $5)
+       RETURNING *`,
+      [String(name).trim(), description || null, JSON.stringify(normalized), !!isDefault, getPrimaryEmail(req) || null]
+    );
+    await req.db.query("COMMIT");
+    return res.status(201).json(rows[0]);
+  } catch (e) {
+    await req.db.query("ROLLBACK").catch(() => {});
+    return pipelineErrorResponse(res, e, "POST /admin/pipelines");
+  }
+});
+
+// PUT /admin/pipelines/:id - Update pipeline template
+router.put("/pipelines/:id", requireAdmin, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ error: "invalid_id" });
+  const { name, description, stages, isDefault } = req.body || {};
+  try {
+    const normalized = stages !== undefined ? normalizeStages(stages) : null;
+    await req.db.query("BEGIN");
+    if (isDefault === true) await clearDefaultPipeline(req.db, id);
+    const { rows } = await req.db.query(
+      `UPDATE ${PIPELINES_TABLE}
+          SET name = COALESCE($2, name),
+              description = CASE WHEN $3::boolean THEN $4 ELSE description END,
+              stages = COALESCE($5::jsonb, stages),
+              is_default = COALESCE($6, is_default),
+              updated_at = NOW()
+        WHERE id = $1
+        RETURNING *`,
+      [
+        id,
+        name ? String(name).trim() : null,
+        description !== undefined,
+        description || null,
+        normalized ? JSON.stringify(normalized) : null,
+        typeof isDefault === "boolean" ? isDefault : null,
+      ]
+    );
+    if (!rows.length) {
+      await req.db.query("ROLLBACK");
+      return res.status(404).json({ error: "not_found" });
+    }
+    await req.db.query("COMMIT");
+    return res.json(rows[0]);
+  } catch (e) {
+    await req.db.query("ROLLBACK").catch(() => {});
+    return pipelineErrorResponse(res, e, "PUT /admin/pipelines/:id");
+  }
+});
+
+// DELETE /admin/pipelines/:id - Delete pipeline template (assignments fall back to the default)
+router.delete("/pipelines/:id", requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: "invalid_id" });
+    const r = await req.db.query(`DELETE FROM ${PIPELINES_TABLE} WHERE id = $1`, [id]);
+    if (!r.rowCount) return res.status(404).json({ error: "not_found" });
+    return res.json({ success: true });
+  } catch (e) {
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// PUT /admin/departments/:id/pipeline - Assign a pipeline to a department ({ pipelineId: null } clears it)
+router.put("/departments/:id/pipeline", requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: "invalid_id" });
+    const raw = req.body?.pipelineId;
+    const pipelineId = raw === null || raw === undefined || raw === "" ? null : parseInt(raw, 10);
+    if (pipelineId !== null && !Number.isFinite(pipelineId)) {
+      return res.status(400).json({ error: "invalid_pipeline_id" });
+    }
+    if (pipelineId !== null) {
+      const p = await req.db.query(`SELECT 1 FROM ${PIPELINES_TABLE} WHERE id = $1`, [pipelineId]);
+      if (!p.rowCount) return res.status(404).json({ error: "pipeline_not_found" });
+    }
+    const r = await req.db.query(
+      `UPDATE ${DEFAULT_SCHEMA}.departments SET pipeline_id = $2 WHERE id = $1 RETURNING id, name, pipeline_id`,
+      [id, pipelineId]
+    );
+    if (!r.rows.length) return res.status(404).json({ error: "not_found" });
+    return res.json(r.rows[0]);
+  } catch (e) {
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
 // ==================== DEPARTMENT MEMBERS ====================
 // GET /admin/departments/:id/members - List department members
 router.get("/departments/:id/members", requireAdmin, async (req, res) => {
@@ -252,8 +418,8 @@ router.post("/departments/:id/notes", requireAdmin, async (req, res) => {
   }
 });
 
-// PUT /admin/notes/:noteId - Update note
-router.put("/notes/:noteId", requireAdmin, async (req, res) => {
+// PUT /admin/notes/:noteId - Update note (also under /admin/departments/:departmentId/notes/:noteId)
+router.put(["/notes/:noteId", "/departments/:departmentId/notes/:noteId"], requireAdmin, async (req, res) => {
   try {
     const noteId = parseInt(req.params.noteId, 10);
     if (!Number.isFinite(noteId)) {
@@ -317,8 +483,8 @@ router.put("/notes/:noteId", requireAdmin, async (req, res) => {
   }
 });
 
-// DELETE /admin/notes/:noteId - Delete note
-router.delete("/notes/:noteId", requireAdmin, async (req, res) => {
+// DELETE /admin/notes/:noteId - Delete note (also under /admin/departments/:departmentId/notes/:noteId)
+router.delete(["/notes/:noteId", "/departments/:departmentId/notes/:noteId"], requireAdmin, async (req, res) => {
   try {
     const noteId = parseInt(req.params.noteId, 10);
     if (!Number.isFinite(noteId)) {
@@ -342,8 +508,8 @@ router.delete("/notes/:noteId", requireAdmin, async (req, res) => {
   }
 });
 
-// POST /admin/notes/:noteId/comments - Add comment to note
-router.post("/notes/:noteId/comments", requireAdmin, async (req, res) => {
+// POST /admin/notes/:noteId/comments - Add comment to note (also under /admin/departments/:departmentId/notes/...)
+router.post(["/notes/:noteId/comments", "/departments/:departmentId/notes/:noteId/comments"], requireAdmin, async (req, res) => {
   try {
     const noteId = parseInt(req.params.noteId, 10);
     if (!Number.isFinite(noteId)) {
@@ -514,8 +680,8 @@ router.put("/ideas/:ideaId", requireAdmin, async (req, res) => {
   }
 });
 
-// DELETE /admin/ideas/:ideaId - Delete idea
-router.delete("/ideas/:ideaId", requireAdmin, async (req, res) => {
+// DELETE /admin/ideas/:ideaId - Delete idea (also under /admin/departments/:departmentId/ideas/:ideaId)
+router.delete(["/ideas/:ideaId", "/departments/:departmentId/ideas/:ideaId"], requireAdmin, async (req, res) => {
   try {
     const ideaId = parseInt(req.params.ideaId, 10);
     if (!Number.isFinite(ideaId)) {
@@ -560,8 +726,8 @@ router.post("/ideas/:ideaId/vote", requireAdmin, async (req, res) => {
   }
 });
 
-// POST /admin/ideas/:ideaId/comments - Add comment to idea
-router.post("/ideas/:ideaId/comments", requireAdmin, async (req, res) => {
+// POST /admin/ideas/:ideaId/comments - Add comment to idea (also under /admin/departments/:departmentId/ideas/...)
+router.post(["/ideas/:ideaId/comments", "/departments/:departmentId/ideas/:ideaId/comments"], requireAdmin, async (req, res) => {
   try {
     const ideaId = parseInt(req.params.ideaId, 10);
     if (!Number.isFinite(ideaId)) {
@@ -587,23 +753,32 @@ router.post("/ideas/:ideaId/comments", requireAdmin, async (req, res) => {
 });
 
 // ==================== NOTIFICATIONS ====================
+// Kept for existing clients; every user has the full API under /notifications (notifications.js)
+
 // GET /admin/notifications - List notifications for current user
 router.get("/notifications", requireAdmin, async (req, res) => {
+  try {
+    const { notifications } = await listNotifications(req.db, getSessionEmails(req), { limit: 100 });
+    return res.json(notifications);
+  } catch (e) {
+    console.error("GET /admin/notifications error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// GET /admin/notifications/unread-count - Unread notification count for current user
+router.get("/notifications/unread-count", requireAdmin, async (req, res) => {
   try {
     const userEmail = getPrimaryEmail(req);
-    if (!userEmail) return res.json([]);
+    if (!userEmail) return res.json({ count: 0 });
 
     const r = await req.db.query(
-      `SELECT id, type, reference_type, reference_id, message, is_read, created_at
-       FROM ${DEFAULT_SCHEMA}.notifications
-       WHERE user_email = $1
-       ORDER BY created_at DESC
-       LIMIT 100`,
+      `SELECT COUNT(*) AS count FROM ${DEFAULT_SCHEMA}.notifications WHERE user_email = $1 AND is_read = FALSE`,
       [userEmail]
     );
-    return res.json(r.rows);
+    return res.json({ count: parseInt(r.rows[0]?.count || 0, 10) });
   } catch (e) {
-    console.error("GET /admin/notifications error:", e);
+    console.error("GET /admin/notifications/unread-count error:", e);
     return res.status(500).json({ error: "db_error", detail: e.message });
   }
 });
@@ -612,11 +787,12 @@ router.get("/notifications", requireAdmin, async (req, res) => {
 router.put("/notifications/:id/read", requireAdmin, async (req, res) => {
   try {
     const notificationId = parseInt(req.params.id, 10);
-    const userEmail = getPrimaryEmail(req);
+    if (!Number.isFinite(notificationId)) return res.status(400).json({ error: "invalid_id" });
 
     const r = await req.db.query(
-      `UPDATE ${DEFAULT_SCHEMA}.notifications SET is_read = TRUE WHERE id = $1 AND user_email = $2 RETURNING id`,
-      [notificationId, userEmail]
+      `UPDATE ${DEFAULT_SCHEMA}.notifications SET is_read = TRUE, read_at = COALESCE(read_at, NOW())
+        WHERE id = $1 AND LOWER(user_email) = ANY($2::text[]) RETURNING id`,
+      [notificationId, getSessionEmails(req)]
     );
 
     if (!r.rows.length) return res.status(404).json({ error: "not_found" });
@@ -630,15 +806,8 @@ router.put("/notifications/:id/read", requireAdmin, async (req, res) => {
 // PUT /admin/notifications/read-all - Mark all notifications as read
 router.put("/notifications/read-all", requireAdmin, async (req, res) => {
   try {
-    const userEmail = getPrimaryEmail(req);
-    if (!userEmail) return res.json({ success: true, count: 0 });
-
-    const r = await req.db.query(
-      `UPDATE ${DEFAULT_SCHEMA}.notifications SET is_read = TRUE WHERE user_email = $1 AND is_read = FALSE`,
-      [userEmail]
-    );
-
-    return res.json({ success: true, count: r.rowCount });
+    const ids = await markNotificationsRead(req.db, getSessionEmails(req));
+    return res.json({ success: true, count: ids.length });
   } catch (e) {
     console.error("PUT /admin/notifications/read-all error:", e);
     return res.status(500).json({ error: "db_error", detail: e.message });
@@ -738,81 +907,205 @@ router.delete("/candidate-flags/:id", requireAdmin, async (req, res) => {
   }
 });
 
-// ==================== BULK DELETE OPERATIONS ====================
-// DELETE /admin/candidates/all - Delete all candidates
-router.delete("/candidates/all", requireAdmin, async (req, res) => {
-  const pplTable = `${DEFAULT_SCHEMA}.candidates`;
-  const appTable = `${DEFAULT_SCHEMA}.applications`;
-  const stageTable = `${DEFAULT_SCHEMA}.application_stages`;
-  const skillsTable = `${DEFAULT_SCHEMA}.candidate_skills`;
+// ==================== AI SCORE JOBS ====================
+// GET /admin/score-jobs - List score jobs (filters: status, candidateId, limit, offset)
+router.get("/score-jobs", requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: "invalid_status", allowed: JOB_STATUSES });
+    }
+    const candidateId = req.query.candidateId ? Number(req.query.candidateId) : null;
+    if (req.query.candidateId && !Number.isFinite(candidateId)) {
+      return res.status(400).json({ error: "invalid_candidate_id" });
+    }
+    const result = await listScoreJobs(req.db, {
+      status,
+      candidateId,
+      limit: req.query.limit,
+      offset: req.query.offset,
+    });
+    return res.json(result);
+  } catch (e) {
+    console.error("GET /admin/score-jobs error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
 
+// POST /admin/score-jobs/backfill - Queue jobs for candidates that have no score yet
+router.post("/score-jobs/backfill", requireAdmin, async (req, res) => {
   try {
-    await req.db.query("BEGIN");
-    const before = await Promise.all([
-      req.db.query(`SELECT COUNT(*)::int AS n FROM ${stageTable}`),
-      req.db.query(`SELECT COUNT(*)::int AS n FROM ${appTable}`),
-      req.db.query(`SELECT COUNT(*)::int AS n FROM ${skillsTable}`),
-      req.db.query(`SELECT COUNT(*)::int AS n FROM ${pplTable}`),
-    ]);
-    await req.db.query(`DELETE FROM ${pplTable}`);
-    const after = await Promise.all([
-      req.db.query(`SELECT COUNT(*)::int AS n FROM ${stageTable}`),
-      req.db.query(`SELECT COUNT(*)::int AS n FROM ${appTable}`),
-      req.db.query(`SELECT COUNT(*)::int AS n FROM ${skillsTable}`),
-      req.db.query(`SELECT COUNT(*)::int AS n FROM ${pplTable}`),
-    ]);
-    await req.db.query("COMMIT");
+    const limit = Math.max(1, Math.min(1000, Number(req.body?.limit) || 100));
+    const queued = await enqueueScoreBackfill(req.db, limit);
+    return res.json({ success: true, queued });
+  } catch (e) {
+    console.error("POST /admin/score-jobs/backfill error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
 
-    const [stB, apB, skB, peB] = before.map((r) => r.rows[0]?.n ?? 0);
-    const [stA, apA, skA, peA] = after.map((r) => r.rows[0]?.n ?? 0);
+// GET /admin/score-jobs/:id - Job detail with attempt history
+router.get("/score-jobs/:id", requireAdmin, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id, 10);
+    if (!Number.isFinite(jobId)) return res.status(400).json({ error: "invalid_id" });
+    const job = await getScoreJob(req.db, jobId);
+    if (!job) return res.status(404).json({ error: "not_found" });
+    return res.json(job);
+  } catch (e) {
+    console.error("GET /admin/score-jobs/:id error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
 
+// POST /admin/score-jobs/:id/retry - Requeue a dead, cancelled or finished job
+router.post("/score-jobs/:id/retry", requireAdmin, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id, 10);
+    if (!Number.isFinite(jobId)) return res.status(400).json({ error: "invalid_id" });
+    const force = typeof req.body?.force === "boolean" ? req.body.force : undefined;
+    const result = await retryScoreJob(req.db, jobId, { force });
+    if (result.error === "not_found") return res.status(404).json({ error: "not_found" });
+    if (result.error) return res.status(409).json(result);
+    return res.json({ success: true, job: result.job });
+  } catch (e) {
+    console.error("POST /admin/score-jobs/:id/retry error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// POST /admin/score-jobs/:id/cancel - Cancel a pending job
+router.post("/score-jobs/:id/cancel", requireAdmin, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id, 10);
+    if (!Number.isFinite(jobId)) return res.status(400).json({ error: "invalid_id" });
+    const result = await cancelScoreJob(req.db, jobId);
+    if (result.error === "not_found") return res.status(404).json({ error: "not_found" });
+    if (result.error) return res.status(409).json(result);
+    return res.json({ success: true, job: result.job });
+  } catch (e) {
+    console.error("POST /admin/score-jobs/:id/cancel error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// ==================== BULK DELETE OPERATIONS ====================
+// Two steps (see trash.js): POST .../preview returns the counts and a short-lived confirmation
+// token; DELETE with { confirmationToken } moves the rows to the trash, restorable from
+// /admin/trash until the retention window ends.
+
+function sendTrashError(res, e, label) {
+  if (e.status && e.status < 500) return res.status(e.status).json({ error: e.message, detail: e.detail });
+  console.error(`${label} error:`, e);
+  return res.status(500).json({ success: false, error: "internal_error", message: e?.message });
+}
+
+const confirmationTokenOf = (req) =>
+  req.body?.confirmationToken || req.get("x-confirmation-token") || req.query.confirmationToken || null;
+
+async function previewBulkDelete(req, res, kind) {
+  try {
+    const counts = await previewDelete(req.db, kind);
+    const { token, expiresAt } = await issueConfirmation(req.db, {
+      action: TRASH_KINDS[kind].action,
+      issuedTo: getPrimaryEmail(req),
+      preview: { counts },
+    });
     return res.json({
-      success: true,
-      deleted: {
-        candidates: peB - peA,
-        applications: apB - apA,
-        stages: stB - stA,
-        skills: skB - skA,
-      },
+      counts,
+      confirmationToken: token,
+      expiresAt,
+      retentionDays: TRASH_RETENTION_DAYS,
     });
   } catch (e) {
-    try {
-      await req.db.query("ROLLBACK");
-    } catch {}
-    return res.status(500).json({ success: false, error: "internal_error", message: e?.message });
+    return sendTrashError(res, e, `POST /admin/${kind}/all/preview`);
   }
-});
+}
+
+async function bulkDeleteToTrash(req, res, kind) {
+  try {
+    const { batchId, counts, purgeAfter } = await deleteAllToTrash(req.db, kind, {
+      token: confirmationTokenOf(req),
+      actor: getPrimaryEmail(req),
+    });
+    await recordAudit(req, {
+      action: TRASH_KINDS[kind].action,
+      entityType: "trash_batch",
+      entityId: batchId,
+      before: counts,
+      metadata: { purgeAfter },
+    });
+    return res.json({ success: true, deleted: counts, trash: { batchId, purgeAfter } });
+  } catch (e) {
+    return sendTrashError(res, e, `DELETE /admin/${kind}/all`);
+  }
+}
+
+// POST /admin/candidates/all/preview - Counts and confirmation token for deleting all candidates
+router.post("/candidates/all/preview", requireAdmin, (req, res) => previewBulkDelete(req, res, "candidates"));
 
-// DELETE /admin/applications/all - Delete all applications
-router.delete("/applications/all", requireAdmin, async (req, res) => {
-  const appTable = `${DEFAULT_SCHEMA}.applications`;
-  const stageTable = `${DEFAULT_SCHEMA}.application_stages`;
+// DELETE /admin/candidates/all - Move all candidates (and their applications, stages, skills, ...) to the trash
+router.delete("/candidates/all", requireAdmin, (req, res) => bulkDeleteToTrash(req, res, "candidates"));
 
+// POST /admin/applications/all/preview - Counts and confirmation token for deleting all applications
+router.post("/applications/all/preview", requireAdmin, (req, res) => previewBulkDelete(req, res, "applications"));
+
+// DELETE /admin/applications/all - Move all applications (and their stages, ...) to the trash
+router.delete("/applications/all", requireAdmin, (req, res) => bulkDeleteToTrash(req, res, "applications"));
+
+// ==================== TRASH ====================
+
+// GET /admin/trash - Deleted batches (?status=in_trash|restored|purged, limit, offset)
+router.get("/trash", requireAdmin, async (req, res) => {
   try {
-    await req.db.query("BEGIN");
-    const before = await Promise.all([
-      req.db.query(`SELECT COUNT(*)::int AS n FROM ${stageTable}`),
-      req.db.query(`SELECT COUNT(*)::int AS n FROM ${appTable}`),
-    ]);
-    await req.db.query(`DELETE FROM ${appTable}`);
-    const after = await Promise.all([
-      req.db.query(`SELECT COUNT(*)::int AS n FROM ${stageTable}`),
-      req.db.query(`SELECT COUNT(*)::int AS n FROM ${appTable}`),
-    ]);
-    await req.db.query("COMMIT");
+    const batches = await listTrashBatches(req.db, req.query);
+    return res.json({ batches, retentionDays: TRASH_RETENTION_DAYS });
+  } catch (e) {
+    console.error("GET /admin/trash error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
 
-    const [stB, apB] = before.map((r) => r.rows[0]?.n ?? 0);
-    const [stA, apA] = after.map((r) => r.rows[0]?.n ?? 0);
+// GET /admin/trash/:id - One batch with its counts
+router.get("/trash/:id", requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: "invalid_id" });
+    const batch = await getTrashBatch(req.db, id);
+    if (!batch) return res.status(404).json({ error: "not_found" });
+    return res.json(batch);
+  } catch (e) {
+    console.error("GET /admin/trash/:id error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
 
-    return res.json({
-      success: true,
-      deleted: { applications: apB - apA, stages: stB - stA },
+// POST /admin/trash/:id/restore - Put a batch's rows back
+router.post("/trash/:id/restore", requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: "invalid_id" });
+    const result = await restoreBatch(req.db, id, { actor: getPrimaryEmail(req) });
+    await recordAudit(req, {
+      action: "trash.restore",
+      entityType: "trash_batch",
+      entityId: id,
+      after: result.counts,
     });
+    return res.json({ success: true, ...result });
   } catch (e) {
-    try {
-      await req.db.query("ROLLBACK");
-    } catch {}
-    return res.status(500).json({ success: false, error: "internal_error", message: e?.message });
+    return sendTrashError(res, e, "POST /admin/trash/:id/restore");
+  }
+});
+
+// POST /admin/trash/purge - Purge batches past their retention window now (also runs hourly)
+router.post("/trash/purge", requireAdmin, async (req, res) => {
+  try {
+    const purged = await purgeExpiredTrash(req.db);
+    return res.json({ success: true, purged });
+  } catch (e) {
+    console.error("POST /admin/trash/purge error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
   }
 });
 
@@ -866,6 +1159,13 @@ router.post("/users", requireAdmin, async (req, res) => {
       [username, email || null, password_hash, role_id, is_active]
     );
 
+    clearPermissionCache(req.db);
+    await recordAudit(req, {
+      action: "user.create",
+      entityType: "user",
+      entityId: result.rows[0].user_id,
+      after: result.rows[0],
+    });
     return res.status(201).json(result.rows[0]);
   } catch (e) {
     console.error("[admin-create-user] Error:", e);
@@ -906,12 +1206,26 @@ router.put("/users/:userId", requireAdmin, async (req, res) => {
     updates.push(`updated_at = NOW()`);
     values.push(userId);
 
+    const previous = await req.db.query(
+      `SELECT user_id, username, email, role_id, is_active FROM ${DEFAULT_SCHEMA}.users WHERE user_id = $1`,
+      [userId]
+    );
     const result = await req.db.query(
       `UPDATE ${DEFAULT_SCHEMA}.users SET ${updates.join(", ")} WHERE user_id = $${paramIndex} RETURNING user_id, username, email, role_id, is_active, updated_at`,
       values
     );
 
     if (result.rows.length === 0) return res.status(404).json({ error: "user_not_found" });
+    clearPermissionCache(req.db);
+    const before = previous.rows[0] || null;
+    await recordAudit(req, {
+      // Role changes get their own action so they are easy to find
+      action: before && role_id !== undefined && String(before.role_id) !== String(role_id) ? "user.role_change" : "user.update",
+      entityType: "user",
+      entityId: userId,
+      before,
+      after: result.rows[0],
+    });
     return res.json(result.rows[0]);
   } catch (e) {
     console.error("[admin-update-user] Error:", e);
@@ -928,12 +1242,15 @@ router.delete("/users/:userId", requireAdmin, async (req, res) => {
 
   try {
     const result = await req.db.query(
-      `DELETE FROM ${DEFAULT_SCHEMA}.users WHERE user_id = $1 RETURNING user_id, username`,
+      `DELETE FROM ${DEFAULT_SCHEMA}.users WHERE user_id = $1 RETURNING user_id, username, email, role_id, is_active`,
       [userId]
     );
 
     if (result.rows.length === 0) return res.status(404).json({ error: "user_not_found" });
-    return res.json({ success: true, deleted: result.rows[0] });
+    clearPermissionCache(req.db);
+    const deleted = result.rows[0];
+    await recordAudit(req, { action: "user.delete", entityType: "user", entityId: userId, before: deleted });
+    return res.json({ success: true, deleted: { user_id: deleted.user_id, username: deleted.username } });
   } catch (e) {
     console.error("[admin-delete-user] Error:", e);
     return res.status(500).json({ error: "internal_error", message: e?.message });
@@ -951,6 +1268,14 @@ router.patch("/users/:userId/toggle-active", requireAdmin, async (req, res) => {
     );
 
     if (result.rows.length === 0) return res.status(404).json({ error: "user_not_found" });
+    clearPermissionCache(req.db);
+    await recordAudit(req, {
+      action: result.rows[0].is_active ? "user.activate" : "user.deactivate",
+      entityType: "user",
+      entityId: userId,
+      before: { is_active: !result.rows[0].is_active },
+      after: { is_active: result.rows[0].is_active },
+    });
     return res.json(result.rows[0]);
   } catch (e) {
     console.error("[admin-toggle-user-status] Error:", e);
@@ -978,6 +1303,7 @@ router.post("/users/:userId/set-password", requireAdmin, async (req, res) => {
     );
 
     if (result.rows.length === 0) return res.status(404).json({ error: "user_not_found" });
+    await recordAudit(req, { action: "user.set_password", entityType: "user", entityId: userId });
     return res.json({ success: true });
   } catch (e) {
     console.error("[admin-set-user-password] Error:", e);
@@ -986,37 +1312,65 @@ router.post("/users/:userId/set-password", requireAdmin, async (req, res) => {
 });
 
 // ==================== ROLE MANAGEMENT ====================
+// Permissions are stored as an array of names (see permissions.js); "*" grants everything
+
+// GET /admin/permissions - Permission names a role can grant
+router.get("/permissions", requireAdmin, (req, res) => {
+  return res.json({
+    permissions: [
+      { name: "*", description: "Everything, including users, roles and settings" },
+      ...Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+    ],
+  });
+});
+
 // GET /admin/roles - List all roles
 router.get("/roles", requireAdmin, async (req, res) => {
   try {
     const result = await req.db.query(`
-      SELECT id, name, description, permissions, is_system, created_at, updated_at
+      SELECT id, name, description, permissions, is_system, is_default, created_at, updated_at
       FROM ${DEFAULT_SCHEMA}.roles
       ORDER BY is_system DESC, name ASC
     `);
-    return res.json(result.rows);
+    return res.json(result.rows.map((r) => ({ ...r, permissions: normalizePermissions(r.permissions) })));
   } catch (e) {
     console.error("[admin-list-roles] Error:", e);
     return res.status(500).json({ error: "internal_error", message: e?.message });
   }
 });
 
+// Only one role is the default for signed-in users without a users row
+async function clearDefaultRole(db, exceptId = null) {
+  await db.query(
+    `UPDATE ${DEFAULT_SCHEMA}.roles SET is_default = FALSE WHERE is_default AND ($1::int IS NULL OR id <> $1::int)`,
+    [exceptId]
+  );
+}
+
 // POST /admin/roles - Create role
 router.post("/roles", requireAdmin, async (req, res) => {
-  const { name, description, permissions } = req.body;
+  const { name, description, permissions, is_default } = req.body;
 
   if (!name) return res.status(400).json({ error: "name_required" });
 
   try {
+    const names = normalizePermissions(permissions || [], { strict: true });
+    await req.db.query("BEGIN");
+    if (is_default === true) await clearDefaultRole(req.db);
     const result = await req.db.query(
-      `INSERT INTO ${DEFAULT_SCHEMA}.roles (name, description, permissions, is_system, created_at)
-       VALUES ($1, $2, $3, FALSE, NOW())
-       RETURNING id, name, description, permissions, is_system, created_at`,
-      [name, description || null, permissions || {}]
+      `INSERT INTO ${DEFAULT_SCHEMA}.roles (name, description, permissions, is_system, is_default, created_at)
+       VALUES ($1, $2, $3::jsonb, FALSE, $4, NOW())
+       RETURNING id, name, description, permissions, is_system, is_default, created_at`,
+      [name, description || null, JSON.stringify(names), is_default === true]
     );
+    await req.db.query("COMMIT");
+    clearPermissionCache(req.db);
+    await recordAudit(req, { action: "role.create", entityType: "role", entityId: result.rows[0].id, after: result.rows[0] });
 
     return res.status(201).json(result.rows[0]);
   } catch (e) {
+    await req.db.query("ROLLBACK").catch(() => {});
+    if (e.status === 400) return res.status(400).json({ error: e.message, detail: e.detail });
     console.error("[admin-create-role] Error:", e);
     if (e.code === "23505") {
       return res.status(409).json({ error: "role_exists", message: "Role name already exists" });
@@ -1025,23 +1379,21 @@ router.post("/roles", requireAdmin, async (req, res) => {
   }
 });
 
-// PUT /admin/roles/:roleId - Update role
+// PUT /admin/roles/:roleId - Update role (system roles: only is_default can change)
 router.put("/roles/:roleId", requireAdmin, async (req, res) => {
   const { roleId } = req.params;
-  const { name, description, permissions } = req.body;
+  const { name, description, permissions, is_default } = req.body;
 
   try {
     // Check if it's a system role
-    const checkResult = await req.db.query(
-      `SELECT is_system FROM ${DEFAULT_SCHEMA}.roles WHERE id = $1`,
-      [roleId]
-    );
+    const checkResult = await req.db.query(`SELECT * FROM ${DEFAULT_SCHEMA}.roles WHERE id = $1`, [roleId]);
 
     if (checkResult.rows.length === 0) {
       return res.status(404).json({ error: "role_not_found" });
     }
 
-    if (checkResult.rows[0].is_system) {
+    const changesDefinition = name !== undefined || description !== undefined || permissions !== undefined;
+    if (checkResult.rows[0].is_system && changesDefinition) {
       return res.status(403).json({ error: "cannot_modify_system_role" });
     }
 
@@ -1058,20 +1410,37 @@ router.put("/roles/:roleId", requireAdmin, async (req, res) => {
       values.push(description);
     }
     if (permissions !== undefined) {
-      updates.push(`permissions = $${paramIndex++}`);
-      values.push(permissions);
+      updates.push(`permissions = $${paramIndex++}::jsonb`);
+      values.push(JSON.stringify(normalizePermissions(permissions, { strict: true })));
+    }
+    if (is_default !== undefined) {
+      updates.push(`is_default = $${paramIndex++}`);
+      values.push(is_default === true);
     }
 
     updates.push(`updated_at = NOW()`);
     values.push(roleId);
 
+    await req.db.query("BEGIN");
+    if (is_default === true) await clearDefaultRole(req.db, roleId);
     const result = await req.db.query(
       `UPDATE ${DEFAULT_SCHEMA}.roles SET ${updates.join(", ")} WHERE id = $${paramIndex} RETURNING *`,
       values
     );
+    await req.db.query("COMMIT");
+    clearPermissionCache(req.db);
+    await recordAudit(req, {
+      action: "role.update",
+      entityType: "role",
+      entityId: roleId,
+      before: checkResult.rows[0],
+      after: result.rows[0],
+    });
 
-    return res.json(result.rows[0]);
+    return res.json({ ...result.rows[0], permissions: normalizePermissions(result.rows[0].permissions) });
   } catch (e) {
+    await req.db.query("ROLLBACK").catch(() => {});
+    if (e.status === 400) return res.status(400).json({ error: e.message, detail: e.detail });
     console.error("[admin-update-role] Error:", e);
     if (e.code === "23505") {
       return res.status(409).json({ error: "role_exists", message: "Role name already exists" });
@@ -1109,7 +1478,9 @@ router.delete("/roles/:roleId", requireAdmin, async (req, res) => {
       return res.status(400).json({ error: "role_in_use", message: "Cannot delete role that is assigned to users" });
     }
 
-    await req.db.query(`DELETE FROM ${DEFAULT_SCHEMA}.roles WHERE id = $1`, [roleId]);
+    const deleted = await req.db.query(`DELETE FROM ${DEFAULT_SCHEMA}.roles WHERE id = $1 RETURNING *`, [roleId]);
+    clearPermissionCache(req.db);
+    await recordAudit(req, { action: "role.delete", entityType: "role", entityId: roleId, before: deleted.rows[0] });
     return res.json({ success: true });
   } catch (e) {
     console.error("[admin-delete-role] Error:", e);
@@ -1117,4 +1488,41 @@ router.delete("/roles/:roleId", requireAdmin, async (req, res) => {
   }
 });
 
+// ==================== AUDIT LOG ====================
+// Filters (both endpoints): actor, action (exact or "prefix.*"), entityType, entityId, requestId,
+// ip, from, to (YYYY-MM-DD or ISO timestamp)
+
+// GET /admin/audit - Audit entries, newest first (limit <= 500, offset)
+router.get("/audit", requireAdmin, async (req, res) => {
+  try {
+    return res.json(await listAuditEntries(req.db, req.query));
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message, detail: e.detail });
+    console.error("GET /admin/audit error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// GET /admin/audit/export - Download matching entries, oldest first (?format=csv|json)
+router.get("/audit/export", requireAdmin, async (req, res) => {
+  try {
+    const format = String(req.query.format || "csv").toLowerCase();
+    const file = await exportAuditEntries(req.db, req.query, format);
+    // Exports are sensitive reads themselves
+    await recordAudit(req, {
+      action: "audit.export",
+      entityType: "audit_log",
+      metadata: { format, count: file.count, filters: req.query },
+    });
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    res.setHeader("Content-Type", file.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="audit-log-${stamp}.${file.extension}"`);
+    return res.send(file.body);
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message, detail: e.detail });
+    console.error("GET /admin/audit/export error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
 module.exports = router;
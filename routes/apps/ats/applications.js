@@ -21,14 +21,21 @@ const {
   FILES_PUBLIC_URL,
   MAX_UPLOAD_MB,
   upload,
-  requireAdmin,
   ensureDir,
   safeFileName,
   safeJoin,
   slugify,
   pickExt,
   extractTextFromBuffer,
+  getActorUserId,
 } = require("./helpers");
+const { indexCandidateDocument } = require("./searchIndex");
+const { createProfileSuggestion } = require("./profileSuggestions");
+const { recordStageEvent } = require("./stageEvents");
+const { emitCandidateEvent } = require("./realtime");
+const { requirePermission } = require("./permissions");
+const { getDepartmentScope, departmentScopeSql, visibleParam } = require("./departmentScope");
+const { recordAudit } = require("./audit");
 
 // Dependencies injected during initialization
 let enqueueCandidateScore = null;
@@ -42,24 +49,6 @@ function initApplications(deps) {
   buildSignedUrl = deps.buildSignedUrl;
 }
 
-// Helper to get actor user ID for uploads
-async function getActorUserId(req) {
-  try {
-    const email = (req.session?.user?.emails && req.session.user.emails[0]) || null;
-    const displayName = req.session?.user?.displayName || null;
-    if (!email) return null;
-    const q = `
-      INSERT INTO ${DEFAULT_SCHEMA}.app_user (email, display_name)
-      VALUES ($1, $2)
-      ON CONFLICT (email) DO UPDATE SET display_name = COALESCE(EXCLUDED.display_name, app_user.display_name)
-      RETURNING id`;
-    const r = await req.db.query(q, [email, displayName]);
-    return r.rows[0]?.id || null;
-  } catch {
-    return null;
-  }
-}
-
 // CORS helper for public endpoints
 function applyPublicCors(req, res) {
   const origin = req.headers.origin || "*";
@@ -69,6 +58,10 @@ function applyPublicCors(req, res) {
   res.setHeader("Access-Control-Allow-Credentials", "true");
 }
 
+// /applications/:id routes answer 404 for applications outside the user's departments
+router.param("id", visibleParam("application"));
+router.param("applicationId", visibleParam("application"));
+
 // GET /applications - List applications
 router.get("/", async (req, res) => {
   try {
@@ -82,6 +75,7 @@ router.get("/", async (req, res) => {
 
     if (filters.position) {
       params.push(`%${filters.position}%`);
+      clauses.push(`COALESCE(jl.job_title,'') ILIKE $${params.length}`);
     }
     if (filters.dateFrom) {
       params.push(filters.dateFrom);
@@ -92,12 +86,11 @@ router.get("/", async (req, res) => {
       clauses.push(`a.application_date <= $${params.length}`);
     }
 
+    const scopeSql = departmentScopeSql(await getDepartmentScope(req), params);
+
     let sql = `SELECT a.* FROM ${APP_TABLE} a`;
-    if (filters.position) {
-      sql += ` LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON (a.job_requisition_id IS NOT NULL AND jl.job_requisition_id = a.job_requisition_id)`;
-      clauses.push(`COALESCE(jl.job_title,'') ILIKE $${params.length}`);
-    }
-    sql += ` WHERE ${clauses.join(" AND ")} ORDER BY a.application_date DESC NULLS LAST, a.${APP_PK} DESC`;
+    sql += ` LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON (a.job_requisition_id IS NOT NULL AND jl.job_requisition_id = a.job_requisition_id)`;
+    sql += ` WHERE ${clauses.join(" AND ")}${scopeSql} ORDER BY a.application_date DESC NULLS LAST, a.${APP_PK} DESC`;
 
     const { rows } = await req.db.query(sql, params);
     res.json(rows);
@@ -107,8 +100,8 @@ router.get("/", async (req, res) => {
   }
 });
 
-// DELETE /applications/:id - Delete application (admin only)
-router.delete("/:id", requireAdmin, async (req, res) => {
+// DELETE /applications/:id - Delete application (needs candidates:delete)
+router.delete("/:id", requirePermission("candidates:delete"), async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (!Number.isFinite(id)) {
     return res.status(400).json({ error: "invalid_application" });
@@ -119,12 +112,19 @@ router.delete("/:id", requireAdmin, async (req, res) => {
       `DELETE FROM ${DEFAULT_SCHEMA}.application_stages WHERE application_id = $1`,
       [id]
     );
-    const delApp = await req.db.query(`DELETE FROM ${APP_TABLE} WHERE ${APP_PK} = $1`, [id]);
+    const delApp = await req.db.query(`DELETE FROM ${APP_TABLE} WHERE ${APP_PK} = $1 RETURNING *`, [id]);
     await req.db.query("COMMIT");
 
     if (delApp.rowCount === 0) {
       return res.status(404).json({ error: "not_found" });
     }
+    await recordAudit(req, {
+      action: "application.delete",
+      entityType: "application",
+      entityId: id,
+      before: delApp.rows[0],
+      metadata: { stagesDeleted: delStages.rowCount },
+    });
     return res.json({
       success: true,
       deleted: { application: delApp.rowCount, stages: delStages.rowCount },
@@ -178,14 +178,34 @@ router.post("/:applicationId/upload/resume", upload.single("file"), async (req,
     const byteSize = req.file.size;
     const sha256 = crypto.createHash("sha256").update(req.file.buffer).digest("hex");
 
-    // Extract text for search
+    const publicUrl = `${FILES_PUBLIC_URL.replace(/\/$/, "")}/${relPath}`;
+
+    // Extract text for search (sidecar + Postgres full-text index)
     try {
       const txt = await extractTextFromBuffer(req.file.buffer, req.file.originalname, req.file.mimetype);
       const sidecar = absPath + ".txt";
-      if (txt && txt.trim()) await fs.promises.writeFile(sidecar, txt, "utf8");
-    } catch {}
-
-    const publicUrl = `${FILES_PUBLIC_URL.replace(/\/$/, "")}/${relPath}`;
+      if (txt && txt.trim()) {
+        await fs.promises.writeFile(sidecar, txt, "utf8");
+        await indexCandidateDocument(req.db, {
+          candidateId: a.candidate_id,
+          applicationId,
+          kind: "resume",
+          sourceUrl: publicUrl,
+          content: txt,
+        });
+        // Structured profile; conflicting fields wait for review (not awaited)
+        createProfileSuggestion(req.db, {
+          candidateId: a.candidate_id,
+          applicationId,
+          kind: "resume",
+          sourceUrl: publicUrl,
+          text: txt,
+        }).catch((err) => console.warn("[RESUME] profile parse failed:", err.message));
+      }
+    } catch (e) {
+      if (process.env.DEBUG_UPLOADS === "1")
+        console.warn("[RESUME] search index failed:", e.message);
+    }
 
     // Update application with resume URL
     try {
@@ -232,7 +252,7 @@ router.post("/:applicationId/upload/resume", upload.single("file"), async (req,
 
     // Trigger AI scoring
     try {
-      if (enqueueCandidateScore) enqueueCandidateScore(req.db, a.candidate_id);
+      if (enqueueCandidateScore) enqueueCandidateScore(req.db, a.candidate_id, { reason: "resume_uploaded" });
     } catch {}
 
     let signedUrl = null;
@@ -290,14 +310,34 @@ router.post("/:applicationId/upload/cover-letter", upload.single("file"), async
     const byteSize = req.file.size;
     const sha256 = crypto.createHash("sha256").update(req.file.buffer).digest("hex");
 
-    // Extract text
+    const publicUrl = `${FILES_PUBLIC_URL.replace(/\/$/, "")}/${relPath}`;
+
+    // Extract text for search (sidecar + Postgres full-text index)
     try {
       const txt = await extractTextFromBuffer(req.file.buffer, req.file.originalname, req.file.mimetype);
       const sidecar = absPath + ".txt";
-      if (txt && txt.trim()) await fs.promises.writeFile(sidecar, txt, "utf8");
-    } catch {}
-
-    const publicUrl = `${FILES_PUBLIC_URL.replace(/\/$/, "")}/${relPath}`;
+      if (txt && txt.trim()) {
+        await fs.promises.writeFile(sidecar, txt, "utf8");
+        await indexCandidateDocument(req.db, {
+          candidateId: a.candidate_id,
+          applicationId,
+          kind: "cover_letter",
+          sourceUrl: publicUrl,
+          content: txt,
+        });
+        // Structured profile; conflicting fields wait for review (not awaited)
+        createProfileSuggestion(req.db, {
+          candidateId: a.candidate_id,
+          applicationId,
+          kind: "cover_letter",
+          sourceUrl: publicUrl,
+          text: txt,
+        }).catch((err) => console.warn("[COVER] profile parse failed:", err.message));
+      }
+    } catch (e) {
+      if (process.env.DEBUG_UPLOADS === "1")
+        console.warn("[COVER] search index failed:", e.message);
+    }
 
     // Update application
     try {
@@ -344,7 +384,7 @@ router.post("/:applicationId/upload/cover-letter", upload.single("file"), async
 
     // Trigger AI scoring
     try {
-      if (enqueueCandidateScore) enqueueCandidateScore(req.db, a.candidate_id);
+      if (enqueueCandidateScore) enqueueCandidateScore(req.db, a.candidate_id, { reason: "cover_letter_uploaded" });
     } catch {}
 
     let signedUrl = null;
@@ -792,20 +832,25 @@ router.post("/", async (req, res) => {
           `INSERT INTO ${DEFAULT_SCHEMA}.application_stages (application_id, stage_name, status, notes, updated_at) VALUES ($1,'Applied','new',NULL,NOW())`,
           [applicationId]
         );
+        await recordStageEvent(req.db, {
+          applicationId,
+          candidateId,
+          toStage: "Applied",
+          toStatus: "new",
+          actorUserId: await getActorUserId(req),
+          actorLabel: req.session?.user?.emails?.[0] || null,
+          source: "application_created",
+        });
       } catch {}
 
-      // Emit real-time event for new application
-      const io = req.app.get("io");
-      if (io) {
-        io.emit("new_application", {
-          application_id: applicationId,
-          candidate_id: candidateId,
-          name: compositeName || `${firstName} ${lastName}`,
-          email: applicantEmail,
-          job_title: job_title || jl?.job_title,
-          timestamp: new Date().toISOString(),
-        });
-      }
+      // Emit real-time event to the job's department/requisition rooms
+      emitCandidateEvent(req.db, req.appId, "new_application", candidateId, {
+        application_id: applicationId,
+        candidate_id: candidateId,
+        name: compositeName || `${firstName} ${lastName}`,
+        email: applicantEmail,
+        job_title: job_title || jl?.job_title,
+      });
     }
 
     return res.status(201).json({
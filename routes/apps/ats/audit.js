@@ -0,0 +1,284 @@
+/**
+ * Audit Log
+ * Append-only record of mutating and sensitive operations in audit_log (a trigger rejects
+ * UPDATE, DELETE and TRUNCATE). Each entry has the actor, IP, user agent, request ID, target
+ * entity and, where the route provides them, before/after snapshots.
+ *
+ * - assignRequestId: every ATS request gets req.requestId (X-Request-Id header in and out)
+ * - auditRequests: every successful POST/PUT/PATCH/DELETE gets a generic entry on finish
+ * - recordAudit(req, {...}): routes with something worth recording (deletes, role changes,
+ *   resume downloads, rejection emails) write their own entry, which replaces the generic one
+ *
+ * Audit writes never fail the request: errors are logged as "[audit] write failed".
+ */
+
+const crypto = require("crypto");
+const { DEFAULT_SCHEMA, getPrimaryEmail } = require("./helpers");
+
+const AUDIT_TABLE = `${DEFAULT_SCHEMA}.audit_log`;
+
+const AUDIT_COLUMNS = [
+  "id",
+  "occurred_at",
+  "request_id",
+  "actor_user_id",
+  "actor_email",
+  "actor_name",
+  "ip",
+  "user_agent",
+  "method",
+  "path",
+  "status_code",
+  "action",
+  "entity_type",
+  "entity_id",
+  "before",
+  "after",
+  "metadata",
+];
+
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+// POST routes that only read (searches, lookups, AI drafts); not audited generically
+const READ_ONLY_POSTS = [
+  /\/search$/,
+  /\/skills\/batch$/,
+  /\/check-duplicate$/,
+  /\/ai-assist$/,
+];
+
+// Snapshot keys never written to the log
+const REDACTED_KEYS = /password|secret|token|api_?key/i;
+
+// ==================== REQUEST CONTEXT ====================
+
+// Middleware: req.requestId from X-Request-Id (when sane) or a new UUID, echoed in the response
+function assignRequestId(req, res, next) {
+  const incoming = String(req.get("x-request-id") || "").trim();
+  req.requestId = /^[A-Za-z0-9._:-]{8,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader("X-Request-Id", req.requestId);
+  next();
+}
+
+function clientIp(req) {
+  // app.js sets "trust proxy", so req.ip is the client behind the load balancer
+  return req.ip || req.socket?.remoteAddress || null;
+}
+
+/**
+ * JSON-safe copy of a snapshot with credentials redacted.
+ */
+function snapshot(value) {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(
+    JSON.stringify(value, (key, val) => (key && REDACTED_KEYS.test(key) ? "[redacted]" : val))
+  );
+}
+
+// ==================== WRITING ====================
+
+/**
+ * Append one entry. Low level: prefer recordAudit from a request.
+ * @returns {Promise<number|null>} the entry id, null when the write failed
+ */
+async function writeAuditEntry(db, entry) {
+  try {
+    const { rows } = await db.query(
+      `INSERT INTO ${AUDIT_TABLE}
+         (request_id, actor_user_id, actor_email, actor_name, ip, user_agent, method, path, status_code,
+          action, entity_type, entity_id, before, after, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13::jsonb, $14::jsonb, $15::jsonb)
+       RETURNING id`,
+      [
+        entry.requestId || null,
+        entry.actorUserId || null,
+        entry.actorEmail || null,
+        entry.actorName || null,
+        entry.ip || null,
+        entry.userAgent ? String(entry.userAgent).slice(0, 500) : null,
+        entry.method || null,
+        entry.path ? String(entry.path).slice(0, 1000) : null,
+        entry.statusCode || null,
+        entry.action,
+        entry.entityType || null,
+        entry.entityId === undefined || entry.entityId === null ? null : String(entry.entityId),
+        JSON.stringify(snapshot(entry.before)),
+        JSON.stringify(snapshot(entry.after)),
+        JSON.stringify(snapshot(entry.metadata)),
+      ]
+    );
+    return rows[0]?.id || null;
+  } catch (e) {
+    console.error(`[audit] write failed (${entry.action}):`, e.message);
+    return null;
+  }
+}
+
+/**
+ * Record an audited operation of the current request.
+ * @param {Object} req
+ * @param {Object} entry
+ * @param {string} entry.action - dotted name, e.g. "candidate.delete", "role.update"
+ * @param {string} [entry.entityType]
+ * @param {string|number} [entry.entityId]
+ * @param {Object} [entry.before] - state before the change (null for creates)
+ * @param {Object} [entry.after] - state after the change (null for deletes)
+ * @param {Object} [entry.metadata] - anything else worth keeping (counts, recipients, file key)
+ * @param {Object} [entry.db] - pool to write to (default req.db)
+ * @param {string} [entry.path] - path to log instead of the request URL (e.g. without a token)
+ * @returns {Promise<number|null>}
+ */
+function recordAudit(req, { db, ...entry }) {
+  req.auditRecorded = true;
+  const user = req.session?.user;
+  return writeAuditEntry(db || req.db, {
+    ...entry,
+    requestId: req.requestId || null,
+    actorUserId: req.access?.userId || null,
+    actorEmail: user ? getPrimaryEmail(req) || null : null,
+    actorName: user?.displayName || null,
+    ip: clientIp(req),
+    userAgent: req.get?.("user-agent") || null,
+    method: req.method,
+    path: entry.path || req.originalUrl || req.url,
+  });
+}
+
+/**
+ * Middleware: a generic entry ("POST /jobs/:id/archive") for each successful mutating request
+ * whose route did not call recordAudit. The path is the route pattern, not the request URL.
+ */
+function auditRequests(req, res, next) {
+  if (!MUTATING_METHODS.includes(req.method)) return next();
+  if (req.method === "POST" && READ_ONLY_POSTS.some((re) => re.test(req.path))) return next();
+  const mount = req.baseUrl || "";
+  res.on("finish", () => {
+    if (req.auditRecorded || res.statusCode >= 400 || !req.db) return;
+    // Route pattern relative to the ATS router, e.g. "/jobs/:id/archive"
+    const full = req.route?.path ? `${req.baseUrl || ""}${req.route.path}` : `${mount}${req.path}`;
+    const route = full.startsWith(mount) ? full.slice(mount.length) || "/" : full;
+    // Public links carry their secret in the URL (/public/offers/:token): log the route pattern
+    // and never use a token param as the entity id
+    const params = Object.entries(req.params || {}).filter(([name]) => !/token/i.test(name));
+    recordAudit(req, {
+      action: `${req.method} ${route}`,
+      entityType: route.split("/").filter(Boolean)[0] || null,
+      entityId: Object.fromEntries(params).id ?? params[0]?.[1],
+      statusCode: res.statusCode,
+      path: full,
+    });
+  });
+  next();
+}
+
+// ==================== QUERYING ====================
+
+function invalidAuditQuery(detail) {
+  const err = new Error("invalid_audit_query");
+  err.status = 400;
+  err.detail = detail;
+  return err;
+}
+
+/**
+ * WHERE clause for audit filters: actor (email, partial), action (exact or "prefix.*"),
+ * entityType, entityId, requestId, ip, from/to (YYYY-MM-DD or ISO timestamps).
+ * @throws {Error} invalid_audit_query (status 400)
+ */
+function auditFilterSql(query, params) {
+  const clauses = ["TRUE"];
+  const add = (sql, value) => {
+    params.push(value);
+    clauses.push(sql.replace("?", `$${params.length}`));
+  };
+  if (query.actor) add(`l.actor_email ILIKE ?`, `%${String(query.actor).trim()}%`);
+  if (query.action) {
+    const action = String(query.action).trim();
+    if (action.endsWith("*")) add(`l.action LIKE ?`, `${action.slice(0, -1).replace(/[%_]/g, "\\$&")}%`);
+    else add(`l.action = ?`, action);
+  }
+  if (query.entityType) add(`l.entity_type = ?`, String(query.entityType).trim());
+  if (query.entityId) add(`l.entity_id = ?`, String(query.entityId).trim());
+  if (query.requestId) add(`l.request_id = ?`, String(query.requestId).trim());
+  if (query.ip) add(`l.ip = ?`, String(query.ip).trim());
+  for (const [key, op] of [
+    ["from", ">="],
+    ["to", "<"],
+  ]) {
+    if (!query[key]) continue;
+    const text = String(query[key]).trim();
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+    if (Number.isNaN(new Date(text).getTime())) throw invalidAuditQuery(`${key} must be a date or timestamp`);
+    // A date-only "to" includes that whole day
+    add(`l.occurred_at ${op} ?::timestamptz${dateOnly && key === "to" ? " + INTERVAL '1 day'" : ""}`, text);
+  }
+  return clauses.join(" AND ");
+}
+
+/**
+ * Newest entries first.
+ * @returns {Promise<{ entries: Object[], total: number, limit: number, offset: number }>}
+ */
+async function listAuditEntries(db, query = {}) {
+  const params = [];
+  const where = auditFilterSql(query, params);
+  const limit = Math.max(1, Math.min(500, parseInt(query.limit, 10) || 100));
+  const offset = Math.max(0, parseInt(query.offset, 10) || 0);
+  const total = await db.query(`SELECT COUNT(*)::int AS n FROM ${AUDIT_TABLE} l WHERE ${where}`, params);
+  params.push(limit, offset);
+  const { rows } = await db.query(
+    `SELECT ${AUDIT_COLUMNS.map((c) => `l.${c}`).join(", ")}
+       FROM ${AUDIT_TABLE} l
+      WHERE ${where}
+      ORDER BY l.occurred_at DESC, l.id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return { entries: rows, total: total.rows[0]?.n || 0, limit, offset };
+}
+
+const AUDIT_EXPORT_MAX = 50000;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Matching entries (oldest first, at most AUDIT_EXPORT_MAX) as CSV or JSON.
+ * @param {"csv"|"json"} format
+ * @returns {Promise<{ body: string, contentType: string, extension: string, count: number }>}
+ */
+async function exportAuditEntries(db, query = {}, format = "csv") {
+  if (!["csv", "json"].includes(format)) throw invalidAuditQuery("format must be csv or json");
+  const params = [];
+  const where = auditFilterSql(query, params);
+  params.push(AUDIT_EXPORT_MAX);
+  const { rows } = await db.query(
+    `SELECT ${AUDIT_COLUMNS.map((c) => `l.${c}`).join(", ")}
+       FROM ${AUDIT_TABLE} l
+      WHERE ${where}
+      ORDER BY l.occurred_at ASC, l.id ASC
+      LIMIT $${params.length}`,
+    params
+  );
+  if (format === "json") {
+    return { body: JSON.stringify(rows, null, 2), contentType: "application/json", extension: "json", count: rows.length };
+  }
+  const lines = [AUDIT_COLUMNS.join(",")];
+  for (const row of rows) lines.push(AUDIT_COLUMNS.map((c) => csvCell(row[c])).join(","));
+  // BOM so Excel opens UTF-8 correctly
+  return { body: `\uFEFF${lines.join("\r\n")}\r\n`, contentType: "text/csv; charset=utf-8", extension: "csv", count: rows.length };
+}
+
+module.exports = {
+  AUDIT_TABLE,
+  AUDIT_EXPORT_MAX,
+  assignRequestId,
+  auditRequests,
+  recordAudit,
+  writeAuditEntry,
+  listAuditEntries,
+  exportAuditEntries,
+};
@@ -0,0 +1,348 @@
+/**
+ * Bulk Candidate Actions
+ * Runs one action (move, reject, archive, restore, tag, untag) over many candidates, chosen
+ * by id list or by a filter (inline, or one of the user's saved searches).
+ *
+ * Modes:
+ *   per_item    - each candidate in its own transaction; failures don't affect the others
+ *   transaction - all candidates in one transaction; the first failure rolls everything back
+ *
+ * Rejection emails go out only after the database work has committed, so a rolled-back
+ * batch never emails anyone. Results are reported per candidate.
+ */
+
+const {
+  DEFAULT_SCHEMA,
+  PEOPLE_TABLE,
+  PEOPLE_PK,
+  APP_TABLE,
+  APP_PK,
+} = require("./helpers");
+const { resolvePipelineForApplication } = require("./pipelines");
+const { applyStageChange } = require("./stageEvents");
+
+const BULK_ACTIONS = ["move", "reject", "archive", "restore", "tag", "untag"];
+const BULK_MODES = ["per_item", "transaction"];
+const MAX_BULK_ITEMS = 1000;
+
+function bulkError(message, detail, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  if (detail) err.detail = detail;
+  return err;
+}
+
+// ==================== TARGETS ====================
+
+/**
+ * Load a saved search from the user's preferences (user_preferences.preferences.savedSearches).
+ * Entries may hold their filters directly or under `filters`.
+ */
+async function loadSavedSearch(db, userEmail, name) {
+  if (!userEmail) throw bulkError("not_authenticated", null, 401);
+  let prefs = null;
+  try {
+    const r = await db.query(
+      `SELECT preferences FROM ${DEFAULT_SCHEMA}.user_preferences WHERE user_email = $1`,
+      [userEmail]
+    );
+    prefs = r.rows[0]?.preferences || null;
+  } catch {
+    prefs = null;
+  }
+  const entry = prefs?.savedSearches?.[name];
+  if (!entry || typeof entry !== "object") throw bulkError("saved_search_not_found", name, 404);
+  return entry.filters && typeof entry.filters === "object" ? entry.filters : entry;
+}
+
+/**
+ * Candidate ids matching a filter. Same fields as GET /candidates
+ * (jobTitle, department, stage, dateFrom, dateTo) plus jobRequisitionId and archived.
+ */
+async function findCandidateIdsByFilter(db, filter = {}) {
+  const clauses = [filter.archived === true || filter.archived === "true" ? "c.archived = TRUE" : "c.archived = FALSE"];
+  const params = [];
+  const add = (value, sql) => {
+    params.push(value);
+    clauses.push(sql(`$${params.length}`));
+  };
+  if (filter.jobTitle) add(`%${filter.jobTitle}%`, (p) => `COALESCE(jl.job_title,'') ILIKE ${p}`);
+  if (filter.jobRequisitionId) add(String(filter.jobRequisitionId), (p) => `la.job_requisition_id = ${p}`);
+  if (filter.department) {
+    add(String(filter.department), (p) => `LOWER(TRIM(jl.department)) = LOWER(TRIM(${p}))`);
+  }
+  if (filter.dateFrom) add(filter.dateFrom, (p) => `la.application_date >= ${p}`);
+  if (filter.dateTo) add(filter.dateTo, (p) => `la.application_date <= ${p}`);
+  if (filter.stage && filter.stage !== "all") {
+    add(String(filter.stage).toLowerCase(), (p) => `(LOWER(ls.stage_name) = ${p} OR LOWER(ls.status) = ${p})`);
+  }
+  params.push(MAX_BULK_ITEMS + 1);
+  const { rows } = await db.query(
+    `WITH latest_app AS (
+       SELECT DISTINCT ON (a.candidate_id) a.*
+         FROM ${APP_TABLE} a
+        ORDER BY a.candidate_id, a.application_date DESC NULLS LAST, a.${APP_PK} DESC
+     ), latest_stage AS (
+       SELECT DISTINCT ON (s.application_id) s.*
+         FROM ${DEFAULT_SCHEMA}.application_stages s
+        ORDER BY s.application_id, s.updated_at DESC NULLS LAST, s.stage_id DESC
+     )
+     SELECT c.${PEOPLE_PK} AS id
+       FROM ${PEOPLE_TABLE} c
+       LEFT JOIN latest_app la ON la.candidate_id = c.${PEOPLE_PK}
+       LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON (la.job_requisition_id IS NOT NULL AND jl.job_requisition_id = la.job_requisition_id)
+       LEFT JOIN latest_stage ls ON ls.application_id = la.${APP_PK}
+      WHERE ${clauses.join(" AND ")}
+      ORDER BY c.${PEOPLE_PK}
+      LIMIT $${params.length}`,
+    params
+  );
+  return rows.map((r) => Number(r.id));
+}
+
+/**
+ * Resolve the candidates a bulk request targets: `ids`, `filter` or `savedSearch` (name).
+ * @throws {Error} no_targets / too_many_candidates (400), saved_search_not_found (404)
+ */
+async function resolveBulkTargets(db, { ids, filter, savedSearch, userEmail }) {
+  let candidateIds;
+  if (Array.isArray(ids)) {
+    candidateIds = ids.map((x) => parseInt(x, 10)).filter(Number.isFinite);
+  } else if (savedSearch) {
+    candidateIds = await findCandidateIdsByFilter(db, await loadSavedSearch(db, userEmail, String(savedSearch)));
+  } else if (filter && typeof filter === "object") {
+    candidateIds = await findCandidateIdsByFilter(db, filter);
+  } else {
+    throw bulkError("no_targets", "provide ids, filter or savedSearch");
+  }
+  candidateIds = [...new Set(candidateIds)];
+  if (!candidateIds.length) throw bulkError("no_targets", "no candidates matched");
+  if (candidateIds.length > MAX_BULK_ITEMS) {
+    throw bulkError("too_many_candidates", `at most ${MAX_BULK_ITEMS} candidates per request`);
+  }
+  return candidateIds;
+}
+
+// ==================== ACTIONS ====================
+
+// Name of the pipeline's rejected stage for the candidate's latest application
+async function rejectedStageFor(db, candidateId) {
+  const { rows } = await db.query(
+    `SELECT ${APP_PK} AS id FROM ${APP_TABLE} WHERE candidate_id = $1 ORDER BY application_date DESC NULLS LAST, ${APP_PK} DESC LIMIT 1`,
+    [candidateId]
+  );
+  if (!rows[0]) return null;
+  const pipeline = await resolvePipelineForApplication(db, rows[0].id);
+  return pipeline.stages.find((s) => s.terminal === "rejected")?.name || "Rejected";
+}
+
+async function archiveCandidate(db, candidateId, { archive, actorLabel, reason }) {
+  const r = await db.query(
+    archive
+      ? `UPDATE ${PEOPLE_TABLE} SET archived = TRUE, archived_at = NOW(), archived_by = $2, archive_reason = $3 WHERE ${PEOPLE_PK} = $1`
+      : `UPDATE ${PEOPLE_TABLE} SET archived = FALSE, archived_at = NULL WHERE ${PEOPLE_PK} = $1`,
+    archive ? [candidateId, actorLabel ? String(actorLabel).slice(0, 120) : null, reason || null] : [candidateId]
+  );
+  if (!r.rowCount) throw bulkError("not_found", null, 404);
+}
+
+// Database part of one action; returns extra result fields
+const ACTION_HANDLERS = {
+  async move(db, candidateId, params, actor) {
+    const change = await applyStageChange(db, candidateId, {
+      stage: params.stage,
+      status: params.status,
+      notes: params.notes,
+      reason: params.reason,
+      ...actor,
+      source: "bulk",
+    });
+    return { from: change.fromStage, to: change.toStage };
+  },
+
+  async reject(db, candidateId, params, actor) {
+    const stage = await rejectedStageFor(db, candidateId);
+    if (!stage) throw bulkError("Missing application for candidate");
+    const change = await applyStageChange(db, candidateId, {
+      stage,
+      status: "rejected",
+      notes: params.notes,
+      reason: params.reason || params.rejectionReason,
+      ...actor,
+      source: "bulk",
+    });
+    if (params.archive) {
+      await archiveCandidate(db, candidateId, { archive: true, actorLabel: actor.actorLabel, reason: params.reason });
+    }
+    return { from: change.fromStage, to: change.toStage, archived: !!params.archive };
+  },
+
+  async archive(db, candidateId, params, actor) {
+    await archiveCandidate(db, candidateId, { archive: true, actorLabel: actor.actorLabel, reason: params.reason });
+    return {};
+  },
+
+  async restore(db, candidateId) {
+    await archiveCandidate(db, candidateId, { archive: false });
+    return {};
+  },
+
+  async tag(db, candidateId, params) {
+    const r = await db.query(
+      `INSERT INTO ${DEFAULT_SCHEMA}.candidate_candidate_flags (candidate_id, flag_id)
+       SELECT c.${PEOPLE_PK}, $2 FROM ${PEOPLE_TABLE} c
+        WHERE c.${PEOPLE_PK} = $1
+          AND NOT EXISTS (SELECT 1 FROM ${DEFAULT_SCHEMA}.candidate_candidate_flags WHERE candidate_id = $1 AND flag_id = $2)
+       RETURNING candidate_id`,
+      [candidateId, params.flagId]
+    );
+    if (!r.rowCount) {
+      const exists = await db.query(`SELECT 1 FROM ${PEOPLE_TABLE} WHERE ${PEOPLE_PK} = $1`, [candidateId]);
+      if (!exists.rowCount) throw bulkError("not_found", null, 404);
+      return { changed: false };
+    }
+    return { changed: true };
+  },
+
+  async untag(db, candidateId, params) {
+    const r = await db.query(
+      `DELETE FROM ${DEFAULT_SCHEMA}.candidate_candidate_flags WHERE candidate_id = $1 AND flag_id = $2`,
+      [candidateId, params.flagId]
+    );
+    return { changed: r.rowCount > 0 };
+  },
+};
+
+/**
+ * Check action parameters once, before touching any candidate.
+ * @throws {Error} invalid_action / invalid_params (400), flag_not_found (404)
+ */
+async function validateBulkAction(db, action, params = {}) {
+  if (!BULK_ACTIONS.includes(action)) throw bulkError("invalid_action", `one of ${BULK_ACTIONS.join(", ")}`);
+  if (action === "move" && !params.stage && !params.status) {
+    throw bulkError("invalid_params", "move needs params.stage or params.status");
+  }
+  if (action === "reject" && params.sendEmail !== false && !params.rejectionReason) {
+    throw bulkError("invalid_params", "reject needs params.rejectionReason (or sendEmail: false)");
+  }
+  if (action === "tag" || action === "untag") {
+    const flagId = parseInt(params.flagId, 10);
+    if (!Number.isFinite(flagId)) throw bulkError("invalid_params", `${action} needs params.flagId`);
+    params.flagId = flagId;
+    if (action === "tag") {
+      const r = await db.query(
+        `SELECT 1 FROM ${DEFAULT_SCHEMA}.candidate_flags WHERE id = $1 AND is_active = true`,
+        [flagId]
+      );
+      if (!r.rowCount) throw bulkError("flag_not_found", null, 404);
+    }
+  }
+  return params;
+}
+
+const itemError = (e) => ({
+  success: false,
+  error: e.message,
+  ...(e.detail && typeof e.detail === "object" ? { detail: e.detail } : {}),
+});
+
+/**
+ * Run a bulk action.
+ * @param {Object} db - pool (a dedicated client is checked out for the transactions)
+ * @param {Object} options
+ * @param {Function} [options.onProgress] - called with { processed, total, succeeded, failed, phase }
+ * @param {Function} [options.sendRejection] - (candidateId, params) => Promise; sends the rejection email
+ * @returns {Promise<{ total, succeeded, failed, rolledBack, results }>}
+ */
+async function runBulkAction(
+  db,
+  { action, params = {}, candidateIds, mode = "per_item", actor = {}, onProgress = null, sendRejection = null }
+) {
+  const handler = ACTION_HANDLERS[action];
+  const total = candidateIds.length;
+  const results = new Map(candidateIds.map((id) => [id, { id, success: false, error: "not_processed" }]));
+  let processed = 0;
+  let succeeded = 0;
+  const progress = (phase) => {
+    if (onProgress) onProgress({ phase, processed, total, succeeded, failed: processed - succeeded });
+  };
+
+  const client = typeof db.connect === "function" ? await db.connect() : db;
+  let rolledBack = false;
+  try {
+    if (mode === "transaction") {
+      await client.query("BEGIN");
+      try {
+        for (const id of candidateIds) {
+          const extra = await handler(client, id, params, actor);
+          results.set(id, { id, success: true, ...extra });
+          processed += 1;
+          succeeded += 1;
+          progress("running");
+        }
+        await client.query("COMMIT");
+      } catch (e) {
+        await client.query("ROLLBACK").catch(() => {});
+        rolledBack = true;
+        const failedId = candidateIds[processed];
+        for (const id of candidateIds) {
+          results.set(id, id === failedId ? { id, ...itemError(e) } : { id, success: false, error: "rolled_back" });
+        }
+        processed = total;
+        succeeded = 0;
+        progress("rolled_back");
+      }
+    } else {
+      for (const id of candidateIds) {
+        try {
+          await client.query("BEGIN");
+          const extra = await handler(client, id, params, actor);
+          await client.query("COMMIT");
+          results.set(id, { id, success: true, ...extra });
+          succeeded += 1;
+        } catch (e) {
+          await client.query("ROLLBACK").catch(() => {});
+          results.set(id, { id, ...itemError(e) });
+        }
+        processed += 1;
+        progress("running");
+      }
+    }
+  } finally {
+    if (client !== db && typeof client.release === "function") client.release();
+  }
+
+  // Emails only for committed rejections; a failed send doesn't undo the stage change
+  if (action === "reject" && params.sendEmail !== false && !rolledBack && sendRejection) {
+    for (const result of results.values()) {
+      if (!result.success) continue;
+      try {
+        const sent = await sendRejection(result.id, params);
+        result.emailSent = true;
+        result.messageId = sent?.messageId || null;
+      } catch (e) {
+        result.emailSent = false;
+        result.emailError = e.message;
+      }
+      progress("emailing");
+    }
+  }
+
+  progress("completed");
+  return {
+    total,
+    succeeded,
+    failed: total - succeeded,
+    rolledBack,
+    results: candidateIds.map((id) => results.get(id)),
+  };
+}
+
+module.exports = {
+  BULK_ACTIONS,
+  BULK_MODES,
+  MAX_BULK_ITEMS,
+  resolveBulkTargets,
+  validateBulkAction,
+  runBulkAction,
+};
@@ -4,7 +4,7 @@
  */
 
 const express = require("express");
-const axios = require("axios");
+const crypto = require("crypto");
 const router = express.Router();
 
 const {
@@ -15,9 +15,48 @@ const {
   APP_TABLE,
   APP_PK,
   requireAdmin,
-  getOpenAIClient,
-  OPENAI_API_KEY,
+  getPrimaryEmail,
+  getSessionEmails,
+  getActorUserId,
+  LLM_FEATURES,
+  llmComplete,
+  getLLMStatus,
 } = require("./helpers");
+const {
+  searchCandidateDocuments,
+  backfillCandidateDocuments,
+  getBackfillStatus,
+} = require("./searchIndex");
+const {
+  listCandidateScores,
+  getCandidateScoresById,
+  getLatestScorePair,
+  diffCandidateScores,
+} = require("./scoreHistory");
+const {
+  createProfileSuggestion,
+  listProfileSuggestions,
+  acceptProfileSuggestion,
+  rejectProfileSuggestion,
+} = require("./profileSuggestions");
+const { recordStageEvent } = require("./stageEvents");
+const {
+  BULK_MODES,
+  resolveBulkTargets,
+  validateBulkAction,
+  runBulkAction,
+} = require("./bulkActions");
+const { sendRejectionForCandidate } = require("./rejection");
+const { emitCandidateEvent, emitCandidateEvents, eventActor } = require("./realtime");
+const realtime = require("../../../services/realtime");
+const { requirePermission, hasPermission } = require("./permissions");
+const { recordAudit } = require("./audit");
+const {
+  getDepartmentScope,
+  candidateScopeSql,
+  visibleCandidateIds,
+  visibleParam,
+} = require("./departmentScope");
 
 // Default titleCase implementation (can be overridden via initCandidates)
 const defaultTitleCase = (str) => {
@@ -119,7 +158,21 @@ function initCandidates(deps) {
   if (deps.titleCase) titleCase = deps.titleCase;
 }
 
-// POST /candidates/search - Lightweight search over extracted resume/cover text
+// Structured parse error returned for malformed search queries
+function searchErrorBody(e) {
+  return {
+    error: "invalid_query",
+    detail: e.detail,
+    reason: e.reason,
+    position: e.position,
+    token: e.token,
+  };
+}
+
+// Every /candidates/:id route answers 404 for candidates outside the user's departments
+router.param("id", visibleParam("candidate"));
+
+// POST /candidates/search - Ranked search over resume/cover text and candidate fields (see searchQuery.js)
 router.post("/search", async (req, res) => {
   try {
     const q = String(req.body?.q || "").trim();
@@ -133,87 +186,55 @@ router.post("/search", async (req, res) => {
       });
     }
 
-    if (!q) return res.json({ hits: {} });
+    if (!q) return res.json({ hits: {}, results: [] });
 
     const restrictIds = Array.isArray(req.body?.ids)
       ? req.body.ids.map(Number).filter((n) => Number.isFinite(n))
       : null;
+    const limit = restrictIds ? Math.max(restrictIds.length, 1) : req.body?.limit;
 
-    if (debug) {
-      console.log("[SEARCH] restrictIds count=", restrictIds ? restrictIds.length : "ALL");
-    }
-
-    const sql = `
-      WITH latest_app AS (
-        SELECT DISTINCT ON (a.candidate_id) a.*
-        FROM ${APP_TABLE} a
-        ORDER BY a.candidate_id, a.application_date DESC NULLS LAST, a.${APP_PK} DESC
-      )
-      SELECT c.${PEOPLE_PK} AS candidate_id,
-             COALESCE(NULLIF(to_jsonb(la)->>'resume_url',''), (
-               SELECT to_jsonb(a2)->>'resume_url' FROM ${APP_TABLE} a2
-               WHERE a2.candidate_id = c.${PEOPLE_PK}
-               AND COALESCE(to_jsonb(a2)->>'resume_url','') <> ''
-               ORDER BY a2.application_date DESC NULLS LAST, a2.${APP_PK} DESC LIMIT 1
-             )) AS resume_url,
-             COALESCE(NULLIF(to_jsonb(la)->>'cover_letter_url',''), (
-               SELECT to_jsonb(a2)->>'cover_letter_url' FROM ${APP_TABLE} a2
-               WHERE a2.candidate_id = c.${PEOPLE_PK}
-               AND COALESCE(to_jsonb(a2)->>'cover_letter_url','') <> ''
-               ORDER BY a2.application_date DESC NULLS LAST, a2.${APP_PK} DESC LIMIT 1
-             )) AS cover_letter_url
-      FROM ${PEOPLE_TABLE} c
-      LEFT JOIN latest_app la ON la.candidate_id = c.${PEOPLE_PK}
-    `;
-
-    const { rows } = await req.db.query(sql);
-    const tokens = (q.match(/\"[^\"]+\"|[^\s,|]+/g) || []).map((t) =>
-      t.replace(/^\"|\"$/g, "").toLowerCase()
-    );
-    const hasOr = /\sor\s|,|\|/i.test(q);
+    const departments = await getDepartmentScope(req);
+    const results = await searchCandidateDocuments(req.db, q, { ids: restrictIds, limit, departments });
 
     if (debug) {
-      console.log("[SEARCH] tokens=", tokens, "mode=", hasOr ? "OR" : "AND", "candidates=", rows.length);
+      console.log("[SEARCH] results=", results.length);
     }
 
+    // `hits` is kept for existing callers that only need the matching id set
     const hits = {};
-    for (const r of rows) {
-      const id = r.candidate_id;
-      if (restrictIds && !restrictIds.includes(Number(id))) continue;
-      const urls = [r.resume_url, r.cover_letter_url].filter(Boolean);
-
-      if (debug && urls.length) {
-        console.log(`[SEARCH] candidate ${id} urls=`, urls);
-      }
-
-      let matched = false;
-      for (const url of urls) {
-        try {
-          const text = await getExtractedTextForUrl(url, debug);
-          if (!text) continue;
-          if (debug) {
-            console.log(`[SEARCH] extracted length for ${id}:`, text.length);
-          }
-          const blob = text.toLowerCase();
-          if (!tokens.length) continue;
-          const ok = hasOr
-            ? tokens.some((t) => blob.includes(t))
-            : tokens.every((t) => blob.includes(t));
-          if (ok) {
-            matched = true;
-            break;
-          }
-        } catch {}
-      }
-      if (matched) hits[id] = true;
-    }
-    return res.json({ hits });
+    for (const r of results) hits[r.candidateId] = true;
+    return res.json({ hits, results });
   } catch (e) {
+    if (e.message === "invalid_query") return res.status(400).json(searchErrorBody(e));
     console.error("POST /candidates/search error", e);
     return res.status(500).json({ error: "search_failed" });
   }
 });
 
+// POST /candidates/search/reindex - Start a background backfill of the resume search index
+router.post("/search/reindex", requireAdmin, async (req, res) => {
+  try {
+    const appId = req.appId || "default";
+    const status = getBackfillStatus(appId);
+    if (status.running) return res.status(409).json({ error: "already_running", status });
+
+    backfillCandidateDocuments(req.db, {
+      appId,
+      getText: getExtractedTextForUrl || undefined,
+    }).catch((e) => console.error("[SEARCH_INDEX] backfill failed", e));
+
+    return res.status(202).json({ ok: true, status: getBackfillStatus(appId) });
+  } catch (e) {
+    console.error("POST /candidates/search/reindex error", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// GET /candidates/search/reindex - Progress of the current/last backfill
+router.get("/search/reindex", requireAdmin, async (req, res) => {
+  return res.json(getBackfillStatus(req.appId || "default"));
+});
+
 // GET /candidates - List candidates with latest application and stage
 router.get("/", async (req, res) => {
   try {
@@ -274,6 +295,8 @@ router.get("/", async (req, res) => {
       );
     }
 
+    const scopeSql = candidateScopeSql(await getDepartmentScope(req), paramsB, `c.${PEOPLE_PK}`);
+
     const sqlB = `
       ${baseCte}
       SELECT c.${PEOPLE_PK}, c.first_name, c.last_name, c.email, c.phone,
@@ -319,7 +342,7 @@ router.get("/", async (req, res) => {
         LEFT JOIN latest_app la ON la.candidate_id = c.${PEOPLE_PK}
         LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON (la.job_requisition_id IS NOT NULL AND jl.job_requisition_id = la.job_requisition_id)
         LEFT JOIN latest_stage ls ON ls.application_id = la.${APP_PK}
-        WHERE ${whereB.join(" AND ")}
+        WHERE ${whereB.join(" AND ")}${scopeSql}
         ORDER BY la.application_date DESC NULLS LAST, c.${PEOPLE_PK} DESC`;
 
     if (verbose) {
@@ -398,17 +421,22 @@ router.get("/", async (req, res) => {
     if (q) {
       try {
         const ids = mapped.map((m) => m.id).filter(Boolean);
-        const sr = await axios
-          .post(
-            `${req.protocol}://${req.get("host")}${req.baseUrl}/candidates/search`,
-            { q, ids },
-            { headers: { cookie: req.headers.cookie || "" } }
-          )
-          .then((r) => r.data)
-          .catch(() => ({ hits: {} }));
-        const hitSet = new Set(Object.keys(sr.hits || {}).map((k) => Number(k)));
-        mapped = mapped.filter((m) => hitSet.has(Number(m.id)));
-      } catch {}
+        const results = await searchCandidateDocuments(req.db, q, {
+          ids,
+          limit: Math.max(ids.length, 1),
+        });
+        const hitMap = new Map(results.map((r) => [Number(r.candidateId), r]));
+        mapped = mapped
+          .filter((m) => hitMap.has(Number(m.id)))
+          .map((m) => ({
+            ...m,
+            searchScore: hitMap.get(Number(m.id)).score,
+            searchSnippet: hitMap.get(Number(m.id)).snippet,
+          }));
+      } catch (e) {
+        if (e.message === "invalid_query") return res.status(400).json(searchErrorBody(e));
+        console.error("[CANDIDATES] resume search refine failed", e.message);
+      }
     }
     return res.json(mapped);
   } catch (error) {
@@ -421,6 +449,8 @@ router.get("/", async (req, res) => {
 // GET /candidates/archived - List archived candidates
 router.get("/archived", async (req, res) => {
   try {
+    const params = [];
+    const scopeSql = candidateScopeSql(await getDepartmentScope(req), params, `c.${PEOPLE_PK}`);
     const { rows } = await req.db.query(`
       WITH latest_app AS (
         SELECT DISTINCT ON (a.candidate_id) a.*
@@ -451,9 +481,9 @@ router.get("/archived", async (req, res) => {
         ORDER BY updated_at DESC NULLS LAST, stage_id DESC
         LIMIT 1
       ) ast ON TRUE
-      WHERE c.archived = TRUE
+      WHERE c.archived = TRUE${scopeSql}
       ORDER BY c.archived_at DESC NULLS LAST, c.${PEOPLE_PK} DESC
-    `);
+    `, params);
     res.json(rows);
   } catch (error) {
     console.error("GET /candidates/archived error:", error);
@@ -509,19 +539,16 @@ router.get("/:id", async (req, res) => {
   }
 });
 
-// DELETE /candidates/:id - Permanently delete candidate (admin only)
-router.delete("/:id", requireAdmin, async (req, res) => {
+// DELETE /candidates/:id - Permanently delete candidate (needs candidates:delete)
+router.delete("/:id", requirePermission("candidates:delete"), async (req, res) => {
   const candidateId = Number(req.params.id);
   if (!Number.isFinite(candidateId)) {
     return res.status(400).json({ error: "invalid_id" });
   }
   try {
     await req.db.query("BEGIN");
-    const apps = await req.db.query(
-      `SELECT ${APP_PK} AS id FROM ${APP_TABLE} WHERE candidate_id = $1`,
-      [candidateId]
-    );
-    const appIds = apps.rows.map((r) => r.id);
+    const apps = await req.db.query(`SELECT * FROM ${APP_TABLE} WHERE candidate_id = $1`, [candidateId]);
+    const appIds = apps.rows.map((r) => r[APP_PK]);
     if (appIds.length) {
       await req.db.query(
         `DELETE FROM ${DEFAULT_SCHEMA}.application_stages WHERE application_id = ANY($1::int[])`,
@@ -533,13 +560,19 @@ router.delete("/:id", requireAdmin, async (req, res) => {
       );
     }
     const delCand = await req.db.query(
-      `DELETE FROM ${PEOPLE_TABLE} WHERE ${PEOPLE_PK} = $1`,
+      `DELETE FROM ${PEOPLE_TABLE} WHERE ${PEOPLE_PK} = $1 RETURNING *`,
       [candidateId]
     );
     await req.db.query("COMMIT");
     if (delCand.rowCount === 0) {
       return res.status(404).json({ error: "not_found" });
     }
+    await recordAudit(req, {
+      action: "candidate.delete",
+      entityType: "candidate",
+      entityId: candidateId,
+      before: { candidate: delCand.rows[0], applications: apps.rows },
+    });
     return res.json({
       success: true,
       deleted: { candidate: delCand.rowCount, applications: appIds.length },
@@ -695,6 +728,15 @@ router.post("/", async (req, res) => {
              VALUES ($1, 'Applied', 'new', NULL, NOW())`,
             [newAppId]
           );
+          await recordStageEvent(req.db, {
+            applicationId: newAppId,
+            candidateId,
+            toStage: "Applied",
+            toStatus: "new",
+            actorUserId: await getActorUserId(req),
+            actorLabel: getPrimaryEmail(req),
+            source: "application_created",
+          });
         } catch {}
       }
     }
@@ -734,14 +776,15 @@ router.post("/", async (req, res) => {
   }
 });
 
-// GET /candidates/:id/score - Get AI score
+// GET /candidates/:id/score - Get AI score (?jobRequisitionId= for the score against a specific job)
 router.get("/:id/score", async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!Number.isFinite(id)) {
       return res.status(400).json({ error: "invalid_id" });
     }
-    const score = await getLatestCandidateScore(req.db, id);
+    const jobRequisitionId = req.query?.jobRequisitionId || null;
+    const score = await getLatestCandidateScore(req.db, id, { jobRequisitionId });
     if (!score) {
       return res.status(200).json({ hasScore: false, status: "missing", score: null });
     }
@@ -751,6 +794,61 @@ router.get("/:id/score", async (req, res) => {
   }
 });
 
+// GET /candidates/:id/score/history - All scores, newest first, with model/prompt/resume provenance
+router.get("/:id/score/history", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ error: "invalid_id" });
+    }
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const { total, scores } = await listCandidateScores(req.db, id, {
+      jobRequisitionId: req.query.jobRequisitionId || null,
+      limit,
+      offset,
+    });
+    return res.json({ candidateId: id, total, limit, offset, scores });
+  } catch (e) {
+    console.error("GET /candidates/:id/score/history error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// GET /candidates/:id/score/diff?from=&to= - Field diff between two scores (defaults to the last two)
+router.get("/:id/score/diff", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ error: "invalid_id" });
+    }
+    let from;
+    let to;
+    if (req.query.from !== undefined || req.query.to !== undefined) {
+      const fromId = Number(req.query.from);
+      const toId = Number(req.query.to);
+      if (!Number.isFinite(fromId) || !Number.isFinite(toId)) {
+        return res.status(400).json({ error: "invalid_score_id", detail: "Both from and to score ids are required" });
+      }
+      const rows = await getCandidateScoresById(req.db, id, [fromId, toId]);
+      from = rows.get(fromId);
+      to = rows.get(toId);
+    } else {
+      [to, from] = await getLatestScorePair(req.db, id, {
+        jobRequisitionId: req.query.jobRequisitionId || null,
+      });
+      if (to && !from) {
+        return res.status(404).json({ error: "not_enough_history", detail: "Candidate has only one score" });
+      }
+    }
+    if (!from || !to) return res.status(404).json({ error: "not_found" });
+    return res.json({ candidateId: id, ...diffCandidateScores(from, to) });
+  } catch (e) {
+    console.error("GET /candidates/:id/score/diff error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
 // POST /candidates/:id/score - Trigger score generation
 router.post("/:id/score", async (req, res) => {
   try {
@@ -764,16 +862,26 @@ router.post("/:id/score", async (req, res) => {
         ? ["true", "1", "yes", "force"].includes(forceParam.toLowerCase())
         : Boolean(forceParam);
 
-    if (!OPENAI_API_KEY) {
-      return res.status(503).json({ error: "openai_not_configured" });
+    const llm = getLLMStatus(LLM_FEATURES.SCORING);
+    if (!llm.configured) {
+      return res.status(503).json({ error: llm.error, provider: llm.provider });
     }
 
-    const result = await generateAndStoreCandidateScore(req.db, id, { force });
+    const jobRequisitionId = req.query?.jobRequisitionId || req.body?.jobRequisitionId || null;
+    const result = await generateAndStoreCandidateScore(req.db, id, { force, jobRequisitionId });
     const score = result?.score || null;
     if (!score) {
       return res.status(500).json({ error: "score_generation_failed" });
     }
 
+    if (result.status !== "existing") {
+      emitCandidateEvent(req.db, req.appId, "candidate_score_completed", id, {
+        status: result.status,
+        overallScore: score.overall_score ?? null,
+        source: "request",
+      });
+    }
+
     const payload = {
       status: result.status,
       force,
@@ -798,7 +906,7 @@ router.post("/:id/score", async (req, res) => {
 
     if (code === "candidate_not_found") return res.status(404).json(base);
     if (code === "openai_api_key_missing") {
-      return res.status(503).json({ ...base, error: "openai_not_configured" });
+      return res.status(503).json({ ...base, error: getLLMStatus(LLM_FEATURES.SCORING).error });
     }
     if (code === "openai_generation_failed" || code === "invalid_openai_json") {
       return res.status(200).json({
@@ -821,8 +929,9 @@ router.post("/:id/interview-questions", async (req, res) => {
     if (!Number.isFinite(id))
       return res.status(400).json({ error: "invalid_id" });
 
-    if (!OPENAI_API_KEY)
-      return res.status(503).json({ error: "openai_not_configured" });
+    const llm = getLLMStatus(LLM_FEATURES.INTERVIEW_QUESTIONS);
+    if (!llm.configured)
+      return res.status(503).json({ error: llm.error, provider: llm.provider });
 
     // Check for existing interview questions unless force regenerate is requested
     const forceRegenerate =
@@ -974,19 +1083,17 @@ ${
       },
     };
 
-    const client = getOpenAIClient();
-    const completion = await client.chat.completions.create({
-      model: "gpt-4o-mini",
+    const completion = await llmComplete(LLM_FEATURES.INTERVIEW_QUESTIONS, {
       temperature: 0.4,
-      max_tokens: 2048,
-      response_format: responseFormat,
+      maxTokens: 2048,
+      responseFormat,
       messages: [
         { role: "system", content: systemPrompt },
         { role: "user", content: userContext },
       ],
     });
 
-    const jsonText = completion?.choices?.[0]?.message?.content || "";
+    const jsonText = completion.text;
 
     if (!jsonText) {
       return res.status(500).json({ error: "openai_empty_response" });
@@ -1036,8 +1143,231 @@ ${
   }
 });
 
+// ==================== PROFILE SUGGESTIONS ====================
+// Structured profiles parsed from uploaded resumes (see profileSuggestions.js)
+
+// GET /candidates/:id/profile-suggestions - Parsed profiles with per-field changes (?status=pending)
+router.get("/:id/profile-suggestions", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ error: "invalid_id" });
+    }
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const suggestions = await listProfileSuggestions(req.db, id, {
+      status: req.query.status || null,
+      limit,
+    });
+    return res.json({ candidateId: id, suggestions });
+  } catch (e) {
+    console.error("GET /candidates/:id/profile-suggestions error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// POST /candidates/:id/profile-suggestions - Re-parse the candidate's latest indexed resume
+router.post("/:id/profile-suggestions", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ error: "invalid_id" });
+    }
+    const doc = (
+      await req.db.query(
+        `SELECT application_id, source_url, content
+           FROM ${DEFAULT_SCHEMA}.candidate_documents
+          WHERE candidate_id = $1 AND kind = 'resume'
+          ORDER BY updated_at DESC, id DESC
+          LIMIT 1`,
+        [id]
+      )
+    ).rows[0];
+    if (!doc) return res.status(404).json({ error: "resume_not_found" });
+    const suggestion = await createProfileSuggestion(req.db, {
+      candidateId: id,
+      applicationId: doc.application_id,
+      kind: "resume",
+      sourceUrl: doc.source_url,
+      text: doc.content,
+    });
+    if (!suggestion) return res.status(404).json({ error: "not_found" });
+    return res.status(201).json({ success: true, suggestion });
+  } catch (e) {
+    console.error("POST /candidates/:id/profile-suggestions error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// POST /candidates/:id/profile-suggestions/:suggestionId/accept - Apply pending changes ({ fields?, skills? })
+router.post("/:id/profile-suggestions/:suggestionId/accept", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const suggestionId = Number(req.params.suggestionId);
+    if (!Number.isFinite(id) || !Number.isFinite(suggestionId)) {
+      return res.status(400).json({ error: "invalid_id" });
+    }
+    const { fields, skills } = req.body || {};
+    if ((fields !== undefined && !Array.isArray(fields)) || (skills !== undefined && !Array.isArray(skills))) {
+      return res.status(400).json({ error: "invalid_body", detail: "fields and skills must be arrays" });
+    }
+    const suggestion = await acceptProfileSuggestion(req.db, id, suggestionId, {
+      fields,
+      skills,
+      reviewedBy: req.session?.user?.username || req.session?.user?.displayName || null,
+    });
+    return res.json({ success: true, suggestion });
+  } catch (e) {
+    if (e.status === 404 || e.status === 409) return res.status(e.status).json({ error: e.message });
+    console.error("POST /candidates/:id/profile-suggestions/:suggestionId/accept error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// POST /candidates/:id/profile-suggestions/:suggestionId/reject - Discard pending changes
+router.post("/:id/profile-suggestions/:suggestionId/reject", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const suggestionId = Number(req.params.suggestionId);
+    if (!Number.isFinite(id) || !Number.isFinite(suggestionId)) {
+      return res.status(400).json({ error: "invalid_id" });
+    }
+    const suggestion = await rejectProfileSuggestion(req.db, id, suggestionId, {
+      reviewedBy: req.session?.user?.username || req.session?.user?.displayName || null,
+    });
+    return res.json({ success: true, suggestion });
+  } catch (e) {
+    if (e.status === 404 || e.status === 409) return res.status(e.status).json({ error: e.message });
+    console.error("POST /candidates/:id/profile-suggestions/:suggestionId/reject error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// ==================== BULK ACTIONS ====================
+// Room events for the candidates a bulk action changed (nothing when the batch rolled back)
+function emitBulkActionEvents(req, action, params, result) {
+  if (result.rolledBack) return;
+  const actor = eventActor(req);
+  const done = result.results.filter((r) => r.success);
+  const emit = (event, entries) => {
+    if (entries.length) emitCandidateEvents(req.db, req.appId, event, entries);
+  };
+
+  if (action === "move" || action === "reject") {
+    const status = action === "reject" ? "rejected" : params.status || null;
+    emit(
+      "candidate_stage_changed",
+      done.map((r) => ({ candidateId: r.id, fromStage: r.from, toStage: r.to, status, actor, source: "bulk" }))
+    );
+  }
+  if (action === "archive" || (action === "reject" && params.archive)) {
+    emit("candidate_archived", done.map((r) => ({ candidateId: r.id, actor, reason: params.reason || null })));
+  }
+  if (action === "restore") {
+    emit("candidate_restored", done.map((r) => ({ candidateId: r.id, actor })));
+  }
+  if (action === "tag" || action === "untag") {
+    emit(
+      "candidate_flags_changed",
+      done.filter((r) => r.changed).map((r) => ({ candidateId: r.id, flagId: params.flagId, added: action === "tag", actor }))
+    );
+  }
+}
+
+// POST /candidates/bulk - Run one action over many candidates (see bulkActions.js)
+// Body: { action, ids? | filter? | savedSearch?, mode?: "per_item" | "transaction", params?, bulkId? }
+// Progress is emitted to the initiator as "bulk_action_progress" ({ bulkId, action, phase, processed, total, ... });
+// changed candidates are also pushed to their rooms (see realtime.js)
+router.post("/bulk", requirePermission("candidates:bulk"), async (req, res) => {
+  const { action, ids, filter, savedSearch } = req.body || {};
+  const mode = req.body?.mode || "per_item";
+  const bulkId = String(req.body?.bulkId || crypto.randomUUID()).slice(0, 64);
+  // Archiving in bulk needs the same permission as archiving one candidate
+  const archives = ["archive", "restore"].includes(action) || (action === "reject" && req.body?.params?.archive);
+  if (archives && !hasPermission(req, "candidates:archive")) {
+    return res.status(403).json({ error: "forbidden", missing: ["candidates:archive"] });
+  }
+  try {
+    if (!BULK_MODES.includes(mode)) return res.status(400).json({ error: "invalid_mode" });
+    const params = await validateBulkAction(req.db, action, { ...(req.body?.params || {}) });
+    // Candidates outside the user's departments are left out, as if they did not exist
+    const candidateIds = await visibleCandidateIds(
+      req,
+      await resolveBulkTargets(req.db, {
+        ids,
+        filter,
+        savedSearch,
+        userEmail: getPrimaryEmail(req),
+      })
+    );
+
+    const actor = {
+      actorUserId: await getActorUserId(req),
+      actorLabel: getPrimaryEmail(req) || req.session?.user?.displayName || null,
+    };
+    // Progress goes to the initiator's sockets only: it names candidates other users may not see
+    const initiatorEmails = getSessionEmails(req);
+
+    const result = await runBulkAction(req.db, {
+      action,
+      params,
+      candidateIds,
+      mode,
+      actor,
+      onProgress: (progress) => {
+        realtime.emitToUser(req.appId || "ats", initiatorEmails, "bulk_action_progress", { bulkId, action, ...progress });
+      },
+      sendRejection: async (candidateId, p) => {
+        const sent = await sendRejectionForCandidate(req.db, {
+          candidateId,
+          rejectionReason: p.rejectionReason,
+          shouldArchive: !!p.archive,
+        });
+        await recordAudit(req, {
+          action: "rejection_email.send",
+          entityType: "candidate",
+          entityId: candidateId,
+          metadata: {
+            bulkId,
+            recipient: sent.recipient,
+            jobTitle: sent.jobTitle,
+            rejectionReason: p.rejectionReason,
+            shouldArchive: !!p.archive,
+            messageId: sent.messageId,
+          },
+        });
+        return sent;
+      },
+    });
+
+    await recordAudit(req, {
+      action: "candidates.bulk",
+      entityType: "candidate",
+      metadata: {
+        bulkId,
+        action,
+        mode,
+        params,
+        total: result.total,
+        succeeded: result.succeeded,
+        failed: result.failed,
+        rolledBack: result.rolledBack,
+        candidateIds: result.results.filter((r) => r.success).map((r) => r.id),
+      },
+    });
+    emitBulkActionEvents(req, action, params, result);
+
+    return res.json({ success: result.failed === 0, bulkId, action, mode, ...result });
+  } catch (e) {
+    if (e.status && e.status < 500) {
+      return res.status(e.status).json({ error: e.message, detail: e.detail });
+    }
+    console.error("POST /candidates/bulk error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
 // POST /candidates/:id/archive - Archive candidate
-router.post("/:id/archive", async (req, res) => {
+router.post("/:id/archive", requirePermission("candidates:archive"), async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!Number.isFinite(id)) {
@@ -1050,6 +1380,7 @@ router.post("/:id/archive", async (req, res) => {
     if (result.rowCount === 0) {
       return res.status(404).json({ success: false, error: "not_found" });
     }
+    emitCandidateEvent(req.db, req.appId, "candidate_archived", id, { actor: eventActor(req), reason: null });
     return res.json({ success: true, id });
   } catch (error) {
     console.error("POST /candidates/:id/archive error:", error);
@@ -1058,7 +1389,7 @@ router.post("/:id/archive", async (req, res) => {
 });
 
 // POST /candidates/:id/restore - Restore archived candidate
-router.post("/:id/restore", async (req, res) => {
+router.post("/:id/restore", requirePermission("candidates:archive"), async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!Number.isFinite(id)) {
@@ -1071,6 +1402,7 @@ router.post("/:id/restore", async (req, res) => {
     if (result.rowCount === 0) {
       return res.status(404).json({ success: false, error: "not_found" });
     }
+    emitCandidateEvent(req.db, req.appId, "candidate_restored", id, { actor: eventActor(req) });
     return res.json({ success: true, id });
   } catch (error) {
     console.error("POST /candidates/:id/restore error:", error);
@@ -1078,19 +1410,16 @@ router.post("/:id/restore", async (req, res) => {
   }
 });
 
-// DELETE /candidates/:id/permanent - Permanently delete (admin only)
-router.delete("/:id/permanent", async (req, res) => {
+// DELETE /candidates/:id/permanent - Permanently delete (needs candidates:delete)
+router.delete("/:id/permanent", requirePermission("candidates:delete"), async (req, res) => {
   const candidateId = Number(req.params.id);
   if (!Number.isFinite(candidateId)) {
     return res.status(400).json({ error: "invalid_id" });
   }
   try {
     await req.db.query("BEGIN");
-    const apps = await req.db.query(
-      `SELECT ${APP_PK} AS id FROM ${APP_TABLE} WHERE candidate_id = $1`,
-      [candidateId]
-    );
-    const appIds = apps.rows.map((r) => r.id);
+    const apps = await req.db.query(`SELECT * FROM ${APP_TABLE} WHERE candidate_id = $1`, [candidateId]);
+    const appIds = apps.rows.map((r) => r[APP_PK]);
     if (appIds.length) {
       await req.db.query(
         `DELETE FROM ${DEFAULT_SCHEMA}.application_stages WHERE application_id = ANY($1::int[])`,
@@ -1102,13 +1431,19 @@ router.delete("/:id/permanent", async (req, res) => {
       );
     }
     const delCand = await req.db.query(
-      `DELETE FROM ${PEOPLE_TABLE} WHERE ${PEOPLE_PK} = $1`,
+      `DELETE FROM ${PEOPLE_TABLE} WHERE ${PEOPLE_PK} = $1 RETURNING *`,
       [candidateId]
     );
     await req.db.query("COMMIT");
     if (delCand.rowCount === 0) {
       return res.status(404).json({ error: "not_found" });
     }
+    await recordAudit(req, {
+      action: "candidate.delete",
+      entityType: "candidate",
+      entityId: candidateId,
+      before: { candidate: delCand.rows[0], applications: apps.rows },
+    });
     return res.json({ success: true });
   } catch (e) {
     try {
@@ -0,0 +1,397 @@
+/**
+ * Candidate Comments Routes Module
+ * Threaded, timestamped comments on candidates and their applications, replacing the single
+ * notes field that every save used to overwrite (application_stages.notes).
+ *
+ * - A comment belongs to a candidate and optionally one of their applications; replies
+ *   (parentId) stay on the parent's candidate and application
+ * - Comments can be tagged with job listings and listed per job
+ * - @mentions (helpers.extractMentions) are kept in comment_mentions and notify the mentioned
+ *   people ("comment_mention", see notifications.js); an edit only notifies newly added mentions
+ * - Authors (and admins) can edit and delete; deletes are soft so replies keep their thread
+ *
+ * Comments follow the department scope of their candidate (departmentScope.js).
+ * New comments are pushed to the candidate's socket.io rooms (candidate_comment_added).
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+  DEFAULT_SCHEMA,
+  PEOPLE_TABLE,
+  PEOPLE_PK,
+  APP_TABLE,
+  APP_PK,
+  getPrimaryEmail,
+  getSessionEmails,
+  getActorUserId,
+  isAdmin,
+  extractMentions,
+  saveMentions,
+  deleteMentions,
+} = require("./helpers");
+const { emitCandidateEvent, eventActor } = require("./realtime");
+const {
+  getDepartmentScope,
+  candidateScopeSql,
+  isCandidateVisible,
+  isJobVisible,
+  requireVisible,
+} = require("./departmentScope");
+
+const COMMENTS_TABLE = `${DEFAULT_SCHEMA}.candidate_comments`;
+const COMMENT_JOBS_TABLE = `${DEFAULT_SCHEMA}.candidate_comment_jobs`;
+const COMMENT_MENTIONS_TABLE = `${DEFAULT_SCHEMA}.comment_mentions`;
+
+const COMMENT_MAX_LENGTH = 20000;
+
+function commentError(message, status = 400, detail) {
+  const err = new Error(message);
+  err.status = status;
+  if (detail !== undefined) err.detail = detail;
+  return err;
+}
+
+function sendCommentError(res, e, label) {
+  if (e.status && e.status < 500) {
+    return res.status(e.status).json({ error: e.message, ...(e.detail !== undefined ? { detail: e.detail } : {}) });
+  }
+  console.error(`${label} error`, e);
+  return res.status(500).json({ error: "db_error", detail: e.message });
+}
+
+// ==================== VALIDATION ====================
+
+function normalizeBody(body) {
+  const text = typeof body === "string" ? body.trim() : "";
+  if (!text) throw commentError("body_required");
+  if (text.length > COMMENT_MAX_LENGTH) throw commentError("body_too_long", 400, `at most ${COMMENT_MAX_LENGTH} characters`);
+  return text;
+}
+
+/**
+ * Job listing ids from an array or comma-separated string; each must exist and be visible.
+ * @returns {Promise<number[]>}
+ */
+async function normalizeJobIds(req, value) {
+  if (value === undefined || value === null || value === "") return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  const ids = Array.from(new Set(list.map((v) => Number(String(v).trim()))));
+  if (ids.some((id) => !Number.isInteger(id) || id <= 0)) throw commentError("invalid_job_ids");
+  if (!ids.length) return [];
+  const { rows } = await req.db.query(
+    `SELECT job_listing_id FROM ${DEFAULT_SCHEMA}.job_listings WHERE job_listing_id = ANY($1::int[])`,
+    [ids]
+  );
+  const found = new Set(rows.map((r) => Number(r.job_listing_id)));
+  for (const id of ids) {
+    if (!found.has(id) || !(await isJobVisible(req, id))) throw commentError("invalid_job_ids", 400, `unknown job ${id}`);
+  }
+  return ids;
+}
+
+function mentionMessage(body) {
+  const truncated = body.length > 100 ? body.substring(0, 100) + "..." : body;
+  return `You were mentioned in a comment: "${truncated}"`;
+}
+
+// ==================== READING ====================
+
+/**
+ * Comments matching `where` (on alias c) with mentions and job tags, as threads: top-level
+ * comments oldest first, each with nested `replies`. Deleted comments keep their place with
+ * a null body so the replies below them still make sense.
+ */
+async function loadThreads(db, where, params) {
+  const { rows } = await db.query(
+    `SELECT c.id, c.candidate_id, c.application_id, c.parent_id, c.body, c.author_email, c.author_name,
+            c.source, c.created_at, c.updated_at, c.edited_at, c.deleted_at,
+            COALESCE((SELECT array_agg(cj.job_listing_id ORDER BY cj.job_listing_id)
+                        FROM ${COMMENT_JOBS_TABLE} cj WHERE cj.comment_id = c.id), '{}') AS job_listing_ids,
+            COALESCE((SELECT array_agg(m.mentioned_email ORDER BY m.mentioned_email)
+                        FROM ${COMMENT_MENTIONS_TABLE} m WHERE m.comment_id = c.id), '{}') AS mentions
+       FROM ${COMMENTS_TABLE} c
+      WHERE ${where}
+      ORDER BY c.created_at ASC, c.id ASC`,
+    params
+  );
+
+  const byId = new Map();
+  for (const row of rows) {
+    const deleted = !!row.deleted_at;
+    byId.set(row.id, {
+      ...row,
+      body: deleted ? null : row.body,
+      mentions: deleted ? [] : row.mentions,
+      deleted,
+      replies: [],
+    });
+  }
+  const threads = [];
+  for (const comment of byId.values()) {
+    const parent = comment.parent_id ? byId.get(comment.parent_id) : null;
+    // Replies whose parent is outside the result (e.g. filtered by job) are shown top-level
+    if (parent) parent.replies.push(comment);
+    else threads.push(comment);
+  }
+  return threads;
+}
+
+async function loadComment(db, commentId) {
+  const { rows } = await db.query(`SELECT * FROM ${COMMENTS_TABLE} WHERE id = $1`, [commentId]);
+  return rows[0] || null;
+}
+
+// The comment as it appears in a thread (no replies)
+async function commentView(db, commentId) {
+  const [comment] = await loadThreads(db, "c.id = $1", [commentId]);
+  return comment || null;
+}
+
+// ==================== WRITING ====================
+
+/**
+ * Add a comment (or a reply) to a candidate.
+ * @param {Object} req - signed-in request (author, tenant pool, department scope)
+ * @param {Object} input
+ * @param {number} input.candidateId
+ * @param {number} [input.applicationId] - one of the candidate's applications
+ * @param {number} [input.parentId] - comment being replied to
+ * @param {string} input.body
+ * @param {number[]|string} [input.jobIds] - job listings to tag
+ * @param {string} [input.source] - "comment" unless another route writes it (e.g. "notes")
+ * @returns {Promise<Object>} the comment as returned by the list routes
+ * @throws {Error} body_required, invalid_job_ids, invalid_parent, invalid_application (400)
+ */
+async function addComment(req, { candidateId, applicationId, parentId, body, jobIds, source = "comment" }) {
+  const db = req.db;
+  const text = normalizeBody(body);
+  const tags = await normalizeJobIds(req, jobIds);
+
+  let appId = applicationId === undefined || applicationId === null || applicationId === "" ? null : Number(applicationId);
+  if (appId !== null && !Number.isInteger(appId)) throw commentError("invalid_application");
+  if (parentId !== undefined && parentId !== null && parentId !== "") {
+    const parent = Number.isInteger(Number(parentId)) ? await loadComment(db, Number(parentId)) : null;
+    if (!parent || parent.deleted_at || Number(parent.candidate_id) !== Number(candidateId)) throw commentError("invalid_parent");
+    if (appId !== null && parent.application_id !== null && Number(parent.application_id) !== appId) {
+      throw commentError("invalid_parent", 400, "reply must be on the parent's application");
+    }
+    appId = parent.application_id ?? appId;
+  }
+  if (appId !== null) {
+    const { rows } = await db.query(
+      `SELECT 1 FROM ${APP_TABLE} WHERE ${APP_PK} = $1 AND candidate_id = $2`,
+      [appId, candidateId]
+    );
+    if (!rows.length) throw commentError("invalid_application");
+  }
+
+  const authorEmail = getPrimaryEmail(req) || null;
+  const authorUserId = await getActorUserId(req);
+  const { rows } = await db.query(
+    `INSERT INTO ${COMMENTS_TABLE}
+       (candidate_id, application_id, parent_id, body, author_email, author_name, author_user_id, source)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id`,
+    [
+      candidateId,
+      appId,
+      parentId ? Number(parentId) : null,
+      text,
+      authorEmail,
+      req.session?.user?.displayName || null,
+      authorUserId,
+      source,
+    ]
+  );
+  const commentId = rows[0].id;
+
+  if (tags.length) {
+    await db.query(
+      `INSERT INTO ${COMMENT_JOBS_TABLE} (comment_id, job_listing_id)
+       SELECT $1, unnest($2::int[]) ON CONFLICT DO NOTHING`,
+      [commentId, tags]
+    );
+  }
+
+  await saveMentions(db, "comment", commentId, extractMentions(text), authorEmail || "unknown", mentionMessage(text), {
+    candidateId: Number(candidateId),
+    applicationId: appId,
+  });
+
+  emitCandidateEvent(db, req.appId, "candidate_comment_added", Number(candidateId), {
+    commentId,
+    applicationId: appId,
+    parentId: parentId ? Number(parentId) : null,
+    actor: eventActor(req),
+  });
+
+  return commentView(db, commentId);
+}
+
+// Loads the comment for an edit or delete: 404 when missing or out of scope, 403 unless the author or an admin
+async function editableComment(req, commentId) {
+  if (!Number.isFinite(commentId)) throw commentError("invalid_comment_id");
+  const comment = await loadComment(req.db, commentId);
+  if (!comment || !(await isCandidateVisible(req, comment.candidate_id))) throw commentError("not_found", 404);
+  const author = String(comment.author_email || "").toLowerCase();
+  if (!isAdmin(req) && !(author && getSessionEmails(req).includes(author))) throw commentError("forbidden", 403);
+  if (comment.deleted_at) throw commentError("comment_deleted", 409);
+  return comment;
+}
+
+// ==================== CANDIDATE COMMENTS ====================
+
+// GET /candidates/:id/comments - Comment threads of a candidate (?applicationId, ?jobId to filter)
+router.get("/candidates/:id/comments", requireVisible("candidate"), async (req, res) => {
+  try {
+    const candidateId = Number(req.params.id);
+    if (!Number.isFinite(candidateId)) return res.status(400).json({ error: "invalid_id" });
+    const params = [candidateId];
+    let where = "c.candidate_id = $1";
+    if (req.query.applicationId) {
+      params.push(Number(req.query.applicationId));
+      where += ` AND c.application_id = $${params.length}`;
+    }
+    if (req.query.jobId) {
+      params.push(Number(req.query.jobId));
+      where += ` AND EXISTS (SELECT 1 FROM ${COMMENT_JOBS_TABLE} cj WHERE cj.comment_id = c.id AND cj.job_listing_id = $${params.length})`;
+    }
+    if (params.some((p) => !Number.isFinite(p))) return res.status(400).json({ error: "invalid_filter" });
+    res.json(await loadThreads(req.db, where, params));
+  } catch (e) {
+    sendCommentError(res, e, "GET /candidates/:id/comments");
+  }
+});
+
+// POST /candidates/:id/comments - Add a comment { body, applicationId?, parentId?, jobIds? }
+router.post("/candidates/:id/comments", requireVisible("candidate"), async (req, res) => {
+  try {
+    const candidateId = Number(req.params.id);
+    if (!Number.isFinite(candidateId)) return res.status(400).json({ error: "invalid_id" });
+    const { rows } = await req.db.query(`SELECT 1 FROM ${PEOPLE_TABLE} WHERE ${PEOPLE_PK} = $1`, [candidateId]);
+    if (!rows.length) return res.status(404).json({ error: "not_found" });
+    const { body, applicationId, parentId, jobIds } = req.body || {};
+    const comment = await addComment(req, { candidateId, applicationId, parentId, body, jobIds });
+    res.status(201).json(comment);
+  } catch (e) {
+    sendCommentError(res, e, "POST /candidates/:id/comments");
+  }
+});
+
+// ==================== APPLICATION COMMENTS ====================
+
+// GET /applications/:id/comments - Comment threads of one application
+router.get("/applications/:id/comments", requireVisible("application"), async (req, res) => {
+  try {
+    const applicationId = Number(req.params.id);
+    if (!Number.isFinite(applicationId)) return res.status(400).json({ error: "invalid_id" });
+    res.json(await loadThreads(req.db, "c.application_id = $1", [applicationId]));
+  } catch (e) {
+    sendCommentError(res, e, "GET /applications/:id/comments");
+  }
+});
+
+// POST /applications/:id/comments - Add a comment on an application { body, parentId?, jobIds? }
+router.post("/applications/:id/comments", requireVisible("application"), async (req, res) => {
+  try {
+    const applicationId = Number(req.params.id);
+    if (!Number.isFinite(applicationId)) return res.status(400).json({ error: "invalid_id" });
+    const { rows } = await req.db.query(
+      `SELECT candidate_id FROM ${APP_TABLE} WHERE ${APP_PK} = $1`,
+      [applicationId]
+    );
+    if (!rows[0]?.candidate_id) return res.status(404).json({ error: "not_found" });
+    const { body, parentId, jobIds } = req.body || {};
+    const comment = await addComment(req, { candidateId: rows[0].candidate_id, applicationId, parentId, body, jobIds });
+    res.status(201).json(comment);
+  } catch (e) {
+    sendCommentError(res, e, "POST /applications/:id/comments");
+  }
+});
+
+// ==================== JOB COMMENTS ====================
+
+// GET /jobs/:id/comments - Comments tagged with a job listing (newest first, without threads)
+router.get("/jobs/:id/comments", requireVisible("job"), async (req, res) => {
+  try {
+    const jobListingId = Number(req.params.id);
+    if (!Number.isFinite(jobListingId)) return res.status(400).json({ error: "invalid_id" });
+    const params = [jobListingId];
+    const scope = await getDepartmentScope(req);
+    const where = `EXISTS (SELECT 1 FROM ${COMMENT_JOBS_TABLE} cj WHERE cj.comment_id = c.id AND cj.job_listing_id = $1)
+        AND c.deleted_at IS NULL${candidateScopeSql(scope, params, "c.candidate_id")}`;
+    const comments = await loadThreads(req.db, where, params);
+    res.json(comments.reverse());
+  } catch (e) {
+    sendCommentError(res, e, "GET /jobs/:id/comments");
+  }
+});
+
+// ==================== EDIT / DELETE ====================
+
+// PUT /comments/:commentId - Edit a comment { body?, jobIds? } (author or admin)
+router.put("/comments/:commentId", async (req, res) => {
+  try {
+    const comment = await editableComment(req, Number(req.params.commentId));
+    const { body, jobIds } = req.body || {};
+    if (body === undefined && jobIds === undefined) return res.status(400).json({ error: "no_updates_provided" });
+
+    if (body !== undefined) {
+      const text = normalizeBody(body);
+      if (text !== comment.body) {
+        await req.db.query(
+          `UPDATE ${COMMENTS_TABLE} SET body = $2, edited_at = NOW(), updated_at = NOW() WHERE id = $1`,
+          [comment.id, text]
+        );
+        // Drop mentions that were edited out, then notify only the new ones
+        const mentioned = extractMentions(text);
+        await deleteMentions(req.db, "comment", comment.id, mentioned);
+        await saveMentions(req.db, "comment", comment.id, mentioned, getPrimaryEmail(req) || "unknown", mentionMessage(text), {
+          candidateId: Number(comment.candidate_id),
+          applicationId: comment.application_id,
+        });
+      }
+    }
+
+    if (jobIds !== undefined) {
+      const tags = await normalizeJobIds(req, jobIds);
+      await req.db.query(`DELETE FROM ${COMMENT_JOBS_TABLE} WHERE comment_id = $1 AND NOT (job_listing_id = ANY($2::int[]))`, [
+        comment.id,
+        tags,
+      ]);
+      if (tags.length) {
+        await req.db.query(
+          `INSERT INTO ${COMMENT_JOBS_TABLE} (comment_id, job_listing_id)
+           SELECT $1, unnest($2::int[]) ON CONFLICT DO NOTHING`,
+          [comment.id, tags]
+        );
+      }
+      await req.db.query(`UPDATE ${COMMENTS_TABLE} SET updated_at = NOW() WHERE id = $1`, [comment.id]);
+    }
+
+    res.json(await commentView(req.db, comment.id));
+  } catch (e) {
+    sendCommentError(res, e, "PUT /comments/:commentId");
+  }
+});
+
+// DELETE /comments/:commentId - Delete a comment (author or admin); replies stay in the thread
+router.delete("/comments/:commentId", async (req, res) => {
+  try {
+    const comment = await editableComment(req, Number(req.params.commentId));
+    await req.db.query(
+      `UPDATE ${COMMENTS_TABLE} SET deleted_at = NOW(), deleted_by = $2, updated_at = NOW() WHERE id = $1`,
+      [comment.id, getPrimaryEmail(req) || null]
+    );
+    await deleteMentions(req.db, "comment", comment.id);
+    res.json({ success: true, id: comment.id });
+  } catch (e) {
+    sendCommentError(res, e, "DELETE /comments/:commentId");
+  }
+});
+
+module.exports = router;
+module.exports.addComment = addComment;
+module.exports.loadThreads = loadThreads;
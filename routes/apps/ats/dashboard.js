@@ -13,49 +13,223 @@ const {
   APP_TABLE,
   APP_PK,
 } = require("./helpers");
+const { getStageCatalog } = require("./pipelines");
+const { STAGE_EVENTS_TABLE } = require("./stageEvents");
+const {
+  JOB_LISTING_JOIN,
+  addDays,
+  normalizeReportFilters,
+  resolveReportFilters,
+  reportFilterSql,
+} = require("./reportFilters");
+const { getDepartmentScope, departmentScopeSql, scopeReportFilters } = require("./departmentScope");
 
 // ==================== DASHBOARD ====================
+const STATS_METRICS = ["applications", "interviews", "offers", "hires"];
+const STATS_INTERVALS = ["day", "week"];
+const DEFAULT_STATS_PERIOD = "last_30_days";
+const MAX_STATS_DAYS = 731;
+
+const daysBetween = (from, to) =>
+  Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000) + 1;
+
+// Monday of the week, matching date_trunc('week', ...)
+function startOfWeek(isoDate) {
+  const day = new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+  return addDays(isoDate, -((day + 6) % 7));
+}
+
+function invalidStatsQuery(detail) {
+  const err = new Error("invalid_report_filters");
+  err.status = 400;
+  err.detail = detail;
+  return err;
+}
+
+/**
+ * Parse the /dashboard/stats query: date range (from/to or period, default the last 30 days),
+ * the report filters (department, job, requisition, ...) and the series interval.
+ * @throws {Error} invalid_report_filters (status 400)
+ */
+function parseStatsQuery(query = {}) {
+  const filters = normalizeReportFilters(query);
+  if (!filters.period && !filters.from && !filters.to) filters.period = DEFAULT_STATS_PERIOD;
+  const range = resolveReportFilters(filters);
+  if (!range.to) range.to = new Date().toISOString().slice(0, 10);
+  if (!range.from) range.from = addDays(range.to, -29);
+  if (range.from > range.to) throw invalidStatsQuery("from must not be after to");
+  const days = daysBetween(range.from, range.to);
+  if (days > MAX_STATS_DAYS) throw invalidStatsQuery(`date range is limited to ${MAX_STATS_DAYS} days`);
+
+  const interval = query.interval ? String(query.interval).toLowerCase() : days <= 62 ? "day" : "week";
+  if (!STATS_INTERVALS.includes(interval)) {
+    throw invalidStatsQuery(`interval must be one of ${STATS_INTERVALS.join(", ")}`);
+  }
+  // The previous period has the same length and ends the day before `from`
+  const previous = { from: addDays(range.from, -days), to: addDays(range.from, -1) };
+  return { filters: range, interval, days, previous };
+}
+
+/**
+ * Applications received and interview/offer/hire stage entries (from the stage event log),
+ * counted once per application, for the current and previous period and per series bucket.
+ */
+async function queryStatsCounts(db, catalog, { filters, interval, previous }) {
+  const params = [previous.from, filters.to, filters.from, interval, catalog.hired, catalog.offer, catalog.interview];
+  const scopeSql = reportFilterSql({ ...filters, from: null, to: null }, params);
+  const sql = `
+    WITH scoped AS (
+      SELECT a.${APP_PK} AS application_id, a.application_date
+      FROM ${APP_TABLE} a
+      ${JOB_LISTING_JOIN}
+      WHERE TRUE${scopeSql}
+    ), events AS (
+      SELECT e.application_id, e.occurred_at, e.to_stage, e.to_status, e.from_status,
+             (e.from_stage IS NULL OR LOWER(e.from_stage) IS DISTINCT FROM LOWER(e.to_stage)) AS entered
+      FROM ${STAGE_EVENTS_TABLE} e
+      JOIN scoped s ON s.application_id = e.application_id
+      WHERE e.occurred_at >= $1::date AND e.occurred_at < $2::date + 1
+    ), facts AS (
+      SELECT application_id, application_date::timestamp AS at, 'applications' AS metric
+      FROM scoped
+      WHERE application_date >= $1::date AND application_date < $2::date + 1
+      UNION ALL
+      SELECT application_id, occurred_at,
+             CASE WHEN (LOWER(to_status) = 'hired' AND LOWER(COALESCE(from_status, '')) <> 'hired')
+                       OR (entered AND LOWER(to_stage) = ANY($5::text[])) THEN 'hires'
+                  WHEN entered AND LOWER(to_stage) = ANY($6::text[]) THEN 'offers'
+                  WHEN entered AND LOWER(to_stage) = ANY($7::text[]) THEN 'interviews'
+             END
+      FROM events
+    ), tagged AS (
+      SELECT application_id, metric, at >= $3::date AS is_current,
+             to_char(date_trunc($4, at), 'YYYY-MM-DD') AS bucket
+      FROM facts
+      WHERE metric IS NOT NULL
+    )
+    SELECT metric, is_current, bucket, GROUPING(bucket) = 1 AS is_total,
+           COUNT(DISTINCT application_id)::int AS cnt
+    FROM tagged
+    GROUP BY GROUPING SETS ((metric, is_current), (metric, is_current, bucket))
+  `;
+  const { rows } = await db.query(sql, params);
+  return rows;
+}
+
+function buildStatsSeries({ filters, interval }, rows) {
+  const step = interval === "week" ? 7 : 1;
+  const series = [];
+  const byDate = new Map();
+  for (let d = interval === "week" ? startOfWeek(filters.from) : filters.from; d <= filters.to; d = addDays(d, step)) {
+    const point = { date: d, applications: 0, interviews: 0, offers: 0, hires: 0 };
+    series.push(point);
+    byDate.set(d, point);
+  }
+  for (const row of rows) {
+    if (row.is_total || !row.is_current) continue;
+    const point = byDate.get(row.bucket);
+    if (point) point[row.metric] = row.cnt;
+  }
+  return series;
+}
+
+function buildStatsMetrics(rows) {
+  const metrics = {};
+  for (const metric of STATS_METRICS) {
+    const total = (current) =>
+      rows.find((r) => r.is_total && r.metric === metric && r.is_current === current)?.cnt || 0;
+    const current = total(true);
+    const previous = total(false);
+    metrics[metric] = {
+      current,
+      previous,
+      delta: current - previous,
+      deltaPct: previous ? Math.round(((current - previous) / previous) * 1000) / 10 : null,
+    };
+  }
+  return metrics;
+}
+
 // GET /dashboard/stats - Get dashboard statistics
+// Query: from, to (YYYY-MM-DD) or period; department, job, requisition, recruiter, source; interval=day|week
 router.get("/stats", async (req, res) => {
+  let parsed;
+  try {
+    parsed = parseStatsQuery(req.query);
+  } catch (e) {
+    return res.status(400).json({ error: e.message, detail: e.detail });
+  }
+
   try {
+    // Hiring managers only count their own departments
+    parsed.filters = scopeReportFilters(parsed.filters, await getDepartmentScope(req));
+    const { filters, interval, previous } = parsed;
+
+    // Stage names come from the pipeline templates (built-in pipeline when none are defined)
+    const catalog = await getStageCatalog(req.db);
+
+    // Department/job scoping for the point-in-time numbers (no date range)
+    const scopeParams = [];
+    const scopeSql = reportFilterSql({ ...filters, from: null, to: null }, scopeParams);
+    const scopedApps = `SELECT a.${APP_PK} FROM ${APP_TABLE} a ${JOB_LISTING_JOIN} WHERE TRUE${scopeSql}`;
+
     // Count total non-archived candidates (matching /candidates endpoint logic)
     const { rows: c } = await req.db.query(`
       SELECT COUNT(*)::int AS cnt
-      FROM ${PEOPLE_TABLE}
-      WHERE archived = FALSE
-    `);
+      FROM ${PEOPLE_TABLE} c
+      WHERE c.archived = FALSE
+      ${scopeSql ? `AND EXISTS (SELECT 1 FROM ${APP_TABLE} sa WHERE sa.candidate_id = c.${PEOPLE_PK} AND sa.${APP_PK} IN (${scopedApps}))` : ""}
+    `, scopeParams);
 
-    // Count active candidates (those with latest stage in: applied, screening, interview, offer)
+    // Count active candidates (latest stage is a non-terminal pipeline stage)
     // This matches the People tab's "Active Pipeline" metric exactly
+    const activeParams = [...scopeParams, catalog.active, catalog.interview];
     const { rows: a } = await req.db.query(`
       WITH latest_app AS (
         SELECT DISTINCT ON (a.candidate_id) a.${APP_PK}, a.candidate_id
         FROM ${APP_TABLE} a
+        ${scopeSql ? `WHERE a.${APP_PK} IN (${scopedApps})` : ""}
         ORDER BY a.candidate_id, a.application_date DESC NULLS LAST, a.${APP_PK} DESC
       ), latest_stage AS (
         SELECT DISTINCT ON (s.application_id) s.application_id, s.stage_name
         FROM ${DEFAULT_SCHEMA}.application_stages s
         ORDER BY s.application_id, s.updated_at DESC NULLS LAST, s.stage_id DESC
       )
-      SELECT COUNT(DISTINCT c.${PEOPLE_PK})::int AS cnt
+      SELECT COUNT(DISTINCT c.${PEOPLE_PK}) FILTER (WHERE LOWER(ls.stage_name) = ANY($${activeParams.length - 1}::text[]))::int AS active,
+             COUNT(DISTINCT c.${PEOPLE_PK}) FILTER (WHERE LOWER(ls.stage_name) = ANY($${activeParams.length}::text[]))::int AS interviewing
       FROM ${PEOPLE_TABLE} c
       JOIN latest_app la ON la.candidate_id = c.${PEOPLE_PK}
       JOIN latest_stage ls ON ls.application_id = la.${APP_PK}
       WHERE c.archived = FALSE
-        AND LOWER(ls.stage_name) IN ('applied', 'screening', 'interview', 'offer')
-    `);
-
-    const { rows: interviews } = await req.db.query(
-      `SELECT COUNT(*)::int AS cnt FROM ${DEFAULT_SCHEMA}.application_stages WHERE LOWER(stage_name) LIKE '%interview%' AND LOWER(status) IN ('scheduled','active','pending')`
-    );
-    const { rows: hires } = await req.db.query(
-      `SELECT COUNT(*)::int AS cnt FROM ${DEFAULT_SCHEMA}.application_stages WHERE LOWER(status) = 'hired' AND updated_at >= NOW() - INTERVAL '30 days'`
-    );
+    `, activeParams);
+
+    const rows = await queryStatsCounts(req.db, catalog, parsed);
+    const metrics = buildStatsMetrics(rows);
+
     res.json({
       totalCandidates: c[0]?.cnt ?? 0,
-      activeApplications: a[0]?.cnt ?? 0,
-      interviewsScheduled: interviews[0]?.cnt ?? 0,
-      hiresMonth: hires[0]?.cnt ?? 0,
+      activeApplications: a[0]?.active ?? 0,
+      // Candidates currently in an interview stage
+      interviewsScheduled: a[0]?.interviewing ?? 0,
+      // Hires in the selected range (last 30 days by default)
+      hiresMonth: metrics.hires.current,
+      range: {
+        from: filters.from,
+        to: filters.to,
+        period: filters.period || null,
+        interval,
+        previousFrom: previous.from,
+        previousTo: previous.to,
+      },
+      filters: {
+        department: filters.department || [],
+        job: filters.job || [],
+        requisition: filters.requisition || [],
+        recruiter: filters.recruiter || [],
+        source: filters.source || [],
+      },
+      metrics,
+      series: buildStatsSeries(parsed, rows),
     });
   } catch (e) {
     console.error("GET /dashboard/stats error", e);
@@ -71,6 +245,7 @@ router.get("/stats", async (req, res) => {
 // GET /dashboard/recent-activity - Recent application and stage activity
 router.get("/recent-activity", async (req, res) => {
   try {
+    const params = [];
     const sql = `
       SELECT s.updated_at, s.stage_name, s.status,
              c.${PEOPLE_PK} as candidate_id, c.first_name, c.last_name, c.email,
@@ -79,10 +254,11 @@ router.get("/recent-activity", async (req, res) => {
       JOIN ${APP_TABLE} a ON a.${APP_PK} = s.application_id
       JOIN ${PEOPLE_TABLE} c ON c.${PEOPLE_PK} = a.candidate_id
       LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON (a.job_requisition_id IS NOT NULL AND jl.job_requisition_id = a.job_requisition_id)
+      WHERE TRUE${departmentScopeSql(await getDepartmentScope(req), params)}
       ORDER BY s.updated_at DESC NULLS LAST, s.stage_id DESC
       LIMIT 10
     `;
-    const { rows } = await req.db.query(sql);
+    const { rows } = await req.db.query(sql, params);
     const out = rows.map((r) => ({
       candidate_id: r.candidate_id,
       candidate_email: r.email,
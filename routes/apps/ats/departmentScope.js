@@ -0,0 +1,227 @@
+/**
+ * Department-Scoped Visibility
+ * Users without the "departments:all" permission only see the job listings, applications and
+ * candidates of the departments they belong to (department_members, matched on the session
+ * emails). Recruiters and admins hold "departments:all" and see everything.
+ *
+ * A scope is null (unrestricted) or the list of the user's department names, lower-cased and
+ * trimmed the way job_listings.department is compared everywhere else. A candidate is visible
+ * when any of their applications is for a job in scope; candidates without applications are
+ * only visible to unrestricted users.
+ *
+ * Out-of-scope records answer 404 not_found, as if they did not exist.
+ */
+
+const { DEFAULT_SCHEMA, APP_TABLE, APP_PK, getSessionEmails } = require("./helpers");
+const { ensurePermissions, hasPermission, permissionsForEmails, permissionGranted } = require("./permissions");
+
+const GLOBAL_PERMISSION = "departments:all";
+
+/**
+ * Lower-cased names of the departments the given emails are members of.
+ * @returns {Promise<string[]>}
+ */
+async function memberDepartments(db, emails) {
+  if (!emails.length) return [];
+  const { rows } = await db.query(
+    `SELECT DISTINCT LOWER(TRIM(d.name)) AS name
+       FROM ${DEFAULT_SCHEMA}.department_members m
+       JOIN ${DEFAULT_SCHEMA}.departments d ON d.id = m.department_id
+      WHERE LOWER(m.email) = ANY($1::text[])
+        AND COALESCE(TRIM(d.name), '') <> ''`,
+    [emails]
+  );
+  return rows.map((r) => r.name);
+}
+
+/**
+ * Scope of a user who is not the current request (e.g. the owner of a scheduled report).
+ * @returns {Promise<string[]|null>}
+ */
+async function departmentScopeForEmails(db, emails) {
+  const list = emails.map((e) => String(e || "").trim().toLowerCase()).filter(Boolean);
+  if (!list.length) return [];
+  const permissions = await permissionsForEmails(db, list);
+  if (permissionGranted(permissions, GLOBAL_PERMISSION)) return null;
+  return memberDepartments(db, list);
+}
+
+/**
+ * Scope of the signed-in user, resolved once per request (req.departmentScope).
+ * Requests without a session (public job board, public applications) are not scoped; the
+ * routes that allow them are public on purpose.
+ * @returns {Promise<string[]|null>}
+ */
+async function getDepartmentScope(req) {
+  if (req.departmentScope !== undefined) return req.departmentScope;
+  let scope = null;
+  if (req.session?.user) {
+    await ensurePermissions(req);
+    if (!hasPermission(req, GLOBAL_PERMISSION)) scope = await memberDepartments(req.db, getSessionEmails(req));
+  }
+  req.departmentScope = scope;
+  return scope;
+}
+
+function inScope(scope, department) {
+  if (!scope) return true;
+  return scope.includes(String(department || "").trim().toLowerCase());
+}
+
+/**
+ * " AND ..." condition limiting a department column to the scope ("" when unrestricted).
+ * Values are appended to `params`.
+ * @param {string} deptExpr - department column, e.g. "jl.department"
+ */
+function departmentScopeSql(scope, params, deptExpr = "jl.department") {
+  if (!scope) return "";
+  params.push(scope);
+  return ` AND LOWER(TRIM(${deptExpr})) = ANY($${params.length}::text[])`;
+}
+
+/**
+ * " AND ..." condition keeping candidates with at least one application in scope.
+ * @param {string} candidateExpr - candidate id column, e.g. "c.candidate_id"
+ */
+function candidateScopeSql(scope, params, candidateExpr) {
+  if (!scope) return "";
+  params.push(scope);
+  return ` AND EXISTS (
+      SELECT 1 FROM ${APP_TABLE} sa
+        JOIN ${DEFAULT_SCHEMA}.job_listings sjl ON sjl.job_requisition_id = sa.job_requisition_id
+       WHERE sa.candidate_id = ${candidateExpr}
+         AND LOWER(TRIM(sjl.department)) = ANY($${params.length}::text[])
+    )`;
+}
+
+/**
+ * Report/dashboard filters (reportFilters.js) limited to the scope: the department filter
+ * becomes its intersection with the scope, or the scope itself when none was requested.
+ * An empty result matches nothing in reportFilterSql.
+ */
+function scopeReportFilters(filters, scope) {
+  if (!scope) return filters;
+  const requested = filters.department;
+  const department = requested
+    ? requested.filter((d) => inScope(scope, d))
+    : scope;
+  return { ...filters, department };
+}
+
+/**
+ * The subset of candidate ids visible to the request (all of them when unrestricted).
+ * @returns {Promise<number[]>}
+ */
+async function visibleCandidateIds(req, ids) {
+  const list = Array.from(new Set(ids.map(Number).filter(Number.isFinite)));
+  const scope = await getDepartmentScope(req);
+  if (!scope || !list.length) return scope ? [] : list;
+  const params = [list];
+  const { rows } = await req.db.query(
+    `SELECT c.id FROM unnest($1::int[]) WITH ORDINALITY AS c(id, ord)
+      WHERE TRUE${candidateScopeSql(scope, params, "c.id")}
+      ORDER BY c.ord`,
+    params
+  );
+  return rows.map((r) => Number(r.id));
+}
+
+async function isCandidateVisible(req, candidateId) {
+  const id = Number(candidateId);
+  if (!Number.isFinite(id)) return true; // the route answers invalid_id itself
+  return (await visibleCandidateIds(req, [id])).length > 0;
+}
+
+async function isJobVisible(req, jobListingId) {
+  const scope = await getDepartmentScope(req);
+  const id = Number(jobListingId);
+  if (!scope || !Number.isFinite(id)) return true;
+  const params = [id];
+  const { rows } = await req.db.query(
+    `SELECT 1 FROM ${DEFAULT_SCHEMA}.job_listings jl
+      WHERE jl.job_listing_id = $1${departmentScopeSql(scope, params)}`,
+    params
+  );
+  return rows.length > 0;
+}
+
+async function isApplicationVisible(req, applicationId) {
+  const scope = await getDepartmentScope(req);
+  const id = Number(applicationId);
+  if (!scope || !Number.isFinite(id)) return true;
+  const params = [id];
+  const { rows } = await req.db.query(
+    `SELECT 1 FROM ${APP_TABLE} a
+       JOIN ${DEFAULT_SCHEMA}.job_listings jl ON jl.job_requisition_id = a.job_requisition_id
+      WHERE a.${APP_PK} = $1${departmentScopeSql(scope, params)}`,
+    params
+  );
+  return rows.length > 0;
+}
+
+const VISIBILITY_CHECKS = {
+  candidate: isCandidateVisible,
+  job: isJobVisible,
+  application: isApplicationVisible,
+};
+
+async function checkVisible(kind, req, res, next, id) {
+  try {
+    if (!(await VISIBILITY_CHECKS[kind](req, id))) return res.status(404).json({ error: "not_found" });
+    return next();
+  } catch (e) {
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+}
+
+/**
+ * Middleware answering 404 not_found when the record named by a route parameter is outside
+ * the user's departments:
+ *   router.get("/candidates/:id/stages", requireVisible("candidate"), handler);
+ * @param {"candidate"|"job"|"application"} kind
+ * @param {string} [param] - route parameter holding the id (default "id")
+ */
+function requireVisible(kind, param = "id") {
+  return (req, res, next) => checkVisible(kind, req, res, next, req.params[param]);
+}
+
+// Same check as a router.param() callback: router.param("id", visibleParam("candidate"))
+function visibleParam(kind) {
+  return (req, res, next, value) => checkVisible(kind, req, res, next, value);
+}
+
+/**
+ * Middleware for job writes: body.department must be one of the user's departments (required
+ * on create, checked on update when sent), so scoped users cannot create jobs they would not
+ * see. 403 { error: "forbidden", detail: "department_out_of_scope" } otherwise.
+ */
+async function requireDepartmentInScope(req, res, next) {
+  try {
+    const scope = await getDepartmentScope(req);
+    const department = req.body?.department;
+    const checked = req.method === "POST" || department !== undefined;
+    if (scope && checked && !inScope(scope, department)) {
+      return res.status(403).json({ error: "forbidden", detail: "department_out_of_scope" });
+    }
+    return next();
+  } catch (e) {
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+}
+
+module.exports = {
+  GLOBAL_PERMISSION,
+  departmentScopeForEmails,
+  getDepartmentScope,
+  inScope,
+  departmentScopeSql,
+  candidateScopeSql,
+  scopeReportFilters,
+  visibleCandidateIds,
+  isCandidateVisible,
+  isJobVisible,
+  isApplicationVisible,
+  requireVisible,
+  visibleParam,
+  requireDepartmentInScope,
+};
@@ -0,0 +1,249 @@
+/**
+ * Email Template Rendering
+ * Stored candidate emails (email_templates / email_template_versions): the template keys and
+ * their merge fields, the lookup of the template in use (a department's override, else the
+ * default) and rendering it for a candidate inside the shared email layout.
+ *
+ * Used by the /email-templates routes (emailTemplates.js) and by services/emailService.js,
+ * which falls back to its built-in HTML when no template is stored.
+ */
+
+const {
+  DEFAULT_SCHEMA,
+  PEOPLE_TABLE,
+  PEOPLE_PK,
+  APP_TABLE,
+  APP_PK,
+} = require("./helpers");
+const { escapeHtml, renderMergeFields } = require("./mergeFields");
+
+const TEMPLATES_TABLE = `${DEFAULT_SCHEMA}.email_templates`;
+const VERSIONS_TABLE = `${DEFAULT_SCHEMA}.email_template_versions`;
+
+// Fields every template can use (from the candidate and their application's job)
+const COMMON_FIELDS = {
+  candidate_name: "Candidate's full name",
+  candidate_first_name: "Candidate's first name",
+  candidate_last_name: "Candidate's last name",
+  candidate_email: "Candidate's email address",
+  job_title: "Job title of the application",
+  department: "Department of the job",
+  recruiter_name: "Recruiter assigned to the job",
+};
+
+// Template keys, their own fields and the sample values previews use for them
+const EMAIL_TEMPLATE_KEYS = {
+  interview_reminder: {
+    label: "Interview reminder (sent the day before)",
+    fields: {
+      meeting_subject: "Meeting subject",
+      interview_date: "Interview date, e.g. Monday, March 4, 2024",
+      interview_time: "Start time",
+      interview_end_time: "End time",
+      duration_minutes: "Length in minutes",
+      location: "Meeting location (may be empty)",
+      meeting_link: "Online meeting link (may be empty)",
+      organizer_name: "Meeting organizer (may be empty)",
+      confirm_url: "Link to confirm attendance",
+      reschedule_url: "Link to ask for another time",
+      cancel_url: "Link to cancel",
+    },
+    sample: {
+      meeting_subject: "Interview",
+      interview_date: "Monday, March 4, 2024",
+      interview_time: "10:00 AM",
+      interview_end_time: "11:00 AM",
+      duration_minutes: 60,
+      location: "Microsoft Teams",
+      meeting_link: "#meeting-link",
+      organizer_name: "Alex Recruiter",
+      confirm_url: "#confirm",
+      reschedule_url: "#reschedule",
+      cancel_url: "#cancel",
+    },
+  },
+  rejection: {
+    label: "Rejection email",
+    fields: {
+      rejection_reason: "Reason code (unqualified, more-qualified, other, ...)",
+      rejection_message: "Message for the reason",
+      keep_in_touch: "Set when the reason keeps the candidate on file (use as a {{#keep_in_touch}} section)",
+      feedback_url: "Link to request feedback",
+    },
+    sample: {
+      rejection_reason: "other",
+      rejection_message: "After careful review, we have decided to move forward with other candidates for this position.",
+      keep_in_touch: false,
+      feedback_url: "#feedback",
+    },
+  },
+  application_confirmation: {
+    label: "Application received (public applications)",
+    fields: {},
+    sample: {},
+  },
+};
+
+// Merge fields a key's templates can use
+function fieldsFor(key) {
+  return { ...COMMON_FIELDS, ...(EMAIL_TEMPLATE_KEYS[key]?.fields || {}) };
+}
+
+/**
+ * Shared HTML around a template body.
+ */
+function emailLayout(subject, body) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(subject)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5; }
+        .container { background-color: #ffffff; border-radius: 8px; padding: 30px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        .header { text-align: center; margin-bottom: 30px; padding-bottom: 20px; border-bottom: 2px solid #2d5a27; }
+        .header h1 { color: #2d5a27; margin: 0; font-size: 24px; }
+        .details { background-color: #f9f9f9; border-left: 4px solid #2d5a27; padding: 20px; margin: 20px 0; border-radius: 4px; }
+        .details h2 { margin: 0 0 15px 0; color: #2d5a27; font-size: 18px; }
+        .highlight { background-color: #f0f0f0; padding: 12px; border-radius: 6px; text-align: center; font-weight: 600; color: #555; }
+        .center { text-align: center; }
+        .btn { display: inline-block; padding: 12px 24px; margin: 8px; background-color: #2d5a27; color: #ffffff; text-decoration: none; border-radius: 6px; font-weight: 600; font-size: 14px; }
+        .btn-secondary { background-color: #1976d2; }
+        .btn-danger { background-color: #d32f2f; }
+        .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+${body}
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Common merge values for a candidate (by id, else by email) and their application (the given
+ * one, else the latest), with the department whose template applies.
+ * @returns {Promise<{ values: Object, department: string|null, candidateId: number|null, applicationId: number|null }>}
+ */
+async function loadCandidateContext(db, { candidateId = null, candidateEmail = null, applicationId = null } = {}) {
+  let row = null;
+  if (candidateId || candidateEmail) {
+    const { rows } = await db.query(
+      `SELECT p.${PEOPLE_PK} AS candidate_id, p.first_name, p.last_name, p.email,
+              a.${APP_PK} AS application_id, jl.job_title, jl.department, jl.recruiter_assigned
+         FROM ${PEOPLE_TABLE} p
+         LEFT JOIN LATERAL (
+           SELECT * FROM ${APP_TABLE} a
+            WHERE a.candidate_id = p.${PEOPLE_PK} AND ($2::int IS NULL OR a.${APP_PK} = $2)
+            ORDER BY a.application_date DESC NULLS LAST, a.${APP_PK} DESC
+            LIMIT 1
+         ) a ON TRUE
+         LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON (a.job_requisition_id IS NOT NULL AND jl.job_requisition_id = a.job_requisition_id)
+        WHERE ${candidateId ? `p.${PEOPLE_PK} = $1` : "LOWER(p.email) = LOWER($1)"}
+        ORDER BY p.${PEOPLE_PK} DESC
+        LIMIT 1`,
+      [candidateId || String(candidateEmail), applicationId || null]
+    );
+    row = rows[0] || null;
+  }
+  const first = row?.first_name || "";
+  const last = row?.last_name || "";
+  const name = `${first} ${last}`.trim();
+  return {
+    values: {
+      candidate_name: name || "Candidate",
+      candidate_first_name: first || name || "Candidate",
+      candidate_last_name: last,
+      candidate_email: row?.email || candidateEmail || "",
+      job_title: row?.job_title || "the position",
+      department: row?.department || "",
+      recruiter_name: row?.recruiter_assigned || "",
+    },
+    department: row?.department || null,
+    candidateId: row?.candidate_id || null,
+    applicationId: row?.application_id || null,
+  };
+}
+
+/**
+ * Template in use for a key: the department's override, else the default.
+ * @returns {Promise<Object|null>} template row with the current version's subject/body
+ */
+async function resolveEmailTemplate(db, key, department = null) {
+  const { rows } = await db.query(
+    `SELECT t.id, t.template_key, t.department, t.current_version, v.subject, v.body
+       FROM ${TEMPLATES_TABLE} t
+       JOIN ${VERSIONS_TABLE} v ON v.template_id = t.id AND v.version = t.current_version
+      WHERE t.template_key = $1
+        AND (t.department IS NULL OR LOWER(TRIM(t.department)) IS NOT DISTINCT FROM LOWER(TRIM($2)))
+      ORDER BY t.department IS NULL
+      LIMIT 1`,
+    [key, department || null]
+  );
+  return rows[0] || null;
+}
+
+function renderContent(template, values) {
+  const subject = renderMergeFields(template.subject, values, { html: false });
+  const body = renderMergeFields(template.body, values);
+  return {
+    subject: subject.text,
+    html: emailLayout(subject.text, body.text),
+    unknownFields: Array.from(new Set([...subject.unknown, ...body.unknown])),
+  };
+}
+
+// Caller values win over the candidate's; missing ones render empty
+function mergeValues(common, values = {}) {
+  const merged = { ...common };
+  for (const [name, value] of Object.entries(values)) {
+    if (value !== undefined && value !== null) merged[name] = value;
+    else if (!(name in merged)) merged[name] = "";
+  }
+  return merged;
+}
+
+/**
+ * Render the stored template for a candidate email.
+ * @param {Object} db - tenant pool
+ * @param {string} key - interview_reminder, rejection, application_confirmation
+ * @param {Object} [context]
+ * @param {number} [context.candidateId] - or candidateEmail; fills the common fields
+ * @param {string} [context.candidateEmail]
+ * @param {number} [context.applicationId] - default: the candidate's latest application
+ * @param {string} [context.department] - template override to use (default: the job's department)
+ * @param {Object} [context.values] - the key's own fields (and overrides of common ones)
+ * @returns {Promise<{ subject, html, unknownFields, templateId, version, department }|null>} null when none is stored
+ */
+async function renderEmailTemplate(db, key, { candidateId, candidateEmail, applicationId, department, values } = {}) {
+  const candidate = await loadCandidateContext(db, { candidateId, candidateEmail, applicationId });
+  const template = await resolveEmailTemplate(db, key, department || candidate.department);
+  if (!template) return null;
+  const merged = mergeValues(candidate.values, values);
+  // Callers may only know the full name; without a stored candidate its first word is the first name
+  if (!candidate.candidateId && values?.candidate_name && !values.candidate_first_name) {
+    merged.candidate_first_name = String(values.candidate_name).trim().split(/\s+/)[0] || merged.candidate_first_name;
+  }
+  return {
+    ...renderContent(template, merged),
+    templateId: template.id,
+    version: template.current_version,
+    department: template.department,
+  };
+}
+
+module.exports = {
+  TEMPLATES_TABLE,
+  VERSIONS_TABLE,
+  COMMON_FIELDS,
+  EMAIL_TEMPLATE_KEYS,
+  fieldsFor,
+  emailLayout,
+  loadCandidateContext,
+  resolveEmailTemplate,
+  renderContent,
+  mergeValues,
+  renderEmailTemplate,
+};
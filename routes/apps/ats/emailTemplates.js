@@ -0,0 +1,321 @@
+/**
+ * Email Templates Routes Module
+ * Candidate emails stored in the database instead of code: the interview reminder, the
+ * rejection email and the application confirmation (services/emailService.js renders them
+ * through emailTemplateRenderer.js and falls back to its built-in HTML when none is stored).
+ *
+ * - One default template per key (department NULL); a department can override it
+ * - Every edit saves a new version; restoring an old version saves it again as the newest
+ * - Subject and body use {{merge}} fields (mergeFields.js). Common fields come from the
+ *   candidate and the job of their application; each key adds its own (links, interview time)
+ * - Bodies are the content of the email; rendering wraps them in the shared layout
+ *
+ * Mounted at /email-templates. Changes need email_templates:manage.
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const { getPrimaryEmail } = require("./helpers");
+const { requirePermission } = require("./permissions");
+const { isCandidateVisible } = require("./departmentScope");
+const { mergeFieldsIn } = require("./mergeFields");
+const {
+  TEMPLATES_TABLE,
+  VERSIONS_TABLE,
+  EMAIL_TEMPLATE_KEYS,
+  fieldsFor,
+  loadCandidateContext,
+  resolveEmailTemplate,
+  renderContent,
+  mergeValues,
+} = require("./emailTemplateRenderer");
+
+const MANAGE_PERMISSION = "email_templates:manage";
+
+function templateError(message, status = 400, detail) {
+  const err = new Error(message);
+  err.status = status;
+  if (detail !== undefined) err.detail = detail;
+  return err;
+}
+
+function sendTemplateError(res, e, label) {
+  if (e.status && e.status < 500) {
+    return res.status(e.status).json({ error: e.message, ...(e.detail !== undefined ? { detail: e.detail } : {}) });
+  }
+  console.error(`${label} error`, e);
+  return res.status(500).json({ error: "db_error", detail: e.message });
+}
+
+// Fields a subject/body uses that the key does not provide
+function unknownFieldsIn(key, ...parts) {
+  const fields = fieldsFor(key);
+  return Array.from(new Set(parts.flatMap((p) => mergeFieldsIn(p)))).filter((f) => !(f in fields));
+}
+
+/**
+ * Validated { subject, body } of a request body.
+ * @throws {Error} invalid_email_template (status 400)
+ */
+function normalizeContent(body = {}) {
+  const subject = typeof body.subject === "string" ? body.subject.trim() : "";
+  const text = typeof body.body === "string" ? body.body.trim() : "";
+  if (!subject || !text) throw templateError("invalid_email_template", 400, "subject and body are required");
+  if (subject.length > 500) throw templateError("invalid_email_template", 400, "subject is longer than 500 characters");
+  if (text.length > 100000) throw templateError("invalid_email_template", 400, "body is longer than 100000 characters");
+  return { subject, body: text };
+}
+
+// ==================== TEMPLATE ROUTES ====================
+
+async function loadTemplate(db, templateId) {
+  if (!Number.isInteger(templateId)) throw templateError("invalid_template_id");
+  const { rows } = await db.query(
+    `SELECT t.*, v.subject, v.body
+       FROM ${TEMPLATES_TABLE} t
+       LEFT JOIN ${VERSIONS_TABLE} v ON v.template_id = t.id AND v.version = t.current_version
+      WHERE t.id = $1`,
+    [templateId]
+  );
+  if (!rows[0]) throw templateError("not_found", 404);
+  return rows[0];
+}
+
+async function listVersions(db, templateId) {
+  const { rows } = await db.query(
+    `SELECT version, subject, comment, created_by, created_at
+       FROM ${VERSIONS_TABLE}
+      WHERE template_id = $1
+      ORDER BY version DESC`,
+    [templateId]
+  );
+  return rows;
+}
+
+/**
+ * Save a new version and make it current.
+ * @throws {Error} template_changed (409) when another edit saved the same version number first
+ */
+async function saveVersion(db, templateId, { subject, body, comment }, actor) {
+  try {
+    const { rows } = await db.query(
+      `WITH next AS (
+         SELECT COALESCE(MAX(version), 0) + 1 AS version FROM ${VERSIONS_TABLE} WHERE template_id = $1
+       ), saved AS (
+         INSERT INTO ${VERSIONS_TABLE} (template_id, version, subject, body, comment, created_by)
+         SELECT $1, next.version, $2, $3, $4, $5 FROM next
+         RETURNING version
+       )
+       UPDATE ${TEMPLATES_TABLE}
+          SET current_version = (SELECT version FROM saved), updated_by = $5, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *`,
+      [templateId, subject, body, comment || null, actor]
+    );
+    return rows[0];
+  } catch (e) {
+    if (e.code === "23505") throw templateError("template_changed", 409);
+    throw e;
+  }
+}
+
+async function templateView(db, template) {
+  const full = template.subject === undefined ? await loadTemplate(db, template.id) : template;
+  return {
+    ...full,
+    label: EMAIL_TEMPLATE_KEYS[full.template_key]?.label || full.template_key,
+    unknownFields: unknownFieldsIn(full.template_key, full.subject, full.body),
+    versions: await listVersions(db, full.id),
+  };
+}
+
+// GET /email-templates/fields - Template keys with the merge fields each can use
+router.get("/fields", requirePermission(MANAGE_PERMISSION), (req, res) => {
+  res.json(
+    Object.entries(EMAIL_TEMPLATE_KEYS).map(([key, def]) => ({
+      key,
+      label: def.label,
+      fields: fieldsFor(key),
+    }))
+  );
+});
+
+// GET /email-templates - Defaults and department overrides with their current subject (?key)
+router.get("/", requirePermission(MANAGE_PERMISSION), async (req, res) => {
+  try {
+    const params = [];
+    let where = "TRUE";
+    if (req.query.key) {
+      params.push(String(req.query.key));
+      where = `t.template_key = $${params.length}`;
+    }
+    const { rows } = await req.db.query(
+      `SELECT t.id, t.template_key, t.department, t.current_version, t.updated_by, t.updated_at, v.subject
+         FROM ${TEMPLATES_TABLE} t
+         LEFT JOIN ${VERSIONS_TABLE} v ON v.template_id = t.id AND v.version = t.current_version
+        WHERE ${where}
+        ORDER BY t.template_key, t.department IS NOT NULL, LOWER(t.department)`,
+      params
+    );
+    res.json(rows.map((r) => ({ ...r, label: EMAIL_TEMPLATE_KEYS[r.template_key]?.label || r.template_key })));
+  } catch (e) {
+    sendTemplateError(res, e, "GET /email-templates");
+  }
+});
+
+// POST /email-templates/preview - Render against a real candidate { candidateId, applicationId?, templateId? | key, subject?, body? }
+router.post("/preview", requirePermission(MANAGE_PERMISSION), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const candidateId = Number(body.candidateId);
+    if (!Number.isInteger(candidateId)) return res.status(400).json({ error: "candidate_required" });
+    if (!(await isCandidateVisible(req, candidateId))) return res.status(404).json({ error: "not_found" });
+    const applicationId = body.applicationId ? Number(body.applicationId) : null;
+    if (applicationId !== null && !Number.isInteger(applicationId)) return res.status(400).json({ error: "invalid_application" });
+
+    const candidate = await loadCandidateContext(req.db, { candidateId, applicationId });
+    if (!candidate.candidateId) return res.status(404).json({ error: "not_found" });
+    let template;
+    if (body.templateId !== undefined && body.templateId !== null) {
+      template = await loadTemplate(req.db, Number(body.templateId));
+    } else {
+      if (!EMAIL_TEMPLATE_KEYS[body.key]) return res.status(400).json({ error: "invalid_template_key" });
+      template = await resolveEmailTemplate(req.db, body.key, candidate.department);
+      if (!template) template = { id: null, template_key: body.key, department: null, current_version: null };
+    }
+    // Unsaved edits preview in place of the stored version
+    if (body.subject !== undefined || body.body !== undefined) {
+      template = { ...template, ...normalizeContent({ subject: body.subject ?? template.subject, body: body.body ?? template.body }) };
+    }
+    if (!template.subject) return res.status(404).json({ error: "not_found" });
+
+    const values = mergeValues(candidate.values, EMAIL_TEMPLATE_KEYS[template.template_key]?.sample);
+    res.json({
+      ...renderContent(template, values),
+      templateId: template.id,
+      version: template.current_version,
+      department: template.department,
+      candidateId: candidate.candidateId,
+      applicationId: candidate.applicationId,
+    });
+  } catch (e) {
+    sendTemplateError(res, e, "POST /email-templates/preview");
+  }
+});
+
+// POST /email-templates - Add a template { key, department, subject?, body? } (copies the default when no content is given)
+router.post("/", requirePermission(MANAGE_PERMISSION), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const key = body.key;
+    if (!EMAIL_TEMPLATE_KEYS[key]) return res.status(400).json({ error: "invalid_template_key" });
+    const department = typeof body.department === "string" && body.department.trim() ? body.department.trim().slice(0, 255) : null;
+
+    let content;
+    if (body.subject === undefined && body.body === undefined) {
+      const base = await resolveEmailTemplate(req.db, key, null);
+      if (!base) return res.status(400).json({ error: "invalid_email_template", detail: "subject and body are required" });
+      content = { subject: base.subject, body: base.body };
+    } else {
+      content = normalizeContent(body);
+    }
+
+    const actor = getPrimaryEmail(req) || null;
+    let created;
+    try {
+      const { rows } = await req.db.query(
+        `WITH created AS (
+           INSERT INTO ${TEMPLATES_TABLE} (template_key, department, current_version, created_by, updated_by)
+           VALUES ($1, $2, 1, $3, $3)
+           RETURNING *
+         ), saved AS (
+           INSERT INTO ${VERSIONS_TABLE} (template_id, version, subject, body, comment, created_by)
+           SELECT id, 1, $4, $5, 'Created', $3 FROM created
+         )
+         SELECT * FROM created`,
+        [key, department, actor, content.subject, content.body]
+      );
+      created = rows[0];
+    } catch (e) {
+      if (e.code === "23505") return res.status(409).json({ error: "template_exists" });
+      throw e;
+    }
+    res.status(201).json(await templateView(req.db, created));
+  } catch (e) {
+    sendTemplateError(res, e, "POST /email-templates");
+  }
+});
+
+// GET /email-templates/:templateId - Current content and version history
+router.get("/:templateId", requirePermission(MANAGE_PERMISSION), async (req, res) => {
+  try {
+    const template = await loadTemplate(req.db, Number(req.params.templateId));
+    res.json(await templateView(req.db, template));
+  } catch (e) {
+    sendTemplateError(res, e, "GET /email-templates/:templateId");
+  }
+});
+
+// PUT /email-templates/:templateId - Save a new version { subject, body, comment? }
+router.put("/:templateId", requirePermission(MANAGE_PERMISSION), async (req, res) => {
+  try {
+    const template = await loadTemplate(req.db, Number(req.params.templateId));
+    const content = normalizeContent(req.body);
+    const comment = typeof req.body?.comment === "string" ? req.body.comment.trim().slice(0, 500) : null;
+    const saved = await saveVersion(req.db, template.id, { ...content, comment }, getPrimaryEmail(req) || null);
+    res.json(await templateView(req.db, saved));
+  } catch (e) {
+    sendTemplateError(res, e, "PUT /email-templates/:templateId");
+  }
+});
+
+// GET /email-templates/:templateId/versions/:version - One version's content
+router.get("/:templateId/versions/:version", requirePermission(MANAGE_PERMISSION), async (req, res) => {
+  try {
+    const { rows } = await req.db.query(
+      `SELECT * FROM ${VERSIONS_TABLE} WHERE template_id = $1 AND version = $2`,
+      [Number(req.params.templateId) || 0, Number(req.params.version) || 0]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "not_found" });
+    res.json(rows[0]);
+  } catch (e) {
+    sendTemplateError(res, e, "GET /email-templates/:templateId/versions/:version");
+  }
+});
+
+// POST /email-templates/:templateId/versions/:version/restore - Save an old version again as the newest
+router.post("/:templateId/versions/:version/restore", requirePermission(MANAGE_PERMISSION), async (req, res) => {
+  try {
+    const template = await loadTemplate(req.db, Number(req.params.templateId));
+    const version = Number(req.params.version) || 0;
+    const { rows } = await req.db.query(
+      `SELECT subject, body FROM ${VERSIONS_TABLE} WHERE template_id = $1 AND version = $2`,
+      [template.id, version]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "not_found" });
+    const saved = await saveVersion(
+      req.db,
+      template.id,
+      { ...rows[0], comment: `Restored version ${version}` },
+      getPrimaryEmail(req) || null
+    );
+    res.json(await templateView(req.db, saved));
+  } catch (e) {
+    sendTemplateError(res, e, "POST /email-templates/:templateId/versions/:version/restore");
+  }
+});
+
+// DELETE /email-templates/:templateId - Remove a department override (its emails use the default again)
+router.delete("/:templateId", requirePermission(MANAGE_PERMISSION), async (req, res) => {
+  try {
+    const template = await loadTemplate(req.db, Number(req.params.templateId));
+    if (!template.department) return res.status(409).json({ error: "default_template", detail: "default templates can be edited but not removed" });
+    await req.db.query(`DELETE FROM ${TEMPLATES_TABLE} WHERE id = $1`, [template.id]);
+    res.json({ success: true, id: template.id });
+  } catch (e) {
+    sendTemplateError(res, e, "DELETE /email-templates/:templateId");
+  }
+});
+
+module.exports = router;
@@ -21,24 +21,14 @@ try {
     jsonrepairFn = jr.jsonrepair;
 } catch {}
 
-// --- OpenAI Client ---
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-let _openaiClient = null;
-
-function getOpenAIClient() {
-  if (!OPENAI_API_KEY) {
-    throw new Error("openai_not_configured");
-  }
-  if (!_openaiClient) {
-    try {
-      const OpenAI = require("openai");
-      _openaiClient = new OpenAI({ apiKey: OPENAI_API_KEY });
-    } catch (e) {
-      throw new Error("openai_sdk_not_installed");
-    }
-  }
-  return _openaiClient;
-}
+// --- LLM Providers ---
+// Provider selection (OpenAI / Azure OpenAI / local / fake) lives in llm.js
+const {
+  FEATURES: LLM_FEATURES,
+  complete: llmComplete,
+  getLLMStatus,
+  isLLMConfigured,
+} = require("./llm");
 
 // --- Database Schema Constants ---
 const DEFAULT_SCHEMA = process.env.DB_SCHEMA || "public";
@@ -118,30 +108,37 @@ function pickExt(originalName, contentType) {
 }
 
 // --- Admin Helpers ---
-function isAdmin(req) {
+// Every identity on the session (emails plus the usual token claims), lower-cased
+function getSessionEmails(req) {
+  const user = req.session?.user || {};
+  const emails = Array.isArray(user.emails) ? user.emails : [];
+  const extraIds = [
+    user.claims?.preferred_username,
+    user.claims?.upn,
+    user.claims?.email,
+    user.claims?.mail,
+  ].filter(Boolean);
+  const normalized = [...emails, ...extraIds]
+    .map((e) =>
+      String(e || "")
+        .trim()
+        .toLowerCase()
+    )
+    .filter(Boolean);
+  return Array.from(new Set(normalized));
+}
+
+// ADMIN_EMAILS only bootstraps access: loadPermissions (permissions.js) stops honoring it
+// once an active user holds a role with the "*" permission
+function isEnvAdmin(req) {
   try {
-    const user = req.session?.user || {};
-    const emails = Array.isArray(user.emails) ? user.emails : [];
-    const extraIds = [
-      user.claims?.preferred_username,
-      user.claims?.upn,
-      user.claims?.email,
-      user.claims?.mail,
-    ].filter(Boolean);
-    const normalized = [...emails, ...extraIds]
-      .map((e) =>
-        String(e || "")
-          .trim()
-          .toLowerCase()
-      )
-      .filter(Boolean);
-    const set = new Set(normalized);
+    const set = new Set(getSessionEmails(req));
     const ok = ADMIN_EMAILS.some((a) =>
       set.has(String(a).trim().toLowerCase())
     );
     if (!ok && process.env.ADMIN_DEBUG === "1") {
       console.warn("[ADMIN_DEBUG] isAdmin check failed", {
-        sessionEmails: normalized,
+        sessionEmails: Array.from(set),
         allowed: ADMIN_EMAILS,
       });
     }
@@ -151,6 +148,13 @@ function isAdmin(req) {
   }
 }
 
+// Admin = the "*" permission of the user's role, resolved by loadPermissions for every
+// ATS request; falls back to ADMIN_EMAILS when permissions were not loaded
+function isAdmin(req) {
+  if (req?.permissions instanceof Set) return req.permissions.has("*");
+  return isEnvAdmin(req);
+}
+
 function requireAdmin(req, res, next) {
   if (isAdmin(req)) return next();
   return res.status(403).json({ error: "forbidden" });
@@ -176,6 +180,24 @@ function getPrimaryEmail(req) {
   }
 }
 
+// app_user id of the signed-in user (upserted by email); null when unauthenticated
+async function getActorUserId(req) {
+  try {
+    const email = (req.session?.user?.emails && req.session.user.emails[0]) || null;
+    const displayName = req.session?.user?.displayName || null;
+    if (!email) return null;
+    const q = `
+      INSERT INTO ${DEFAULT_SCHEMA}.app_user (email, display_name)
+      VALUES ($1, $2)
+      ON CONFLICT (email) DO UPDATE SET display_name = COALESCE(EXCLUDED.display_name, app_user.display_name)
+      RETURNING id`;
+    const r = await req.db.query(q, [email, displayName]);
+    return r.rows[0]?.id || null;
+  } catch {
+    return null;
+  }
+}
+
 function sanitizeOwnerKey(value) {
   return String(value || "anonymous")
     .toLowerCase()
@@ -196,39 +218,73 @@ function extractMentions(text) {
   return Array.from(emails);
 }
 
+// Mention table and reference column per kind of text that can @mention people
+const MENTION_TABLES = {
+  note: { table: "note_mentions", field: "note_id" },
+  idea: { table: "idea_mentions", field: "idea_id" },
+  comment: { table: "comment_mentions", field: "comment_id" },
+};
+
+function mentionTableFor(type) {
+  const entry = MENTION_TABLES[type];
+  if (!entry) throw new Error(`unknown mention type: ${type}`);
+  return entry;
+}
+
+/**
+ * Record mentions and notify each newly mentioned email (a "<type>_mention" notification).
+ * Emails already mentioned on the reference are not notified again.
+ * @param {Object} [metadata] - extra notification metadata (e.g. { candidateId })
+ */
 async function saveMentions(
   db,
   type,
   referenceId,
   mentionedEmails,
   mentionedBy,
-  message
+  message,
+  metadata = {}
 ) {
   if (!mentionedEmails || mentionedEmails.length === 0) return;
 
-  const mentionTable = type === "note" ? "note_mentions" : "idea_mentions";
-  const referenceField = type === "note" ? "note_id" : "idea_id";
+  const { table: mentionTable, field: referenceField } = mentionTableFor(type);
+  // Required here: notifications.js depends on this module
+  const { createNotification } = require("./notifications");
 
   for (const email of mentionedEmails) {
     try {
-      await db.query(
+      const inserted = await db.query(
         `INSERT INTO ${DEFAULT_SCHEMA}.${mentionTable}(${referenceField}, mentioned_email, mentioned_by) VALUES ($1, $2, $3) ON CONFLICT (${referenceField}, mentioned_email) DO NOTHING`,
         [referenceId, email, mentionedBy]
       );
-      await db.query(
-        `INSERT INTO ${DEFAULT_SCHEMA}.notifications(user_email, type, reference_type, reference_id, message) VALUES ($1, $2, $3, $4, $5)`,
-        [email, `${type}_mention`, type, referenceId, message]
-      );
+      if (!inserted.rowCount) continue;
+      await createNotification(db, {
+        userEmail: email,
+        type: `${type}_mention`,
+        referenceType: type,
+        referenceId,
+        message,
+        metadata: { ...metadata, mentionedBy },
+      });
     } catch (e) {
       console.error(`Error saving mention for ${email}:`, e.message);
     }
   }
 }
 
-async function deleteMentions(db, type, referenceId) {
-  const mentionTable = type === "note" ? "note_mentions" : "idea_mentions";
-  const referenceField = type === "note" ? "note_id" : "idea_id";
+/**
+ * Remove the mentions of a reference, or only those not in `keep` (after an edit).
+ */
+async function deleteMentions(db, type, referenceId, keep = null) {
+  const { table: mentionTable, field: referenceField } = mentionTableFor(type);
 
+  if (keep) {
+    await db.query(
+      `DELETE FROM ${DEFAULT_SCHEMA}.${mentionTable} WHERE ${referenceField} = $1 AND NOT (LOWER(mentioned_email) = ANY($2::text[]))`,
+      [referenceId, keep.map((e) => String(e).toLowerCase())]
+    );
+    return;
+  }
   await db.query(
     `DELETE FROM ${DEFAULT_SCHEMA}.${mentionTable} WHERE ${referenceField} = $1`,
     [referenceId]
@@ -236,8 +292,7 @@ async function deleteMentions(db, type, referenceId) {
 }
 
 async function fetchMentions(db, type, referenceId) {
-  const mentionTable = type === "note" ? "note_mentions" : "idea_mentions";
-  const referenceField = type === "note" ? "note_id" : "idea_id";
+  const { table: mentionTable, field: referenceField } = mentionTableFor(type);
 
   const result = await db.query(
     `SELECT mentioned_email, mentioned_by, created_at FROM ${DEFAULT_SCHEMA}.${mentionTable} WHERE ${referenceField} = $1`,
@@ -318,10 +373,12 @@ async function ensureAdminTables(db) {
 }
 
 module.exports = {
-  // OpenAI
-  getOpenAIClient,
+  // LLM
+  LLM_FEATURES,
+  llmComplete,
+  getLLMStatus,
+  isLLMConfigured,
   jsonrepairFn,
-  OPENAI_API_KEY,
 
   // Database constants
   DEFAULT_SCHEMA,
@@ -343,6 +400,8 @@ module.exports = {
 
   // Admin
   ADMIN_EMAILS,
+  getSessionEmails,
+  isEnvAdmin,
   isAdmin,
   requireAdmin,
 
@@ -355,6 +414,7 @@ module.exports = {
 
   // User helpers
   getPrimaryEmail,
+  getActorUserId,
   sanitizeOwnerKey,
 
   // Mention helpers
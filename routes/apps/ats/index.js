@@ -1,7 +1,9 @@
 /**
  * ATS Routes Orchestrator
  *
- * This is the new modular entry point for the ATS API routes.
+ * This is the modular entry point for the ATS API routes; app.js serves it in
+ * preference to the legacy routes/apps/ats.js, which now only supplies the
+ * scoring/view-model helpers injected through initRouters().
  * It imports individual route modules and mounts them on the main router.
  *
  * Route Structure:
@@ -13,9 +15,15 @@
  *   /reports/*       -> reports.js
  *   /skills/*        -> skills.js
  *   /preferences/*   -> preferences.js
+ *   /notifications/* -> notifications.js
  *   /dashboard/*     -> dashboard.js
  *   /public/*        -> public.js
  *   /rejection-*     -> rejection.js
+ *   /candidates/:id/comments, /applications/:id/comments, /jobs/:id/comments, /comments/* -> comments.js
+ *   /jobs/:id/scorecard-templates, /scorecard-templates/*, /applications/:id/scorecards,
+ *   /candidates/:id/scorecards, /scorecards/* -> scorecards.js
+ *   /offers/*, /applications/:id/offers, /public/offers/* -> offers.js
+ *   /email-templates/* -> emailTemplates.js
  *   /health, /departments, /applicants/*, /debug/* -> misc.js
  *
  * Migration Status:
@@ -25,13 +33,33 @@
  *   [x] applications.js - Application management, file uploads, attachments
  *   [x] admin.js        - Admin operations (departments, users, roles, flags, notes, ideas)
  *   [x] graph.js        - MS Graph integration (auth, meetings, emails, users, scheduling)
- *   [x] reports.js      - Report generation (pipeline, recruiter, time-to-hire, source)
+ *   [x] reports.js      - Report generation (pipeline, recruiter, time-to-hire, time-in-stage, funnel, source)
  *   [x] skills.js       - Skills management, candidate skills
  *   [x] preferences.js  - User preferences
+ *   [x] notifications.js - Notification center (unread counts, mark-read, push, digests)
  *   [x] dashboard.js    - Dashboard statistics and activity
  *   [x] public.js       - Public applications, LinkedIn OAuth
  *   [x] rejection.js    - Rejection emails and feedback
+ *   [x] comments.js     - Threaded candidate/application comments, @mentions, job tags
+ *   [x] scorecards.js   - Interview scorecard templates, submissions, blind aggregation
+ *   [x] offers.js       - Offers, approval chains, offer letters, candidate accept/decline
+ *   [x] emailTemplates.js - Candidate email templates (versions, department overrides, preview)
  *   [x] misc.js         - Health checks, departments, debug, duplicates, reactivation
+ *
+ * Shared services (no routes of their own):
+ *   searchIndex.js / searchQuery.js - Resume full-text index and query language
+ *   scoreQueue.js                   - Durable AI score job queue (admin endpoints in admin.js)
+ *   pipelines.js / stageEvents.js   - Pipeline templates, stage moves and the transition log
+ *   bulkActions.js                  - Bulk candidate actions (POST /candidates/bulk)
+ *   realtime.js                     - Candidate events to department/requisition socket.io rooms
+ *   permissions.js                  - Role permissions from roles/users (requirePermission)
+ *   departmentScope.js              - Department-scoped visibility for users without departments:all
+ *   reportFormats.js                - Report export formats (xlsx, zipped csv, pdf)
+ *   reportFilters.js                - Report/dashboard filters (date range, department, job, ...)
+ *   audit.js                        - Append-only audit log (request IDs, recordAudit, admin queries)
+ *   trash.js                        - Confirmation tokens and restorable trash for admin delete-all
+ *   mergeFields.js                  - {{field}} rendering for stored templates (offer letters, emails)
+ *   emailTemplateRenderer.js        - Stored email template lookup and rendering (also emailService)
  */
 
 const express = require("express");
@@ -46,13 +74,41 @@ const graphRouter = require("./graph");
 const reportsRouter = require("./reports");
 const skillsRouter = require("./skills");
 const preferencesRouter = require("./preferences");
+const notificationsRouter = require("./notifications");
 const dashboardRouter = require("./dashboard");
 const publicRouter = require("./public");
 const rejectionRouter = require("./rejection");
+const commentsRouter = require("./comments");
+const scorecardsRouter = require("./scorecards");
+const offersRouter = require("./offers");
+const emailTemplatesRouter = require("./emailTemplates");
 const miscRouter = require("./misc");
 
 // Import helpers for initialization
 const helpers = require("./helpers");
+const searchIndex = require("./searchIndex");
+const scoreQueue = require("./scoreQueue");
+const permissions = require("./permissions");
+const audit = require("./audit");
+const trash = require("./trash");
+
+// Every ATS route queries the tenant pool attached by resolveApp
+router.use((req, res, next) => {
+  if (!req.appId) req.appId = "ats";
+  if (!req.db) {
+    return res
+      .status(500)
+      .json({ error: "db_not_attached", app: req.appId || "ats" });
+  }
+  next();
+});
+
+// Request IDs and a generic audit entry for every successful write (see audit.js)
+router.use(audit.assignRequestId);
+router.use(audit.auditRequests);
+
+// Resolve the signed-in user's role permissions once per request (requirePermission / isAdmin)
+router.use(permissions.loadPermissions);
 
 // Mount route modules immediately on require (not deferred to createRouter)
 // This ensures routes work when app.js does: const rtr = require('./routes/apps/ats/index.js')
@@ -65,9 +121,14 @@ router.use("/reports", reportsRouter);
 router.use("/skills", skillsRouter);  // Skills CRUD routes (/skills)
 router.use("/", skillsRouter);  // Also mount at root for /candidates/:id/skills routes (backward compat)
 router.use("/preferences", preferencesRouter);
+router.use("/notifications", notificationsRouter);
+router.use("/email-templates", emailTemplatesRouter);
 router.use("/dashboard", dashboardRouter);
 router.use("/public", publicRouter);
 router.use("/", rejectionRouter); // Rejection routes (/send-rejection-email, /rejection-feedback/*, /public/rejection-feedback/*)
+router.use("/", commentsRouter); // Comment routes (/candidates/:id/comments, /applications/:id/comments, /jobs/:id/comments, /comments/:commentId)
+router.use("/", scorecardsRouter); // Scorecard routes (/jobs/:id/scorecard-templates, /applications/:id/scorecards, /scorecards/*, ...)
+router.use("/", offersRouter); // Offer routes (/offers/*, /applications/:id/offers, /public/offers/:token)
 router.use("/", miscRouter); // Misc routes (/health, /departments, /applicants/*, /debug/*, /candidates/:id/duplicate-applications, etc.)
 
 /**
@@ -87,6 +148,12 @@ function initRouters(dependencies = {}) {
     emailService,
   } = dependencies;
 
+  // Score generation runs through the durable job queue unless a caller supplies its own enqueue
+  if (generateAndStoreCandidateScore) {
+    scoreQueue.initScoreQueue({ generateAndStoreCandidateScore });
+  }
+  const enqueueScore = enqueueCandidateScore || scoreQueue.enqueueCandidateScore;
+
   // Initialize candidates router with required functions
   if (candidatesRouter.initCandidates) {
     candidatesRouter.initCandidates({
@@ -94,7 +161,7 @@ function initRouters(dependencies = {}) {
       buildCandidateScoringContext,
       getLatestCandidateScore,
       generateAndStoreCandidateScore,
-      enqueueCandidateScore,
+      enqueueCandidateScore: enqueueScore,
       getExtractedTextForUrl,
       mapStatusToStage,
       titleCase,
@@ -104,7 +171,7 @@ function initRouters(dependencies = {}) {
   // Initialize applications router with required functions
   if (applicationsRouter.initApplications) {
     applicationsRouter.initApplications({
-      enqueueCandidateScore,
+      enqueueCandidateScore: enqueueScore,
       buildSignedUrl: dependencies.buildSignedUrl,
     });
   }
@@ -138,6 +205,20 @@ function initRouters(dependencies = {}) {
     });
   }
 
+  // Initialize offers router with email service (offer letters)
+  if (offersRouter.initOffers) {
+    offersRouter.initOffers({
+      emailService,
+    });
+  }
+
+  // Initialize reports router with email service (saved report runs)
+  if (reportsRouter.initReports) {
+    reportsRouter.initReports({
+      emailService,
+    });
+  }
+
   // Initialize misc router
   if (miscRouter.initMisc) {
     miscRouter.initMisc({
@@ -147,7 +228,26 @@ function initRouters(dependencies = {}) {
   }
 }
 
+/**
+ * Boot hook used by app.js: index application files missing from the candidate search
+ * index, start the trash purge and the score queue worker, plus the unscored-candidate
+ * backfill when a scoring provider is configured.
+ * @param {string} appId - Tenant app id (used for progress tracking)
+ * @param {Object} db - Tenant pool
+ */
+async function startBackfill(appId, db) {
+  if (!db) return;
+  searchIndex.backfillCandidateDocuments(db, { appId }).catch((e) =>
+    console.error("[SEARCH_INDEX] startup backfill failed:", e.message)
+  );
+  trash.startTrashPurge(db);
+  scoreQueue.startScoreWorker(db, { appId });
+  if (!helpers.isLLMConfigured(helpers.LLM_FEATURES.SCORING)) return;
+  scoreQueue.startScoreBackfill(appId, db);
+}
+
 // Export the router and init function
 module.exports = router;
 module.exports.initRouters = initRouters;
+module.exports.startBackfill = startBackfill;
 module.exports.helpers = helpers;
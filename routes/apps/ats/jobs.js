@@ -12,9 +12,20 @@ const {
   APP_PK,
   PEOPLE_TABLE,
   PEOPLE_PK,
-  getOpenAIClient,
-  OPENAI_API_KEY,
+  LLM_FEATURES,
+  llmComplete,
+  getLLMStatus,
 } = require("./helpers");
+const { normalizeRubric, rubricCriteria } = require("./scoringRubric");
+const { resolvePipelineForJob, allowedNextStages } = require("./pipelines");
+const { requirePermission, hasPermission } = require("./permissions");
+const {
+  getDepartmentScope,
+  departmentScopeSql,
+  visibleParam,
+  requireDepartmentInScope,
+} = require("./departmentScope");
+const { recordAudit } = require("./audit");
 
 // Dependencies injected via init
 let getLatestCandidateScore = null;
@@ -46,6 +57,9 @@ async function generateNextRequisitionId(db) {
   }
 }
 
+// /jobs/:id routes answer 404 for jobs outside the user's departments
+router.param("id", visibleParam("job"));
+
 // GET /jobs - List job listings
 router.get("/", async (req, res) => {
   try {
@@ -83,7 +97,7 @@ router.get("/", async (req, res) => {
         COALESCE(COUNT(DISTINCT a.application_id), 0)::int AS applicant_count
       FROM ${DEFAULT_SCHEMA}.job_listings jl
       LEFT JOIN ${APP_TABLE} a ON a.job_requisition_id = jl.job_requisition_id
-      WHERE ${clauses.join(" AND ")}
+      WHERE ${clauses.join(" AND ")}${departmentScopeSql(await getDepartmentScope(req), params)}
       GROUP BY jl.job_listing_id
       ORDER BY jl.created_at DESC, jl.job_listing_id DESC
     `,
@@ -133,11 +147,12 @@ router.get("/public", async (req, res) => {
 // GET /jobs/archived - List archived job listings
 router.get("/archived", async (req, res) => {
   try {
+    const params = [];
     const { rows } = await req.db.query(`
-      SELECT * FROM ${DEFAULT_SCHEMA}.job_listings
-      WHERE archived = TRUE
+      SELECT * FROM ${DEFAULT_SCHEMA}.job_listings jl
+      WHERE archived = TRUE${departmentScopeSql(await getDepartmentScope(req), params)}
       ORDER BY archived_at DESC NULLS LAST, job_listing_id DESC
-    `);
+    `, params);
     res.json(rows);
   } catch (error) {
     console.error("GET /jobs/archived error:", error);
@@ -148,9 +163,10 @@ router.get("/archived", async (req, res) => {
 // POST /jobs/ai-assist - AI assistance for job creation
 router.post("/ai-assist", async (req, res) => {
   try {
-    if (!OPENAI_API_KEY) {
+    const llm = getLLMStatus(LLM_FEATURES.JOB_ASSIST);
+    if (!llm.configured) {
       return res.status(503).json({
-        error: "OpenAI API key not configured. Please add OPENAI_API_KEY to your .env file.",
+        error: `AI provider "${llm.provider}" is not configured (${llm.error}). Check the LLM_PROVIDER settings in your .env file.`,
       });
     }
 
@@ -175,14 +191,6 @@ router.post("/ai-assist", async (req, res) => {
       .map(([k]) => k);
     const missingKeys = Object.keys(fields).filter((k) => !providedKeys.includes(k));
 
-    const modelName = process.env.OPENAI_MODEL || "gpt-4o-mini";
-    let client;
-    try {
-      client = getOpenAIClient();
-    } catch (e) {
-      return res.status(503).json({ error: e.message });
-    }
-
     const basePrompt = `You are an expert technical recruiter and copywriter. Given partial job listing input, produce:
 1. A professional, concise, inclusive Description (2-4 short paragraphs, no fluff, US spellings).
 2. A Requirements section as bullet points (each starts with '- ').
@@ -226,21 +234,20 @@ Return ONLY JSON (no markdown) matching the response schema.`;
 
     let jsonText = "";
     try {
-      const completion = await client.chat.completions.create({
-        model: modelName,
+      const completion = await llmComplete(LLM_FEATURES.JOB_ASSIST, {
         temperature: 0.4,
-        max_tokens: 768,
-        response_format: responseFormat,
+        maxTokens: 768,
+        responseFormat,
         messages: [
           { role: "system", content: basePrompt },
           { role: "user", content: userContext },
         ],
       });
-      jsonText = completion?.choices?.[0]?.message?.content || "";
+      jsonText = completion.text;
     } catch (e) {
-      console.error("OpenAI API error:", e.message, e.response?.data);
-      const errorMsg = e.response?.data?.error?.message || e.message || "OpenAI generation failed";
-      return res.status(502).json({ error: `OpenAI error: ${errorMsg}` });
+      console.error("LLM API error:", e.message, e.response?.data);
+      const errorMsg = e.response?.data?.error?.message || e.message || "AI generation failed";
+      return res.status(502).json({ error: `AI provider error (${llm.provider}): ${errorMsg}` });
     }
 
     let parsed;
@@ -286,10 +293,16 @@ Return ONLY JSON (no markdown) matching the response schema.`;
   }
 });
 
-// POST /jobs - Create job listing
-router.post("/", async (req, res) => {
+// Opening a listing (status "open") publishes it on the public job board
+const isOpenStatus = (status) => String(status || "").trim().toLowerCase() === "open";
+
+// POST /jobs - Create job listing (opening it also needs jobs:publish)
+router.post("/", requirePermission("jobs:write"), requireDepartmentInScope, async (req, res) => {
   const data = req.body || {};
   const coerceInt = (v) => (v === "" || v === undefined || v === null ? null : Number(v));
+  if (isOpenStatus(data.status ?? "open") && !hasPermission(req, "jobs:publish")) {
+    return res.status(403).json({ success: false, error: "forbidden", missing: ["jobs:publish"] });
+  }
 
   for (let attempt = 0; attempt < 5; attempt++) {
     try {
@@ -312,6 +325,7 @@ router.post("/", async (req, res) => {
         thrive_here_if: data?.thrive_here_if ?? null,
         what_you_bring: data?.what_you_bring ?? null,
         what_s3_brings: data?.what_s3_brings ?? null,
+        pipeline_id: coerceInt(data?.pipeline_id),
       };
 
       const cols = Object.keys(payload);
@@ -336,12 +350,15 @@ router.post("/", async (req, res) => {
   }
 });
 
-// PUT /jobs/:id - Update job listing
-router.put("/:id", async (req, res) => {
+// PUT /jobs/:id - Update job listing (setting status "open" also needs jobs:publish)
+router.put("/:id", requirePermission("jobs:write"), requireDepartmentInScope, async (req, res) => {
   try {
     const id = Number(req.params.id);
     const data = req.body || {};
     const coerceInt = (v) => (v === "" || v === undefined || v === null ? null : Number(v));
+    if (isOpenStatus(data.status) && !hasPermission(req, "jobs:publish")) {
+      return res.status(403).json({ success: false, error: "forbidden", missing: ["jobs:publish"] });
+    }
 
     const allowed = [
       "job_title",
@@ -360,6 +377,7 @@ router.put("/:id", async (req, res) => {
       "thrive_here_if",
       "what_you_bring",
       "what_s3_brings",
+      "pipeline_id",
     ];
 
     const sets = [];
@@ -368,7 +386,7 @@ router.put("/:id", async (req, res) => {
     allowed.forEach((k) => {
       if (Object.prototype.hasOwnProperty.call(data, k)) {
         const value =
-          k === "salary_min" || k === "salary_max"
+          k === "salary_min" || k === "salary_max" || k === "pipeline_id"
             ? coerceInt(data[k])
             : data[k] === ""
             ? null
@@ -392,10 +410,14 @@ router.put("/:id", async (req, res) => {
 });
 
 // DELETE /jobs/:id - Delete job listing
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("jobs:delete"), async (req, res) => {
   try {
     const id = Number(req.params.id);
-    await req.db.query(`DELETE FROM ${DEFAULT_SCHEMA}.job_listings WHERE job_listing_id = $1`, [id]);
+    const { rows } = await req.db.query(
+      `DELETE FROM ${DEFAULT_SCHEMA}.job_listings WHERE job_listing_id = $1 RETURNING *`,
+      [id]
+    );
+    if (rows[0]) await recordAudit(req, { action: "job.delete", entityType: "job", entityId: id, before: rows[0] });
     res.json({ success: true });
   } catch (e) {
     console.error("DELETE /jobs/:id error", e);
@@ -405,7 +427,7 @@ router.delete("/:id", async (req, res) => {
 });
 
 // POST /jobs/:id/archive - Archive job listing
-router.post("/:id/archive", async (req, res) => {
+router.post("/:id/archive", requirePermission("jobs:write"), async (req, res) => {
   try {
     const jobId = Number(req.params.id);
     const { reason } = req.body;
@@ -435,7 +457,7 @@ router.post("/:id/archive", async (req, res) => {
 });
 
 // POST /jobs/:id/restore - Restore archived job listing
-router.post("/:id/restore", async (req, res) => {
+router.post("/:id/restore", requirePermission("jobs:write"), async (req, res) => {
   try {
     const jobId = Number(req.params.id);
 
@@ -463,7 +485,7 @@ router.post("/:id/restore", async (req, res) => {
 });
 
 // DELETE /jobs/:id/permanent - Permanently delete job listing
-router.delete("/:id/permanent", async (req, res) => {
+router.delete("/:id/permanent", requirePermission("jobs:delete"), async (req, res) => {
   try {
     const jobId = Number(req.params.id);
 
@@ -471,7 +493,11 @@ router.delete("/:id/permanent", async (req, res) => {
       return res.status(400).json({ success: false, error: "Invalid job ID" });
     }
 
-    await req.db.query(`DELETE FROM ${DEFAULT_SCHEMA}.job_listings WHERE job_listing_id = $1`, [jobId]);
+    const { rows } = await req.db.query(
+      `DELETE FROM ${DEFAULT_SCHEMA}.job_listings WHERE job_listing_id = $1 RETURNING *`,
+      [jobId]
+    );
+    if (rows[0]) await recordAudit(req, { action: "job.delete", entityType: "job", entityId: jobId, before: rows[0] });
     res.json({ success: true, message: "Job listing permanently deleted" });
   } catch (error) {
     console.error("DELETE /jobs/:id/permanent error:", error);
@@ -479,6 +505,98 @@ router.delete("/:id/permanent", async (req, res) => {
   }
 });
 
+// GET /jobs/:id/pipeline - Pipeline that applies to this job (job, department or default template)
+router.get("/:id/pipeline", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: "invalid_id" });
+    const exists = await req.db.query(
+      `SELECT 1 FROM ${DEFAULT_SCHEMA}.job_listings WHERE job_listing_id = $1`,
+      [id]
+    );
+    if (!exists.rowCount) return res.status(404).json({ error: "job_not_found" });
+    const pipeline = await resolvePipelineForJob(req.db, id);
+    res.json({
+      ...pipeline,
+      stages: pipeline.stages.map((s) => ({ ...s, next: allowedNextStages(pipeline, s.name) })),
+    });
+  } catch (e) {
+    console.error("GET /jobs/:id/pipeline error", e);
+    res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// ==================== SCORING RUBRIC ====================
+
+// GET /jobs/:id/scoring-rubric - Weighted AI scoring rubric for a job
+router.get("/:id/scoring-rubric", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: "invalid_id" });
+    const { rows } = await req.db.query(
+      `SELECT job_listing_id, job_requisition_id, scoring_rubric FROM ${DEFAULT_SCHEMA}.job_listings WHERE job_listing_id = $1`,
+      [id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "job_not_found" });
+    const rubric = rows[0].scoring_rubric || null;
+    res.json({
+      job_listing_id: rows[0].job_listing_id,
+      job_requisition_id: rows[0].job_requisition_id,
+      rubric,
+      criteria: rubricCriteria(rubric),
+    });
+  } catch (e) {
+    console.error("GET /jobs/:id/scoring-rubric error", e);
+    res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// PUT /jobs/:id/scoring-rubric - Replace the rubric; scores from older revisions are regenerated on next scoring
+router.put("/:id/scoring-rubric", requirePermission("jobs:write"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: "invalid_id" });
+    const current = (
+      await req.db.query(
+        `SELECT scoring_rubric FROM ${DEFAULT_SCHEMA}.job_listings WHERE job_listing_id = $1`,
+        [id]
+      )
+    ).rows[0];
+    if (!current) return res.status(404).json({ error: "job_not_found" });
+    const username = req.session?.user?.username || req.session?.user?.displayName || "system";
+    const rubric = normalizeRubric(req.body?.rubric || req.body, {
+      previousVersion: current.scoring_rubric?.version,
+      updatedBy: username,
+    });
+    await req.db.query(
+      `UPDATE ${DEFAULT_SCHEMA}.job_listings SET scoring_rubric = $1, updated_at = NOW() WHERE job_listing_id = $2`,
+      [JSON.stringify(rubric), id]
+    );
+    res.json({ success: true, rubric, criteria: rubricCriteria(rubric) });
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message, detail: e.detail });
+    console.error("PUT /jobs/:id/scoring-rubric error", e);
+    res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// DELETE /jobs/:id/scoring-rubric - Remove the rubric (scoring falls back to generic criteria)
+router.delete("/:id/scoring-rubric", requirePermission("jobs:write"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: "invalid_id" });
+    const r = await req.db.query(
+      `UPDATE ${DEFAULT_SCHEMA}.job_listings SET scoring_rubric = NULL, updated_at = NOW() WHERE job_listing_id = $1`,
+      [id]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "job_not_found" });
+    res.json({ success: true });
+  } catch (e) {
+    console.error("DELETE /jobs/:id/scoring-rubric error", e);
+    res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
 // GET /jobs/:id/candidates - List candidates for a specific job
 router.get("/:id/candidates", async (req, res) => {
   try {
@@ -515,14 +633,18 @@ router.get("/:id/candidates", async (req, res) => {
         s.culture_fit,
         s.location_fit,
         s.rationale,
+        s.criteria_scores,
+        s.knockout_failed,
         s.created_at AS score_created_at
       FROM ${APP_TABLE} a
       LEFT JOIN ${PEOPLE_TABLE} c ON c.candidate_id = a.candidate_id
       LEFT JOIN LATERAL (
-        SELECT overall_score, experience_fit, skills_fit, culture_fit, location_fit, rationale, created_at
+        -- Prefer a score produced for this job (rubric scoring) over a generic one
+        SELECT overall_score, experience_fit, skills_fit, culture_fit, location_fit, rationale,
+               criteria_scores, knockout_failed, created_at
         FROM candidate_ai_scores cs
         WHERE cs.candidate_id = a.candidate_id
-        ORDER BY created_at DESC, id DESC
+        ORDER BY (cs.job_requisition_id IS NOT DISTINCT FROM $1) DESC, created_at DESC, id DESC
         LIMIT 1
       ) s ON true
       WHERE a.job_requisition_id = $1 AND a.candidate_id IS NOT NULL
@@ -576,6 +698,8 @@ router.get("/:id/candidates", async (req, res) => {
             culture: r.culture_fit,
             location: r.location_fit,
             rationale: r.rationale,
+            criteria: r.criteria_scores?.criteria || null,
+            knockoutFailed: !!r.knockout_failed,
             scoredAt: r.score_created_at,
           }
         : null,
@@ -591,8 +715,9 @@ router.get("/:id/candidates", async (req, res) => {
 // POST /jobs/:id/ai-rank - Ensure scores exist for all candidates of job, then return sorted list
 router.post("/:id/ai-rank", async (req, res) => {
   try {
-    if (!OPENAI_API_KEY)
-      return res.status(503).json({ error: "openai_not_configured" });
+    const llm = getLLMStatus(LLM_FEATURES.SCORING);
+    if (!llm.configured)
+      return res.status(503).json({ error: llm.error, provider: llm.provider });
     const id = Number(req.params.id);
     if (!Number.isFinite(id))
       return res.status(400).json({ error: "invalid_id" });
@@ -610,19 +735,20 @@ router.post("/:id/ai-rank", async (req, res) => {
         [jl.job_requisition_id]
       )
     ).rows.map((r) => r.candidate_id);
-    // Generate scores where missing (sequential to reduce rate-limit risk)
+    // Generate scores where missing or scored against an older rubric (sequential to reduce rate-limit risk);
+    // generateAndStoreCandidateScore returns the existing score when it is still current
+    const jobScope = { jobRequisitionId: jl.job_requisition_id };
     for (const cid of apps) {
-      const existing = await getLatestCandidateScore(req.db, cid);
-      if (!existing) {
-        try {
-          await generateAndStoreCandidateScore(req.db, cid);
-        } catch {}
-      }
+      try {
+        await generateAndStoreCandidateScore(req.db, cid, jobScope);
+      } catch {}
     }
-    // Fetch latest scores
+    // Fetch latest scores, preferring the ones tied to this job
     const scored = [];
     for (const cid of apps) {
-      const s = await getLatestCandidateScore(req.db, cid);
+      const s =
+        (await getLatestCandidateScore(req.db, cid, jobScope)) ||
+        (await getLatestCandidateScore(req.db, cid));
       if (s && s.overall_score != null) {
         scored.push({
           candidate_id: cid,
@@ -632,6 +758,8 @@ router.post("/:id/ai-rank", async (req, res) => {
           culture_fit: s.culture_fit,
           location_fit: s.location_fit,
           rationale: s.rationale,
+          criteria: s.criteria_scores?.criteria || null,
+          knockout_failed: !!s.knockout_failed,
           created_at: s.created_at,
         });
       }
@@ -0,0 +1,271 @@
+/**
+ * LLM Provider Layer
+ * Every AI feature (candidate scoring, job ai-assist, interview questions, resume parsing)
+ * goes through complete(feature, request) instead of a hard-wired OpenAI client.
+ *
+ * Providers:
+ *   openai  - api.openai.com (OPENAI_API_KEY, optional OPENAI_BASE_URL)
+ *   azure   - Azure OpenAI (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY,
+ *             AZURE_OPENAI_API_VERSION, AZURE_OPENAI_DEPLOYMENT)
+ *   local   - Any OpenAI-compatible endpoint, e.g. Ollama / vLLM / LM Studio
+ *             (LLM_LOCAL_BASE_URL, optional LLM_LOCAL_API_KEY, LLM_LOCAL_MODEL)
+ *   fake    - Deterministic offline responses generated from the JSON schema;
+ *             for tests and local development without network access
+ *
+ * Selection (per feature, falling back to the global default):
+ *   LLM_PROVIDER=openai                 default provider for every feature
+ *   LLM_PROVIDER_SCORING=fake           override for one feature
+ *   LLM_MODEL_INTERVIEW_QUESTIONS=...   model/deployment override for one feature
+ */
+
+const crypto = require("crypto");
+
+const FEATURES = {
+  SCORING: "scoring",
+  JOB_ASSIST: "job_assist",
+  INTERVIEW_QUESTIONS: "interview_questions",
+  RESUME_PARSING: "resume_parsing",
+};
+
+const envKey = (feature) => String(feature || "").toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+
+// ==================== PROVIDERS ====================
+// A provider is { isConfigured(), defaultModel(), notConfiguredError, complete(request) }.
+// complete() resolves to { text, finishReason, usage }.
+
+function loadOpenAISdk() {
+  try {
+    return require("openai");
+  } catch {
+    throw new Error("openai_sdk_not_installed");
+  }
+}
+
+// Shared chat.completions call for all OpenAI-compatible SDK clients
+async function chatCompletion(client, { model, messages, responseFormat, temperature, maxTokens }) {
+  const params = { model, messages };
+  if (temperature !== undefined) params.temperature = temperature;
+  if (maxTokens !== undefined) params.max_tokens = maxTokens;
+  if (responseFormat) params.response_format = responseFormat;
+  const completion = await client.chat.completions.create(params);
+  return {
+    text: completion?.choices?.[0]?.message?.content || "",
+    finishReason: completion?.choices?.[0]?.finish_reason || null,
+    usage: completion?.usage || null,
+  };
+}
+
+function openAIProvider() {
+  let client = null;
+  return {
+    notConfiguredError: "openai_not_configured",
+    isConfigured: () => !!process.env.OPENAI_API_KEY,
+    defaultModel: () => process.env.OPENAI_MODEL || "gpt-4o-mini",
+    complete(request) {
+      if (!client) {
+        const OpenAI = loadOpenAISdk();
+        client = new OpenAI({
+          apiKey: process.env.OPENAI_API_KEY,
+          ...(process.env.OPENAI_BASE_URL ? { baseURL: process.env.OPENAI_BASE_URL } : {}),
+        });
+      }
+      return chatCompletion(client, request);
+    },
+  };
+}
+
+function azureOpenAIProvider() {
+  let client = null;
+  return {
+    notConfiguredError: "azure_openai_not_configured",
+    isConfigured: () =>
+      !!(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY && process.env.AZURE_OPENAI_DEPLOYMENT),
+    // On Azure the "model" is the deployment name
+    defaultModel: () => process.env.AZURE_OPENAI_DEPLOYMENT,
+    complete(request) {
+      if (!client) {
+        const { AzureOpenAI } = loadOpenAISdk();
+        client = new AzureOpenAI({
+          endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+          apiKey: process.env.AZURE_OPENAI_API_KEY,
+          apiVersion: process.env.AZURE_OPENAI_API_VERSION || "2024-10-21",
+        });
+      }
+      return chatCompletion(client, request);
+    },
+  };
+}
+
+function localProvider() {
+  let client = null;
+  return {
+    notConfiguredError: "local_llm_not_configured",
+    isConfigured: () => !!process.env.LLM_LOCAL_BASE_URL,
+    defaultModel: () => process.env.LLM_LOCAL_MODEL || "llama3.1",
+    async complete(request) {
+      if (!client) {
+        const OpenAI = loadOpenAISdk();
+        client = new OpenAI({
+          baseURL: process.env.LLM_LOCAL_BASE_URL,
+          // Most local servers ignore the key but the SDK requires one
+          apiKey: process.env.LLM_LOCAL_API_KEY || "local",
+        });
+      }
+      // Many local servers reject json_schema; fall back to json_object mode
+      const responseFormat =
+        request.responseFormat && process.env.LLM_LOCAL_JSON_SCHEMA !== "1"
+          ? { type: "json_object" }
+          : request.responseFormat;
+      return chatCompletion(client, { ...request, responseFormat });
+    },
+  };
+}
+
+// Deterministic pseudo-random stream seeded from the request
+function seededRandom(seed) {
+  let counter = 0;
+  return () => {
+    const h = crypto.createHash("sha256").update(`${seed}:${counter++}`).digest();
+    return h.readUInt32BE(0) / 0xffffffff;
+  };
+}
+
+function fakeValueForSchema(schema, key, rand) {
+  const type = Array.isArray(schema?.type) ? schema.type[0] : schema?.type;
+  if (schema?.enum && schema.enum.length) {
+    return schema.enum[Math.floor(rand() * schema.enum.length) % schema.enum.length];
+  }
+  switch (type) {
+    case "object": {
+      const out = {};
+      for (const [k, sub] of Object.entries(schema.properties || {})) {
+        out[k] = fakeValueForSchema(sub, k, rand);
+      }
+      return out;
+    }
+    case "array":
+      return [0, 1, 2].map((i) => fakeValueForSchema(schema.items || { type: "string" }, `${key}_${i + 1}`, rand));
+    case "number":
+    case "integer":
+      return 40 + Math.floor(rand() * 51);
+    case "boolean":
+      return rand() >= 0.5;
+    case "string":
+    default:
+      return `Fake ${String(key || "value").replace(/_/g, " ")} ${Math.floor(rand() * 1000)}`;
+  }
+}
+
+function fakeProvider() {
+  return {
+    notConfiguredError: null,
+    isConfigured: () => true,
+    defaultModel: () => "fake-llm",
+    async complete({ model, messages, responseFormat }) {
+      const seed = crypto
+        .createHash("sha256")
+        .update(JSON.stringify({ model, messages }))
+        .digest("hex");
+      const rand = seededRandom(seed);
+      const schema = responseFormat?.json_schema?.schema;
+      let text;
+      if (schema) text = JSON.stringify(fakeValueForSchema(schema, responseFormat.json_schema.name, rand));
+      else if (responseFormat?.type === "json_object") text = JSON.stringify({ result: `fake-${seed.slice(0, 12)}` });
+      else text = `Fake response ${seed.slice(0, 12)}`;
+      return { text, finishReason: "stop", usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 } };
+    },
+  };
+}
+
+const _providerFactories = {
+  openai: openAIProvider,
+  azure: azureOpenAIProvider,
+  local: localProvider,
+  fake: fakeProvider,
+};
+const _providers = new Map();
+
+/**
+ * Register an additional provider (or replace a built-in one, e.g. in tests).
+ * @param {string} name
+ * @param {Function} factory - () => provider
+ */
+function registerProvider(name, factory) {
+  _providerFactories[name] = factory;
+  _providers.delete(name);
+}
+
+function getProvider(name) {
+  if (!_providers.has(name)) {
+    const factory = _providerFactories[name];
+    if (!factory) {
+      const err = new Error("llm_provider_unknown");
+      err.detail = `Unknown LLM provider "${name}"`;
+      throw err;
+    }
+    _providers.set(name, factory());
+  }
+  return _providers.get(name);
+}
+
+// ==================== FEATURE CONFIG ====================
+
+/**
+ * Resolve which provider and model serve a feature.
+ */
+function resolveFeatureConfig(feature) {
+  const key = envKey(feature);
+  const providerName = String(
+    process.env[`LLM_PROVIDER_${key}`] || process.env.LLM_PROVIDER || "openai"
+  )
+    .trim()
+    .toLowerCase();
+  const provider = getProvider(providerName);
+  const model = process.env[`LLM_MODEL_${key}`] || provider.defaultModel();
+  return { feature, provider: providerName, model };
+}
+
+/**
+ * @returns {{ configured: boolean, provider: string, model: string, error: string|null }}
+ */
+function getLLMStatus(feature) {
+  try {
+    const cfg = resolveFeatureConfig(feature);
+    const provider = getProvider(cfg.provider);
+    const configured = provider.isConfigured();
+    return { ...cfg, configured, error: configured ? null : provider.notConfiguredError };
+  } catch (e) {
+    return { feature, provider: null, model: null, configured: false, error: e.message };
+  }
+}
+
+function isLLMConfigured(feature) {
+  return getLLMStatus(feature).configured;
+}
+
+/**
+ * Run a chat completion for a feature.
+ * @param {string} feature - One of FEATURES
+ * @param {Object} request
+ * @param {Array} request.messages - [{ role, content }]
+ * @param {Object} [request.responseFormat] - OpenAI-style response_format (json_schema / json_object)
+ * @param {number} [request.temperature]
+ * @param {number} [request.maxTokens]
+ * @returns {Promise<{ text: string, model: string, provider: string, finishReason: string|null, usage: Object|null }>}
+ */
+async function complete(feature, request = {}) {
+  const cfg = resolveFeatureConfig(feature);
+  const provider = getProvider(cfg.provider);
+  if (!provider.isConfigured()) throw new Error(provider.notConfiguredError || "llm_not_configured");
+  const result = await provider.complete({ ...request, model: request.model || cfg.model });
+  return { ...result, model: request.model || cfg.model, provider: cfg.provider };
+}
+
+module.exports = {
+  FEATURES,
+  registerProvider,
+  resolveFeatureConfig,
+  getLLMStatus,
+  isLLMConfigured,
+  complete,
+};
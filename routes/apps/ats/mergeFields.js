@@ -0,0 +1,70 @@
+/**
+ * Merge Fields
+ * Renders {{field}} placeholders in stored templates (offer letters, candidate emails). Values
+ * are HTML-escaped unless rendered as plain text; {{{field}}} inserts a value unescaped (for
+ * generated HTML such as links). {{#field}}...{{/field}} keeps its content only when the value
+ * is set (not empty/false), {{^field}}...{{/field}} only when it is not. Unknown fields are
+ * left in place and reported so previews can flag them.
+ */
+
+const FIELD_PATTERN = /\{\{\{\s*([a-zA-Z][\w.]*)\s*\}\}\}|\{\{\s*([a-zA-Z][\w.]*)\s*\}\}/g;
+const SECTION_PATTERN = /\{\{([#^])\s*([a-zA-Z][\w.]*)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Names of the fields a template uses.
+ * @returns {string[]}
+ */
+function mergeFieldsIn(template) {
+  const names = new Set();
+  for (const match of String(template || "").matchAll(SECTION_PATTERN)) names.add(match[2]);
+  for (const match of String(template || "").matchAll(FIELD_PATTERN)) names.add(match[1] || match[2]);
+  return Array.from(names);
+}
+
+/**
+ * @param {string} template
+ * @param {Object} values - field name -> value (null/undefined render as "")
+ * @param {Object} [options]
+ * @param {boolean} [options.html=true] - escape values for HTML
+ * @returns {{ text: string, unknown: string[] }}
+ */
+function renderMergeFields(template, values, { html = true } = {}) {
+  const unknown = new Set();
+  const known = (name) => Object.prototype.hasOwnProperty.call(values, name);
+  // Sections first, outermost first for nested ones; an unknown section field counts as empty
+  let source = String(template || "");
+  for (let previous = null; previous !== source; ) {
+    previous = source;
+    source = source.replace(SECTION_PATTERN, (match, kind, name, content) => {
+      if (!known(name)) unknown.add(name);
+      const value = values[name];
+      const set = !(value === undefined || value === null || value === false || value === "" || (Array.isArray(value) && !value.length));
+      return set === (kind === "#") ? content : "";
+    });
+  }
+  const text = source.replace(FIELD_PATTERN, (match, raw, escaped) => {
+    const name = raw || escaped;
+    if (!known(name)) {
+      unknown.add(name);
+      return match;
+    }
+    const value = values[name] ?? "";
+    return html && !raw ? escapeHtml(value) : String(value);
+  });
+  return { text, unknown: Array.from(unknown) };
+}
+
+module.exports = {
+  escapeHtml,
+  mergeFieldsIn,
+  renderMergeFields,
+};
@@ -7,6 +7,9 @@
  * - Applicant history
  * - Duplicate detection
  * - Candidate reactivation suggestions
+ * - Candidate stage moves (checked against the application's pipeline, logged as stage events)
+ * - Candidate notes (appended to the comment thread, see comments.js)
+ * Stage moves and notes are pushed to the candidate's socket.io rooms (see realtime.js).
  */
 
 const express = require("express");
@@ -19,9 +22,22 @@ const {
   APP_TABLE,
   APP_PK,
   getPrimaryEmail,
+  getActorUserId,
   isAdmin,
   ensureAdminTables,
 } = require("./helpers");
+const { resolvePipelineForApplication, allowedNextStages } = require("./pipelines");
+const { applyStageChange, listStageTimeline } = require("./stageEvents");
+const { emitCandidateEvent, eventActor } = require("./realtime");
+const { addComment } = require("./comments");
+const {
+  getDepartmentScope,
+  inScope,
+  departmentScopeSql,
+  candidateScopeSql,
+  visibleCandidateIds,
+  requireVisible,
+} = require("./departmentScope");
 
 // Dependencies injected via init
 let buildCandidateVM = null;
@@ -122,6 +138,9 @@ router.get("/departments/:id/applicants", async (req, res) => {
       [deptId]
     );
     const deptName = deptRows[0]?.name || "";
+    if (!inScope(await getDepartmentScope(req), deptName)) {
+      return res.status(404).json({ error: "not_found" });
+    }
     // Find applications for jobs in that department
     const sql = `
       SELECT c.${PEOPLE_PK} as candidate_id, c.first_name, c.last_name, c.email,
@@ -143,6 +162,7 @@ router.get("/departments/:id/applicants", async (req, res) => {
 router.get("/applicants/history/:email", async (req, res) => {
   try {
     const email = req.params.email;
+    const params = [email];
     const sql = `
       SELECT c.${PEOPLE_PK} as candidate_id, c.first_name, c.last_name, c.email,
              a.${APP_PK} as application_id, a.application_date, a.job_requisition_id,
@@ -156,9 +176,9 @@ router.get("/applicants/history/:email", async (req, res) => {
         FROM ${PEOPLE_TABLE} c
         JOIN ${APP_TABLE} a ON a.candidate_id = c.${PEOPLE_PK}
         LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON (a.job_requisition_id IS NOT NULL AND jl.job_requisition_id = a.job_requisition_id)
-       WHERE LOWER(c.email) = LOWER($1)
+       WHERE LOWER(c.email) = LOWER($1)${departmentScopeSql(await getDepartmentScope(req), params)}
        ORDER BY a.application_date DESC`;
-    const { rows } = await req.db.query(sql, [email]);
+    const { rows } = await req.db.query(sql, params);
     return res.json(rows);
   } catch (e) {
     return res.status(500).json({ error: "db_error", detail: e.message });
@@ -166,7 +186,7 @@ router.get("/applicants/history/:email", async (req, res) => {
 });
 
 // ==================== DUPLICATE DETECTION ====================
-router.get("/candidates/:id/duplicate-applications", async (req, res) => {
+router.get("/candidates/:id/duplicate-applications", requireVisible("candidate"), async (req, res) => {
   try {
     const candidateId = parseInt(req.params.id, 10);
     if (!Number.isFinite(candidateId)) {
@@ -218,6 +238,7 @@ router.post("/applications/check-duplicate", async (req, res) => {
       return res.status(400).json({ error: "email_and_job_required" });
     }
 
+    const params = [email, job_requisition_id];
     const sql = `
       SELECT
         c.${PEOPLE_PK} AS candidate_id,
@@ -239,12 +260,12 @@ router.post("/applications/check-duplicate", async (req, res) => {
       INNER JOIN ${APP_TABLE} a ON a.candidate_id = c.${PEOPLE_PK}
       LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON a.job_requisition_id = jl.job_requisition_id
       WHERE LOWER(c.email) = LOWER($1)
-        AND a.job_requisition_id = $2
+        AND a.job_requisition_id = $2${departmentScopeSql(await getDepartmentScope(req), params)}
       ORDER BY a.application_date DESC
       LIMIT 1
     `;
 
-    const result = await req.db.query(sql, [email, job_requisition_id]);
+    const result = await req.db.query(sql, params);
 
     if (result.rows.length > 0) {
       const existing = result.rows[0];
@@ -276,7 +297,7 @@ router.post("/applications/check-duplicate", async (req, res) => {
 });
 
 // ==================== DEBUG ====================
-router.get("/debug/candidates/:id", async (req, res) => {
+router.get("/debug/candidates/:id", requireVisible("candidate"), async (req, res) => {
   try {
     const id = parseInt(req.params.id, 10);
     const { rows: candidate } = await req.db.query(
@@ -301,7 +322,7 @@ router.get("/debug/candidates/:id", async (req, res) => {
 });
 
 // ==================== CANDIDATE STAGES ====================
-router.get("/candidates/:id/stages", async (req, res) => {
+router.get("/candidates/:id/stages", requireVisible("candidate"), async (req, res) => {
   try {
     const id = parseInt(req.params.id, 10);
     const sql = `
@@ -317,12 +338,29 @@ router.get("/candidates/:id/stages", async (req, res) => {
   }
 });
 
+// GET /candidates/:id/stage-timeline - Stage transition history (?applicationId= to narrow)
+router.get("/candidates/:id/stage-timeline", requireVisible("candidate"), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: "invalid_id" });
+    const applicationId = req.query.applicationId ? parseInt(req.query.applicationId, 10) : null;
+    if (req.query.applicationId && !Number.isFinite(applicationId)) {
+      return res.status(400).json({ error: "invalid_application_id" });
+    }
+    const events = await listStageTimeline(req.db, id, { applicationId });
+    return res.json({ candidateId: id, events });
+  } catch (e) {
+    console.error("GET /candidates/:id/stage-timeline error", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
 // ==================== CANDIDATE UPDATES (PUT routes) ====================
 const PEOPLE_TABLE_NAME = PEOPLE_TABLE.split(".").pop();
 const APP_TABLE_NAME = APP_TABLE.split(".").pop();
 
 // PUT /candidates/:id/application - Update candidate application data
-router.put("/candidates/:id/application", async (req, res) => {
+router.put("/candidates/:id/application", requireVisible("candidate"), async (req, res) => {
   try {
     const id = Number(req.params.id);
     const data = { ...(req.body || {}) };
@@ -418,24 +456,9 @@ router.put("/candidates/:id/application", async (req, res) => {
       );
     }
 
-    // Handle notes
-    if (Object.prototype.hasOwnProperty.call(mapped, "notes") && applicationId) {
-      const notesVal = mapped.notes === "" ? null : mapped.notes;
-      const { rowCount } = await req.db.query(
-        `WITH latest AS (
-           SELECT stage_id FROM ${DEFAULT_SCHEMA}.application_stages WHERE application_id = $1 ORDER BY updated_at DESC NULLS LAST, stage_id DESC LIMIT 1
-         )
-         UPDATE ${DEFAULT_SCHEMA}.application_stages SET notes = $2, updated_at = NOW()
-         WHERE stage_id = (SELECT stage_id FROM latest)`,
-        [applicationId, notesVal]
-      );
-      if (!rowCount) {
-        await req.db.query(
-          `INSERT INTO ${DEFAULT_SCHEMA}.application_stages (application_id, stage_name, status, notes, updated_at)
-           VALUES ($1, 'Applied', 'new', $2, NOW())`,
-          [applicationId, notesVal]
-        );
-      }
+    // Notes are appended to the application's comment thread (see PUT /candidates/:id/notes)
+    if (typeof mapped.notes === "string" && mapped.notes.trim() && applicationId && candidateId) {
+      await addComment(req, { candidateId, applicationId, body: mapped.notes, source: "notes" });
     }
 
     const updatedCandidate = candidateId && buildCandidateVM
@@ -449,54 +472,93 @@ router.put("/candidates/:id/application", async (req, res) => {
 });
 
 // PUT /candidates/:id/stage - Update candidate stage
-router.put("/candidates/:id/stage", async (req, res) => {
+router.put("/candidates/:id/stage", requireVisible("candidate"), async (req, res) => {
+  let inTransaction = false;
   try {
     const candidateId = Number(req.params.id);
-    const { stage, status, notes, internalScore } = req.body || {};
-
-    const { rows } = await req.db.query(
-      `SELECT ${APP_PK} FROM ${APP_TABLE} WHERE candidate_id = $1 ORDER BY application_date DESC NULLS LAST, ${APP_PK} DESC LIMIT 1`,
-      [candidateId]
-    );
-    const appId = rows[0]?.[APP_PK];
-    if (!appId) return res.status(400).json({ success: false, error: "Missing application for candidate" });
-
-    const scoreVal = internalScore === "" || internalScore === undefined || internalScore === null
-      ? null
-      : Number(internalScore);
-
-    const upd = await req.db.query(
-      `WITH latest AS (
-         SELECT stage_id FROM ${DEFAULT_SCHEMA}.application_stages WHERE application_id = $1 ORDER BY updated_at DESC NULLS LAST, stage_id DESC LIMIT 1
-       )
-       UPDATE ${DEFAULT_SCHEMA}.application_stages
-        SET stage_name = COALESCE($2, stage_name),
-            status = COALESCE($3, status),
-            notes = COALESCE($4, notes),
-            internal_score = COALESCE($5::numeric, internal_score),
-            updated_at = NOW()
-      WHERE stage_id = (SELECT stage_id FROM latest)`,
-      [appId, stage || null, status || null, notes || null, scoreVal]
-    );
-
-    if (!upd.rowCount) {
-      await req.db.query(
-        `INSERT INTO ${DEFAULT_SCHEMA}.application_stages (application_id, stage_name, status, notes, internal_score, updated_at)
-         VALUES ($1, $2, $3, $4, $5, NOW())`,
-        [appId, stage || "Applied", status || "new", notes || null, scoreVal]
-      );
+    const { stage, status, notes, internalScore, reason } = req.body || {};
+
+    const actorUserId = await getActorUserId(req);
+    const actorLabel = getPrimaryEmail(req) || req.session?.user?.displayName || null;
+
+    // The stage row is overwritten in place; the event log keeps the history
+    await req.db.query("BEGIN");
+    inTransaction = true;
+    const change = await applyStageChange(req.db, candidateId, {
+      stage,
+      status,
+      notes,
+      internalScore,
+      reason: reason || null,
+      actorUserId,
+      actorLabel,
+    });
+    await req.db.query("COMMIT");
+    inTransaction = false;
+
+    if (change.event) {
+      emitCandidateEvent(req.db, req.appId, "candidate_stage_changed", candidateId, {
+        applicationId: change.applicationId,
+        fromStage: change.fromStage,
+        toStage: change.toStage,
+        status: change.toStatus,
+        actor: eventActor(req),
+        source: "stage_update",
+      });
+    }
+    if (notes) {
+      emitCandidateEvent(req.db, req.appId, "candidate_note_added", candidateId, {
+        applicationId: change.applicationId,
+        notes,
+        actor: eventActor(req),
+      });
     }
 
     const updatedCandidate = buildCandidateVM ? await buildCandidateVM(req.db, candidateId) : null;
     res.json({ success: true, updatedCandidate });
   } catch (e) {
+    if (inTransaction) await req.db.query("ROLLBACK").catch(() => {});
+    if (e.status === 400 || e.status === 409) {
+      return res.status(e.status).json({ success: false, error: e.message, ...(e.detail || {}) });
+    }
     console.error("PUT /candidates/:id/stage error", e);
     res.status(e.status || 500).json({ success: false, error: e.message });
   }
 });
 
-// PUT /candidates/:id/notes - Update candidate notes
-router.put("/candidates/:id/notes", async (req, res) => {
+// GET /candidates/:id/pipeline - Pipeline of the latest application with current and allowed next stages
+router.get("/candidates/:id/pipeline", requireVisible("candidate"), async (req, res) => {
+  try {
+    const candidateId = Number(req.params.id);
+    if (!Number.isFinite(candidateId)) return res.status(400).json({ error: "invalid_id" });
+    const { rows } = await req.db.query(
+      `SELECT a.${APP_PK} AS application_id,
+              (SELECT s.stage_name FROM ${DEFAULT_SCHEMA}.application_stages s
+                WHERE s.application_id = a.${APP_PK}
+                ORDER BY s.updated_at DESC NULLS LAST, s.stage_id DESC LIMIT 1) AS current_stage
+         FROM ${APP_TABLE} a
+        WHERE a.candidate_id = $1
+        ORDER BY a.application_date DESC NULLS LAST, a.${APP_PK} DESC
+        LIMIT 1`,
+      [candidateId]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "not_found" });
+    const { application_id: applicationId, current_stage: currentStage } = rows[0];
+    const pipeline = await resolvePipelineForApplication(req.db, applicationId);
+    res.json({
+      applicationId,
+      currentStage,
+      allowedStages: allowedNextStages(pipeline, currentStage),
+      pipeline,
+    });
+  } catch (e) {
+    console.error("GET /candidates/:id/pipeline error", e);
+    res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// PUT /candidates/:id/notes - Add a note to the candidate's comment thread (on the latest application)
+router.put("/candidates/:id/notes", requireVisible("candidate"), async (req, res) => {
   try {
     const candidateId = Number(req.params.id);
     const { notes } = req.body || {};
@@ -508,27 +570,23 @@ router.put("/candidates/:id/notes", async (req, res) => {
     const appId = rows[0]?.[APP_PK];
     if (!appId) return res.status(400).json({ success: false, error: "Missing application for candidate" });
 
-    const notesVal = notes === "" ? null : notes;
-    const upd = await req.db.query(
-      `WITH latest AS (
-         SELECT stage_id FROM ${DEFAULT_SCHEMA}.application_stages WHERE application_id = $1 ORDER BY updated_at DESC NULLS LAST, stage_id DESC LIMIT 1
-       )
-       UPDATE ${DEFAULT_SCHEMA}.application_stages SET notes = $2, updated_at = NOW()
-       WHERE stage_id = (SELECT stage_id FROM latest)`,
-      [appId, notesVal]
-    );
-
-    if (!upd.rowCount) {
-      await req.db.query(
-        `INSERT INTO ${DEFAULT_SCHEMA}.application_stages (application_id, stage_name, status, notes, updated_at)
-         VALUES ($1, 'Applied', 'new', $2, NOW())`,
-        [appId, notesVal]
-      );
+    // Notes are appended as comments (comments.js) instead of overwriting the stage row;
+    // an empty value no longer clears anything
+    const notesVal = typeof notes === "string" ? notes.trim() : "";
+    let comment = null;
+    if (notesVal) {
+      comment = await addComment(req, { candidateId, applicationId: appId, body: notesVal, source: "notes" });
+      emitCandidateEvent(req.db, req.appId, "candidate_note_added", candidateId, {
+        applicationId: appId,
+        notes: notesVal,
+        actor: eventActor(req),
+      });
     }
 
     const updatedCandidate = buildCandidateVM ? await buildCandidateVM(req.db, candidateId) : null;
-    res.json({ success: true, updatedCandidate });
+    res.json({ success: true, updatedCandidate, comment });
   } catch (e) {
+    if (e.status === 400) return res.status(400).json({ success: false, error: e.message, detail: e.detail });
     console.error("PUT /candidates/:id/notes error", e);
     res.status(e.status || 500).json({ success: false, error: e.message });
   }
@@ -566,10 +624,14 @@ router.get("/jobs/:id/suggested-candidates", async (req, res) => {
       WHERE job_requisition_id = $1
     `;
     const jobResult = await req.db.query(jobSql, [jobId]);
-    if (jobResult.rows.length === 0) return res.status(404).json({ error: "job_not_found" });
+    const scope = await getDepartmentScope(req);
+    if (jobResult.rows.length === 0 || !inScope(scope, jobResult.rows[0].department)) {
+      return res.status(404).json({ error: "job_not_found" });
+    }
 
     const job = jobResult.rows[0];
 
+    const params = [jobId, minScore, limit];
     const candidatesSql = `
       WITH candidate_latest_status AS (
         SELECT
@@ -595,12 +657,12 @@ router.get("/jobs/:id/suggested-candidates", async (req, res) => {
       FROM ${PEOPLE_TABLE} c
       INNER JOIN candidate_scores cs ON cs.candidate_id = c.${PEOPLE_PK}
       LEFT JOIN candidate_latest_status cls ON cls.candidate_id = c.${PEOPLE_PK}
-      WHERE c.${PEOPLE_PK} NOT IN (SELECT candidate_id FROM excluded_candidates) AND c.archived = FALSE
+      WHERE c.${PEOPLE_PK} NOT IN (SELECT candidate_id FROM excluded_candidates) AND c.archived = FALSE${candidateScopeSql(scope, params, `c.${PEOPLE_PK}`)}
       ORDER BY cs.overall_score DESC, cls.last_application_date DESC NULLS LAST
       LIMIT $3
     `;
 
-    const candidatesResult = await req.db.query(candidatesSql, [jobId, minScore, limit]);
+    const candidatesResult = await req.db.query(candidatesSql, params);
 
     const candidates = candidatesResult.rows.map((candidate) => {
       let recencyFactor = 0.5;
@@ -650,12 +712,15 @@ router.post("/jobs/:id/reactivate-candidates", async (req, res) => {
 
     const jobSql = `SELECT job_requisition_id, job_title, job_description, department, location FROM ${DEFAULT_SCHEMA}.job_listings WHERE job_requisition_id = $1`;
     const jobResult = await req.db.query(jobSql, [jobId]);
-    if (jobResult.rows.length === 0) return res.status(404).json({ error: "job_not_found" });
+    if (jobResult.rows.length === 0 || !inScope(await getDepartmentScope(req), jobResult.rows[0].department)) {
+      return res.status(404).json({ error: "job_not_found" });
+    }
 
     const job = jobResult.rows[0];
 
+    // Candidates outside the user's departments are skipped like unknown ids
     const candidatesSql = `SELECT ${PEOPLE_PK} AS candidate_id, first_name, last_name, email FROM ${PEOPLE_TABLE} WHERE ${PEOPLE_PK} = ANY($1::int[])`;
-    const candidatesResult = await req.db.query(candidatesSql, [candidate_ids]);
+    const candidatesResult = await req.db.query(candidatesSql, [await visibleCandidateIds(req, candidate_ids)]);
 
     const results = [];
     const errors = [];
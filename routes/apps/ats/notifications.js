@@ -0,0 +1,370 @@
+/**
+ * Notifications Routes Module
+ * Notification center for every signed-in user (/notifications/*): list with unread counts and
+ * pagination, mark-read, and per-user delivery settings.
+ *
+ * Notifications belong to an email (any of the session's emails matches, case-insensitively).
+ * createNotification() stores one and, unless the user turned it off, pushes it to the user's
+ * sockets ("notification" event, see services/realtime.js). Unread notifications can also go out
+ * as an hourly or daily email digest (services/notificationDigestScheduler.js).
+ *
+ * Settings live in user_preferences.preferences.notifications:
+ *   { push: true, email: "off" | "hourly" | "daily", mutedTypes: ["idea_mention", ...] }
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const realtime = require("../../../services/realtime");
+const { DEFAULT_SCHEMA, getSessionEmails } = require("./helpers");
+
+const NOTIFICATIONS_TABLE = `${DEFAULT_SCHEMA}.notifications`;
+const PREFERENCES_TABLE = `${DEFAULT_SCHEMA}.user_preferences`;
+
+const NOTIFICATION_COLUMNS = `id, type, reference_type, reference_id, message, metadata, is_read, read_at, created_at`;
+
+// Email digest frequency -> how old the oldest pending notification must be before sending
+const DIGEST_FREQUENCIES = { off: null, hourly: 1, daily: 24 };
+const DIGEST_MAX_ITEMS = 50;
+
+const DEFAULT_SETTINGS = { push: true, email: "off", mutedTypes: [] };
+
+function notificationError(message, detail) {
+  const err = new Error(message);
+  err.status = 400;
+  err.detail = detail;
+  return err;
+}
+
+/**
+ * Settings with defaults filled in.
+ * @throws {Error} invalid_settings (status 400) when `strict` and a value is unusable
+ */
+function normalizeSettings(raw, { strict = false } = {}) {
+  const input = raw && typeof raw === "object" ? raw : {};
+  const settings = { ...DEFAULT_SETTINGS };
+  if (input.push !== undefined) {
+    if (typeof input.push !== "boolean" && strict) throw notificationError("invalid_settings", "push must be a boolean");
+    settings.push = input.push !== false;
+  }
+  if (input.email !== undefined) {
+    const email = String(input.email).toLowerCase();
+    if (!(email in DIGEST_FREQUENCIES)) {
+      if (strict) throw notificationError("invalid_settings", `email must be one of ${Object.keys(DIGEST_FREQUENCIES).join(", ")}`);
+    } else {
+      settings.email = email;
+    }
+  }
+  if (input.mutedTypes !== undefined) {
+    if (!Array.isArray(input.mutedTypes) && strict) throw notificationError("invalid_settings", "mutedTypes must be an array");
+    settings.mutedTypes = Array.isArray(input.mutedTypes)
+      ? Array.from(new Set(input.mutedTypes.map((t) => String(t).trim()).filter(Boolean)))
+      : [];
+  }
+  return settings;
+}
+
+async function getNotificationSettings(db, emails) {
+  const list = emails.map((e) => String(e || "").trim().toLowerCase()).filter(Boolean);
+  if (!list.length) return { ...DEFAULT_SETTINGS };
+  const { rows } = await db.query(
+    `SELECT preferences->'notifications' AS settings
+       FROM ${PREFERENCES_TABLE}
+      WHERE LOWER(user_email) = ANY($1::text[])
+      ORDER BY array_position($1::text[], LOWER(user_email))
+      LIMIT 1`,
+    [list]
+  );
+  return normalizeSettings(rows[0]?.settings);
+}
+
+/**
+ * Replace the notification settings of one user, leaving the other preference sections alone.
+ */
+async function saveNotificationSettings(db, email, settings) {
+  const normalized = normalizeSettings(settings, { strict: true });
+  await db.query(
+    `INSERT INTO ${PREFERENCES_TABLE} (user_email, preferences, updated_at)
+     VALUES ($1, jsonb_build_object('notifications', $2::jsonb), CURRENT_TIMESTAMP)
+     ON CONFLICT (user_email)
+     DO UPDATE SET preferences = COALESCE(${PREFERENCES_TABLE}.preferences, '{}'::jsonb)
+                                 || jsonb_build_object('notifications', $2::jsonb),
+                   updated_at = CURRENT_TIMESTAMP`,
+    [email, JSON.stringify(normalized)]
+  );
+  return normalized;
+}
+
+async function countUnread(db, emails) {
+  if (!emails.length) return 0;
+  const { rows } = await db.query(
+    `SELECT COUNT(*)::int AS n FROM ${NOTIFICATIONS_TABLE}
+      WHERE LOWER(user_email) = ANY($1::text[]) AND is_read = FALSE`,
+    [emails]
+  );
+  return rows[0]?.n || 0;
+}
+
+// ==================== CREATE / PUSH ====================
+
+/**
+ * Store a notification for one user and push it to their sockets. Muted types are skipped.
+ * Never throws: failures are logged and null is returned.
+ * @param {Object} db
+ * @param {Object} notification
+ * @param {string} notification.userEmail
+ * @param {string} notification.type - e.g. "note_mention", "idea_mention"
+ * @param {string} [notification.referenceType] - e.g. "note", "idea", "candidate"
+ * @param {number} [notification.referenceId]
+ * @param {string} [notification.message]
+ * @param {Object} [notification.metadata] - anything the client needs to link to the source
+ * @param {Object} [options]
+ * @param {string} [options.appId] - socket rooms of this app (default "ats")
+ * @returns {Promise<Object|null>} the stored row
+ */
+async function createNotification(db, { userEmail, type, referenceType, referenceId, message, metadata }, { appId = "ats" } = {}) {
+  const email = String(userEmail || "").trim().toLowerCase();
+  if (!email || !type) return null;
+  try {
+    const settings = await getNotificationSettings(db, [email]);
+    if (settings.mutedTypes.includes(type)) return null;
+    const { rows } = await db.query(
+      `INSERT INTO ${NOTIFICATIONS_TABLE} (user_email, type, reference_type, reference_id, message, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6::jsonb)
+       RETURNING ${NOTIFICATION_COLUMNS}`,
+      [email, type, referenceType || null, referenceId ?? null, message || null, metadata ? JSON.stringify(metadata) : null]
+    );
+    const notification = rows[0];
+    if (settings.push && realtime.io) {
+      const unreadCount = await countUnread(db, [email]);
+      realtime.emitToUser(appId, email, "notification", { notification, unreadCount });
+    }
+    return notification;
+  } catch (e) {
+    console.error(`[notifications] create failed for ${email}:`, e.message);
+    return null;
+  }
+}
+
+// Other tabs of the same user drop their unread badges
+async function pushReadState(db, appId, emails, ids) {
+  if (!realtime.io || !emails.length) return;
+  try {
+    const settings = await getNotificationSettings(db, emails);
+    if (!settings.push) return;
+    const unreadCount = await countUnread(db, emails);
+    realtime.emitToUser(appId || "ats", emails, "notifications_read", { ids, unreadCount });
+  } catch (e) {
+    console.warn("[notifications] read push failed:", e.message);
+  }
+}
+
+// ==================== READ ====================
+
+/**
+ * One page of a user's notifications, newest first.
+ * @param {string[]} emails - the user's emails, lower-cased
+ * @param {Object} [options] - unread (only unread), type, limit (<= 100, default 25), offset
+ * @returns {Promise<{ notifications, total, unreadCount, limit, offset }>}
+ */
+async function listNotifications(db, emails, { unread = false, type, limit, offset } = {}) {
+  const pageSize = Math.max(1, Math.min(100, parseInt(limit, 10) || 25));
+  const skip = Math.max(0, parseInt(offset, 10) || 0);
+  if (!emails.length) return { notifications: [], total: 0, unreadCount: 0, limit: pageSize, offset: skip };
+  const params = [emails];
+  let where = "LOWER(user_email) = ANY($1::text[])";
+  if (unread) where += " AND is_read = FALSE";
+  if (type) {
+    params.push(String(type));
+    where += ` AND type = $${params.length}`;
+  }
+  const total = await db.query(`SELECT COUNT(*)::int AS n FROM ${NOTIFICATIONS_TABLE} WHERE ${where}`, params);
+  params.push(pageSize, skip);
+  const { rows } = await db.query(
+    `SELECT ${NOTIFICATION_COLUMNS}
+       FROM ${NOTIFICATIONS_TABLE}
+      WHERE ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return {
+    notifications: rows,
+    total: total.rows[0]?.n || 0,
+    unreadCount: await countUnread(db, emails),
+    limit: pageSize,
+    offset: skip,
+  };
+}
+
+/**
+ * Mark some (ids) or all (ids = null) of a user's notifications read.
+ * @returns {Promise<number[]>} ids that changed
+ */
+async function markNotificationsRead(db, emails, ids = null) {
+  if (!emails.length) return [];
+  const params = [emails];
+  let where = "LOWER(user_email) = ANY($1::text[]) AND is_read = FALSE";
+  if (ids) {
+    params.push(ids);
+    where += " AND id = ANY($2::int[])";
+  }
+  const { rows } = await db.query(
+    `UPDATE ${NOTIFICATIONS_TABLE} SET is_read = TRUE, read_at = NOW() WHERE ${where} RETURNING id`,
+    params
+  );
+  return rows.map((r) => r.id);
+}
+
+// ==================== EMAIL DIGESTS ====================
+
+/**
+ * Email each user whose digest is due: unread, not yet emailed notifications, when the oldest
+ * of them is older than the user's frequency. Sent notifications get emailed_at.
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+async function sendDueDigests(db, emailService) {
+  const result = { sent: 0, failed: 0 };
+  if (!emailService || !emailService.isConfigured()) return result;
+  const { rows: due } = await db.query(
+    `SELECT LOWER(n.user_email) AS email
+       FROM ${NOTIFICATIONS_TABLE} n
+       JOIN ${PREFERENCES_TABLE} p ON LOWER(p.user_email) = LOWER(n.user_email)
+      WHERE n.is_read = FALSE AND n.emailed_at IS NULL
+        AND p.preferences->'notifications'->>'email' = ANY($1::text[])
+      GROUP BY LOWER(n.user_email), p.preferences->'notifications'->>'email'
+     HAVING MIN(n.created_at) <= NOW() - (CASE p.preferences->'notifications'->>'email'
+              WHEN 'hourly' THEN ${DIGEST_FREQUENCIES.hourly} ELSE ${DIGEST_FREQUENCIES.daily} END) * INTERVAL '1 hour'`,
+    [["hourly", "daily"]]
+  );
+
+  for (const { email } of due) {
+    try {
+      const { rows } = await db.query(
+        `SELECT ${NOTIFICATION_COLUMNS}
+           FROM ${NOTIFICATIONS_TABLE}
+          WHERE LOWER(user_email) = $1 AND is_read = FALSE AND emailed_at IS NULL
+          ORDER BY created_at ASC, id ASC
+          LIMIT $2`,
+        [email, DIGEST_MAX_ITEMS]
+      );
+      if (!rows.length) continue;
+      const unreadCount = await countUnread(db, [email]);
+      await emailService.sendNotificationDigest({ to: email, notifications: rows, unreadCount });
+      await db.query(`UPDATE ${NOTIFICATIONS_TABLE} SET emailed_at = NOW() WHERE id = ANY($1::int[])`, [
+        rows.map((r) => r.id),
+      ]);
+      result.sent += 1;
+    } catch (e) {
+      result.failed += 1;
+      console.error(`[notifications] digest to ${email} failed:`, e.message);
+    }
+  }
+  return result;
+}
+
+// ==================== ROUTES ====================
+
+// GET /notifications - Current user's notifications (?unread=1, type, limit <= 100, offset)
+router.get("/", async (req, res) => {
+  try {
+    const emails = getSessionEmails(req);
+    const unread = ["1", "true"].includes(String(req.query.unread || "").toLowerCase());
+    return res.json(await listNotifications(req.db, emails, { ...req.query, unread }));
+  } catch (e) {
+    console.error("GET /notifications error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// GET /notifications/unread-count - Unread badge count
+router.get("/unread-count", async (req, res) => {
+  try {
+    return res.json({ unreadCount: await countUnread(req.db, getSessionEmails(req)) });
+  } catch (e) {
+    console.error("GET /notifications/unread-count error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// GET /notifications/settings - Delivery settings (push, email digest, muted types)
+router.get("/settings", async (req, res) => {
+  try {
+    return res.json(await getNotificationSettings(req.db, getSessionEmails(req)));
+  } catch (e) {
+    console.error("GET /notifications/settings error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// PUT /notifications/settings - Replace delivery settings
+router.put("/settings", async (req, res) => {
+  try {
+    const email = getSessionEmails(req)[0];
+    if (!email) return res.status(401).json({ error: "Not authenticated" });
+    return res.json(await saveNotificationSettings(req.db, email, req.body || {}));
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message, detail: e.detail });
+    console.error("PUT /notifications/settings error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// PUT /notifications/read-all - Mark every notification read
+router.put("/read-all", async (req, res) => {
+  try {
+    const emails = getSessionEmails(req);
+    const ids = await markNotificationsRead(req.db, emails);
+    if (ids.length) pushReadState(req.db, req.appId, emails, ids);
+    return res.json({ success: true, count: ids.length });
+  } catch (e) {
+    console.error("PUT /notifications/read-all error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// PUT /notifications/read - Mark several notifications read ({ ids: [...] })
+router.put("/read", async (req, res) => {
+  try {
+    const ids = (Array.isArray(req.body?.ids) ? req.body.ids : []).map(Number).filter(Number.isInteger);
+    if (!ids.length) return res.status(400).json({ error: "ids_required" });
+    const emails = getSessionEmails(req);
+    const changed = await markNotificationsRead(req.db, emails, ids);
+    if (changed.length) pushReadState(req.db, req.appId, emails, changed);
+    return res.json({ success: true, count: changed.length });
+  } catch (e) {
+    console.error("PUT /notifications/read error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// PUT /notifications/:id/read - Mark one notification read
+router.put("/:id/read", async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: "invalid_id" });
+    const emails = getSessionEmails(req);
+    const { rows } = await req.db.query(
+      `SELECT id FROM ${NOTIFICATIONS_TABLE} WHERE id = $1 AND LOWER(user_email) = ANY($2::text[])`,
+      [id, emails]
+    );
+    if (!rows.length) return res.status(404).json({ error: "not_found" });
+    const changed = await markNotificationsRead(req.db, emails, [id]);
+    if (changed.length) pushReadState(req.db, req.appId, emails, changed);
+    return res.json({ success: true });
+  } catch (e) {
+    console.error("PUT /notifications/:id/read error:", e);
+    return res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+module.exports = router;
+module.exports.NOTIFICATIONS_TABLE = NOTIFICATIONS_TABLE;
+module.exports.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
+module.exports.normalizeSettings = normalizeSettings;
+module.exports.getNotificationSettings = getNotificationSettings;
+module.exports.createNotification = createNotification;
+module.exports.listNotifications = listNotifications;
+module.exports.countUnread = countUnread;
+module.exports.markNotificationsRead = markNotificationsRead;
+module.exports.sendDueDigests = sendDueDigests;
@@ -0,0 +1,1045 @@
+/**
+ * Offers Routes Module
+ * Offer records for applications: compensation, start date, bonus/equity and expiry, an
+ * approval chain by role, an offer letter rendered from a template and a tokenized
+ * accept/decline page for the candidate (like the rejection feedback flow).
+ *
+ * Lifecycle (offers.status):
+ *   draft -> pending_approval -> approved -> sent -> accepted | declined | expired
+ *   any open offer -> withdrawn; a rejected approval puts the offer back to draft
+ *
+ * - Approval chains (offer_approval_chains) are ordered role names, per department with a
+ *   default chain; the chain is copied into the offer when it is submitted. Each step is
+ *   decided by a user holding that role (or an admin); an empty chain approves immediately
+ * - Letters (offer_letter_templates) use {{merge}} fields (mergeFields.js): candidate_name,
+ *   candidate_first_name, job_title, department, salary, salary_period, currency, start_date,
+ *   bonus, equity, expires_at, sender_name, offer_url
+ * - Sending emails the letter with a link to /public/offers/:token; only a hash of the token
+ *   is stored. Accepting moves the application to its pipeline's hired stage
+ *
+ * Offers follow the department scope of their application (departmentScope.js).
+ */
+
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+
+const {
+  DEFAULT_SCHEMA,
+  PEOPLE_TABLE,
+  PEOPLE_PK,
+  APP_TABLE,
+  APP_PK,
+  getPrimaryEmail,
+  isAdmin,
+  requireAdmin,
+} = require("./helpers");
+const { ROLES_TABLE, USERS_TABLE, ensurePermissions, requirePermission } = require("./permissions");
+const {
+  getDepartmentScope,
+  departmentScopeSql,
+  isApplicationVisible,
+  requireVisible,
+} = require("./departmentScope");
+const { resolvePipelineForApplication } = require("./pipelines");
+const { applyStageChange } = require("./stageEvents");
+const { emitCandidateEvent } = require("./realtime");
+const { createNotification } = require("./notifications");
+const { recordAudit } = require("./audit");
+const { escapeHtml, renderMergeFields } = require("./mergeFields");
+
+const OFFERS_TABLE = `${DEFAULT_SCHEMA}.offers`;
+const APPROVALS_TABLE = `${DEFAULT_SCHEMA}.offer_approvals`;
+const CHAINS_TABLE = `${DEFAULT_SCHEMA}.offer_approval_chains`;
+const LETTERS_TABLE = `${DEFAULT_SCHEMA}.offer_letter_templates`;
+
+const OPEN_STATUSES = ["draft", "pending_approval", "approved", "sent"];
+const SALARY_PERIODS = ["year", "month", "hour"];
+const WRITE_PERMISSION = "offers:write";
+
+const DEFAULT_EXPIRY_DAYS = (() => {
+  const n = parseInt(process.env.OFFER_DEFAULT_EXPIRY_DAYS, 10);
+  return Number.isFinite(n) && n > 0 ? n : 7;
+})();
+
+// Email service will be injected via init
+let emailService = null;
+
+function initOffers(deps) {
+  if (deps.emailService) emailService = deps.emailService;
+}
+
+function offerError(message, status = 400, detail) {
+  const err = new Error(message);
+  err.status = status;
+  if (detail !== undefined) err.detail = detail;
+  return err;
+}
+
+function sendOfferError(res, e, label) {
+  if (e.status && e.status < 500) {
+    return res.status(e.status).json({ error: e.message, ...(e.detail !== undefined ? { detail: e.detail } : {}) });
+  }
+  console.error(`${label} error`, e);
+  return res.status(500).json({ error: "db_error", detail: e.message });
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// ==================== VALIDATION ====================
+
+function optionalNumber(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw offerError("invalid_offer", 400, `${field} must be a positive number`);
+  return Math.round(n * 100) / 100;
+}
+
+function optionalText(value, max) {
+  if (value === undefined) return undefined;
+  const text = value === null ? "" : String(value).trim();
+  return text ? text.slice(0, max) : null;
+}
+
+/**
+ * Offer fields from a request body (camelCase or snake_case), as columns. Only the fields
+ * present are returned.
+ * @throws {Error} invalid_offer (status 400)
+ */
+function normalizeOfferInput(body = {}) {
+  const pick = (camel, snake) => (body[camel] !== undefined ? body[camel] : body[snake]);
+  const out = {};
+  const set = (column, value) => {
+    if (value !== undefined) out[column] = value;
+  };
+
+  set("salary", optionalNumber(body.salary, "salary"));
+  set("bonus", optionalNumber(body.bonus, "bonus"));
+  set("bonus_details", optionalText(pick("bonusDetails", "bonus_details"), 2000));
+  set("equity", optionalText(body.equity, 2000));
+  set("notes", optionalText(body.notes, 5000));
+  set("job_title", optionalText(pick("jobTitle", "job_title"), 255));
+
+  const currency = body.currency;
+  if (currency !== undefined) {
+    const code = String(currency || "").trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code)) throw offerError("invalid_offer", 400, "currency must be a 3-letter code");
+    out.currency = code;
+  }
+  const period = pick("salaryPeriod", "salary_period");
+  if (period !== undefined) {
+    if (!SALARY_PERIODS.includes(period)) throw offerError("invalid_offer", 400, `salaryPeriod must be one of ${SALARY_PERIODS.join(", ")}`);
+    out.salary_period = period;
+  }
+  const startDate = pick("startDate", "start_date");
+  if (startDate !== undefined) {
+    if (startDate && (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || Number.isNaN(new Date(startDate).getTime()))) {
+      throw offerError("invalid_offer", 400, "startDate must be YYYY-MM-DD");
+    }
+    out.start_date = startDate || null;
+  }
+  const expiresAt = pick("expiresAt", "expires_at");
+  if (expiresAt !== undefined) {
+    if (expiresAt && Number.isNaN(new Date(expiresAt).getTime())) {
+      throw offerError("invalid_offer", 400, "expiresAt must be a date or timestamp");
+    }
+    out.expires_at = expiresAt ? new Date(expiresAt) : null;
+  }
+  const letterTemplateId = pick("letterTemplateId", "letter_template_id");
+  if (letterTemplateId !== undefined) {
+    const id = letterTemplateId === null || letterTemplateId === "" ? null : Number(letterTemplateId);
+    if (id !== null && !Number.isInteger(id)) throw offerError("invalid_offer", 400, "letterTemplateId must be an id");
+    out.letter_template_id = id;
+  }
+  return out;
+}
+
+// ==================== OFFERS ====================
+
+// Sent offers past their expiry become expired (checked whenever offers are read or answered)
+async function expireOverdueOffers(db) {
+  const { rowCount } = await db.query(
+    `UPDATE ${OFFERS_TABLE}
+        SET status = 'expired', closed_at = NOW(), updated_at = NOW()
+      WHERE status = 'sent' AND expires_at IS NOT NULL AND expires_at < NOW()`
+  );
+  return rowCount;
+}
+
+async function loadOffer(req, offerId) {
+  if (!Number.isInteger(offerId)) throw offerError("invalid_offer_id");
+  await expireOverdueOffers(req.db);
+  const { rows } = await req.db.query(`SELECT * FROM ${OFFERS_TABLE} WHERE id = $1`, [offerId]);
+  const offer = rows[0];
+  if (!offer || !(await isApplicationVisible(req, offer.application_id))) throw offerError("not_found", 404);
+  return offer;
+}
+
+function offerView(offer, approvals) {
+  const { response_token_hash: tokenHash, ...rest } = offer;
+  const steps = offer.approval_steps || [];
+  return {
+    ...rest,
+    has_response_link: !!tokenHash,
+    next_approver_role: offer.status === "pending_approval" ? steps[offer.current_step] || null : null,
+    ...(approvals ? { approvals } : {}),
+  };
+}
+
+async function offerWithApprovals(db, offer) {
+  const { rows } = await db.query(
+    `SELECT round, step, role, decision, comment, decided_by, decided_at
+       FROM ${APPROVALS_TABLE}
+      WHERE offer_id = $1
+      ORDER BY round ASC, step ASC`,
+    [offer.id]
+  );
+  return offerView(offer, rows);
+}
+
+// Update an offer only while it is in one of `statuses`; 409 offer_changed when it moved on
+async function updateOffer(db, offer, statuses, sets, params = []) {
+  const { rows } = await db.query(
+    `UPDATE ${OFFERS_TABLE} SET ${[...sets, "updated_at = NOW()"].join(", ")}
+      WHERE id = $1 AND status = ANY($2::text[])
+      RETURNING *`,
+    [offer.id, statuses, ...params]
+  );
+  if (!rows[0]) throw offerError("offer_changed", 409, { status: offer.status });
+  return rows[0];
+}
+
+function requireStatus(offer, statuses) {
+  if (!statuses.includes(offer.status)) {
+    throw offerError("invalid_offer_status", 409, { status: offer.status, expected: statuses });
+  }
+}
+
+// ==================== APPROVAL CHAINS ====================
+
+/**
+ * Approval steps (role names) for a department: its own chain, else the default one.
+ * @returns {Promise<string[]>}
+ */
+async function resolveApprovalChain(db, department) {
+  const { rows } = await db.query(
+    `SELECT steps FROM ${CHAINS_TABLE}
+      WHERE department IS NULL OR LOWER(TRIM(department)) = LOWER(TRIM($1))
+      ORDER BY department IS NULL
+      LIMIT 1`,
+    [department || ""]
+  );
+  return Array.isArray(rows[0]?.steps) ? rows[0].steps : [];
+}
+
+// Role names from a request body, each an existing role (returned with the stored spelling)
+async function normalizeSteps(db, steps) {
+  if (!Array.isArray(steps)) throw offerError("invalid_approval_chain", 400, "steps must be an array of role names");
+  if (steps.length > 10) throw offerError("invalid_approval_chain", 400, "a chain allows at most 10 steps");
+  const names = steps.map((s) => String(s || "").trim()).filter(Boolean);
+  if (!names.length) return [];
+  const { rows } = await db.query(
+    `SELECT name FROM ${ROLES_TABLE} WHERE LOWER(name) = ANY($1::text[])`,
+    [names.map((n) => n.toLowerCase())]
+  );
+  const byKey = new Map(rows.map((r) => [r.name.toLowerCase(), r.name]));
+  return names.map((n) => {
+    const role = byKey.get(n.toLowerCase());
+    if (!role) throw offerError("invalid_approval_chain", 400, `unknown role ${n}`);
+    return role;
+  });
+}
+
+// Active users holding a role, to ask for their approval
+async function roleMemberEmails(db, role) {
+  const { rows } = await db.query(
+    `SELECT DISTINCT LOWER(u.email) AS email
+       FROM ${USERS_TABLE} u
+       JOIN ${ROLES_TABLE} r ON r.id = u.role_id
+      WHERE LOWER(r.name) = LOWER($1) AND u.is_active IS NOT FALSE AND COALESCE(u.email, '') <> ''`,
+    [role]
+  );
+  return rows.map((r) => r.email);
+}
+
+async function notifyOffer(req, emails, type, offer, message) {
+  for (const email of new Set(emails.filter(Boolean).map((e) => String(e).toLowerCase()))) {
+    await createNotification(
+      req.db,
+      {
+        userEmail: email,
+        type,
+        referenceType: "offer",
+        referenceId: offer.id,
+        message,
+        metadata: { offerId: offer.id, candidateId: offer.candidate_id, applicationId: offer.application_id },
+      },
+      { appId: req.appId }
+    );
+  }
+}
+
+async function requestApproval(req, offer) {
+  const role = (offer.approval_steps || [])[offer.current_step];
+  if (!role) return;
+  const emails = await roleMemberEmails(req.db, role);
+  await notifyOffer(req, emails, "offer_approval_requested", offer, `Offer for ${offer.job_title || "a position"} needs your approval (${role})`);
+}
+
+// GET /offers/approval-chains - Default and department approval chains
+router.get("/offers/approval-chains", async (req, res) => {
+  try {
+    const { rows } = await req.db.query(
+      `SELECT id, department, steps, updated_by, updated_at FROM ${CHAINS_TABLE}
+        ORDER BY department IS NOT NULL, LOWER(department)`
+    );
+    res.json(rows);
+  } catch (e) {
+    sendOfferError(res, e, "GET /offers/approval-chains");
+  }
+});
+
+// PUT /offers/approval-chains - Set a chain { department?: null for the default, steps: [role names] }
+router.put("/offers/approval-chains", requireAdmin, async (req, res) => {
+  try {
+    const department = optionalText(req.body?.department, 255) ?? null;
+    const steps = await normalizeSteps(req.db, req.body?.steps);
+    const { rows } = await req.db.query(
+      `INSERT INTO ${CHAINS_TABLE} (department, steps, updated_by, updated_at)
+       VALUES ($1, $2::jsonb, $3, NOW())
+       ON CONFLICT (COALESCE(LOWER(TRIM(department)), '')) DO UPDATE
+         SET steps = EXCLUDED.steps, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+       RETURNING id, department, steps, updated_by, updated_at`,
+      [department, JSON.stringify(steps), getPrimaryEmail(req) || null]
+    );
+    res.json(rows[0]);
+  } catch (e) {
+    sendOfferError(res, e, "PUT /offers/approval-chains");
+  }
+});
+
+// DELETE /offers/approval-chains/:chainId - Remove a department chain (the default chain stays)
+router.delete("/offers/approval-chains/:chainId", requireAdmin, async (req, res) => {
+  try {
+    const { rows } = await req.db.query(
+      `DELETE FROM ${CHAINS_TABLE} WHERE id = $1 AND department IS NOT NULL RETURNING id`,
+      [Number(req.params.chainId) || 0]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "not_found" });
+    res.json({ success: true, id: rows[0].id });
+  } catch (e) {
+    sendOfferError(res, e, "DELETE /offers/approval-chains/:chainId");
+  }
+});
+
+// ==================== LETTER TEMPLATES ====================
+
+function normalizeLetterTemplate(body = {}) {
+  const name = optionalText(body.name, 200);
+  const subject = optionalText(body.subject, 500);
+  const text = typeof body.body === "string" ? body.body.trim() : "";
+  if (!name || !subject || !text) throw offerError("invalid_letter_template", 400, "name, subject and body are required");
+  if (text.length > 50000) throw offerError("invalid_letter_template", 400, "body is longer than 50000 characters");
+  return {
+    name,
+    subject,
+    body: text,
+    department: optionalText(body.department, 255) ?? null,
+    is_default: body.isDefault === true || body.is_default === true,
+  };
+}
+
+/**
+ * Letter template for an offer: the one chosen on the offer, else the newest one of its
+ * department, else the default.
+ */
+async function resolveLetterTemplate(db, offer) {
+  const { rows } = await db.query(
+    `SELECT * FROM ${LETTERS_TABLE}
+      WHERE archived_at IS NULL
+        AND (id = $1 OR LOWER(TRIM(department)) = LOWER(TRIM($2)) OR is_default)
+      ORDER BY (id = $1) DESC, (department IS NOT NULL) DESC, updated_at DESC
+      LIMIT 1`,
+    [offer.letter_template_id || 0, offer.department || ""]
+  );
+  if (!rows[0]) throw offerError("no_letter_template", 409);
+  return rows[0];
+}
+
+function formatMoney(amount, currency) {
+  if (amount === null || amount === undefined) return "";
+  try {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency: currency || "USD" }).format(Number(amount));
+  } catch (e) {
+    return `${Number(amount).toFixed(2)} ${currency || ""}`.trim();
+  }
+}
+
+function formatDate(value, withTime = false) {
+  if (!value) return "";
+  const date = value instanceof Date ? value : new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+  return date.toLocaleString("en-US", withTime ? { dateStyle: "long", timeStyle: "short" } : { dateStyle: "long" });
+}
+
+async function candidateFor(db, candidateId) {
+  const { rows } = await db.query(
+    `SELECT ${PEOPLE_PK} AS id, first_name, last_name, email FROM ${PEOPLE_TABLE} WHERE ${PEOPLE_PK} = $1`,
+    [candidateId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Render the offer letter.
+ * @returns {Promise<{ subject: string, html: string, unknownFields: string[], templateId: number }>}
+ */
+async function renderOfferLetter(db, offer, { offerUrl = "", senderName = "" } = {}) {
+  const template = await resolveLetterTemplate(db, offer);
+  const candidate = (await candidateFor(db, offer.candidate_id)) || {};
+  const candidateName = `${candidate.first_name || ""} ${candidate.last_name || ""}`.trim() || "Candidate";
+  const bonus = [formatMoney(offer.bonus, offer.currency), offer.bonus_details].filter(Boolean).join(" - ");
+  const values = {
+    candidate_name: candidateName,
+    candidate_first_name: candidate.first_name || candidateName.split(" ")[0],
+    job_title: offer.job_title || "the position",
+    department: offer.department || "",
+    salary: formatMoney(offer.salary, offer.currency),
+    salary_period: offer.salary_period,
+    currency: offer.currency,
+    start_date: formatDate(offer.start_date) || "to be agreed",
+    bonus: bonus || "None",
+    equity: offer.equity || "None",
+    expires_at: formatDate(offer.expires_at, true),
+    sender_name: senderName,
+    offer_url: offerUrl,
+  };
+  const subject = renderMergeFields(template.subject, values, { html: false });
+  const body = renderMergeFields(template.body, values);
+  return {
+    subject: subject.text,
+    html: body.text,
+    unknownFields: Array.from(new Set([...subject.unknown, ...body.unknown])),
+    templateId: template.id,
+  };
+}
+
+// GET /offers/letter-templates - Letter templates (?includeArchived=1)
+router.get("/offers/letter-templates", requirePermission(WRITE_PERMISSION), async (req, res) => {
+  try {
+    const includeArchived = ["1", "true"].includes(String(req.query.includeArchived || ""));
+    const { rows } = await req.db.query(
+      `SELECT * FROM ${LETTERS_TABLE}
+        ${includeArchived ? "" : "WHERE archived_at IS NULL"}
+        ORDER BY is_default DESC, LOWER(name)`
+    );
+    res.json(rows);
+  } catch (e) {
+    sendOfferError(res, e, "GET /offers/letter-templates");
+  }
+});
+
+// POST /offers/letter-templates - Create a letter template { name, subject, body, department?, isDefault? }
+router.post("/offers/letter-templates", requirePermission(WRITE_PERMISSION), async (req, res) => {
+  try {
+    const t = normalizeLetterTemplate(req.body);
+    const actor = getPrimaryEmail(req) || null;
+    if (t.is_default) await req.db.query(`UPDATE ${LETTERS_TABLE} SET is_default = FALSE WHERE is_default`);
+    const { rows } = await req.db.query(
+      `INSERT INTO ${LETTERS_TABLE} (name, subject, body, department, is_default, created_by, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $6)
+       RETURNING *`,
+      [t.name, t.subject, t.body, t.department, t.is_default, actor]
+    );
+    res.status(201).json(rows[0]);
+  } catch (e) {
+    sendOfferError(res, e, "POST /offers/letter-templates");
+  }
+});
+
+// PUT /offers/letter-templates/:templateId - Replace a letter template (sent offers keep their letter)
+router.put("/offers/letter-templates/:templateId", requirePermission(WRITE_PERMISSION), async (req, res) => {
+  try {
+    const t = normalizeLetterTemplate(req.body);
+    const id = Number(req.params.templateId) || 0;
+    if (t.is_default) await req.db.query(`UPDATE ${LETTERS_TABLE} SET is_default = FALSE WHERE is_default AND id <> $1`, [id]);
+    const { rows } = await req.db.query(
+      `UPDATE ${LETTERS_TABLE}
+          SET name = $2, subject = $3, body = $4, department = $5, is_default = is_default OR $6,
+              updated_by = $7, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *`,
+      [id, t.name, t.subject, t.body, t.department, t.is_default, getPrimaryEmail(req) || null]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "not_found" });
+    res.json(rows[0]);
+  } catch (e) {
+    sendOfferError(res, e, "PUT /offers/letter-templates/:templateId");
+  }
+});
+
+// DELETE /offers/letter-templates/:templateId - Archive a letter template (not the default)
+router.delete("/offers/letter-templates/:templateId", requirePermission(WRITE_PERMISSION), async (req, res) => {
+  try {
+    const { rows } = await req.db.query(`SELECT id, is_default FROM ${LETTERS_TABLE} WHERE id = $1`, [
+      Number(req.params.templateId) || 0,
+    ]);
+    if (!rows[0]) return res.status(404).json({ error: "not_found" });
+    if (rows[0].is_default) return res.status(409).json({ error: "default_template", detail: "make another template the default first" });
+    await req.db.query(
+      `UPDATE ${LETTERS_TABLE} SET archived_at = COALESCE(archived_at, NOW()), updated_at = NOW() WHERE id = $1`,
+      [rows[0].id]
+    );
+    res.json({ success: true, id: rows[0].id });
+  } catch (e) {
+    sendOfferError(res, e, "DELETE /offers/letter-templates/:templateId");
+  }
+});
+
+// ==================== OFFER ROUTES ====================
+
+// GET /offers - Offers (?status, ?candidateId, ?awaitingMe=1 for approvals waiting on the caller's role)
+router.get("/offers", async (req, res) => {
+  try {
+    await expireOverdueOffers(req.db);
+    const params = [];
+    const clauses = ["TRUE"];
+    if (req.query.status) {
+      params.push(String(req.query.status).split(",").map((s) => s.trim()));
+      clauses.push(`o.status = ANY($${params.length}::text[])`);
+    }
+    if (req.query.candidateId) {
+      params.push(Number(req.query.candidateId) || 0);
+      clauses.push(`o.candidate_id = $${params.length}`);
+    }
+    if (["1", "true"].includes(String(req.query.awaitingMe || ""))) {
+      await ensurePermissions(req);
+      clauses.push(`o.status = 'pending_approval'`);
+      if (!isAdmin(req)) {
+        params.push(String(req.access?.role || "").toLowerCase());
+        clauses.push(`LOWER(o.approval_steps ->> o.current_step) = $${params.length}`);
+      }
+    }
+    const scope = await getDepartmentScope(req);
+    const { rows } = await req.db.query(
+      `SELECT o.*, NULLIF(TRIM(CONCAT_WS(' ', p.first_name, p.last_name)), '') AS candidate_name
+         FROM ${OFFERS_TABLE} o
+         LEFT JOIN ${PEOPLE_TABLE} p ON p.${PEOPLE_PK} = o.candidate_id
+        WHERE ${clauses.join(" AND ")}${departmentScopeSql(scope, params, "o.department")}
+        ORDER BY o.updated_at DESC, o.id DESC
+        LIMIT 500`,
+      params
+    );
+    res.json(rows.map((r) => offerView(r)));
+  } catch (e) {
+    sendOfferError(res, e, "GET /offers");
+  }
+});
+
+// GET /applications/:id/offers - Offers of an application, newest first
+router.get("/applications/:id/offers", requireVisible("application"), async (req, res) => {
+  try {
+    await expireOverdueOffers(req.db);
+    const { rows } = await req.db.query(
+      `SELECT * FROM ${OFFERS_TABLE} WHERE application_id = $1 ORDER BY created_at DESC, id DESC`,
+      [Number(req.params.id) || 0]
+    );
+    res.json(rows.map((r) => offerView(r)));
+  } catch (e) {
+    sendOfferError(res, e, "GET /applications/:id/offers");
+  }
+});
+
+// POST /applications/:id/offers - Draft an offer { salary, currency, salaryPeriod, startDate, bonus, bonusDetails, equity, expiresAt, letterTemplateId, notes }
+router.post("/applications/:id/offers", requirePermission(WRITE_PERMISSION), requireVisible("application"), async (req, res) => {
+  try {
+    const applicationId = Number(req.params.id);
+    if (!Number.isFinite(applicationId)) return res.status(400).json({ error: "invalid_id" });
+    const { rows: apps } = await req.db.query(
+      `SELECT a.${APP_PK} AS application_id, a.candidate_id, jl.job_title, jl.department
+         FROM ${APP_TABLE} a
+         LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON (a.job_requisition_id IS NOT NULL AND jl.job_requisition_id = a.job_requisition_id)
+        WHERE a.${APP_PK} = $1`,
+      [applicationId]
+    );
+    const app = apps[0];
+    if (!app) return res.status(404).json({ error: "not_found" });
+
+    const input = normalizeOfferInput(req.body || {});
+    const columns = {
+      job_title: app.job_title || null,
+      department: app.department || null,
+      ...input,
+      application_id: applicationId,
+      candidate_id: app.candidate_id,
+      created_by: getPrimaryEmail(req) || null,
+    };
+    const names = Object.keys(columns);
+    try {
+      const { rows } = await req.db.query(
+        `INSERT INTO ${OFFERS_TABLE} (${names.join(", ")})
+         VALUES (${names.map((_, i) => `$${i + 1}`).join(", ")})
+         RETURNING *`,
+        Object.values(columns)
+      );
+      res.status(201).json(offerView(rows[0], []));
+    } catch (e) {
+      if (e.code === "23505") {
+        const { rows } = await req.db.query(
+          `SELECT id FROM ${OFFERS_TABLE} WHERE application_id = $1 AND status = ANY($2::text[])`,
+          [applicationId, OPEN_STATUSES]
+        );
+        return res.status(409).json({ error: "offer_exists", id: rows[0]?.id || null });
+      }
+      throw e;
+    }
+  } catch (e) {
+    sendOfferError(res, e, "POST /applications/:id/offers");
+  }
+});
+
+// GET /offers/:offerId - One offer with its approval history
+router.get("/offers/:offerId", async (req, res) => {
+  try {
+    const offer = await loadOffer(req, Number(req.params.offerId));
+    res.json(await offerWithApprovals(req.db, offer));
+  } catch (e) {
+    sendOfferError(res, e, "GET /offers/:offerId");
+  }
+});
+
+// PUT /offers/:offerId - Edit a draft
+router.put("/offers/:offerId", requirePermission(WRITE_PERMISSION), async (req, res) => {
+  try {
+    const offer = await loadOffer(req, Number(req.params.offerId));
+    requireStatus(offer, ["draft"]);
+    const input = normalizeOfferInput(req.body || {});
+    const names = Object.keys(input);
+    if (!names.length) return res.status(400).json({ error: "no_updates_provided" });
+    const updated = await updateOffer(
+      req.db,
+      offer,
+      ["draft"],
+      names.map((n, i) => `${n} = $${i + 3}`),
+      Object.values(input)
+    );
+    res.json(await offerWithApprovals(req.db, updated));
+  } catch (e) {
+    sendOfferError(res, e, "PUT /offers/:offerId");
+  }
+});
+
+// POST /offers/:offerId/submit - Start the approval chain of the offer's department
+router.post("/offers/:offerId/submit", requirePermission(WRITE_PERMISSION), async (req, res) => {
+  try {
+    const offer = await loadOffer(req, Number(req.params.offerId));
+    requireStatus(offer, ["draft"]);
+    const missing = [];
+    if (offer.salary === null) missing.push("salary");
+    if (!offer.start_date) missing.push("startDate");
+    if (missing.length) return res.status(400).json({ error: "incomplete_offer", missing });
+
+    const steps = await resolveApprovalChain(req.db, offer.department);
+    const updated = await updateOffer(
+      req.db,
+      offer,
+      ["draft"],
+      [
+        "approval_steps = $3::jsonb",
+        "approval_round = approval_round + 1",
+        "current_step = 0",
+        `status = CASE WHEN jsonb_array_length($3::jsonb) = 0 THEN 'approved' ELSE 'pending_approval' END`,
+        "submitted_at = NOW()",
+        "approved_at = CASE WHEN jsonb_array_length($3::jsonb) = 0 THEN NOW() ELSE NULL END",
+      ],
+      [JSON.stringify(steps)]
+    );
+    await requestApproval(req, updated);
+    res.json(await offerWithApprovals(req.db, updated));
+  } catch (e) {
+    sendOfferError(res, e, "POST /offers/:offerId/submit");
+  }
+});
+
+/**
+ * Decide the current approval step. The caller must hold the step's role (admins may decide
+ * any step). Approving the last step approves the offer; rejecting sends it back to draft.
+ */
+async function decideApproval(req, offer, decision, comment) {
+  requireStatus(offer, ["pending_approval"]);
+  await ensurePermissions(req);
+  const role = (offer.approval_steps || [])[offer.current_step];
+  const callerRole = String(req.access?.role || "").toLowerCase();
+  if (!isAdmin(req) && callerRole !== String(role || "").toLowerCase()) {
+    throw offerError("forbidden", 403, { role });
+  }
+  if (decision === "rejected" && !comment) throw offerError("comment_required");
+
+  const last = offer.current_step + 1 >= (offer.approval_steps || []).length;
+  const sets =
+    decision === "rejected"
+      ? ["status = 'draft'", "current_step = 0"]
+      : last
+        ? ["status = 'approved'", "approved_at = NOW()", "current_step = current_step + 1"]
+        : ["current_step = current_step + 1"];
+  // Only the step that was read may be decided (guards against two approvers at once)
+  const { rows } = await req.db.query(
+    `UPDATE ${OFFERS_TABLE} SET ${[...sets, "updated_at = NOW()"].join(", ")}
+      WHERE id = $1 AND status = 'pending_approval' AND current_step = $2 AND approval_round = $3
+      RETURNING *`,
+    [offer.id, offer.current_step, offer.approval_round]
+  );
+  if (!rows[0]) throw offerError("offer_changed", 409);
+  await req.db.query(
+    `INSERT INTO ${APPROVALS_TABLE} (offer_id, round, step, role, decision, comment, decided_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [offer.id, offer.approval_round, offer.current_step, role, decision, comment || null, getPrimaryEmail(req) || null]
+  );
+
+  const updated = rows[0];
+  const title = updated.job_title || "a position";
+  if (decision === "rejected") {
+    await notifyOffer(req, [updated.created_by], "offer_approval_rejected", updated, `Offer for ${title} was sent back by ${role}: ${comment}`);
+  } else if (updated.status === "approved") {
+    await notifyOffer(req, [updated.created_by], "offer_approved", updated, `Offer for ${title} is approved and can be sent`);
+  } else {
+    await requestApproval(req, updated);
+  }
+  return updated;
+}
+
+// POST /offers/:offerId/approve - Approve the current step { comment? }
+router.post("/offers/:offerId/approve", async (req, res) => {
+  try {
+    const offer = await loadOffer(req, Number(req.params.offerId));
+    const updated = await decideApproval(req, offer, "approved", optionalText(req.body?.comment, 2000));
+    res.json(await offerWithApprovals(req.db, updated));
+  } catch (e) {
+    sendOfferError(res, e, "POST /offers/:offerId/approve");
+  }
+});
+
+// POST /offers/:offerId/reject - Send the offer back to draft { comment }
+router.post("/offers/:offerId/reject", async (req, res) => {
+  try {
+    const offer = await loadOffer(req, Number(req.params.offerId));
+    const updated = await decideApproval(req, offer, "rejected", optionalText(req.body?.comment, 2000));
+    res.json(await offerWithApprovals(req.db, updated));
+  } catch (e) {
+    sendOfferError(res, e, "POST /offers/:offerId/reject");
+  }
+});
+
+// GET /offers/:offerId/letter - Preview the letter ({ subject, html, unknownFields }); the sent letter once sent
+router.get("/offers/:offerId/letter", async (req, res) => {
+  try {
+    const offer = await loadOffer(req, Number(req.params.offerId));
+    if (offer.letter_html) {
+      return res.json({ subject: offer.letter_subject, html: offer.letter_html, unknownFields: [], sent: true });
+    }
+    const letter = await renderOfferLetter(req.db, offer, {
+      offerUrl: "#offer-link",
+      senderName: req.session?.user?.displayName || getPrimaryEmail(req) || "",
+    });
+    res.json({ ...letter, sent: false });
+  } catch (e) {
+    sendOfferError(res, e, "GET /offers/:offerId/letter");
+  }
+});
+
+// POST /offers/:offerId/send - Email the letter with the accept/decline link (approved offers; again to resend)
+router.post("/offers/:offerId/send", requirePermission(WRITE_PERMISSION), async (req, res) => {
+  try {
+    const offer = await loadOffer(req, Number(req.params.offerId));
+    requireStatus(offer, ["approved", "sent"]);
+    if (!emailService || !emailService.isConfigured()) return res.status(503).json({ error: "email_not_configured" });
+    const candidate = await candidateFor(req.db, offer.candidate_id);
+    if (!candidate?.email) return res.status(400).json({ error: "candidate_email_missing" });
+
+    const expiresAt = offer.expires_at || new Date(Date.now() + DEFAULT_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+    if (new Date(expiresAt).getTime() <= Date.now()) {
+      return res.status(400).json({ error: "invalid_offer", detail: "expiresAt must be in the future" });
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const baseUrl = process.env.API_BASE_URL || "https://ats.s3protection.com";
+    const offerUrl = `${baseUrl}/ats/api/ats/public/offers/${token}`;
+    const senderName = req.session?.user?.displayName || getPrimaryEmail(req) || "";
+    const letter = await renderOfferLetter(req.db, { ...offer, expires_at: expiresAt }, { offerUrl, senderName });
+
+    // The link works as soon as the email is out; a failed send restores the previous state
+    const sent = await updateOffer(
+      req.db,
+      offer,
+      [offer.status],
+      [
+        "status = 'sent'",
+        "response_token_hash = $3",
+        "expires_at = $4",
+        "letter_subject = $5",
+        "letter_html = $6",
+        "letter_template_id = $7",
+        "sent_by = $8",
+        "sent_at = NOW()",
+      ],
+      [hashToken(token), expiresAt, letter.subject, letter.html, letter.templateId, getPrimaryEmail(req) || null]
+    );
+    try {
+      await emailService.sendOfferEmail({
+        candidateEmail: candidate.email,
+        subject: letter.subject,
+        letterHtml: letter.html,
+        offerUrl,
+        expiresAt,
+      });
+    } catch (mailError) {
+      await req.db.query(
+        `UPDATE ${OFFERS_TABLE}
+            SET status = $2, response_token_hash = $3, expires_at = $4, letter_subject = $5, letter_html = $6,
+                sent_by = $7, sent_at = $8, updated_at = NOW()
+          WHERE id = $1`,
+        [
+          offer.id,
+          offer.status,
+          offer.response_token_hash,
+          offer.expires_at,
+          offer.letter_subject,
+          offer.letter_html,
+          offer.sent_by,
+          offer.sent_at,
+        ]
+      );
+      console.error("[offers] send failed:", mailError.message);
+      return res.status(502).json({ error: "email_failed", detail: mailError.message });
+    }
+
+    recordAudit(req, {
+      action: "offer.send",
+      entityType: "offer",
+      entityId: offer.id,
+      metadata: { candidateId: offer.candidate_id, recipient: candidate.email, expiresAt, resend: offer.status === "sent" },
+    });
+    res.json({ ...(await offerWithApprovals(req.db, sent)), unknownFields: letter.unknownFields });
+  } catch (e) {
+    sendOfferError(res, e, "POST /offers/:offerId/send");
+  }
+});
+
+// POST /offers/:offerId/withdraw - Withdraw an open offer { reason? }; its link stops working
+router.post("/offers/:offerId/withdraw", requirePermission(WRITE_PERMISSION), async (req, res) => {
+  try {
+    const offer = await loadOffer(req, Number(req.params.offerId));
+    requireStatus(offer, OPEN_STATUSES);
+    const updated = await updateOffer(
+      req.db,
+      offer,
+      OPEN_STATUSES,
+      ["status = 'withdrawn'", "closed_at = NOW()", "response_token_hash = NULL", "response_reason = $3"],
+      [optionalText(req.body?.reason, 2000) ?? null]
+    );
+    res.json(await offerWithApprovals(req.db, updated));
+  } catch (e) {
+    sendOfferError(res, e, "POST /offers/:offerId/withdraw");
+  }
+});
+
+// ==================== CANDIDATE RESPONSE ====================
+
+/**
+ * Accept or decline a sent offer by its token. Accepting moves the application to its
+ * pipeline's hired stage (whatever stage it is in) in the same transaction.
+ * @throws {Error} not_found (404), offer_expired (410), offer_closed (409)
+ * @returns {Promise<{ offer: Object, stageChange: Object|null }>}
+ */
+async function respondToOffer(db, token, { decision, reason }) {
+  await expireOverdueOffers(db);
+  const client = typeof db.connect === "function" ? await db.connect() : db;
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `SELECT * FROM ${OFFERS_TABLE} WHERE response_token_hash = $1 FOR UPDATE`,
+      [hashToken(token)]
+    );
+    const offer = rows[0];
+    if (!offer) throw offerError("not_found", 404);
+    if (offer.status === "expired") throw offerError("offer_expired", 410);
+    if (offer.status !== "sent") throw offerError("offer_closed", 409, { status: offer.status });
+
+    const accepted = decision === "accept";
+    const updated = await client.query(
+      `UPDATE ${OFFERS_TABLE}
+          SET status = $2, response_reason = $3, responded_at = NOW(), closed_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+        RETURNING *`,
+      [offer.id, accepted ? "accepted" : "declined", reason || null]
+    );
+
+    let stageChange = null;
+    if (accepted) {
+      const pipeline = await resolvePipelineForApplication(client, offer.application_id);
+      const hiredStage = pipeline.stages.find((s) => s.terminal === "hired")?.name || "Hired";
+      stageChange = await applyStageChange(client, offer.candidate_id, {
+        applicationId: offer.application_id,
+        stage: hiredStage,
+        status: "hired",
+        reason: `Offer #${offer.id} accepted`,
+        actorLabel: "candidate (offer link)",
+        source: "offer_accepted",
+        enforcePipeline: false,
+      });
+    }
+    await client.query("COMMIT");
+    return { offer: updated.rows[0], stageChange };
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    if (client !== db && typeof client.release === "function") client.release();
+  }
+}
+
+function offerPage(title, content) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 700px; margin: 0 auto; padding: 20px; background-color: #f5f5f5; }
+    .container { background-color: #ffffff; border-radius: 8px; padding: 30px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+    .actions { display: flex; gap: 12px; margin-top: 24px; }
+    button { flex: 1; border: none; padding: 12px 30px; border-radius: 6px; font-size: 16px; cursor: pointer; color: #fff; }
+    #accept-btn { background-color: #28a745; }
+    #decline-btn { background-color: #dc3545; }
+    button:disabled { background-color: #ccc; cursor: not-allowed; }
+    textarea { width: 100%; min-height: 80px; padding: 10px; border: 1px solid #ddd; border-radius: 4px; font-family: inherit; box-sizing: border-box; }
+    .notice { padding: 15px; border-radius: 6px; margin: 20px 0; }
+    .notice.ok { background-color: #d4edda; color: #155724; }
+    .notice.error { background-color: #f8d7da; color: #721c24; }
+  </style>
+</head>
+<body>
+  <div class="container">
+${content}
+  </div>
+</body>
+</html>`;
+}
+
+// GET /public/offers/:token - Offer letter with accept/decline buttons
+router.get("/public/offers/:token", async (req, res) => {
+  try {
+    await expireOverdueOffers(req.db);
+    const { rows } = await req.db.query(
+      `SELECT id, status, job_title, letter_html, expires_at FROM ${OFFERS_TABLE} WHERE response_token_hash = $1`,
+      [hashToken(req.params.token)]
+    );
+    const offer = rows[0];
+    if (!offer) {
+      return res.status(404).send(offerPage("Invalid Link", `    <h1>Invalid or Expired Link</h1>
+    <p>This offer link is not valid. It may have been replaced by a newer one.</p>`));
+    }
+    if (offer.status !== "sent") {
+      const messages = {
+        accepted: "You have accepted this offer. We will be in touch about next steps.",
+        declined: "You have declined this offer.",
+        expired: "This offer has expired. Please contact us if you are still interested.",
+        withdrawn: "This offer is no longer available.",
+      };
+      return res.send(offerPage("Offer", `    <h1>${escapeHtml(offer.job_title || "Your offer")}</h1>
+    <div class="notice ${offer.status === "accepted" ? "ok" : "error"}">${escapeHtml(messages[offer.status] || "This offer is no longer available.")}</div>`));
+    }
+
+    const expires = offer.expires_at ? formatDate(offer.expires_at, true) : null;
+    res.send(offerPage("Your Offer", `    ${offer.letter_html || ""}
+    ${expires ? `<p><em>This offer expires on ${escapeHtml(expires)}.</em></p>` : ""}
+    <label for="reason">Message to the hiring team (optional):</label>
+    <textarea id="reason"></textarea>
+    <div class="actions">
+      <button id="accept-btn" type="button" data-decision="accept">Accept offer</button>
+      <button id="decline-btn" type="button" data-decision="decline">Decline offer</button>
+    </div>
+    <div id="result" class="notice" style="display: none;"></div>
+    <script>
+      document.querySelectorAll('.actions button').forEach((btn) => {
+        btn.addEventListener('click', async () => {
+          const decision = btn.dataset.decision;
+          if (!confirm(decision === 'accept' ? 'Accept this offer?' : 'Decline this offer?')) return;
+          document.querySelectorAll('.actions button').forEach((b) => { b.disabled = true; });
+          const result = document.getElementById('result');
+          try {
+            const response = await fetch(window.location.pathname.replace(/\\/$/, '') + '/respond', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ decision, reason: document.getElementById('reason').value })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(data.message || data.error || 'Request failed');
+            result.className = 'notice ok';
+            result.textContent = decision === 'accept'
+              ? 'Thank you! You have accepted the offer. We will be in touch about next steps.'
+              : 'You have declined the offer. Thank you for letting us know.';
+          } catch (err) {
+            result.className = 'notice error';
+            result.textContent = 'Something went wrong: ' + err.message;
+            document.querySelectorAll('.actions button').forEach((b) => { b.disabled = false; });
+          }
+          result.style.display = 'block';
+        });
+      });
+    </script>`));
+  } catch (e) {
+    console.error("GET /public/offers/:token error", e);
+    res.status(500).send(offerPage("Error", "    <h1>Something went wrong</h1>\n    <p>Please try again later.</p>"));
+  }
+});
+
+// POST /public/offers/:token/respond - Candidate accepts or declines { decision: "accept" | "decline", reason? }
+router.post("/public/offers/:token/respond", async (req, res) => {
+  try {
+    const decision = String(req.body?.decision || "").toLowerCase();
+    if (!["accept", "decline"].includes(decision)) return res.status(400).json({ error: "invalid_decision" });
+    const { offer, stageChange } = await respondToOffer(req.db, req.params.token, {
+      decision,
+      reason: optionalText(req.body?.reason, 2000) ?? null,
+    });
+
+    recordAudit(req, {
+      action: `offer.${offer.status === "accepted" ? "accept" : "decline"}`,
+      entityType: "offer",
+      entityId: offer.id,
+      path: "/public/offers/:token/respond",
+      metadata: { candidateId: offer.candidate_id, applicationId: offer.application_id },
+    });
+    if (stageChange?.event) {
+      emitCandidateEvent(req.db, req.appId, "candidate_stage_changed", offer.candidate_id, {
+        applicationId: stageChange.applicationId,
+        fromStage: stageChange.fromStage,
+        toStage: stageChange.toStage,
+        status: stageChange.toStatus,
+        actor: null,
+        source: "offer_accepted",
+      });
+    }
+    const verb = offer.status === "accepted" ? "accepted" : "declined";
+    await notifyOffer(
+      req,
+      [offer.created_by, offer.sent_by],
+      `offer_${verb}`,
+      offer,
+      `The candidate ${verb} the offer for ${offer.job_title || "the position"}${offer.response_reason ? `: "${offer.response_reason}"` : ""}`
+    );
+    res.json({ success: true, status: offer.status });
+  } catch (e) {
+    if (e.status && e.status < 500) return res.status(e.status).json({ error: e.message });
+    console.error("POST /public/offers/:token/respond error", e);
+    res.status(500).json({ error: "Failed to record your response" });
+  }
+});
+
+module.exports = router;
+module.exports.initOffers = initOffers;
+module.exports.renderOfferLetter = renderOfferLetter;
+module.exports.respondToOffer = respondToOffer;
+module.exports.expireOverdueOffers = expireOverdueOffers;
@@ -0,0 +1,262 @@
+/**
+ * Role-Based Permissions
+ * Routes declare what they need with requirePermission("candidates:delete", ...). Permissions
+ * come from the signed-in user's role: the users row matching a session email (role_id ->
+ * roles.permissions), else the role flagged is_default. "*" grants everything and
+ * "<scope>:*" every permission of a scope; requireAdmin (helpers.js) means "*".
+ *
+ * ADMIN_EMAILS is a bootstrap only: it grants "*" until an active user holds a "*" role.
+ * Resolved permissions are cached per pool and email for PERMISSION_CACHE_MS (30s); role and
+ * user changes through /admin clear the cache.
+ */
+
+const { DEFAULT_SCHEMA, ADMIN_EMAILS, getSessionEmails, isEnvAdmin } = require("./helpers");
+
+const ROLES_TABLE = `${DEFAULT_SCHEMA}.roles`;
+const USERS_TABLE = `${DEFAULT_SCHEMA}.users`;
+
+const PERMISSIONS = {
+  "candidates:delete": "Delete candidates and applications permanently",
+  "candidates:archive": "Archive and restore candidates",
+  "candidates:bulk": "Run bulk actions over many candidates",
+  "jobs:write": "Create and edit job listings",
+  "jobs:publish": "Open job listings (status \"open\", shown on the public job board)",
+  "jobs:delete": "Delete job listings",
+  "reports:generate": "Generate reports and run saved report definitions",
+  "reports:schedule": "Put saved reports on a schedule",
+  "email_templates:manage": "Edit candidate email templates and department overrides",
+  "offers:write": "Draft, submit for approval, send and withdraw offers",
+  "scorecards:manage": "Create interview scorecard templates and assign interviewers",
+  "scorecards:read_all": "See every interviewer's scorecards without submitting one first",
+  "departments:all": "See candidates, applications and jobs of every department (otherwise only the user's departments)",
+};
+
+const PERMISSION_CACHE_MS = (() => {
+  const n = parseInt(process.env.PERMISSION_CACHE_MS, 10);
+  return Number.isFinite(n) && n >= 0 ? n : 30 * 1000;
+})();
+
+// pool -> Map(email key -> { expires, value })
+const _cache = new Map();
+
+function clearPermissionCache(db) {
+  if (db) _cache.delete(db);
+  else _cache.clear();
+}
+
+function invalidPermissions(detail) {
+  const err = new Error("invalid_permissions");
+  err.status = 400;
+  err.detail = detail;
+  return err;
+}
+
+function isKnownPermission(name) {
+  if (name === "*" || PERMISSIONS[name]) return true;
+  const [scope, action] = name.split(":");
+  return action === "*" && Object.keys(PERMISSIONS).some((p) => p.startsWith(`${scope}:`));
+}
+
+/**
+ * Flatten a stored permissions value into a list of names. Accepts an array of names,
+ * { "jobs:publish": true } or { jobs: ["publish"] } / { jobs: { publish: true } }.
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - reject unknown names (400 invalid_permissions)
+ * @returns {string[]}
+ */
+function normalizePermissions(value, { strict = false } = {}) {
+  let input = value;
+  if (typeof input === "string") {
+    try {
+      input = JSON.parse(input);
+    } catch {
+      input = input.split(",");
+    }
+  }
+  const names = [];
+  if (Array.isArray(input)) {
+    names.push(...input);
+  } else if (input && typeof input === "object") {
+    for (const [key, val] of Object.entries(input)) {
+      if (val === true) names.push(key);
+      else if (Array.isArray(val)) names.push(...val.map((a) => `${key}:${a}`));
+      else if (val && typeof val === "object") {
+        names.push(...Object.keys(val).filter((a) => val[a] === true).map((a) => `${key}:${a}`));
+      }
+    }
+  } else if (input !== null && input !== undefined && strict) {
+    throw invalidPermissions("permissions must be an array of permission names");
+  }
+
+  const cleaned = Array.from(new Set(names.map((n) => String(n).trim()).filter(Boolean)));
+  if (strict) {
+    const unknown = cleaned.filter((n) => !isKnownPermission(n));
+    if (unknown.length) throw invalidPermissions({ unknown, known: ["*", ...Object.keys(PERMISSIONS)] });
+  }
+  return cleaned.sort();
+}
+
+/**
+ * Role and permissions for a set of session emails.
+ * @returns {Promise<{ userId, roleId, role, source: "user"|"default"|"none", permissions: string[], adminAssigned: boolean }>}
+ */
+async function resolvePermissions(db, emails) {
+  const { rows } = await db.query(
+    `WITH me AS (
+       SELECT u.user_id, u.is_active, r.id AS role_id, r.name AS role_name, r.permissions
+         FROM ${USERS_TABLE} u
+         LEFT JOIN ${ROLES_TABLE} r ON r.id = u.role_id
+        WHERE LOWER(u.email) = ANY($1::text[])
+        ORDER BY u.is_active DESC NULLS LAST, u.user_id
+        LIMIT 1
+     ),
+     fallback AS (
+       SELECT id AS role_id, name AS role_name, permissions FROM ${ROLES_TABLE} WHERE is_default LIMIT 1
+     )
+     SELECT me.user_id, me.is_active, me.role_id, me.role_name, me.permissions,
+            fallback.role_id AS default_role_id, fallback.role_name AS default_role_name,
+            fallback.permissions AS default_permissions,
+            EXISTS (
+              SELECT 1 FROM ${USERS_TABLE} au
+                JOIN ${ROLES_TABLE} ar ON ar.id = au.role_id
+               WHERE au.is_active IS NOT FALSE AND ar.permissions::jsonb ? '*'
+            ) AS admin_assigned
+       FROM (SELECT 1) one
+       LEFT JOIN me ON TRUE
+       LEFT JOIN fallback ON TRUE`,
+    [emails]
+  );
+  const row = rows[0] || {};
+  const base = { userId: row.user_id || null, adminAssigned: !!row.admin_assigned };
+  if (row.user_id) {
+    // Deactivated users keep their session but lose every permission
+    if (row.is_active === false) return { ...base, roleId: null, role: null, source: "user", permissions: [] };
+    return {
+      ...base,
+      roleId: row.role_id || null,
+      role: row.role_name || null,
+      source: "user",
+      permissions: normalizePermissions(row.permissions),
+    };
+  }
+  if (row.default_role_id) {
+    return {
+      ...base,
+      roleId: row.default_role_id,
+      role: row.default_role_name,
+      source: "default",
+      permissions: normalizePermissions(row.default_permissions),
+    };
+  }
+  return { ...base, roleId: null, role: null, source: "none", permissions: [] };
+}
+
+async function cachedPermissions(db, emails) {
+  const key = emails.join(",");
+  let perDb = _cache.get(db);
+  if (!perDb) {
+    perDb = new Map();
+    _cache.set(db, perDb);
+  }
+  const hit = perDb.get(key);
+  if (hit && hit.expires > Date.now()) return hit.value;
+  const value = await resolvePermissions(db, emails);
+  if (PERMISSION_CACHE_MS > 0) perDb.set(key, { expires: Date.now() + PERMISSION_CACHE_MS, value });
+  return value;
+}
+
+/**
+ * Resolve the request's permissions once: sets req.permissions (Set) and req.access
+ * ({ userId, roleId, role, source }). Unauthenticated requests get an empty set.
+ */
+async function ensurePermissions(req) {
+  if (req.permissions instanceof Set) return req.permissions;
+  const emails = getSessionEmails(req);
+  let access = { userId: null, roleId: null, role: null, source: "none", permissions: [], adminAssigned: false };
+  if (emails.length && req.db) {
+    try {
+      access = await cachedPermissions(req.db, emails);
+    } catch (e) {
+      // Missing roles/users tables (not migrated yet): only the ADMIN_EMAILS bootstrap applies
+      console.warn("[permissions] could not resolve role:", e.message);
+    }
+  }
+  const permissions = new Set(access.permissions);
+  if (!access.adminAssigned && isEnvAdmin(req)) permissions.add("*");
+  req.permissions = permissions;
+  req.access = { userId: access.userId, roleId: access.roleId, role: access.role, source: access.source };
+  return permissions;
+}
+
+function permissionGranted(permissions, permission) {
+  if (!(permissions instanceof Set)) return false;
+  if (permissions.has("*") || permissions.has(permission)) return true;
+  const [scope] = String(permission).split(":");
+  return permissions.has(`${scope}:*`);
+}
+
+function hasPermission(req, permission) {
+  return permissionGranted(req.permissions, permission);
+}
+
+/**
+ * Permissions of a user outside of a request (e.g. the owner of a scheduled report), with
+ * the same ADMIN_EMAILS bootstrap as ensurePermissions.
+ * @param {string[]} emails - lower-cased
+ * @returns {Promise<Set<string>>}
+ */
+async function permissionsForEmails(db, emails) {
+  let access = { permissions: [], adminAssigned: false };
+  try {
+    access = await cachedPermissions(db, emails);
+  } catch (e) {
+    console.warn("[permissions] could not resolve role:", e.message);
+  }
+  const permissions = new Set(access.permissions);
+  const envAdmin = ADMIN_EMAILS.some((a) => emails.includes(a));
+  if (!access.adminAssigned && envAdmin) permissions.add("*");
+  return permissions;
+}
+
+// Middleware: resolve permissions for every request (mounted in index.js)
+async function loadPermissions(req, res, next) {
+  try {
+    await ensurePermissions(req);
+  } catch (e) {
+    console.warn("[permissions] load failed:", e.message);
+  }
+  next();
+}
+
+/**
+ * Middleware requiring every listed permission.
+ * 401 unauthorized without a session, 403 { error: "forbidden", missing } otherwise.
+ */
+function requirePermission(...required) {
+  return async (req, res, next) => {
+    if (!req.session?.user) return res.status(401).json({ error: "unauthorized" });
+    try {
+      await ensurePermissions(req);
+    } catch (e) {
+      return res.status(500).json({ error: "db_error", detail: e.message });
+    }
+    const missing = required.filter((p) => !hasPermission(req, p));
+    if (missing.length) return res.status(403).json({ error: "forbidden", missing });
+    return next();
+  };
+}
+
+module.exports = {
+  ROLES_TABLE,
+  USERS_TABLE,
+  PERMISSIONS,
+  normalizePermissions,
+  resolvePermissions,
+  ensurePermissions,
+  permissionsForEmails,
+  permissionGranted,
+  hasPermission,
+  loadPermissions,
+  requirePermission,
+  clearPermissionCache,
+};
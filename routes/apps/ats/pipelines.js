@@ -0,0 +1,237 @@
+/**
+ * Hiring Pipelines
+ * Admin-defined pipeline templates (pipeline_templates): ordered stages, allowed
+ * transitions and terminal stages. A template is assigned to a job listing
+ * (job_listings.pipeline_id) or a department (departments.pipeline_id); the
+ * default template covers everything else.
+ *
+ * Stage definition (pipeline_templates.stages, in display order):
+ *   { name: "Phone Screen", terminal: null | "hired" | "rejected", transitions: ["Interview", "Rejected"] | null,
+ *     category: null | "interview" | "offer" }
+ * transitions: null allows a move to any other stage. Terminal stages allow no moves out.
+ * category marks the stages counted as interviews/offers in dashboard stats; stages without one
+ * fall back to their name ("Onsite Interview" -> interview).
+ *
+ * When no template exists the built-in pipeline is used for stage names only; moves are not enforced.
+ */
+
+const { DEFAULT_SCHEMA, APP_TABLE, APP_PK } = require("./helpers");
+
+const PIPELINES_TABLE = `${DEFAULT_SCHEMA}.pipeline_templates`;
+const TERMINAL_OUTCOMES = ["hired", "rejected"];
+const STAGE_CATEGORIES = ["interview", "offer"];
+
+const BUILTIN_PIPELINE = {
+  id: null,
+  name: "Default",
+  source: "builtin",
+  enforced: false,
+  stages: [
+    { name: "Applied", terminal: null, transitions: null },
+    { name: "Screening", terminal: null, transitions: null },
+    { name: "Phone Screen", terminal: null, transitions: null },
+    { name: "Interview", terminal: null, transitions: null, category: "interview" },
+    { name: "Offer", terminal: null, transitions: null, category: "offer" },
+    { name: "Hired", terminal: "hired", transitions: [] },
+    { name: "Rejected", terminal: "rejected", transitions: [] },
+  ],
+};
+
+const key = (name) => String(name || "").trim().toLowerCase();
+
+function invalidPipeline(detail) {
+  const err = new Error("invalid_pipeline");
+  err.status = 400;
+  err.detail = detail;
+  return err;
+}
+
+/**
+ * Validate stage definitions from a request body.
+ * @throws {Error} invalid_pipeline (status 400)
+ */
+function normalizeStages(input) {
+  if (!Array.isArray(input) || input.length < 2) throw invalidPipeline("stages must be an array of at least 2 stages");
+  if (input.length > 30) throw invalidPipeline("a pipeline allows at most 30 stages");
+  const seen = new Set();
+  const stages = input.map((raw, i) => {
+    const stage = typeof raw === "string" ? { name: raw } : raw || {};
+    const name = String(stage.name || "").trim().slice(0, 100);
+    if (!name) throw invalidPipeline(`stages[${i}]: name is required`);
+    if (seen.has(key(name))) throw invalidPipeline(`duplicate stage "${name}"`);
+    seen.add(key(name));
+    const terminal = stage.terminal ? String(stage.terminal).toLowerCase() : null;
+    if (terminal && !TERMINAL_OUTCOMES.includes(terminal)) {
+      throw invalidPipeline(`stages[${i}]: terminal must be one of ${TERMINAL_OUTCOMES.join(", ")}`);
+    }
+    const category = stage.category ? String(stage.category).toLowerCase() : null;
+    if (category && (terminal || !STAGE_CATEGORIES.includes(category))) {
+      throw invalidPipeline(`stages[${i}]: category must be one of ${STAGE_CATEGORIES.join(", ")} on a non-terminal stage`);
+    }
+    let transitions = null;
+    if (terminal) transitions = [];
+    else if (stage.transitions !== undefined && stage.transitions !== null) {
+      if (!Array.isArray(stage.transitions)) throw invalidPipeline(`stages[${i}]: transitions must be an array`);
+      transitions = stage.transitions.map((t) => String(t || "").trim()).filter(Boolean);
+    }
+    return { name, terminal, transitions, category };
+  });
+
+  const byKey = new Map(stages.map((s) => [key(s.name), s]));
+  for (const s of stages) {
+    if (!s.transitions) continue;
+    s.transitions = s.transitions.map((t) => {
+      const target = byKey.get(key(t));
+      if (!target) throw invalidPipeline(`stage "${s.name}": unknown transition target "${t}"`);
+      return target.name;
+    });
+  }
+  if (!stages.some((s) => !s.terminal)) throw invalidPipeline("a pipeline needs at least one non-terminal stage");
+  if (!stages.some((s) => s.terminal)) throw invalidPipeline("a pipeline needs at least one terminal stage (hired or rejected)");
+  return stages;
+}
+
+const findStage = (pipeline, name) => (pipeline?.stages || []).find((s) => key(s.name) === key(name)) || null;
+
+/**
+ * Stages reachable from the current stage.
+ */
+function allowedNextStages(pipeline, fromStage) {
+  const from = findStage(pipeline, fromStage);
+  const others = pipeline.stages.filter((s) => key(s.name) !== key(fromStage));
+  if (!from) return others.map((s) => s.name); // legacy/unknown current stage: any pipeline stage
+  if (from.terminal) return [];
+  if (!from.transitions) return others.map((s) => s.name);
+  return from.transitions;
+}
+
+/**
+ * Check a stage move against a pipeline.
+ * @returns {{ allowed: boolean, error?: string, stage?: Object, allowedStages?: string[] }}
+ */
+function checkTransition(pipeline, fromStage, toStage) {
+  const target = findStage(pipeline, toStage);
+  if (!pipeline.enforced) return { allowed: true, stage: target };
+  if (!target) return { allowed: false, error: "unknown_stage", allowedStages: pipeline.stages.map((s) => s.name) };
+  if (fromStage && key(fromStage) === key(target.name)) return { allowed: true, stage: target };
+  const allowedStages = allowedNextStages(pipeline, fromStage);
+  if (!allowedStages.some((n) => key(n) === key(target.name))) {
+    return { allowed: false, error: "transition_not_allowed", allowedStages };
+  }
+  return { allowed: true, stage: target };
+}
+
+function rowToPipeline(row, source) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || null,
+    source,
+    enforced: true,
+    stages: row.stages || [],
+  };
+}
+
+/**
+ * Pipeline governing an application: job listing, then department, then the default template.
+ */
+async function resolvePipelineForApplication(db, applicationId) {
+  const { rows } = await db.query(
+    `SELECT pt.*,
+            CASE WHEN pt.id = jl.pipeline_id THEN 'job'
+                 WHEN pt.id = d.pipeline_id THEN 'department'
+                 ELSE 'default' END AS resolved_from
+       FROM ${APP_TABLE} a
+       LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON (a.job_requisition_id IS NOT NULL AND jl.job_requisition_id = a.job_requisition_id)
+       LEFT JOIN ${DEFAULT_SCHEMA}.departments d ON LOWER(d.name) = LOWER(jl.department)
+       JOIN ${PIPELINES_TABLE} pt ON pt.id = COALESCE(
+              jl.pipeline_id,
+              d.pipeline_id,
+              (SELECT id FROM ${PIPELINES_TABLE} WHERE is_default LIMIT 1))
+      WHERE a.${APP_PK} = $1`,
+    [applicationId]
+  );
+  return rows[0] ? rowToPipeline(rows[0], rows[0].resolved_from) : BUILTIN_PIPELINE;
+}
+
+/**
+ * Pipeline governing a job listing (by job_listing_id).
+ */
+async function resolvePipelineForJob(db, jobListingId) {
+  const { rows } = await db.query(
+    `SELECT pt.*,
+            CASE WHEN pt.id = jl.pipeline_id THEN 'job'
+                 WHEN pt.id = d.pipeline_id THEN 'department'
+                 ELSE 'default' END AS resolved_from
+       FROM ${DEFAULT_SCHEMA}.job_listings jl
+       LEFT JOIN ${DEFAULT_SCHEMA}.departments d ON LOWER(d.name) = LOWER(jl.department)
+       JOIN ${PIPELINES_TABLE} pt ON pt.id = COALESCE(
+              jl.pipeline_id,
+              d.pipeline_id,
+              (SELECT id FROM ${PIPELINES_TABLE} WHERE is_default LIMIT 1))
+      WHERE jl.job_listing_id = $1`,
+    [jobListingId]
+  );
+  return rows[0] ? rowToPipeline(rows[0], rows[0].resolved_from) : BUILTIN_PIPELINE;
+}
+
+// Templates saved before stage categories existed
+function inferCategory(name) {
+  const k = key(name);
+  if (k.includes("interview")) return "interview";
+  if (k.includes("offer")) return "offer";
+  return null;
+}
+
+/**
+ * Stage names across all templates (built-in pipeline when none are defined), for reports
+ * and dashboard stats. Names are lower-cased for SQL comparisons; `stages` keeps display
+ * names in pipeline order.
+ * @returns {Promise<{ stages: Array, active: string[], hired: string[], rejected: string[],
+ *   interview: string[], offer: string[] }>}
+ */
+async function getStageCatalog(db) {
+  let pipelines = [];
+  try {
+    const { rows } = await db.query(`SELECT stages FROM ${PIPELINES_TABLE} ORDER BY is_default DESC, id ASC`);
+    pipelines = rows;
+  } catch {
+    pipelines = [];
+  }
+  if (!pipelines.length) pipelines = [BUILTIN_PIPELINE];
+  const stages = [];
+  const seen = new Set();
+  for (const p of pipelines) {
+    for (const s of p.stages || []) {
+      if (seen.has(key(s.name))) continue;
+      seen.add(key(s.name));
+      stages.push({
+        name: s.name,
+        terminal: s.terminal || null,
+        category: s.terminal ? null : s.category || inferCategory(s.name),
+        order: stages.length,
+      });
+    }
+  }
+  return {
+    stages,
+    active: stages.filter((s) => !s.terminal).map((s) => key(s.name)),
+    hired: stages.filter((s) => s.terminal === "hired").map((s) => key(s.name)),
+    rejected: stages.filter((s) => s.terminal === "rejected").map((s) => key(s.name)),
+    interview: stages.filter((s) => s.category === "interview").map((s) => key(s.name)),
+    offer: stages.filter((s) => s.category === "offer").map((s) => key(s.name)),
+  };
+}
+
+module.exports = {
+  PIPELINES_TABLE,
+  TERMINAL_OUTCOMES,
+  STAGE_CATEGORIES,
+  BUILTIN_PIPELINE,
+  normalizeStages,
+  allowedNextStages,
+  checkTransition,
+  resolvePipelineForApplication,
+  resolvePipelineForJob,
+  getStageCatalog,
+};
@@ -0,0 +1,289 @@
+/**
+ * Candidate Profile Suggestions
+ * Stores parsed resume profiles (see resumeParser.js) and applies them to the candidate
+ * record and candidate_skills.
+ *
+ * Fields that are empty on the candidate are filled in immediately (RESUME_PARSER_AUTOFILL=0
+ * disables this). Anything that would overwrite recruiter-entered data, or add skills to a
+ * candidate that already has some, stays "pending" until accepted through
+ * POST /candidates/:id/profile-suggestions/:suggestionId/accept.
+ */
+
+const { DEFAULT_SCHEMA, PEOPLE_TABLE, PEOPLE_PK } = require("./helpers");
+const { parseResume } = require("./resumeParser");
+
+const SUGGESTIONS_TABLE = `${DEFAULT_SCHEMA}.candidate_profile_suggestions`;
+const SKILLS_TABLE = `${DEFAULT_SCHEMA}.skills`;
+const CANDIDATE_SKILLS_TABLE = `${DEFAULT_SCHEMA}.candidate_skills`;
+
+// Candidate columns a parsed profile can write; JSON columns hold arrays
+const TEXT_FIELDS = ["phone", "linkedin_url", "portfolio_url", "city", "state", "country"];
+const JSON_FIELDS = ["work_history", "education", "certifications"];
+const PROFILE_FIELDS = [...TEXT_FIELDS, ...JSON_FIELDS, "skills"];
+
+const isEmpty = (v) =>
+  v === null || v === undefined || (typeof v === "string" && !v.trim()) || (Array.isArray(v) && !v.length);
+
+const normalizeText = (v) => String(v ?? "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+
+function sameValue(field, a, b) {
+  if (JSON_FIELDS.includes(field)) return JSON.stringify(a ?? []) === JSON.stringify(b ?? []);
+  if (field === "phone") return String(a ?? "").replace(/\D/g, "") === String(b ?? "").replace(/\D/g, "");
+  return normalizeText(a) === normalizeText(b);
+}
+
+// Candidate column values proposed by a parsed profile
+function proposedValues(profile) {
+  return {
+    phone: profile.phone || null,
+    linkedin_url: profile.links?.linkedin || null,
+    portfolio_url: profile.links?.portfolio || profile.links?.github || null,
+    city: profile.location?.city || null,
+    state: profile.location?.state || null,
+    country: profile.location?.country || null,
+    work_history: profile.work_history || [],
+    education: profile.education || [],
+    certifications: profile.certifications || [],
+    skills: profile.skills || [],
+  };
+}
+
+async function loadCurrentProfile(db, candidateId) {
+  const r = await db.query(
+    `SELECT ${TEXT_FIELDS.join(", ")}, ${JSON_FIELDS.join(", ")}
+       FROM ${PEOPLE_TABLE}
+      WHERE ${PEOPLE_PK} = $1`,
+    [candidateId]
+  );
+  if (!r.rows[0]) return null;
+  const skills = await db.query(
+    `SELECT s.skill_name
+       FROM ${CANDIDATE_SKILLS_TABLE} cs
+       JOIN ${SKILLS_TABLE} s ON s.skill_id = cs.skill_id
+      WHERE cs.candidate_id = $1`,
+    [candidateId]
+  );
+  return { ...r.rows[0], skills: skills.rows.map((s) => s.skill_name) };
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Known skills (skills table) mentioned anywhere in the text, in addition to the parsed skills section
+async function matchKnownSkills(db, text) {
+  const { rows } = await db.query(`SELECT skill_name FROM ${SKILLS_TABLE}`);
+  const out = [];
+  for (const { skill_name: name } of rows) {
+    if (!name || name.length < 2) continue;
+    const re = new RegExp(`(^|[^A-Za-z0-9+#])${escapeRegExp(name)}(?![A-Za-z0-9+#])`, "i");
+    if (re.test(text)) out.push(name);
+  }
+  return out;
+}
+
+async function writeField(db, candidateId, field, value, { onlyIfEmpty }) {
+  if (field === "skills") return addCandidateSkills(db, candidateId, value);
+  const isJson = JSON_FIELDS.includes(field);
+  const emptyGuard = onlyIfEmpty
+    ? isJson
+      ? `AND (${field} IS NULL OR ${field} = '[]'::jsonb)`
+      : `AND COALESCE(${field}, '') = ''`
+    : "";
+  const r = await db.query(
+    `UPDATE ${PEOPLE_TABLE} SET ${field} = $2${isJson ? "::jsonb" : ""} WHERE ${PEOPLE_PK} = $1 ${emptyGuard}`,
+    [candidateId, isJson ? JSON.stringify(value) : value]
+  );
+  return r.rowCount > 0;
+}
+
+// Link skills by name (case-insensitive), creating unknown skills
+async function addCandidateSkills(db, candidateId, names) {
+  let added = 0;
+  for (const name of names || []) {
+    const skillName = String(name || "").trim();
+    if (!skillName) continue;
+    let skill = (
+      await db.query(`SELECT skill_id FROM ${SKILLS_TABLE} WHERE LOWER(skill_name) = LOWER($1) LIMIT 1`, [skillName])
+    ).rows[0];
+    if (!skill) {
+      skill = (
+        await db.query(`INSERT INTO ${SKILLS_TABLE}(skill_name) VALUES ($1) RETURNING skill_id`, [skillName])
+      ).rows[0];
+    }
+    const r = await db.query(
+      `INSERT INTO ${CANDIDATE_SKILLS_TABLE}(candidate_id, skill_id, proficiency_level)
+       SELECT $1, $2, NULL
+        WHERE NOT EXISTS (SELECT 1 FROM ${CANDIDATE_SKILLS_TABLE} WHERE candidate_id = $1 AND skill_id = $2)`,
+      [candidateId, skill.skill_id]
+    );
+    added += r.rowCount;
+  }
+  return added > 0;
+}
+
+/**
+ * Parse a resume/cover letter and record a suggestion for the candidate.
+ * Empty candidate fields are filled immediately; conflicting ones stay pending.
+ * Older pending suggestions for the candidate are superseded.
+ * @returns {Promise<Object|null>} the suggestion row, or null when nothing was parsed
+ */
+async function createProfileSuggestion(
+  db,
+  { candidateId, applicationId = null, kind = "resume", sourceUrl = null, text }
+) {
+  if (!candidateId || !text || !String(text).trim()) return null;
+  const current = await loadCurrentProfile(db, candidateId);
+  if (!current) return null;
+
+  const { profile, parser } = await parseResume(text, { kind });
+  const proposed = proposedValues(profile);
+  if (kind === "resume") {
+    const known = await matchKnownSkills(db, text).catch(() => []);
+    const seen = new Set(proposed.skills.map((s) => s.toLowerCase()));
+    for (const name of known) if (!seen.has(name.toLowerCase())) proposed.skills.push(name);
+  }
+  const autofill = process.env.RESUME_PARSER_AUTOFILL !== "0";
+
+  const changes = [];
+  for (const field of PROFILE_FIELDS) {
+    const value = proposed[field];
+    if (isEmpty(value)) continue;
+    if (field === "skills") {
+      const have = new Set((current.skills || []).map((s) => s.toLowerCase()));
+      const newSkills = value.filter((s) => !have.has(String(s).toLowerCase()));
+      if (!newSkills.length) continue;
+      const change = { field, current: current.skills, proposed: newSkills, status: "pending" };
+      if (autofill && !current.skills.length && (await writeField(db, candidateId, field, newSkills, {}))) {
+        change.status = "auto_applied";
+      }
+      changes.push(change);
+      continue;
+    }
+    if (!isEmpty(current[field]) && sameValue(field, current[field], value)) continue;
+    const change = { field, current: current[field] ?? null, proposed: value, status: "pending" };
+    if (autofill && isEmpty(current[field]) && (await writeField(db, candidateId, field, value, { onlyIfEmpty: true }))) {
+      change.status = "auto_applied";
+    }
+    changes.push(change);
+  }
+
+  const hasPending = changes.some((c) => c.status === "pending");
+  if (hasPending) {
+    await db.query(
+      `UPDATE ${SUGGESTIONS_TABLE} SET status = 'superseded' WHERE candidate_id = $1 AND status = 'pending'`,
+      [candidateId]
+    );
+  }
+  const { rows } = await db.query(
+    `INSERT INTO ${SUGGESTIONS_TABLE} (candidate_id, application_id, source_kind, source_url, parser, profile, changes, status)
+     VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7::jsonb, $8)
+     RETURNING *`,
+    [
+      candidateId,
+      applicationId,
+      kind,
+      sourceUrl,
+      parser,
+      JSON.stringify(profile),
+      JSON.stringify(changes),
+      hasPending ? "pending" : "applied",
+    ]
+  );
+  return rows[0];
+}
+
+async function listProfileSuggestions(db, candidateId, { status = null, limit = 20 } = {}) {
+  const params = [candidateId];
+  let where = "candidate_id = $1";
+  if (status) {
+    params.push(status);
+    where += ` AND status = $${params.length}`;
+  }
+  params.push(limit);
+  const { rows } = await db.query(
+    `SELECT * FROM ${SUGGESTIONS_TABLE} WHERE ${where} ORDER BY created_at DESC, id DESC LIMIT $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+async function getPendingSuggestion(db, candidateId, suggestionId) {
+  const row = (
+    await db.query(`SELECT * FROM ${SUGGESTIONS_TABLE} WHERE id = $1 AND candidate_id = $2`, [
+      suggestionId,
+      candidateId,
+    ])
+  ).rows[0];
+  if (!row) {
+    const err = new Error("not_found");
+    err.status = 404;
+    throw err;
+  }
+  if (row.status !== "pending") {
+    const err = new Error(`suggestion_${row.status}`);
+    err.status = 409;
+    throw err;
+  }
+  return row;
+}
+
+/**
+ * Apply pending changes of a suggestion. Unselected pending changes are rejected.
+ * @param {Object} options
+ * @param {string[]} [options.fields] - fields to accept (default: all pending)
+ * @param {string[]} [options.skills] - subset of proposed skills to add (default: all)
+ */
+async function acceptProfileSuggestion(db, candidateId, suggestionId, { fields = null, skills = null, reviewedBy = null } = {}) {
+  const row = await getPendingSuggestion(db, candidateId, suggestionId);
+  const selected = Array.isArray(fields) ? new Set(fields) : null;
+  const changes = [];
+  for (const change of row.changes || []) {
+    if (change.status !== "pending") {
+      changes.push(change);
+      continue;
+    }
+    if (selected && !selected.has(change.field)) {
+      changes.push({ ...change, status: "rejected" });
+      continue;
+    }
+    let value = change.proposed;
+    if (change.field === "skills" && Array.isArray(skills)) {
+      const wanted = new Set(skills.map((s) => String(s).toLowerCase()));
+      value = value.filter((s) => wanted.has(String(s).toLowerCase()));
+    }
+    if (isEmpty(value)) {
+      changes.push({ ...change, status: "rejected" });
+      continue;
+    }
+    await writeField(db, candidateId, change.field, value, { onlyIfEmpty: false });
+    changes.push({ ...change, applied: value, status: "accepted" });
+  }
+  const { rows } = await db.query(
+    `UPDATE ${SUGGESTIONS_TABLE}
+        SET changes = $2::jsonb, status = 'accepted', reviewed_by = $3, reviewed_at = NOW()
+      WHERE id = $1
+      RETURNING *`,
+    [suggestionId, JSON.stringify(changes), reviewedBy]
+  );
+  return rows[0];
+}
+
+async function rejectProfileSuggestion(db, candidateId, suggestionId, { reviewedBy = null } = {}) {
+  const row = await getPendingSuggestion(db, candidateId, suggestionId);
+  const changes = (row.changes || []).map((c) => (c.status === "pending" ? { ...c, status: "rejected" } : c));
+  const { rows } = await db.query(
+    `UPDATE ${SUGGESTIONS_TABLE}
+        SET changes = $2::jsonb, status = 'rejected', reviewed_by = $3, reviewed_at = NOW()
+      WHERE id = $1
+      RETURNING *`,
+    [suggestionId, JSON.stringify(changes), reviewedBy]
+  );
+  return rows[0];
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  createProfileSuggestion,
+  listProfileSuggestions,
+  acceptProfileSuggestion,
+  rejectProfileSuggestion,
+};
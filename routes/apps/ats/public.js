@@ -19,6 +19,10 @@ const {
   safeFileName,
   extractTextFromBuffer,
 } = require("./helpers");
+const { indexCandidateDocument } = require("./searchIndex");
+const { createProfileSuggestion } = require("./profileSuggestions");
+const { recordStageEvent } = require("./stageEvents");
+const { emitCandidateEvent } = require("./realtime");
 
 // File upload configuration
 const MAX_UPLOAD_MB = process.env.MAX_UPLOAD_MB || "512";
@@ -485,20 +489,24 @@ router.post("/applications", async (req, res) => {
           `INSERT INTO ${DEFAULT_SCHEMA}.application_stages (application_id, stage_name, status, updated_at) VALUES ($1, 'Applied', 'new', NOW())`,
           [applicationId]
         );
+        await recordStageEvent(req.db, {
+          applicationId,
+          candidateId,
+          toStage: "Applied",
+          toStatus: "new",
+          actorLabel: "applicant",
+          source: "public_application",
+        });
       } catch {}
 
-      // Emit real-time event
-      const io = req.app.get("io");
-      if (io) {
-        io.emit("new_application", {
-          application_id: applicationId,
-          candidate_id: candidateId,
-          name: compositeName || `${firstName} ${lastName}`,
-          email: applicantEmail,
-          job_title: job_title || jl?.job_title,
-          timestamp: new Date().toISOString(),
-        });
-      }
+      // Emit real-time event to the job's department/requisition rooms
+      emitCandidateEvent(req.db, req.appId, "new_application", candidateId, {
+        application_id: applicationId,
+        candidate_id: candidateId,
+        name: compositeName || `${firstName} ${lastName}`,
+        email: applicantEmail,
+        job_title: job_title || jl?.job_title,
+      });
     }
 
     // Send confirmation email
@@ -508,7 +516,7 @@ router.post("/applications", async (req, res) => {
           candidateEmail: applicantEmail,
           candidateName: firstName || compositeName || "Applicant",
           jobTitle: job_title || jl?.job_title || "the position",
-        });
+        }, { db: req.db, candidateId, applicationId });
       } catch {}
     }
 
@@ -577,6 +585,21 @@ router.post("/applications/:applicationId/upload/resume", upload.single("file"),
       if (text) {
         const sidecarPath = filePath + ".txt";
         await fs.promises.writeFile(sidecarPath, text, "utf8");
+        await indexCandidateDocument(req.db, {
+          candidateId,
+          applicationId,
+          kind: "resume",
+          sourceUrl: publicUrl,
+          content: text,
+        });
+        // Structured profile; conflicting fields wait for review (not awaited)
+        createProfileSuggestion(req.db, {
+          candidateId,
+          applicationId,
+          kind: "resume",
+          sourceUrl: publicUrl,
+          text,
+        }).catch((err) => console.warn("[PUBLIC_UPLOAD_RESUME] profile parse failed:", err.message));
       }
     } catch {}
 
@@ -601,11 +624,13 @@ router.post("/applications/:applicationId/upload/cover-letter", upload.single("f
 
     // Verify application exists
     const appCheck = await req.db.query(
-      `SELECT application_id FROM ${DEFAULT_SCHEMA}.applications WHERE application_id = $1`,
+      `SELECT application_id, candidate_id FROM ${DEFAULT_SCHEMA}.applications WHERE application_id = $1`,
       [applicationId]
     );
     if (!appCheck.rows.length) return res.status(404).json({ error: "application_not_found" });
 
+    const candidateId = appCheck.rows[0].candidate_id;
+
     // Store file
     const ext = pickExt(file.originalname, file.mimetype);
     const filename = `cover_${applicationId}_${Date.now()}${ext}`;
@@ -622,6 +647,30 @@ router.post("/applications/:applicationId/upload/cover-letter", upload.single("f
       [publicUrl, applicationId]
     );
 
+    // Extract text for search
+    try {
+      const text = await extractTextFromBuffer(file.buffer, file.originalname, file.mimetype);
+      if (text) {
+        const sidecarPath = filePath + ".txt";
+        await fs.promises.writeFile(sidecarPath, text, "utf8");
+        await indexCandidateDocument(req.db, {
+          candidateId,
+          applicationId,
+          kind: "cover_letter",
+          sourceUrl: publicUrl,
+          content: text,
+        });
+        // Structured profile; conflicting fields wait for review (not awaited)
+        createProfileSuggestion(req.db, {
+          candidateId,
+          applicationId,
+          kind: "cover_letter",
+          sourceUrl: publicUrl,
+          text,
+        }).catch((err) => console.warn("[PUBLIC_UPLOAD_COVER] profile parse failed:", err.message));
+      }
+    } catch {}
+
     return res.json({ success: true, url: publicUrl });
   } catch (e) {
     console.error("[PUBLIC_UPLOAD_COVER][ERR]", e);
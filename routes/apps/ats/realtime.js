@@ -0,0 +1,128 @@
+/**
+ * Realtime Candidate Events
+ * Pushes candidate changes to the socket.io rooms (services/realtime.js) of the departments
+ * and job requisitions the candidate has applied to, plus the app's `all` room.
+ *
+ * Events (payload always has candidateId, appId and timestamp):
+ *   candidate_stage_changed    - { applicationId, fromStage, toStage, status, actor, source }
+ *   candidate_note_added       - { applicationId, notes, actor }
+ *   candidate_comment_added    - { commentId, applicationId, parentId, actor }
+ *   candidate_flags_changed    - { flagId, added, actor }
+ *   candidate_score_completed  - { status, overallScore, source }
+ *   candidate_archived / candidate_restored - { actor, reason }
+ *   new_application            - { application_id, candidate_id, name, email, job_title }
+ *
+ * Emits are fire-and-forget: a failed room lookup is logged and never fails the request.
+ *
+ * Room joins go through authorizeRooms: users limited to their departments (departmentScope.js)
+ * may only join the rooms of those departments and of requisitions in them, not `all`.
+ */
+
+const realtime = require("../../../services/realtime");
+const { DEFAULT_SCHEMA, APP_TABLE, getSessionEmails } = require("./helpers");
+const { JOB_LISTING_JOIN } = require("./reportFilters");
+const { departmentScopeForEmails, departmentScopeSql } = require("./departmentScope");
+
+const CANDIDATE_EVENTS = [
+  "candidate_stage_changed",
+  "candidate_note_added",
+  "candidate_comment_added",
+  "candidate_flags_changed",
+  "candidate_score_completed",
+  "candidate_archived",
+  "candidate_restored",
+  "new_application",
+];
+
+/**
+ * Department and requisition rooms per candidate, from all of their applications.
+ * @returns {Promise<Map<number, string[]>>}
+ */
+async function candidateRooms(db, appId, candidateIds) {
+  const ids = Array.from(new Set(candidateIds.map(Number).filter(Number.isFinite)));
+  const rooms = new Map(ids.map((id) => [id, []]));
+  if (!ids.length) return rooms;
+  const { rows } = await db.query(
+    `SELECT DISTINCT a.candidate_id, jl.department, a.job_requisition_id::text AS requisition
+       FROM ${APP_TABLE} a
+       ${JOB_LISTING_JOIN}
+      WHERE a.candidate_id = ANY($1::int[])`,
+    [ids]
+  );
+  for (const row of rows) {
+    const list = rooms.get(Number(row.candidate_id));
+    if (!list) continue;
+    if (row.department && String(row.department).trim()) list.push(realtime.room(appId, "department", row.department));
+    if (row.requisition) list.push(realtime.room(appId, "requisition", row.requisition));
+  }
+  return rooms;
+}
+
+/**
+ * Emit one event per entry to the rooms of each entry's candidate.
+ * @param {Object} db - pool (call after commit)
+ * @param {string} appId
+ * @param {string} event - one of CANDIDATE_EVENTS
+ * @param {Array<Object>} entries - [{ candidateId, ...payload }]
+ */
+async function emitCandidateEvents(db, appId, event, entries) {
+  try {
+    if (!realtime.io || !entries.length) return;
+    const rooms = await candidateRooms(db, appId || "ats", entries.map((e) => e.candidateId));
+    for (const entry of entries) {
+      const candidateId = Number(entry.candidateId);
+      realtime.emitToRooms(appId || "ats", rooms.get(candidateId) || [], event, { ...entry, candidateId });
+    }
+  } catch (e) {
+    console.warn(`[realtime] ${event} emit failed:`, e.message);
+  }
+}
+
+function emitCandidateEvent(db, appId, event, candidateId, payload = {}) {
+  return emitCandidateEvents(db, appId, event, [{ ...payload, candidateId }]);
+}
+
+/**
+ * The rooms a socket may join: everything for unrestricted users, else the department rooms
+ * of the user's departments and the requisition rooms of jobs in them.
+ * @param {Object} db - the app's pool
+ * @param {Object} socket - authenticated socket (socket.request.session.user)
+ * @param {string[]} rooms - requested rooms
+ * @returns {Promise<string[]>}
+ */
+async function authorizeRooms(db, socket, rooms) {
+  const appId = socket.data.appId;
+  const scope = await departmentScopeForEmails(db, getSessionEmails(socket.request));
+  if (!scope) return rooms;
+  const departmentRooms = new Set(scope.map((d) => realtime.room(appId, "department", d)));
+  const prefix = realtime.room(appId, "requisition", "");
+  const requisitions = rooms.filter((r) => r.startsWith(prefix)).map((r) => r.slice(prefix.length));
+  const requisitionRooms = new Set();
+  if (requisitions.length) {
+    const params = [requisitions];
+    const { rows } = await db.query(
+      `SELECT jl.job_requisition_id::text AS requisition
+         FROM ${DEFAULT_SCHEMA}.job_listings jl
+        WHERE jl.job_requisition_id::text = ANY($1::text[])${departmentScopeSql(scope, params)}`,
+      params
+    );
+    for (const row of rows) requisitionRooms.add(realtime.room(appId, "requisition", row.requisition));
+  }
+  return rooms.filter((r) => departmentRooms.has(r) || requisitionRooms.has(r));
+}
+
+// Actor shown on events raised by a request
+function eventActor(req) {
+  const user = req.session?.user;
+  if (!user) return null;
+  return { email: user.emails?.[0] || null, displayName: user.displayName || null };
+}
+
+module.exports = {
+  CANDIDATE_EVENTS,
+  authorizeRooms,
+  candidateRooms,
+  emitCandidateEvent,
+  emitCandidateEvents,
+  eventActor,
+};
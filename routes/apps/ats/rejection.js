@@ -13,6 +13,7 @@ const {
   PEOPLE_PK,
   APP_TABLE,
 } = require("./helpers");
+const { recordAudit } = require("./audit");
 
 // Email service will be injected via init
 let emailService = null;
@@ -24,143 +25,185 @@ function initRejection(deps) {
 }
 
 // ==================== REJECTION EMAILS ====================
-// POST /send-rejection-email - Send rejection email to candidate
-router.post("/send-rejection-email", async (req, res) => {
-  try {
-    const { candidateId, rejectionReason, shouldArchive } = req.body;
+function rejectionError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
 
-    if (!candidateId || !rejectionReason) {
-      return res.status(400).json({ error: "Missing required fields" });
-    }
+/**
+ * Send the rejection email for a candidate and open a feedback request.
+ * Used by POST /send-rejection-email and bulk reject.
+ * @throws {Error} with status 400/404/500 ("Candidate not found", "Candidate has no email address", ...)
+ * @returns {Promise<{ messageId, provider, recipient, jobTitle }>}
+ */
+async function sendRejectionForCandidate(db, { candidateId, rejectionReason, shouldArchive }) {
+  // Get candidate details
+  const candidateResult = await db.query(
+    `SELECT candidate_id, email, first_name, last_name FROM ${PEOPLE_TABLE} WHERE candidate_id = $1`,
+    [candidateId]
+  );
+
+  if (candidateResult.rows.length === 0) {
+    throw rejectionError("Candidate not found", 404);
+  }
 
-    // Get candidate details
-    const candidateResult = await req.db.query(
-      `SELECT candidate_id, email, first_name, last_name FROM ${PEOPLE_TABLE} WHERE candidate_id = $1`,
-      [candidateId]
-    );
+  const candidate = candidateResult.rows[0];
+  const candidateName =
+    `${candidate.first_name || ""} ${candidate.last_name || ""}`.trim() ||
+    "Candidate";
+  const candidateEmail = candidate.email;
 
-    if (candidateResult.rows.length === 0) {
-      return res.status(404).json({ error: "Candidate not found" });
-    }
+  if (!candidateEmail) {
+    throw rejectionError("Candidate has no email address", 400);
+  }
 
-    const candidate = candidateResult.rows[0];
-    const candidateName =
-      `${candidate.first_name || ""} ${candidate.last_name || ""}`.trim() ||
-      "Candidate";
-    const candidateEmail = candidate.email;
+  // Get job title from the most recent application for this candidate
+  let jobTitle = "the position";
+  try {
+    const applicationResult = await db.query(
+      `SELECT jl.job_title
+       FROM ${APP_TABLE} a
+       LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON a.job_requisition_id = jl.job_requisition_id
+       WHERE a.candidate_id = $1
+       ORDER BY a.application_date DESC
+       LIMIT 1`,
+      [candidateId]
+    );
 
-    if (!candidateEmail) {
-      return res.status(400).json({ error: "Candidate has no email address" });
+    if (
+      applicationResult.rows.length > 0 &&
+      applicationResult.rows[0].job_title
+    ) {
+      jobTitle = applicationResult.rows[0].job_title;
     }
+  } catch (jobError) {
+    console.warn(
+      "[ATS] Could not fetch job title, using default:",
+      jobError.message
+    );
+  }
 
-    // Get job title from the most recent application for this candidate
-    let jobTitle = "the position";
-    try {
-      const applicationResult = await req.db.query(
-        `SELECT jl.job_title
-         FROM ${APP_TABLE} a
-         LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON a.job_requisition_id = jl.job_requisition_id
-         WHERE a.candidate_id = $1
-         ORDER BY a.application_date DESC
-         LIMIT 1`,
-        [candidateId]
-      );
+  // Generate unique feedback token
+  const feedbackToken = crypto.randomBytes(32).toString("hex");
+
+  // Create feedback request record in database
+  const ensureFeedbackTableSQL = `
+    CREATE TABLE IF NOT EXISTS ${DEFAULT_SCHEMA}.rejection_feedback_requests (
+      id SERIAL PRIMARY KEY,
+      candidate_id INTEGER NOT NULL,
+      candidate_email VARCHAR(255) NOT NULL,
+      candidate_name VARCHAR(255),
+      job_title VARCHAR(255),
+      rejection_reason VARCHAR(100),
+      feedback_token VARCHAR(64) UNIQUE NOT NULL,
+      status VARCHAR(50) DEFAULT 'awaiting_candidate',
+      candidate_message TEXT,
+      admin_response TEXT,
+      rejection_email_message_id TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      responded_at TIMESTAMP,
+      responded_by VARCHAR(255)
+    )
+  `;
+  await db.query(ensureFeedbackTableSQL);
+
+  // Add rejection_email_message_id column if table exists but doesn't have it
+  try {
+    await db.query(`
+      ALTER TABLE ${DEFAULT_SCHEMA}.rejection_feedback_requests
+      ADD COLUMN IF NOT EXISTS rejection_email_message_id TEXT
+    `);
+  } catch (alterError) {
+    console.log(
+      "[ATS] rejection_email_message_id column already exists or error:",
+      alterError.message
+    );
+  }
 
-      if (
-        applicationResult.rows.length > 0 &&
-        applicationResult.rows[0].job_title
-      ) {
-        jobTitle = applicationResult.rows[0].job_title;
-      }
-    } catch (jobError) {
-      console.warn(
-        "[ATS] Could not fetch job title, using default:",
-        jobError.message
-      );
-    }
+  // Insert feedback request with 'awaiting_candidate' status
+  await db.query(
+    `INSERT INTO ${DEFAULT_SCHEMA}.rejection_feedback_requests
+     (candidate_id, candidate_email, candidate_name, job_title, rejection_reason, feedback_token, status)
+     VALUES ($1, $2, $3, $4, $5, $6, 'awaiting_candidate')`,
+    [
+      candidateId,
+      candidateEmail,
+      candidateName,
+      jobTitle,
+      rejectionReason,
+      feedbackToken,
+    ]
+  );
 
-    // Generate unique feedback token
-    const feedbackToken = crypto.randomBytes(32).toString("hex");
+  // Send rejection email
+  if (!emailService) {
+    throw rejectionError("Email service not configured", 500);
+  }
 
-    // Create feedback request record in database
-    const ensureFeedbackTableSQL = `
-      CREATE TABLE IF NOT EXISTS ${DEFAULT_SCHEMA}.rejection_feedback_requests (
-        id SERIAL PRIMARY KEY,
-        candidate_id INTEGER NOT NULL,
-        candidate_email VARCHAR(255) NOT NULL,
-        candidate_name VARCHAR(255),
-        job_title VARCHAR(255),
-        rejection_reason VARCHAR(100),
-        feedback_token VARCHAR(64) UNIQUE NOT NULL,
-        status VARCHAR(50) DEFAULT 'awaiting_candidate',
-        candidate_message TEXT,
-        admin_response TEXT,
-        rejection_email_message_id TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        responded_at TIMESTAMP,
-        responded_by VARCHAR(255)
-      )
-    `;
-    await req.db.query(ensureFeedbackTableSQL);
+  const emailResult = await emailService.sendRejectionEmail({
+    candidateEmail,
+    candidateName,
+    jobTitle,
+    rejectionReason,
+    shouldArchive,
+    feedbackToken,
+  }, { db, candidateId });
+
+  // Store the Message-ID from the sent email for threading
+  if (emailResult.messageId) {
+    await db.query(
+      `UPDATE ${DEFAULT_SCHEMA}.rejection_feedback_requests
+       SET rejection_email_message_id = $1
+       WHERE feedback_token = $2`,
+      [emailResult.messageId, feedbackToken]
+    );
+  }
 
-    // Add rejection_email_message_id column if table exists but doesn't have it
-    try {
-      await req.db.query(`
-        ALTER TABLE ${DEFAULT_SCHEMA}.rejection_feedback_requests
-        ADD COLUMN IF NOT EXISTS rejection_email_message_id TEXT
-      `);
-    } catch (alterError) {
-      console.log(
-        "[ATS] rejection_email_message_id column already exists or error:",
-        alterError.message
-      );
-    }
+  return {
+    messageId: emailResult.messageId,
+    provider: emailResult.provider,
+    recipient: candidateEmail,
+    jobTitle,
+  };
+}
 
-    // Insert feedback request with 'awaiting_candidate' status
-    await req.db.query(
-      `INSERT INTO ${DEFAULT_SCHEMA}.rejection_feedback_requests
-       (candidate_id, candidate_email, candidate_name, job_title, rejection_reason, feedback_token, status)
-       VALUES ($1, $2, $3, $4, $5, $6, 'awaiting_candidate')`,
-      [
-        candidateId,
-        candidateEmail,
-        candidateName,
-        jobTitle,
-        rejectionReason,
-        feedbackToken,
-      ]
-    );
+// POST /send-rejection-email - Send rejection email to candidate
+router.post("/send-rejection-email", async (req, res) => {
+  try {
+    const { candidateId, rejectionReason, shouldArchive } = req.body;
 
-    // Send rejection email
-    if (!emailService) {
-      return res.status(500).json({ error: "Email service not configured" });
+    if (!candidateId || !rejectionReason) {
+      return res.status(400).json({ error: "Missing required fields" });
     }
 
-    const emailResult = await emailService.sendRejectionEmail({
-      candidateEmail,
-      candidateName,
-      jobTitle,
+    const result = await sendRejectionForCandidate(req.db, {
+      candidateId,
       rejectionReason,
       shouldArchive,
-      feedbackToken,
     });
-
-    // Store the Message-ID from the sent email for threading
-    if (emailResult.messageId) {
-      await req.db.query(
-        `UPDATE ${DEFAULT_SCHEMA}.rejection_feedback_requests
-         SET rejection_email_message_id = $1
-         WHERE feedback_token = $2`,
-        [emailResult.messageId, feedbackToken]
-      );
-    }
+    await recordAudit(req, {
+      action: "rejection_email.send",
+      entityType: "candidate",
+      entityId: candidateId,
+      metadata: {
+        recipient: result.recipient,
+        jobTitle: result.jobTitle,
+        rejectionReason,
+        shouldArchive: !!shouldArchive,
+        messageId: result.messageId,
+      },
+    });
 
     return res.json({
       success: true,
-      messageId: emailResult.messageId,
-      provider: emailResult.provider,
+      messageId: result.messageId,
+      provider: result.provider,
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("[ATS] Error sending rejection email:", error);
     return res
       .status(500)
@@ -581,3 +624,4 @@ router.post("/public/rejection-feedback/submit/:token", async (req, res) => {
 
 module.exports = router;
 module.exports.initRejection = initRejection;
+module.exports.sendRejectionForCandidate = sendRejectionForCandidate;
@@ -0,0 +1,162 @@
+/**
+ * Report Filters
+ * Filter parameters shared by the reports (reports.js) and dashboard stats (dashboard.js):
+ * a date range (from/to or a relative period) and lists of departments, job listings,
+ * requisitions, recruiters and application sources.
+ */
+
+const { DEFAULT_SCHEMA } = require("./helpers");
+
+// Exposes the job listing (jl) of an application (a), as reportFilterSql expects
+const JOB_LISTING_JOIN = `LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON (a.job_requisition_id IS NOT NULL AND jl.job_requisition_id = a.job_requisition_id)`;
+
+// List filters shared by every report type: SQL over applications (a) / job listings (jl)
+const REPORT_FILTER_LISTS = {
+  department: { label: "Department", aliases: ["departments"], sql: `LOWER(TRIM(jl.department))`, lower: true },
+  job: { label: "Job", aliases: ["jobs", "jobId", "jobListingId"], sql: `jl.job_listing_id::text`, lower: false },
+  requisition: {
+    label: "Job Requisition",
+    aliases: ["requisitions", "jobRequisitionId"],
+    sql: `a.job_requisition_id::text`,
+    lower: false,
+  },
+  recruiter: { label: "Recruiter", aliases: ["recruiters"], sql: `LOWER(TRIM(jl.recruiter_assigned))`, lower: true },
+  source: {
+    label: "Application Source",
+    aliases: ["sources"],
+    sql: `LOWER(TRIM(to_jsonb(a)->>'application_source'))`,
+    lower: true,
+  },
+};
+
+// Relative date ranges, resolved when the report runs (useful for scheduled reports)
+const REPORT_PERIODS = {
+  last_7_days: (today) => [addDays(today, -6), today],
+  last_30_days: (today) => [addDays(today, -29), today],
+  last_90_days: (today) => [addDays(today, -89), today],
+  month_to_date: (today) => [`${today.slice(0, 7)}-01`, today],
+  previous_month: (today) => {
+    const first = new Date(`${today.slice(0, 7)}-01T00:00:00Z`);
+    const prevLast = addDays(first.toISOString().slice(0, 10), -1);
+    return [`${prevLast.slice(0, 7)}-01`, prevLast];
+  },
+  quarter_to_date: (today) => {
+    const month = Math.floor((Number(today.slice(5, 7)) - 1) / 3) * 3 + 1;
+    return [`${today.slice(0, 4)}-${String(month).padStart(2, "0")}-01`, today];
+  },
+  year_to_date: (today) => [`${today.slice(0, 4)}-01-01`, today],
+};
+
+function addDays(isoDate, days) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function invalidFilters(detail) {
+  const err = new Error("invalid_report_filters");
+  err.status = 400;
+  err.detail = detail;
+  return err;
+}
+
+function parseFilterDate(value, name) {
+  if (value === undefined || value === null || value === "") return null;
+  const text = String(value).trim();
+  const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00Z` : text);
+  if (!/^\d{4}-\d{2}-\d{2}/.test(text) || Number.isNaN(d.getTime())) {
+    throw invalidFilters(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Validate report filters from a request body or saved definition.
+ * Accepted: from/to (YYYY-MM-DD, inclusive) or period (see REPORT_PERIODS), and lists
+ * (array or comma-separated) for department, job (job_listing_id), requisition, recruiter and source.
+ * @throws {Error} invalid_report_filters (status 400)
+ * @returns {Object} only the filters that are set
+ */
+function normalizeReportFilters(input) {
+  if (input === undefined || input === null) return {};
+  if (typeof input !== "object" || Array.isArray(input)) throw invalidFilters("filters must be an object");
+  const out = {};
+
+  const from = parseFilterDate(input.from ?? input.dateFrom ?? input.startDate, "from");
+  const to = parseFilterDate(input.to ?? input.dateTo ?? input.endDate, "to");
+  if (from && to && from > to) throw invalidFilters("from must not be after to");
+  const period = input.period ? String(input.period).trim().toLowerCase() : null;
+  if (period) {
+    if (!REPORT_PERIODS[period]) {
+      throw invalidFilters(`period must be one of ${Object.keys(REPORT_PERIODS).join(", ")}`);
+    }
+    if (from || to) throw invalidFilters("use either period or from/to");
+    out.period = period;
+  }
+  if (from) out.from = from;
+  if (to) out.to = to;
+
+  for (const [key, filter] of Object.entries(REPORT_FILTER_LISTS)) {
+    const raw = [key, ...filter.aliases].map((k) => input[k]).find((v) => v !== undefined && v !== null && v !== "");
+    if (raw === undefined) continue;
+    const list = (Array.isArray(raw) ? raw : String(raw).split(","))
+      .map((v) => String(v ?? "").trim())
+      .filter(Boolean);
+    const values = [...new Set(list)];
+    if (values.length > 50) throw invalidFilters(`${key}: at most 50 values`);
+    if (values.length) out[key] = values;
+  }
+  return out;
+}
+
+/**
+ * Resolve a relative period into from/to dates for this run.
+ */
+function resolveReportFilters(filters, now = new Date()) {
+  const resolved = { ...filters };
+  if (filters.period && REPORT_PERIODS[filters.period]) {
+    const [from, to] = REPORT_PERIODS[filters.period](now.toISOString().slice(0, 10));
+    resolved.from = from;
+    resolved.to = to;
+  }
+  return resolved;
+}
+
+/**
+ * WHERE-clause fragment (" AND ..." conditions) for resolved report filters. The query must
+ * expose applications as `a` and job listings as `jl`; values are appended to `params`.
+ * An empty list matches nothing (a department scope with no departments, departmentScope.js).
+ * @param {string} dateExpr - column the date range applies to (application date by default)
+ */
+function reportFilterSql(filters, params, dateExpr = "a.application_date") {
+  const clauses = [];
+  if (filters.from) {
+    params.push(filters.from);
+    clauses.push(`${dateExpr} >= $${params.length}::date`);
+  }
+  if (filters.to) {
+    params.push(filters.to);
+    clauses.push(`${dateExpr} < $${params.length}::date + 1`);
+  }
+  for (const [key, filter] of Object.entries(REPORT_FILTER_LISTS)) {
+    const values = filters[key];
+    if (!values) continue;
+    if (!values.length) {
+      clauses.push("FALSE");
+      continue;
+    }
+    params.push(filter.lower ? values.map((v) => v.toLowerCase()) : values);
+    clauses.push(`${filter.sql} = ANY($${params.length}::text[])`);
+  }
+  return clauses.map((c) => ` AND ${c}`).join("");
+}
+
+module.exports = {
+  JOB_LISTING_JOIN,
+  REPORT_FILTER_LISTS,
+  REPORT_PERIODS,
+  addDays,
+  normalizeReportFilters,
+  resolveReportFilters,
+  reportFilterSql,
+};
@@ -0,0 +1,293 @@
+/**
+ * Report Export Formats
+ * Turns a generated report workbook (see generateWorkbookForReport in reports.js) into the
+ * requested download format. The worksheet builders always fill an ExcelJS workbook; the
+ * other formats are rendered from its sheets so every format carries the same numbers.
+ *
+ *   xlsx - the workbook as is
+ *   csv  - one CSV file per sheet, zipped
+ *   pdf  - formatted summary: header, filters, charts supplied by the builders and one
+ *          table per sheet (long tables are cut at PDF_MAX_TABLE_ROWS)
+ *
+ * Chart spec returned by a builder: { title, labels: [..], series: [{ name, values: [..] }] }
+ */
+
+const archiver = require("archiver");
+const PDFDocument = require("pdfkit");
+
+const REPORT_FORMATS = {
+  xlsx: {
+    extension: "xlsx",
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+  csv: { extension: "zip", contentType: "application/zip" },
+  pdf: { extension: "pdf", contentType: "application/pdf" },
+};
+
+const PDF_MAX_TABLE_ROWS = 200;
+const PDF_MAX_CHART_BARS = 15;
+const CHART_COLORS = ["#2f6fb3", "#3aa76d", "#e0a030", "#c0504d"];
+
+// Sheets rendered as "key: value" lines rather than tables
+const SUMMARY_SHEET = "Summary";
+const METADATA_SHEET = "Report Metadata";
+
+/**
+ * Validate a requested format (defaults to xlsx).
+ * @throws {Error} unsupported_format (status 400)
+ */
+function normalizeReportFormat(value) {
+  const format = value ? String(value).trim().toLowerCase() : "xlsx";
+  if (!REPORT_FORMATS[format]) {
+    const err = new Error("unsupported_format");
+    err.status = 400;
+    err.detail = { supported: Object.keys(REPORT_FORMATS) };
+    throw err;
+  }
+  return format;
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((t) => t.text).join("");
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return "";
+  }
+  return String(value);
+}
+
+/** Rows of a worksheet as arrays of display strings (ExcelJS rows are 1-based). */
+function sheetRows(sheet) {
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row) => {
+    const values = Array.isArray(row.values) ? row.values.slice(1) : [];
+    rows.push(values.map(cellText));
+  });
+  return rows;
+}
+
+function csvFileName(sheetName, index) {
+  const base = String(sheetName || `Sheet ${index + 1}`)
+    .replace(/[^A-Za-z0-9 _-]/g, "")
+    .trim()
+    .replace(/\s+/g, "_");
+  return `${String(index + 1).padStart(2, "0")}_${base || "sheet"}.csv`;
+}
+
+async function renderCsvZip(workbook) {
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    archive.on("data", (chunk) => chunks.push(chunk));
+    archive.on("end", resolve);
+    archive.on("error", reject);
+  });
+  for (const [index, sheet] of workbook.worksheets.entries()) {
+    const csv = await workbook.csv.writeBuffer({ sheetId: sheet.id });
+    // BOM so Excel opens UTF-8 names correctly; BI loaders ignore it
+    archive.append(Buffer.concat([Buffer.from("\uFEFF"), Buffer.from(csv)]), {
+      name: csvFileName(sheet.name, index),
+    });
+  }
+  await archive.finalize();
+  await done;
+  return Buffer.concat(chunks);
+}
+
+// ==================== PDF ====================
+function ensureSpace(doc, height) {
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  if (doc.y + height > bottom) doc.addPage();
+}
+
+function drawKeyValues(doc, rows) {
+  const left = doc.page.margins.left;
+  for (const row of rows) {
+    if (!row.length || !row.some(Boolean)) continue;
+    ensureSpace(doc, 14);
+    const y = doc.y;
+    doc.font("Helvetica-Bold").fontSize(9).fillColor("#333").text(row[0] || "", left, y, { width: 150 });
+    doc.font("Helvetica").text(row.slice(1).filter(Boolean).join(" "), left + 155, y, {
+      width: doc.page.width - doc.page.margins.right - left - 155,
+    });
+    doc.moveDown(0.2);
+  }
+}
+
+/** Horizontal grouped bar chart drawn with plain vector shapes. */
+function drawBarChart(doc, chart) {
+  const labels = (chart.labels || []).slice(0, PDF_MAX_CHART_BARS);
+  const series = (chart.series || []).filter((s) => Array.isArray(s.values));
+  if (!labels.length || !series.length) return;
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const labelWidth = 150;
+  const valueWidth = 40;
+  const barArea = width - labelWidth - valueWidth - 10;
+  const barHeight = 8;
+  const groupHeight = barHeight * series.length + 6;
+  const max = Math.max(1, ...series.flatMap((s) => s.values.slice(0, labels.length).map((v) => Number(v) || 0)));
+
+  ensureSpace(doc, 40 + Math.min(labels.length, 6) * groupHeight);
+  doc.font("Helvetica-Bold").fontSize(11).fillColor("#222").text(chart.title || "", left, doc.y);
+  doc.moveDown(0.3);
+
+  // Legend
+  if (series.length > 1) {
+    let x = left;
+    const y = doc.y;
+    series.forEach((s, i) => {
+      doc.rect(x, y + 1, 8, 8).fill(CHART_COLORS[i % CHART_COLORS.length]);
+      doc.font("Helvetica").fontSize(8).fillColor("#333").text(s.name, x + 12, y, { lineBreak: false });
+      x += 24 + doc.widthOfString(s.name);
+    });
+    doc.y = y + 14;
+  }
+
+  labels.forEach((label, li) => {
+    ensureSpace(doc, groupHeight);
+    const y = doc.y;
+    doc.font("Helvetica").fontSize(8).fillColor("#333").text(cellText(label), left, y + 1, {
+      width: labelWidth - 6,
+      height: barHeight * series.length,
+      ellipsis: true,
+      lineBreak: false,
+    });
+    series.forEach((s, si) => {
+      const value = Number(s.values[li]) || 0;
+      const barY = y + si * barHeight;
+      const w = Math.max(value > 0 ? 1 : 0, (value / max) * barArea);
+      if (w > 0) doc.rect(left + labelWidth, barY, w, barHeight - 1).fill(CHART_COLORS[si % CHART_COLORS.length]);
+      doc.fillColor("#333").fontSize(7).text(String(value), left + labelWidth + w + 4, barY, {
+        width: valueWidth,
+        lineBreak: false,
+      });
+    });
+    doc.y = y + groupHeight;
+  });
+  if ((chart.labels || []).length > labels.length) {
+    doc.font("Helvetica-Oblique").fontSize(8).fillColor("#777")
+      .text(`Top ${labels.length} of ${chart.labels.length} shown.`, left, doc.y);
+  }
+  doc.moveDown(1);
+}
+
+function drawTable(doc, title, rows) {
+  const [header, ...body] = rows.filter((r) => r.some(Boolean));
+  if (!header) return;
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const columns = Math.max(...rows.map((r) => r.length));
+  // First column (names) gets more room than the numeric ones
+  const firstWidth = columns > 1 ? Math.min(width * 0.3, 180) : width;
+  const otherWidth = columns > 1 ? (width - firstWidth) / (columns - 1) : 0;
+  const colX = (i) => left + (i === 0 ? 0 : firstWidth + (i - 1) * otherWidth);
+  const colW = (i) => (i === 0 ? firstWidth : otherWidth) - 4;
+  const rowHeight = 13;
+
+  const drawHeader = () => {
+    const y = doc.y;
+    doc.rect(left, y - 2, width, rowHeight).fill("#e9eef5");
+    doc.font("Helvetica-Bold").fontSize(8).fillColor("#222");
+    header.forEach((h, i) => doc.text(h, colX(i) + 2, y, { width: colW(i), ellipsis: true, lineBreak: false }));
+    doc.y = y + rowHeight;
+  };
+
+  ensureSpace(doc, 40);
+  doc.font("Helvetica-Bold").fontSize(12).fillColor("#222").text(title, left, doc.y);
+  doc.moveDown(0.3);
+  drawHeader();
+
+  const shown = body.slice(0, PDF_MAX_TABLE_ROWS);
+  shown.forEach((row, ri) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      drawHeader();
+    }
+    const y = doc.y;
+    if (ri % 2 === 1) doc.rect(left, y - 2, width, rowHeight).fill("#f7f7f7");
+    doc.font("Helvetica").fontSize(8).fillColor("#333");
+    for (let i = 0; i < columns; i++) {
+      doc.text(row[i] || "", colX(i) + 2, y, {
+        width: colW(i),
+        ellipsis: true,
+        lineBreak: false,
+        align: i === 0 ? "left" : "right",
+      });
+    }
+    doc.y = y + rowHeight;
+  });
+  if (body.length > shown.length) {
+    doc.font("Helvetica-Oblique").fontSize(8).fillColor("#777")
+      .text(`${body.length - shown.length} more rows in the xlsx/csv export.`, left, doc.y + 2);
+  }
+  doc.moveDown(1.2);
+}
+
+async function renderPdf(workbook, { title, charts = [] }) {
+  const doc = new PDFDocument({
+    size: "A4",
+    layout: "landscape",
+    margin: 40,
+    info: { Title: title, Creator: workbook.creator || "Application Management Dashboard" },
+  });
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", resolve);
+    doc.on("error", reject);
+  });
+
+  doc.font("Helvetica-Bold").fontSize(18).fillColor("#111").text(title);
+  doc.moveDown(0.5);
+  const summary = workbook.getWorksheet(SUMMARY_SHEET);
+  if (summary) drawKeyValues(doc, sheetRows(summary).filter((r) => r[0] !== "Report Title"));
+  doc.moveDown(0.8);
+
+  for (const chart of charts) drawBarChart(doc, chart);
+
+  for (const sheet of workbook.worksheets) {
+    if (sheet.name === SUMMARY_SHEET || sheet.name === METADATA_SHEET) continue;
+    drawTable(doc, sheet.name, sheetRows(sheet));
+  }
+
+  const metadata = workbook.getWorksheet(METADATA_SHEET);
+  if (metadata) {
+    ensureSpace(doc, 60);
+    doc.font("Helvetica-Bold").fontSize(12).fillColor("#222").text(METADATA_SHEET, doc.page.margins.left, doc.y);
+    doc.moveDown(0.3);
+    drawKeyValues(doc, sheetRows(metadata).slice(1));
+  }
+
+  doc.end();
+  await done;
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Render a generated workbook in the requested format.
+ * @param {Object} options
+ * @param {string} options.format - xlsx | csv | pdf
+ * @param {string} options.title - report title (PDF heading)
+ * @param {Array} [options.charts] - chart specs from the worksheet builders (PDF only)
+ * @returns {Promise<{ buffer: Buffer, extension: string, contentType: string }>}
+ */
+async function renderReport(workbook, { format = "xlsx", title, charts = [] } = {}) {
+  const key = normalizeReportFormat(format);
+  const fmt = REPORT_FORMATS[key];
+  let buffer;
+  if (key === "csv") buffer = await renderCsvZip(workbook);
+  else if (key === "pdf") buffer = await renderPdf(workbook, { title, charts });
+  else buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+  return { buffer, extension: fmt.extension, contentType: fmt.contentType };
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  normalizeReportFormat,
+  renderReport,
+};
@@ -2,6 +2,10 @@
  * Reports Routes Module
  * Handles all /reports/* endpoints
  * Includes report generation, listing, and downloading
+ *
+ * Every generated workbook is recorded in report_runs and kept on disk for
+ * REPORT_RETENTION_DAYS. Saved definitions (report_definitions) hold a report type,
+ * its filters and an optional cron schedule run by services/reportScheduler.js.
  */
 
 const express = require("express");
@@ -9,6 +13,7 @@ const crypto = require("crypto");
 const path = require("path");
 const fs = require("fs");
 const ExcelJS = require("exceljs");
+const cron = require("node-cron");
 const router = express.Router();
 
 const {
@@ -23,17 +28,36 @@ const {
   isAdmin,
   getPrimaryEmail,
 } = require("./helpers");
+const { getStageCatalog } = require("./pipelines");
+const { STAGE_EVENTS_TABLE, stageStaysSql } = require("./stageEvents");
+const { normalizeReportFormat, renderReport } = require("./reportFormats");
+const {
+  REPORT_FILTER_LISTS,
+  normalizeReportFilters,
+  resolveReportFilters,
+  reportFilterSql,
+} = require("./reportFilters");
+const { requirePermission, hasPermission } = require("./permissions");
+const { departmentScopeForEmails, scopeReportFilters } = require("./departmentScope");
+
+// Injected via initReports (emails scheduled/saved report runs)
+let emailService = null;
+
+function initReports(deps) {
+  if (deps.emailService) {
+    emailService = deps.emailService;
+  }
+}
 
 // Report configuration
-const REPORT_TTL_SECONDS = Math.max(
-  60,
-  parseInt(process.env.REPORT_TTL_SECONDS || "900", 10)
+const REPORT_RETENTION_DAYS = Math.max(
+  1,
+  parseInt(process.env.REPORT_RETENTION_DAYS || "30", 10)
 );
-const REPORT_TTL_MS = REPORT_TTL_SECONDS * 1000;
+const REPORT_RETENTION_MS = REPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
 const REPORTS_DIR = path.join(FILES_ROOT, "reports");
-
-// In-memory report store
-const reportStore = new Map(); // id -> meta
+const REPORT_DEFINITIONS_TABLE = `${DEFAULT_SCHEMA}.report_definitions`;
+const REPORT_RUNS_TABLE = `${DEFAULT_SCHEMA}.report_runs`;
 
 function sanitizeOwnerKey(value) {
   return String(value || "anonymous")
@@ -41,56 +65,300 @@ function sanitizeOwnerKey(value) {
     .replace(/[^a-z0-9@._-]/g, "_");
 }
 
-// ==================== REPORT CLEANUP ====================
-async function cleanupReport(id) {
-  const meta = reportStore.get(id);
-  if (!meta) return;
-  reportStore.delete(id);
-  if (meta.timer) {
-    clearTimeout(meta.timer);
-    meta.timer = null;
+const reportDownloadUrl = (id) => `/ats/api/ats/reports/${id}/download`;
+
+function serializeRun(row) {
+  return {
+    id: row.id,
+    type: row.report_type,
+    title: row.title || REPORT_BUILDERS[row.report_type]?.title || row.report_type,
+    definitionId: row.definition_id ?? null,
+    format: row.format || "xlsx",
+    trigger: row.trigger,
+    status: row.status,
+    filters: row.filters || {},
+    createdAt: row.started_at ? new Date(row.started_at).toISOString() : null,
+    finishedAt: row.finished_at ? new Date(row.finished_at).toISOString() : null,
+    rowCount: row.row_count ?? null,
+    size: row.size_bytes != null ? Number(row.size_bytes) : null,
+    emailedTo: row.emailed_to || [],
+    emailError: row.email_error || null,
+    error: row.error || null,
+    expiresAt: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+    downloadUrl: row.status === "succeeded" && row.file_path ? reportDownloadUrl(row.id) : null,
+  };
+}
+
+// ==================== REPORT RUNS ====================
+/**
+ * Generate a report, store the file under REPORTS_DIR and record the run in report_runs.
+ * When recipients are given the workbook is emailed as an attachment; delivery failures are
+ * kept on the run (email_error) and do not fail it. The run stores its resolved filters
+ * (a relative period becomes the from/to dates used).
+ * @param {Object} options
+ * @param {string} [options.format] - xlsx | csv | pdf (see reportFormats.js)
+ * @param {string} options.trigger - manual | schedule
+ * @param {Object} [options.definition] - report_definitions row the run belongs to
+ * @param {string[]} [options.recipients]
+ * @param {Object} [options.emailService] - required when recipients are given
+ * @returns {Promise<Object>} the report_runs row; failed runs are recorded and rethrown (err.run)
+ */
+async function executeReportRun(
+  db,
+  {
+    type,
+    filters = {},
+    format = "xlsx",
+    actorEmail,
+    actorName = null,
+    trigger = "manual",
+    definition = null,
+    recipients = [],
+    emailService = null,
   }
+) {
+  const def = REPORT_BUILDERS[type];
+  if (!def) {
+    const err = new Error("unknown_report");
+    err.status = 400;
+    throw err;
+  }
+  filters = normalizeReportFilters(filters);
+  format = normalizeReportFormat(format);
+  const runId = crypto.randomUUID();
+  const startedAt = new Date();
+  await db.query(
+    `INSERT INTO ${REPORT_RUNS_TABLE} (id, definition_id, report_type, title, filters, format, trigger, status, owner_email, started_at)
+     VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, 'running', $8, $9)`,
+    [runId, definition?.id || null, type, def.title, JSON.stringify(filters || {}), format, trigger, actorEmail, startedAt]
+  );
+
+  let fileBuffer;
+  let fileName;
+  let contentType;
+  let rowCount;
   try {
-    await fs.promises.unlink(meta.filePath);
-  } catch {}
-}
+    await ensureDir(REPORTS_DIR);
+    const generated = await generateWorkbookForReport({ type, db, filters, actorEmail, actorName });
+    rowCount = generated.rowCount;
+    filters = generated.filters;
+    const rendered = await renderReport(generated.workbook, {
+      format,
+      title: definition?.name || def.title,
+      charts: generated.charts,
+    });
+    fileBuffer = rendered.buffer;
+    contentType = rendered.contentType;
+    const fileNameBase = `${definition?.name || def.title || type} ${startedAt
+      .toISOString()
+      .replace(/[:.]/g, "-")}.${rendered.extension}`;
+    fileName = safeFileName(fileNameBase);
+    const dir = path.join(REPORTS_DIR, sanitizeOwnerKey(actorEmail));
+    await ensureDir(dir);
+    const filePath = path.join(dir, `${runId}-${fileName}`);
+    await fs.promises.writeFile(filePath, fileBuffer);
+    await db.query(
+      `UPDATE ${REPORT_RUNS_TABLE}
+          SET status = 'succeeded', file_path = $2, file_name = $3, size_bytes = $4, row_count = $5,
+              filters = $7::jsonb, finished_at = NOW(), expires_at = $6
+        WHERE id = $1`,
+      [
+        runId,
+        filePath,
+        fileName,
+        fileBuffer.length,
+        rowCount,
+        new Date(Date.now() + REPORT_RETENTION_MS),
+        JSON.stringify(filters),
+      ]
+    );
+  } catch (e) {
+    const { rows } = await db
+      .query(
+        `UPDATE ${REPORT_RUNS_TABLE} SET status = 'failed', error = $2, finished_at = NOW() WHERE id = $1 RETURNING *`,
+        [runId, String(e.message || e).slice(0, 2000)]
+      )
+      .catch(() => ({ rows: [] }));
+    e.run = rows[0] || null;
+    throw e;
+  }
 
-function registerReport(meta) {
-  if (!meta || !meta.id) return;
-  if (meta.timer) {
-    clearTimeout(meta.timer);
-    meta.timer = null;
+  const to = [...new Set((recipients || []).map((r) => String(r).trim()).filter(Boolean))];
+  if (to.length) {
+    const emailedTo = [];
+    const failures = [];
+    if (!emailService || !emailService.isConfigured()) {
+      failures.push("email service not configured");
+    } else {
+      for (const recipient of to) {
+        try {
+          await emailService.sendScheduledReport({
+            to: recipient,
+            reportTitle: def.title,
+            definitionName: definition?.name || null,
+            fileName,
+            content: fileBuffer,
+            contentType,
+            rowCount,
+            generatedAt: startedAt,
+          });
+          emailedTo.push(recipient);
+        } catch (e) {
+          failures.push(`${recipient}: ${e.message}`);
+        }
+      }
+    }
+    await db.query(
+      `UPDATE ${REPORT_RUNS_TABLE} SET emailed_to = $2, email_error = $3 WHERE id = $1`,
+      [runId, emailedTo, failures.length ? failures.join("; ").slice(0, 2000) : null]
+    );
   }
-  reportStore.set(meta.id, meta);
-  const delay = Math.max(
-    1000,
-    (meta.expiresAt || Date.now() + REPORT_TTL_MS) - Date.now()
+
+  const { rows } = await db.query(`SELECT * FROM ${REPORT_RUNS_TABLE} WHERE id = $1`, [runId]);
+  return rows[0];
+}
+
+/**
+ * Delete workbooks past their retention; the run rows stay as history (status expired).
+ * @returns {Promise<number>} runs expired
+ */
+async function purgeExpiredReportRuns(db) {
+  const { rows } = await db.query(
+    `SELECT id, file_path FROM ${REPORT_RUNS_TABLE}
+      WHERE file_path IS NOT NULL AND expires_at IS NOT NULL AND expires_at <= NOW()`
   );
-  const timer = setTimeout(() => {
-    cleanupReport(meta.id).catch(() => {});
-  }, delay);
-  if (typeof timer.unref === "function") timer.unref();
-  meta.timer = timer;
+  for (const row of rows) {
+    try {
+      await fs.promises.unlink(row.file_path);
+    } catch {}
+    await db.query(
+      `UPDATE ${REPORT_RUNS_TABLE} SET status = 'expired', file_path = NULL WHERE id = $1`,
+      [row.id]
+    );
+  }
+  return rows.length;
 }
 
-function listActiveReportsForOwner(ownerEmail) {
-  const now = Date.now();
-  const items = [];
-  for (const meta of reportStore.values()) {
-    if (meta.expiresAt && meta.expiresAt <= now) {
-      cleanupReport(meta.id).catch(() => {});
-      continue;
-    }
-    if (!ownerEmail || meta.owner === ownerEmail) {
-      items.push(meta);
+// ==================== REPORT DEFINITIONS ====================
+function invalidDefinition(detail) {
+  const err = new Error("invalid_report_definition");
+  err.status = 400;
+  err.detail = detail;
+  return err;
+}
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a definition from a request body. On update (partial) only given fields are checked.
+ * @throws {Error} invalid_report_definition (status 400)
+ * @returns {Object} column values keyed by column name
+ */
+function normalizeDefinition(body, { partial = false } = {}) {
+  const input = body || {};
+  const out = {};
+  if (!partial || input.name !== undefined) {
+    const name = String(input.name || "").trim().slice(0, 200);
+    if (!name) throw invalidDefinition("name is required");
+    out.name = name;
+  }
+  const rawType = input.type ?? input.reportType;
+  if (!partial || rawType !== undefined) {
+    const type = String(rawType || "").toLowerCase();
+    if (!REPORT_BUILDERS[type]) {
+      throw invalidDefinition(`type must be one of ${Object.keys(REPORT_BUILDERS).join(", ")}`);
     }
+    out.report_type = type;
+  }
+  if (input.filters !== undefined) out.filters = normalizeReportFilters(input.filters);
+  if (input.format !== undefined) out.format = normalizeReportFormat(input.format);
+  const rawSchedule = input.schedule ?? input.cron;
+  if (rawSchedule !== undefined) {
+    const schedule = rawSchedule ? String(rawSchedule).trim() : null;
+    if (schedule && !cron.validate(schedule)) throw invalidDefinition(`invalid cron expression "${schedule}"`);
+    out.schedule_cron = schedule;
+  }
+  if (input.timezone !== undefined) {
+    const tz = input.timezone ? String(input.timezone).trim() : null;
+    if (tz && !isValidTimezone(tz)) throw invalidDefinition(`unknown timezone "${tz}"`);
+    out.timezone = tz;
+  }
+  if (input.recipients !== undefined) {
+    const list = Array.isArray(input.recipients)
+      ? input.recipients
+      : String(input.recipients || "").split(/[,;\s]+/);
+    const recipients = [...new Set(list.map((r) => String(r || "").trim().toLowerCase()).filter(Boolean))];
+    const bad = recipients.find((r) => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(r));
+    if (bad) throw invalidDefinition(`invalid recipient "${bad}"`);
+    if (recipients.length > 50) throw invalidDefinition("at most 50 recipients");
+    out.recipients = recipients;
+  }
+  if (input.enabled !== undefined) out.enabled = !!input.enabled;
+  return out;
+}
+
+function serializeDefinition(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.report_type,
+    title: REPORT_BUILDERS[row.report_type]?.title || row.report_type,
+    filters: row.filters || {},
+    format: row.format || "xlsx",
+    schedule: row.schedule_cron || null,
+    timezone: row.timezone || null,
+    recipients: row.recipients || [],
+    enabled: row.enabled,
+    owner: row.owner_email,
+    lastRunAt: row.last_run_at ? new Date(row.last_run_at).toISOString() : null,
+    createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+    updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null,
+  };
+}
+
+/**
+ * Enabled definitions with a schedule, for the report scheduler.
+ */
+async function listScheduledDefinitions(db) {
+  const { rows } = await db.query(
+    `SELECT * FROM ${REPORT_DEFINITIONS_TABLE} WHERE enabled AND schedule_cron IS NOT NULL ORDER BY id`
+  );
+  return rows;
+}
+
+/**
+ * Run a saved definition and email the workbook to its recipients (the owner when none are set).
+ */
+async function runReportDefinition(db, definition, { trigger = "schedule", emailService = null, actorName = null } = {}) {
+  const recipients = definition.recipients?.length ? definition.recipients : [definition.owner_email];
+  try {
+    return await executeReportRun(db, {
+      type: definition.report_type,
+      filters: definition.filters || {},
+      format: definition.format || "xlsx",
+      actorEmail: definition.owner_email,
+      actorName,
+      trigger,
+      definition,
+      recipients,
+      emailService,
+    });
+  } finally {
+    await db
+      .query(`UPDATE ${REPORT_DEFINITIONS_TABLE} SET last_run_at = NOW() WHERE id = $1`, [definition.id])
+      .catch(() => {});
   }
-  items.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
-  return items;
 }
 
 // ==================== WORKSHEET BUILDERS ====================
-async function buildPipelineWorksheet(workbook, db) {
+async function buildPipelineWorksheet(workbook, db, filters = {}) {
   const sheet = workbook.addWorksheet("Pipeline Overview");
   const headers = ["Stage", "Status", "Applications"];
   sheet.addRow(headers);
@@ -100,6 +368,8 @@ async function buildPipelineWorksheet(workbook, db) {
   sheet.getColumn(2).width = 20;
   sheet.getColumn(3).width = 18;
 
+  const params = [];
+  const filterSql = reportFilterSql(filters, params);
   const sql = `
     WITH latest_stage AS (
       SELECT s.application_id,
@@ -108,15 +378,34 @@ async function buildPipelineWorksheet(workbook, db) {
              ROW_NUMBER() OVER (PARTITION BY s.application_id ORDER BY s.updated_at DESC NULLS LAST, s.stage_id DESC) AS rn
       FROM ${DEFAULT_SCHEMA}.application_stages s
     )
-    SELECT stage_name, status, COUNT(*)::int AS applications
-    FROM latest_stage
-    WHERE rn = 1
-    GROUP BY stage_name, status
-    ORDER BY stage_name, status;
+    SELECT ls.stage_name, ls.status, COUNT(*)::int AS applications
+    FROM latest_stage ls
+    JOIN ${APP_TABLE} a ON a.${APP_PK} = ls.application_id
+    LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON (a.job_requisition_id IS NOT NULL AND jl.job_requisition_id = a.job_requisition_id)
+    WHERE ls.rn = 1${filterSql}
+    GROUP BY ls.stage_name, ls.status
+    ORDER BY ls.stage_name, ls.status;
   `;
-  const { rows } = await db.query(sql);
+  const { rows } = await db.query(sql, params);
+  const catalog = await getStageCatalog(db);
+
+  // Pipeline stages first, in pipeline order (including empty ones), then any other stage names
+  const order = new Map(catalog.stages.map((st) => [st.name.toLowerCase(), st.order]));
+  const seen = new Set(rows.map((r) => String(r.stage_name).toLowerCase()));
+  const ordered = [
+    ...rows,
+    ...catalog.stages
+      .filter((st) => !seen.has(st.name.toLowerCase()))
+      .map((st) => ({ stage_name: st.name, status: "—", applications: 0 })),
+  ].sort((x, y) => {
+    const ox = order.get(String(x.stage_name).toLowerCase()) ?? Infinity;
+    const oy = order.get(String(y.stage_name).toLowerCase()) ?? Infinity;
+    if (ox !== oy) return ox - oy;
+    return String(x.stage_name).localeCompare(String(y.stage_name)) || String(x.status).localeCompare(String(y.status));
+  });
+
   let total = 0;
-  for (const row of rows) {
+  for (const row of ordered) {
     total += row.applications || 0;
     sheet.addRow([
       row.stage_name || "Unspecified",
@@ -126,10 +415,23 @@ async function buildPipelineWorksheet(workbook, db) {
   }
   const totalRow = sheet.addRow(["Total", "", total]);
   totalRow.font = { bold: true };
-  return { rowCount: rows.length, total };
+
+  const byStage = new Map();
+  for (const row of ordered) {
+    const stage = row.stage_name || "Unspecified";
+    byStage.set(stage, (byStage.get(stage) || 0) + (row.applications || 0));
+  }
+  const charts = [
+    {
+      title: "Applications by Stage",
+      labels: [...byStage.keys()],
+      series: [{ name: "Applications", values: [...byStage.values()] }],
+    },
+  ];
+  return { rowCount: ordered.length, total, charts };
 }
 
-async function buildRecruiterWorksheet(workbook, db) {
+async function buildRecruiterWorksheet(workbook, db, filters = {}) {
   const sheet = workbook.addWorksheet("Recruiter Performance");
   const headers = [
     "Recruiter",
@@ -147,27 +449,32 @@ async function buildRecruiterWorksheet(workbook, db) {
   sheet.getColumn(4).width = 14;
   sheet.getColumn(5).width = 18;
 
+  const catalog = await getStageCatalog(db);
+  const params = [catalog.hired, catalog.rejected];
+  const filterSql = reportFilterSql(filters, params);
   const sql = `
     WITH latest_stage AS (
       SELECT s.application_id,
              s.status,
+             LOWER(s.stage_name) AS stage_key,
              s.updated_at,
              ROW_NUMBER() OVER (PARTITION BY s.application_id ORDER BY s.updated_at DESC NULLS LAST, s.stage_id DESC) AS rn
       FROM ${DEFAULT_SCHEMA}.application_stages s
     )
     SELECT COALESCE(NULLIF(jl.recruiter_assigned,''),'Unassigned') AS recruiter,
            COUNT(*)::int AS total_applications,
-           COUNT(*) FILTER (WHERE LOWER(ls.status) = 'hired')::int AS hires,
-           COUNT(*) FILTER (WHERE LOWER(ls.status) IN ('rejected','declined'))::int AS rejections,
-           ROUND(AVG(CASE WHEN LOWER(ls.status) = 'hired' AND a.application_date IS NOT NULL AND ls.updated_at IS NOT NULL
+           COUNT(*) FILTER (WHERE LOWER(ls.status) = 'hired' OR ls.stage_key = ANY($1::text[]))::int AS hires,
+           COUNT(*) FILTER (WHERE LOWER(ls.status) IN ('rejected','declined') OR ls.stage_key = ANY($2::text[]))::int AS rejections,
+           ROUND(AVG(CASE WHEN (LOWER(ls.status) = 'hired' OR ls.stage_key = ANY($1::text[])) AND a.application_date IS NOT NULL AND ls.updated_at IS NOT NULL
                          THEN EXTRACT(EPOCH FROM (ls.updated_at - a.application_date)) / 86400.0 END)::numeric, 2) AS avg_days_to_hire
     FROM ${APP_TABLE} a
     LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON (a.job_requisition_id IS NOT NULL AND jl.job_requisition_id = a.job_requisition_id)
     LEFT JOIN latest_stage ls ON ls.application_id = a.${APP_PK} AND ls.rn = 1
+    WHERE TRUE${filterSql}
     GROUP BY recruiter
     ORDER BY total_applications DESC, recruiter;
   `;
-  const { rows } = await db.query(sql);
+  const { rows } = await db.query(sql, params);
   for (const row of rows) {
     sheet.addRow([
       row.recruiter || "Unassigned",
@@ -180,7 +487,7 @@ async function buildRecruiterWorksheet(workbook, db) {
   return { rowCount: rows.length };
 }
 
-async function buildTimeToHireWorksheet(workbook, db, limit = 200) {
+async function buildTimeToHireWorksheet(workbook, db, filters = {}) {
   const sheet = workbook.addWorksheet("Time to Hire");
   const headers = [
     "Candidate",
@@ -200,6 +507,10 @@ async function buildTimeToHireWorksheet(workbook, db, limit = 200) {
   sheet.getColumn(5).width = 18;
   sheet.getColumn(6).width = 16;
 
+  // The date range selects hires made in the period
+  const catalog = await getStageCatalog(db);
+  const params = [catalog.hired];
+  const filterSql = reportFilterSql(filters, params, "ls.updated_at");
   const sql = `
     WITH hired_stage AS (
       SELECT a.${APP_PK} AS application_id,
@@ -215,20 +526,19 @@ async function buildTimeToHireWorksheet(workbook, db, limit = 200) {
       JOIN ${PEOPLE_TABLE} c ON c.${PEOPLE_PK} = a.candidate_id
       LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON (a.job_requisition_id IS NOT NULL AND jl.job_requisition_id = a.job_requisition_id)
       JOIN (
-        SELECT s.application_id,
-               s.updated_at,
-               ROW_NUMBER() OVER (PARTITION BY s.application_id ORDER BY s.updated_at ASC NULLS LAST, s.stage_id ASC) AS rn
-        FROM ${DEFAULT_SCHEMA}.application_stages s
-        WHERE LOWER(s.status) = 'hired'
+        SELECT e.application_id,
+               e.occurred_at AS updated_at,
+               ROW_NUMBER() OVER (PARTITION BY e.application_id ORDER BY e.occurred_at ASC, e.id ASC) AS rn
+        FROM ${STAGE_EVENTS_TABLE} e
+        WHERE LOWER(e.to_status) = 'hired' OR LOWER(e.to_stage) = ANY($1::text[])
       ) ls ON ls.application_id = a.${APP_PK} AND ls.rn = 1
-      WHERE a.application_date IS NOT NULL AND ls.updated_at IS NOT NULL
+      WHERE a.application_date IS NOT NULL AND ls.updated_at IS NOT NULL${filterSql}
     )
     SELECT *, ROUND(days_to_hire::numeric, 2) AS days
     FROM hired_stage
-    ORDER BY hired_at DESC NULLS LAST
-    LIMIT ${Math.max(50, Math.min(1000, Number(limit) || 200))};
+    ORDER BY hired_at DESC NULLS LAST;
   `;
-  const { rows } = await db.query(sql);
+  const { rows } = await db.query(sql, params);
   for (const row of rows) {
     const candidateName =
       `${(row.first_name || "").trim()} ${(
@@ -252,7 +562,212 @@ async function buildTimeToHireWorksheet(workbook, db, limit = 200) {
   return { rowCount: rows.length };
 }
 
-async function buildSourceWorksheet(workbook, db) {
+async function buildTimeInStageWorksheet(workbook, db, filters = {}) {
+  const sheet = workbook.addWorksheet("Time in Stage");
+  const headers = [
+    "Stage",
+    "Entered",
+    "Moved On",
+    "Currently In Stage",
+    "Avg Days",
+    "Median Days",
+    "Max Days",
+  ];
+  sheet.addRow(headers);
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+  sheet.getColumn(1).width = 30;
+  for (let i = 2; i <= headers.length; i++) sheet.getColumn(i).width = 16;
+
+  // Durations come from the stage event log; completed stays only, so open ones don't skew averages.
+  // The date range selects stays that started in the period.
+  const params = [];
+  const filterSql = reportFilterSql(filters, params, "st.entered_at");
+  const sql = `
+    WITH all_stays AS (${stageStaysSql()}
+    ), stays AS (
+      SELECT st.*
+      FROM all_stays st
+      JOIN ${APP_TABLE} a ON a.${APP_PK} = st.application_id
+      LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON (a.job_requisition_id IS NOT NULL AND jl.job_requisition_id = a.job_requisition_id)
+      WHERE TRUE${filterSql}
+    )
+    SELECT stage,
+           COUNT(*)::int AS entered,
+           COUNT(left_at)::int AS moved_on,
+           COUNT(*) FILTER (WHERE left_at IS NULL)::int AS current,
+           ROUND((AVG(days) FILTER (WHERE left_at IS NOT NULL))::numeric, 2) AS avg_days,
+           ROUND((PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY days) FILTER (WHERE left_at IS NOT NULL))::numeric, 2) AS median_days,
+           ROUND((MAX(days) FILTER (WHERE left_at IS NOT NULL))::numeric, 2) AS max_days
+    FROM stays
+    GROUP BY stage;
+  `;
+  const { rows } = await db.query(sql, params);
+  const catalog = await getStageCatalog(db);
+  const order = new Map(catalog.stages.map((st) => [st.name.toLowerCase(), st.order]));
+  const terminal = new Set([...catalog.hired, ...catalog.rejected]);
+  rows.sort((x, y) => {
+    const ox = order.get(String(x.stage).toLowerCase()) ?? Infinity;
+    const oy = order.get(String(y.stage).toLowerCase()) ?? Infinity;
+    return ox - oy || String(x.stage).localeCompare(String(y.stage));
+  });
+  for (const row of rows) {
+    const num = (v) => (v != null ? Number(v) : null);
+    sheet.addRow([
+      row.stage,
+      row.entered || 0,
+      row.moved_on || 0,
+      // Candidates in a terminal stage are done, not waiting
+      terminal.has(String(row.stage).toLowerCase()) ? null : row.current || 0,
+      num(row.avg_days),
+      num(row.median_days),
+      num(row.max_days),
+    ]);
+  }
+  return { rowCount: rows.length };
+}
+
+// Funnel breakdowns: label and SQL expression over applications (a) / job listings (jl)
+const FUNNEL_DIMENSIONS = [
+  { key: "overall", sheet: "Funnel", label: null, sql: `'All'` },
+  {
+    key: "department",
+    sheet: "Funnel by Department",
+    label: "Department",
+    sql: `COALESCE(NULLIF(TRIM(jl.department),''),'Unassigned')`,
+  },
+  {
+    key: "requisition",
+    sheet: "Funnel by Requisition",
+    label: "Requisition",
+    sql: `COALESCE(NULLIF(a.job_requisition_id,'') || COALESCE(' - ' || NULLIF(jl.job_title,''), ''), 'None')`,
+  },
+  {
+    key: "source",
+    sheet: "Funnel by Source",
+    label: "Source",
+    sql: `COALESCE(NULLIF(to_jsonb(a)->>'application_source',''),'Unknown')`,
+  },
+];
+
+/**
+ * Per-stage funnel rows for one breakdown. An application has "reached" a stage when it
+ * got to that stage or any later one (rejection does not count as progress), so skipped
+ * stages don't break conversion. Days come from completed stays in the stage event log.
+ */
+async function queryFunnel(db, dimensionSql, funnelStages, filters = {}) {
+  const params = [funnelStages.map((st) => st.name.toLowerCase()), funnelStages.map((_, i) => i)];
+  const filterSql = reportFilterSql(filters, params);
+  const sql = `
+    WITH stage_order AS (
+      SELECT * FROM unnest($1::text[], $2::int[]) AS so(stage_key, ord)
+    ), apps AS (
+      SELECT a.${APP_PK} AS application_id, ${dimensionSql} AS dim
+      FROM ${APP_TABLE} a
+      LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON (a.job_requisition_id IS NOT NULL AND jl.job_requisition_id = a.job_requisition_id)
+      WHERE TRUE${filterSql}
+    ), stays AS (${stageStaysSql()}
+    ), furthest AS (
+      SELECT st.application_id, MAX(so.ord) AS max_ord
+      FROM stays st
+      JOIN stage_order so ON so.stage_key = LOWER(st.stage)
+      GROUP BY st.application_id
+    ), reached AS (
+      SELECT ap.dim, so.ord, COUNT(*) FILTER (WHERE f.max_ord >= so.ord)::int AS reached
+      FROM apps ap
+      JOIN furthest f ON f.application_id = ap.application_id
+      CROSS JOIN stage_order so
+      GROUP BY ap.dim, so.ord
+    ), durations AS (
+      SELECT ap.dim, so.ord,
+             PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY st.days) FILTER (WHERE st.left_at IS NOT NULL) AS median_days,
+             PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY st.days) FILTER (WHERE st.left_at IS NOT NULL) AS p90_days,
+             COUNT(*) FILTER (WHERE st.left_at IS NULL)::int AS current
+      FROM stays st
+      JOIN apps ap ON ap.application_id = st.application_id
+      JOIN stage_order so ON so.stage_key = LOWER(st.stage)
+      GROUP BY ap.dim, so.ord
+    )
+    SELECT r.dim, r.ord, r.reached,
+           ROUND(d.median_days::numeric, 2) AS median_days,
+           ROUND(d.p90_days::numeric, 2) AS p90_days,
+           COALESCE(d.current, 0) AS current
+    FROM reached r
+    LEFT JOIN durations d ON d.dim = r.dim AND d.ord = r.ord
+    ORDER BY r.dim, r.ord;
+  `;
+  const { rows } = await db.query(sql, params);
+  return rows;
+}
+
+async function buildFunnelWorksheet(workbook, db, filters = {}) {
+  const catalog = await getStageCatalog(db);
+  // Funnel runs through the active stages into "hired"; rejected stages are exits, not steps
+  const funnelStages = catalog.stages.filter((st) => st.terminal !== "rejected");
+  let rowCount = 0;
+  const charts = [];
+
+  for (const dimension of FUNNEL_DIMENSIONS) {
+    const sheet = workbook.addWorksheet(dimension.sheet);
+    const headers = [
+      ...(dimension.label ? [dimension.label] : []),
+      "Stage",
+      "Reached",
+      "Moved to Next Stage",
+      "Conversion %",
+      "% of Top of Funnel",
+      "Median Days in Stage",
+      "P90 Days in Stage",
+      "In Stage Now",
+    ];
+    sheet.addRow(headers);
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: "frozen", ySplit: 1 }];
+    headers.forEach((_, i) => {
+      sheet.getColumn(i + 1).width = i === 0 && dimension.label ? 32 : 18;
+    });
+
+    const rows = await queryFunnel(db, dimension.sql, funnelStages, filters);
+    const byDim = new Map();
+    for (const row of rows) {
+      if (!byDim.has(row.dim)) byDim.set(row.dim, []);
+      byDim.get(row.dim)[row.ord] = row;
+    }
+
+    const pct = (num, den) => (den ? Math.round((num / den) * 10000) / 100 : null);
+    const num = (v) => (v != null ? Number(v) : null);
+    if (dimension.key === "overall") {
+      const stageRows = byDim.get("All") || [];
+      charts.push({
+        title: "Applications Reaching Each Stage",
+        labels: funnelStages.map((st) => st.name),
+        series: [{ name: "Reached", values: funnelStages.map((_, i) => stageRows[i]?.reached || 0) }],
+      });
+    }
+    for (const [dim, stageRows] of byDim) {
+      const top = stageRows[0]?.reached || 0;
+      funnelStages.forEach((stage, i) => {
+        const row = stageRows[i] || { reached: 0, current: 0 };
+        const next = i + 1 < funnelStages.length ? stageRows[i + 1]?.reached || 0 : null;
+        sheet.addRow([
+          ...(dimension.label ? [dim] : []),
+          stage.name,
+          row.reached || 0,
+          next,
+          next === null ? null : pct(next, row.reached),
+          pct(row.reached || 0, top),
+          num(row.median_days),
+          num(row.p90_days),
+          stage.terminal ? null : row.current || 0,
+        ]);
+        rowCount += 1;
+      });
+    }
+  }
+  return { rowCount, charts };
+}
+
+async function buildSourceWorksheet(workbook, db, filters = {}) {
   const sheet = workbook.addWorksheet("Source Effectiveness");
   const headers = [
     "Source",
@@ -270,25 +785,31 @@ async function buildSourceWorksheet(workbook, db) {
   sheet.getColumn(4).width = 12;
   sheet.getColumn(5).width = 14;
 
+  const catalog = await getStageCatalog(db);
+  const params = [catalog.hired];
+  const filterSql = reportFilterSql(filters, params);
   const sql = `
     WITH latest_stage AS (
       SELECT s.application_id,
              s.status,
+             LOWER(s.stage_name) AS stage_key,
              ROW_NUMBER() OVER (PARTITION BY s.application_id ORDER BY s.updated_at DESC NULLS LAST, s.stage_id DESC) AS rn
       FROM ${DEFAULT_SCHEMA}.application_stages s
     )
     SELECT COALESCE(NULLIF(to_jsonb(a)->>'application_source',''),'Unknown') AS source,
            COUNT(*)::int AS total_applications,
            COUNT(*) FILTER (WHERE ls.status IS NOT NULL AND LOWER(ls.status) LIKE 'interview%')::int AS interviews,
-           COUNT(*) FILTER (WHERE LOWER(ls.status) = 'hired')::int AS hires,
+           COUNT(*) FILTER (WHERE LOWER(ls.status) = 'hired' OR ls.stage_key = ANY($1::text[]))::int AS hires,
            ROUND(CASE WHEN COUNT(*) = 0 THEN 0
-                      ELSE (COUNT(*) FILTER (WHERE LOWER(ls.status) = 'hired')::numeric / COUNT(*)) * 100 END, 2) AS hire_rate
+                      ELSE (COUNT(*) FILTER (WHERE LOWER(ls.status) = 'hired' OR ls.stage_key = ANY($1::text[]))::numeric / COUNT(*)) * 100 END, 2) AS hire_rate
     FROM ${APP_TABLE} a
+    LEFT JOIN ${DEFAULT_SCHEMA}.job_listings jl ON (a.job_requisition_id IS NOT NULL AND jl.job_requisition_id = a.job_requisition_id)
     LEFT JOIN latest_stage ls ON ls.application_id = a.${APP_PK} AND ls.rn = 1
+    WHERE TRUE${filterSql}
     GROUP BY source
     ORDER BY total_applications DESC, source;
   `;
-  const { rows } = await db.query(sql);
+  const { rows } = await db.query(sql, params);
   for (const row of rows) {
     sheet.addRow([
       row.source || "Unknown",
@@ -298,7 +819,17 @@ async function buildSourceWorksheet(workbook, db) {
       row.hire_rate != null ? Number(row.hire_rate) : 0,
     ]);
   }
-  return { rowCount: rows.length };
+  const charts = [
+    {
+      title: "Applications and Hires by Source",
+      labels: rows.map((row) => row.source || "Unknown"),
+      series: [
+        { name: "Applications", values: rows.map((row) => row.total_applications || 0) },
+        { name: "Hires", values: rows.map((row) => row.hires || 0) },
+      ],
+    },
+  ];
+  return { rowCount: rows.length, charts };
 }
 
 // ==================== REPORT BUILDERS CONFIG ====================
@@ -306,26 +837,76 @@ const REPORT_BUILDERS = {
   pipeline: {
     title: "Hiring Pipeline Report",
     description: "Overview of candidates in each stage of the pipeline.",
+    dateBasis: "Application date",
     build: buildPipelineWorksheet,
   },
   recruiter: {
     title: "Recruiter Performance Report",
     description: "Compare recruiter activity, hires, and efficiency.",
+    dateBasis: "Application date",
     build: buildRecruiterWorksheet,
   },
   "time-to-hire": {
     title: "Time to Hire Report",
     description: "Analyze hiring timelines for recently filled roles.",
-    build: (workbook, db, filters) =>
-      buildTimeToHireWorksheet(workbook, db, filters?.limit || 200),
+    dateBasis: "Hire date",
+    build: buildTimeToHireWorksheet,
+  },
+  "time-in-stage": {
+    title: "Time in Stage Report",
+    description: "How long applications spend in each pipeline stage, from the stage transition log.",
+    dateBasis: "Stage entry date",
+    build: buildTimeInStageWorksheet,
+  },
+  funnel: {
+    title: "Hiring Funnel Report",
+    description:
+      "Stage-to-stage conversion and median/P90 days in stage, overall and by department, requisition and source.",
+    dateBasis: "Application date",
+    build: buildFunnelWorksheet,
   },
   source: {
     title: "Source Effectiveness Report",
     description: "Track application sources and conversion rates.",
+    dateBasis: "Application date",
     build: buildSourceWorksheet,
   },
 };
 
+function describeReportFilters(filters) {
+  const parts = [];
+  if (filters.from || filters.to) parts.push(`${filters.from || "…"} to ${filters.to || "…"}`);
+  for (const [key, filter] of Object.entries(REPORT_FILTER_LISTS)) {
+    if (filters[key]?.length) parts.push(`${filter.label}: ${filters[key].join(", ")}`);
+    else if (filters[key]) parts.push(`${filter.label}: none (outside the requester's departments)`);
+  }
+  return parts.join("; ");
+}
+
+/**
+ * "Report Metadata" sheet: the exact parameters behind the exported numbers.
+ */
+function addMetadataWorksheet(workbook, { type, def, generatedAt, requestedBy, filters, resolved, rowCount }) {
+  const sheet = workbook.addWorksheet("Report Metadata");
+  sheet.getColumn(1).width = 26;
+  sheet.getColumn(2).width = 70;
+  sheet.addRow(["Parameter", "Value"]).font = { bold: true };
+  sheet.addRow(["Report Type", type]);
+  sheet.addRow(["Report Title", def.title]);
+  sheet.addRow(["Generated At", generatedAt.toISOString()]);
+  sheet.addRow(["Requested By", requestedBy]);
+  sheet.addRow(["Date Range Applies To", def.dateBasis || "Application date"]);
+  sheet.addRow(["Period", filters.period || "—"]);
+  sheet.addRow(["Date From", resolved.from || "Any"]);
+  sheet.addRow(["Date To (inclusive)", resolved.to || "Any"]);
+  for (const [key, filter] of Object.entries(REPORT_FILTER_LISTS)) {
+    sheet.addRow([filter.label, resolved[key]?.length ? resolved[key].join(", ") : "All"]);
+  }
+  sheet.addRow(["Rows Exported", rowCount]);
+  sheet.addRow(["Filters (JSON)", JSON.stringify(resolved)]);
+  sheet.getColumn(1).font = { bold: true };
+}
+
 async function generateWorkbookForReport({
   type,
   db,
@@ -347,6 +928,11 @@ async function generateWorkbookForReport({
   workbook.created = now;
   workbook.modified = now;
 
+  const normalized = normalizeReportFilters(filters);
+  // Scoped to the departments of the requester (the owner for scheduled runs)
+  const scope = await departmentScopeForEmails(db, [actorEmail]);
+  const resolved = scopeReportFilters(resolveReportFilters(normalized, now), scope);
+
   const summary = workbook.addWorksheet("Summary");
   summary.getColumn(1).width = 22;
   summary.getColumn(2).width = 60;
@@ -354,53 +940,43 @@ async function generateWorkbookForReport({
   summary.addRow(["Generated At", now.toISOString()]);
   summary.addRow(["Requested By", actorName || actorEmail || "Unknown"]);
   if (def.description) summary.addRow(["Description", def.description]);
-  if (filters && Object.keys(filters).length) {
-    summary.addRow([]);
-    summary.addRow(["Filters"]);
-    for (const [key, value] of Object.entries(filters)) {
-      const asText = Array.isArray(value)
-        ? value.join(", ")
-        : value == null
-        ? ""
-        : String(value);
-      summary.addRow([`  ${key}`, asText]);
-    }
-  }
+  summary.addRow(["Filters", describeReportFilters(resolved) || "None (all data)"]);
 
-  const buildResult = await def.build(workbook, db, filters);
+  const buildResult = await def.build(workbook, db, resolved);
+  const rowCount = buildResult?.rowCount ?? 0;
   summary.addRow([]);
-  summary.addRow(["Rows Exported", buildResult?.rowCount ?? 0]);
+  summary.addRow(["Rows Exported", rowCount]);
   summary.getRow(1).font = { bold: true };
   summary.getColumn(1).font = { bold: true };
 
-  return { workbook, definition: def, rowCount: buildResult?.rowCount ?? 0 };
+  addMetadataWorksheet(workbook, {
+    type,
+    def,
+    generatedAt: now,
+    requestedBy: actorName || actorEmail || "Unknown",
+    filters: normalized,
+    resolved,
+    rowCount,
+  });
+
+  return { workbook, definition: def, rowCount, filters: resolved, charts: buildResult?.charts || [] };
 }
 
 // ==================== ROUTES ====================
-// GET /reports - List available reports for current user
+// GET /reports - List generated reports (run history) for current user
 router.get("/", async (req, res) => {
-  console.log("[REPORTS] GET /reports called - route is working!", {
-    hasSession: !!req.session,
-    hasUser: !!req.session?.user,
-  });
   try {
     const actorEmail = getPrimaryEmail(req);
-    console.log("[REPORTS] actorEmail:", actorEmail);
     if (!actorEmail) return res.json({ reports: [] });
-    const items = listActiveReportsForOwner(actorEmail);
-    const reports = items.map((meta) => ({
-      id: meta.id,
-      type: meta.type,
-      title: meta.title || REPORT_BUILDERS[meta.type]?.title || meta.type,
-      createdAt: meta.createdAt
-        ? new Date(meta.createdAt).toISOString()
-        : new Date().toISOString(),
-      rowCount: meta.rowCount ?? null,
-      size: meta.size ?? null,
-      expiresAt: meta.expiresAt ? new Date(meta.expiresAt).toISOString() : null,
-      downloadUrl: `/ats/api/ats/reports/${meta.id}/download`,
-    }));
-    res.json({ reports });
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit || "50", 10) || 50));
+    const { rows } = await req.db.query(
+      `SELECT * FROM ${REPORT_RUNS_TABLE}
+        WHERE LOWER(owner_email) = LOWER($1)
+        ORDER BY started_at DESC
+        LIMIT $2`,
+      [actorEmail, limit]
+    );
+    res.json({ reports: rows.map(serializeRun) });
   } catch (e) {
     console.error("GET /reports error", e);
     res.status(500).json({ error: "report_list_failed", detail: e.message });
@@ -408,8 +984,7 @@ router.get("/", async (req, res) => {
 });
 
 // POST /reports - Generate a new report
-router.post("/", async (req, res) => {
-  const now = Date.now();
+router.post("/", requirePermission("reports:generate"), async (req, res) => {
   const actorEmail = getPrimaryEmail(req);
   if (!actorEmail)
     return res.status(400).json({ error: "user_email_required" });
@@ -423,63 +998,25 @@ router.post("/", async (req, res) => {
       supported: Object.keys(REPORT_BUILDERS),
     });
   }
-  const filters =
-    req.body &&
-    typeof req.body.filters === "object" &&
-    !Array.isArray(req.body.filters)
-      ? req.body.filters
-      : {};
+  let filters;
+  let format;
+  try {
+    filters = normalizeReportFilters(req.body?.filters);
+    format = normalizeReportFormat(req.body?.format);
+  } catch (e) {
+    return res.status(400).json({ error: e.message, detail: e.detail });
+  }
 
   try {
-    await ensureDir(REPORTS_DIR);
-    const { workbook, definition, rowCount } = await generateWorkbookForReport({
+    const run = await executeReportRun(req.db, {
       type,
-      db: req.db,
       filters,
+      format,
       actorEmail,
       actorName,
+      trigger: "manual",
     });
-    const buffer = await workbook.xlsx.writeBuffer();
-    const fileBuffer = Buffer.from(buffer);
-    const reportId = crypto.randomUUID();
-    const ownerKey = sanitizeOwnerKey(actorEmail);
-    const fileNameBase = `${definition.title || type} ${new Date(now)
-      .toISOString()
-      .replace(/[:.]/g, "-")}.xlsx`;
-    const fileName = safeFileName(fileNameBase);
-    const dir = path.join(REPORTS_DIR, ownerKey);
-    await ensureDir(dir);
-    const filePath = path.join(dir, `${reportId}-${fileName}`);
-    await fs.promises.writeFile(filePath, fileBuffer);
-    const stats = await fs.promises
-      .stat(filePath)
-      .catch(() => ({ size: fileBuffer.length }));
-    const meta = {
-      id: reportId,
-      type,
-      owner: actorEmail,
-      title: definition.title,
-      filePath,
-      fileName,
-      createdAt: now,
-      rowCount,
-      size: stats.size || fileBuffer.length,
-      expiresAt: now + REPORT_TTL_MS,
-    };
-    registerReport(meta);
-    res.status(201).json({
-      success: true,
-      report: {
-        id: meta.id,
-        type: meta.type,
-        title: meta.title,
-        createdAt: new Date(meta.createdAt).toISOString(),
-        size: meta.size,
-        rowCount: meta.rowCount,
-        expiresAt: new Date(meta.expiresAt).toISOString(),
-        downloadUrl: `/ats/api/ats/reports/${meta.id}/download`,
-      },
-    });
+    res.status(201).json({ success: true, report: serializeRun(run) });
   } catch (e) {
     console.error("POST /reports error", e);
     res
@@ -488,24 +1025,207 @@ router.post("/", async (req, res) => {
   }
 });
 
+// ==================== SAVED / SCHEDULED REPORTS ====================
+function reloadSchedules(req) {
+  const scheduler = req.app.get("reportScheduler");
+  if (!scheduler) return;
+  Promise.resolve(scheduler.reload(req.appId)).catch((err) =>
+    console.error("[REPORTS] schedule reload failed:", err.message)
+  );
+}
+
+// Owners see their own definitions; admins see all
+async function loadDefinitionForActor(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) {
+    res.status(400).json({ error: "invalid_id" });
+    return null;
+  }
+  const { rows } = await req.db.query(`SELECT * FROM ${REPORT_DEFINITIONS_TABLE} WHERE id = $1`, [id]);
+  const row = rows[0];
+  const actorEmail = getPrimaryEmail(req);
+  if (!row) {
+    res.status(404).json({ error: "not_found" });
+    return null;
+  }
+  if (String(row.owner_email).toLowerCase() !== String(actorEmail || "").toLowerCase() && !isAdmin(req)) {
+    res.status(403).json({ error: "forbidden" });
+    return null;
+  }
+  return row;
+}
+
+// GET /reports/definitions - List saved report definitions
+router.get("/definitions", async (req, res) => {
+  try {
+    const actorEmail = getPrimaryEmail(req);
+    if (!actorEmail) return res.json({ definitions: [] });
+    const all = isAdmin(req) && String(req.query.all || "") === "1";
+    const { rows } = await req.db.query(
+      `SELECT * FROM ${REPORT_DEFINITIONS_TABLE}
+        WHERE $1::boolean OR LOWER(owner_email) = LOWER($2)
+        ORDER BY name ASC, id ASC`,
+      [all, actorEmail]
+    );
+    res.json({ definitions: rows.map(serializeDefinition) });
+  } catch (e) {
+    console.error("GET /reports/definitions error", e);
+    res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// POST /reports/definitions - Save a report definition (optionally scheduled)
+router.post("/definitions", async (req, res) => {
+  const actorEmail = getPrimaryEmail(req);
+  if (!actorEmail) return res.status(400).json({ error: "user_email_required" });
+  try {
+    const values = normalizeDefinition(req.body);
+    if (values.schedule_cron && !hasPermission(req, "reports:schedule")) {
+      return res.status(403).json({ error: "forbidden", missing: ["reports:schedule"] });
+    }
+    const { rows } = await req.db.query(
+      `INSERT INTO ${REPORT_DEFINITIONS_TABLE}
+         (name, report_type, filters, format, schedule_cron, timezone, recipients, enabled, owner_email)
+       VALUES ($1, $2, $3::jsonb, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        values.name,
+        values.report_type,
+        JSON.stringify(values.filters || {}),
+        values.format || "xlsx",
+        values.schedule_cron || null,
+        values.timezone || null,
+        values.recipients || [],
+        values.enabled ?? true,
+        actorEmail,
+      ]
+    );
+    reloadSchedules(req);
+    res.status(201).json({ definition: serializeDefinition(rows[0]) });
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message, detail: e.detail });
+    console.error("POST /reports/definitions error", e);
+    res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// GET /reports/definitions/:id - Get a saved report definition
+router.get("/definitions/:id", async (req, res) => {
+  try {
+    const row = await loadDefinitionForActor(req, res);
+    if (!row) return;
+    res.json({ definition: serializeDefinition(row) });
+  } catch (e) {
+    console.error("GET /reports/definitions/:id error", e);
+    res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// PUT /reports/definitions/:id - Update a saved report definition
+router.put("/definitions/:id", async (req, res) => {
+  try {
+    const row = await loadDefinitionForActor(req, res);
+    if (!row) return;
+    const values = normalizeDefinition(req.body, { partial: true });
+    if (values.schedule_cron && !hasPermission(req, "reports:schedule")) {
+      return res.status(403).json({ error: "forbidden", missing: ["reports:schedule"] });
+    }
+    const columns = Object.keys(values);
+    if (!columns.length) return res.json({ definition: serializeDefinition(row) });
+    const params = [row.id];
+    const sets = columns.map((col) => {
+      params.push(col === "filters" ? JSON.stringify(values[col]) : values[col]);
+      return `${col} = $${params.length}${col === "filters" ? "::jsonb" : ""}`;
+    });
+    const { rows } = await req.db.query(
+      `UPDATE ${REPORT_DEFINITIONS_TABLE} SET ${sets.join(", ")}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      params
+    );
+    reloadSchedules(req);
+    res.json({ definition: serializeDefinition(rows[0]) });
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message, detail: e.detail });
+    console.error("PUT /reports/definitions/:id error", e);
+    res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// DELETE /reports/definitions/:id - Delete a saved report definition (run history is kept)
+router.delete("/definitions/:id", async (req, res) => {
+  try {
+    const row = await loadDefinitionForActor(req, res);
+    if (!row) return;
+    await req.db.query(`DELETE FROM ${REPORT_DEFINITIONS_TABLE} WHERE id = $1`, [row.id]);
+    reloadSchedules(req);
+    res.json({ success: true });
+  } catch (e) {
+    console.error("DELETE /reports/definitions/:id error", e);
+    res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
+// POST /reports/definitions/:id/run - Run a saved definition now and email it to its recipients
+router.post("/definitions/:id/run", requirePermission("reports:generate"), async (req, res) => {
+  try {
+    const row = await loadDefinitionForActor(req, res);
+    if (!row) return;
+    const run = await runReportDefinition(req.db, row, {
+      trigger: "manual",
+      emailService,
+      actorName: req.session?.user?.displayName || null,
+    });
+    res.status(201).json({ success: true, report: serializeRun(run) });
+  } catch (e) {
+    console.error("POST /reports/definitions/:id/run error", e);
+    res.status(500).json({
+      error: "report_generation_failed",
+      detail: e.message,
+      report: e.run ? serializeRun(e.run) : null,
+    });
+  }
+});
+
+// GET /reports/definitions/:id/runs - Run history of a saved definition
+router.get("/definitions/:id/runs", async (req, res) => {
+  try {
+    const row = await loadDefinitionForActor(req, res);
+    if (!row) return;
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit || "50", 10) || 50));
+    const { rows } = await req.db.query(
+      `SELECT * FROM ${REPORT_RUNS_TABLE} WHERE definition_id = $1 ORDER BY started_at DESC LIMIT $2`,
+      [row.id, limit]
+    );
+    res.json({ runs: rows.map(serializeRun) });
+  } catch (e) {
+    console.error("GET /reports/definitions/:id/runs error", e);
+    res.status(500).json({ error: "db_error", detail: e.message });
+  }
+});
+
 // GET /reports/:id/download - Download a generated report
 router.get("/:id/download", async (req, res) => {
   try {
     const actorEmail = getPrimaryEmail(req);
-    const meta = reportStore.get(req.params.id);
-    if (!meta) return res.status(404).json({ error: "report_not_found" });
-    if (meta.expiresAt && meta.expiresAt <= Date.now()) {
-      await cleanupReport(meta.id);
-      return res.status(410).json({ error: "report_expired" });
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json({ error: "report_not_found" });
     }
-    if (meta.owner !== actorEmail && !isAdmin(req)) {
+    const { rows } = await req.db.query(`SELECT * FROM ${REPORT_RUNS_TABLE} WHERE id = $1`, [req.params.id]);
+    const run = rows[0];
+    if (!run) return res.status(404).json({ error: "report_not_found" });
+    if (String(run.owner_email).toLowerCase() !== String(actorEmail || "").toLowerCase() && !isAdmin(req)) {
       return res.status(403).json({ error: "forbidden" });
     }
-    res.download(meta.filePath, meta.fileName, async (err) => {
+    if (run.status === "expired" || (run.expires_at && new Date(run.expires_at) <= new Date())) {
+      return res.status(410).json({ error: "report_expired" });
+    }
+    if (run.status !== "succeeded" || !run.file_path) {
+      return res.status(409).json({ error: "report_not_ready", status: run.status });
+    }
+    res.download(run.file_path, run.file_name, async (err) => {
       if (err) {
         console.error("Download report failed", err);
         if (!res.headersSent)
-          res.status(500).json({ error: "download_failed" });
+          res.status(err.code === "ENOENT" ? 410 : 500).json({ error: "download_failed" });
         return;
       }
     });
@@ -519,3 +1239,10 @@ router.get("/:id/download", async (req, res) => {
 module.exports = router;
 module.exports.REPORT_BUILDERS = REPORT_BUILDERS;
 module.exports.generateWorkbookForReport = generateWorkbookForReport;
+module.exports.initReports = initReports;
+module.exports.REPORT_RUNS_TABLE = REPORT_RUNS_TABLE;
+module.exports.REPORT_DEFINITIONS_TABLE = REPORT_DEFINITIONS_TABLE;
+module.exports.executeReportRun = executeReportRun;
+module.exports.runReportDefinition = runReportDefinition;
+module.exports.listScheduledDefinitions = listScheduledDefinitions;
+module.exports.purgeExpiredReportRuns = purgeExpiredReportRuns;
@@ -0,0 +1,415 @@
+/**
+ * Resume Parser Module
+ * Turns extracted resume / cover letter text into a structured profile:
+ * contact details, links, location, skills, work history, education and certifications.
+ *
+ * RESUME_PARSER=heuristic (default) parses offline with section/date heuristics.
+ * RESUME_PARSER=llm uses the resume_parsing LLM feature (see llm.js) and falls back to
+ * the heuristic parser when the provider is not configured or the call fails.
+ */
+
+const { LLM_FEATURES, llmComplete, isLLMConfigured, jsonrepairFn } = require("./helpers");
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const MONTH_RE = "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?";
+const DATE_TOKEN = `(?:${MONTH_RE}\\s+\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4}|present|current|now|today)`;
+const DATE_RANGE_RE = new RegExp(`(${DATE_TOKEN})\\s*(?:-|–|—|to|until)\\s*(${DATE_TOKEN})`, "i");
+const SINGLE_YEAR_RE = /\b(19[6-9]\d|20\d{2})\b/;
+
+const SECTION_PATTERNS = {
+  experience: /^(?:work|professional|employment|relevant|career)?\s*(?:experience|history|employment)(?:\s+history)?$/,
+  education: /^(?:education|academic background|education\s*(?:&|and)\s*training)$/,
+  certifications: /^(?:certifications?|licen[cs]es?(?:\s*(?:&|and)\s*certifications?)?|certifications?\s*(?:&|and)\s*licen[cs]es?)$/,
+  skills: /^(?:skills|technical skills|core skills|key skills|core competencies|competencies|technologies|tools(?:\s*(?:&|and)\s*technologies)?)$/,
+  other: /^(?:summary|profile|professional summary|objective|projects|awards|honors|publications|references|interests|hobbies|languages|volunteer(?:ing| experience)?|activities)$/,
+};
+
+const DEGREE_RE =
+  /\b(?:ph\.?d|doctor(?:ate)?|master(?:'?s)?|m\.?s\.?c?|m\.?a\.?|mba|m\.?eng|bachelor(?:'?s)?|b\.?s\.?c?|b\.?a\.?|b\.?eng|associate(?:'?s)?|diploma|certificate|high school|ged)\b/i;
+const INSTITUTION_RE = /\b(?:university|college|institute|school|academy|polytechnic)\b/i;
+
+const US_STATES =
+  "AL|AK|AZ|AR|CA|CO|CT|DE|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|NY|NC|ND|OH|OK|OR|PA|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY|DC";
+const LOCATION_RE = new RegExp(`^([A-Z][A-Za-z .'-]{1,40}),\\s*(${US_STATES}|[A-Z][A-Za-z .'-]{2,40})(?:\\s+\\d{5}(?:-\\d{4})?)?$`);
+
+const BULLET_RE = /^\s*(?:[•●▪◦‣\-*–]|\d+\.)\s+/;
+
+function cleanLine(line) {
+  return String(line || "").replace(/\s+/g, " ").trim();
+}
+
+function normalizeDate(token) {
+  const t = String(token || "").trim().toLowerCase();
+  if (!t) return null;
+  if (/^(present|current|now|today)$/.test(t)) return "present";
+  let m = t.match(/^(\d{1,2})\/(\d{4})$/);
+  if (m) return `${m[2]}-${String(Math.min(12, Math.max(1, Number(m[1])))).padStart(2, "0")}`;
+  m = t.match(new RegExp(`^(${MONTH_RE})\\s+(\\d{4})$`, "i"));
+  if (m) {
+    const idx = MONTHS.indexOf(m[1].slice(0, 3).toLowerCase());
+    return `${m[2]}-${String(idx + 1).padStart(2, "0")}`;
+  }
+  m = t.match(/^(\d{4})$/);
+  return m ? m[1] : null;
+}
+
+// "2019-03" / "2019" / "present" -> fractional year
+function dateToYears(value, now = new Date()) {
+  if (!value) return null;
+  if (value === "present") return now.getFullYear() + now.getMonth() / 12;
+  const [y, m] = value.split("-").map(Number);
+  return y + (m ? (m - 1) / 12 : 0);
+}
+
+function splitSections(lines) {
+  const sections = { header: [] };
+  let current = "header";
+  for (const raw of lines) {
+    const line = cleanLine(raw);
+    if (!line) continue;
+    const heading = line.replace(/[:\s]+$/, "").toLowerCase();
+    if (heading.length <= 50) {
+      const match = Object.entries(SECTION_PATTERNS).find(([, re]) => re.test(heading));
+      if (match) {
+        current = match[0];
+        sections[current] = sections[current] || [];
+        continue;
+      }
+    }
+    (sections[current] = sections[current] || []).push(line);
+  }
+  return sections;
+}
+
+function parseContact(text, headerLines) {
+  const email = (text.match(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i) || [])[0] || null;
+
+  let phone = null;
+  for (const m of text.matchAll(/(?:\+?\(?\d[\d\s().-]{7,}\d)/g)) {
+    const digits = m[0].replace(/\D/g, "");
+    // Skip date ranges like "2018 - 2020" and bare years
+    if (digits.length < 10 || digits.length > 15 || DATE_RANGE_RE.test(m[0])) continue;
+    phone = m[0].trim();
+    break;
+  }
+
+  const urls = new Set();
+  for (const m of text.matchAll(/\b(?:https?:\/\/)?(?:www\.)?(?:[a-z0-9-]+\.)+[a-z]{2,}(?:\/[^\s,;|)]*)?/gi)) {
+    const u = m[0].replace(/[.)]+$/, "");
+    if (/@/.test(text.slice(Math.max(0, m.index - 1), m.index))) continue; // email domain
+    if (!/\//.test(u) && !/^(?:https?:\/\/|www\.)/i.test(u)) continue; // bare domains are too noisy
+    urls.add(/^https?:\/\//i.test(u) ? u : `https://${u}`);
+  }
+  const links = { linkedin: null, github: null, portfolio: null, other: [] };
+  for (const u of urls) {
+    if (/linkedin\.com\//i.test(u)) links.linkedin = links.linkedin || u;
+    else if (/github\.com\//i.test(u)) links.github = links.github || u;
+    else if (!links.portfolio) links.portfolio = u;
+    else links.other.push(u);
+  }
+
+  let location = null;
+  for (const line of headerLines.slice(0, 12)) {
+    for (const part of line.split(/\s*[|•·]\s*/)) {
+      const m = cleanLine(part).match(LOCATION_RE);
+      if (m && !/@/.test(part)) {
+        const isState = new RegExp(`^(?:${US_STATES})$`).test(m[2]);
+        location = { city: m[1].trim(), state: isState ? m[2] : null, country: isState ? "USA" : m[2].trim() };
+        break;
+      }
+    }
+    if (location) break;
+  }
+
+  return { email, phone, links, location };
+}
+
+function parseSkills(lines) {
+  const out = [];
+  const seen = new Set();
+  for (const line of lines || []) {
+    // "Languages: Python, Go" -> drop the label
+    const body = line.replace(BULLET_RE, "").replace(/^[A-Za-z &/]{2,30}:\s*/, "");
+    for (const part of body.split(/\s*[,;|•·]\s*|\s+\/\s+/)) {
+      const skill = part.replace(/\(.*?\)/g, "").replace(/[.]+$/, "").trim();
+      if (skill.length < 1 || skill.length > 40 || /^\d+$/.test(skill)) continue;
+      if (skill.split(/\s+/).length > 4) continue; // sentences, not skills
+      const key = skill.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push(skill);
+    }
+  }
+  return out.slice(0, 100);
+}
+
+function splitTitleCompany(headerText) {
+  const text = cleanLine(headerText).replace(/^[,|–—-]+|[,|–—-]+$/g, "").trim();
+  if (!text) return { title: null, company: null };
+  const m = text.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+  if (m) return { title: m[1].trim(), company: m[2].trim() };
+  const parts = text.split(/\s*(?:\||–|—|\s-\s|,)\s*/).filter(Boolean);
+  if (parts.length >= 2) return { title: parts[0], company: parts[1] };
+  return { title: text, company: null };
+}
+
+function parseWorkHistory(lines) {
+  const entries = [];
+  let current = null;
+  let pendingHeader = [];
+  for (const line of lines || []) {
+    const range = line.match(DATE_RANGE_RE);
+    if (range) {
+      const headerOnLine = cleanLine(line.replace(range[0], "").replace(/[()]/g, ""));
+      const headerText = [...pendingHeader, headerOnLine].filter(Boolean).join(" | ");
+      const { title, company } = splitTitleCompany(headerText);
+      const end = normalizeDate(range[2]);
+      current = {
+        title,
+        company,
+        start: normalizeDate(range[1]),
+        end: end === "present" ? null : end,
+        current: end === "present",
+        description: [],
+      };
+      entries.push(current);
+      pendingHeader = [];
+    } else if (BULLET_RE.test(line) && current) {
+      current.description.push(line.replace(BULLET_RE, "").trim());
+    } else if (current && current.description.length === 0 && !current.company) {
+      // Company on the line after "Title  2019 - 2021"
+      current.company = line;
+    } else {
+      pendingHeader = [...pendingHeader, line].slice(-2);
+    }
+  }
+  return entries.slice(0, 30).map((e) => ({
+    ...e,
+    description: e.description.join("\n").slice(0, 2000) || null,
+  }));
+}
+
+function parseEducation(lines) {
+  const entries = [];
+  let current = null;
+  for (const line of lines || []) {
+    const text = line.replace(BULLET_RE, "");
+    const range = text.match(DATE_RANGE_RE);
+    const year = range ? null : (text.match(SINGLE_YEAR_RE) || [])[1] || null;
+    const hasDegree = DEGREE_RE.test(text);
+    const hasInstitution = INSTITUTION_RE.test(text);
+    if (!hasDegree && !hasInstitution && !(current && (range || year))) continue;
+    const needsNew =
+      !current ||
+      (hasInstitution && current.institution) ||
+      (hasDegree && current.degree && !hasInstitution);
+    if (needsNew) {
+      current = { institution: null, degree: null, field: null, start: null, end: null };
+      entries.push(current);
+    }
+    const stripped = cleanLine(text.replace(DATE_RANGE_RE, "").replace(SINGLE_YEAR_RE, "").replace(/[()]/g, ""));
+    for (const part of stripped.split(/\s*(?:\||,|–|—|\s-\s)\s*/).filter(Boolean)) {
+      if (INSTITUTION_RE.test(part) && !current.institution) current.institution = part;
+      else if (DEGREE_RE.test(part) && !current.degree) {
+        const m = part.match(/^(.*?)\s+(?:in|of)\s+(.+)$/i);
+        current.degree = m ? m[1] : part;
+        if (m) current.field = m[2];
+      }
+    }
+    if (range) {
+      current.start = normalizeDate(range[1]);
+      const end = normalizeDate(range[2]);
+      current.end = end === "present" ? null : end;
+    } else if (year) {
+      current.end = year;
+    }
+  }
+  return entries.filter((e) => e.institution || e.degree).slice(0, 10);
+}
+
+function parseCertifications(lines) {
+  return (lines || [])
+    .map((line) => cleanLine(line.replace(BULLET_RE, "")))
+    .filter((line) => line && line.length <= 200)
+    .slice(0, 20)
+    .map((line) => {
+      const year = (line.match(SINGLE_YEAR_RE) || [])[1] || null;
+      const rest = cleanLine(line.replace(SINGLE_YEAR_RE, "").replace(/[()]/g, "")).replace(/[,–—-]+$/, "").trim();
+      const m = rest.match(/^(.+?)\s*(?:,|–|—|\s-\s|\|)\s*(.+)$/);
+      return { name: m ? m[1] : rest, issuer: m ? m[2] : null, year };
+    });
+}
+
+// Total years across work history entries, merging overlapping periods
+function totalYearsExperience(workHistory) {
+  const spans = (workHistory || [])
+    .map((w) => [dateToYears(w.start), dateToYears(w.current ? "present" : w.end || w.start)])
+    .filter(([s, e]) => s !== null && e !== null && e >= s)
+    .sort((a, b) => a[0] - b[0]);
+  let total = 0;
+  let cur = null;
+  for (const [s, e] of spans) {
+    if (!cur || s > cur[1]) {
+      if (cur) total += cur[1] - cur[0];
+      cur = [s, e];
+    } else cur[1] = Math.max(cur[1], e);
+  }
+  if (cur) total += cur[1] - cur[0];
+  return spans.length ? Math.round(total * 10) / 10 : null;
+}
+
+/**
+ * Heuristic parse of resume (or cover letter) text.
+ * Cover letters only contribute contact details, links and location.
+ */
+function parseResumeHeuristic(text, { kind = "resume" } = {}) {
+  const raw = String(text || "").replace(/\r/g, "");
+  const sections = splitSections(raw.split("\n"));
+  const contact = parseContact(raw, sections.header || []);
+  if (kind === "cover_letter") {
+    return { ...contact, skills: [], work_history: [], education: [], certifications: [], total_years_experience: null };
+  }
+  const workHistory = parseWorkHistory(sections.experience);
+  return {
+    ...contact,
+    skills: parseSkills(sections.skills),
+    work_history: workHistory,
+    education: parseEducation(sections.education),
+    certifications: parseCertifications(sections.certifications),
+    total_years_experience: totalYearsExperience(workHistory),
+  };
+}
+
+const nullable = (type) => ({ type: [type, "null"] });
+
+const PROFILE_SCHEMA = {
+  type: "object",
+  properties: {
+    email: nullable("string"),
+    phone: nullable("string"),
+    links: {
+      type: "object",
+      properties: {
+        linkedin: nullable("string"),
+        github: nullable("string"),
+        portfolio: nullable("string"),
+        other: { type: "array", items: { type: "string" } },
+      },
+      required: ["linkedin", "github", "portfolio", "other"],
+      additionalProperties: false,
+    },
+    location: {
+      type: ["object", "null"],
+      properties: { city: nullable("string"), state: nullable("string"), country: nullable("string") },
+      required: ["city", "state", "country"],
+      additionalProperties: false,
+    },
+    skills: { type: "array", items: { type: "string" } },
+    work_history: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          title: nullable("string"),
+          company: nullable("string"),
+          start: nullable("string"),
+          end: nullable("string"),
+          current: { type: "boolean" },
+          description: nullable("string"),
+        },
+        required: ["title", "company", "start", "end", "current", "description"],
+        additionalProperties: false,
+      },
+    },
+    education: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          institution: nullable("string"),
+          degree: nullable("string"),
+          field: nullable("string"),
+          start: nullable("string"),
+          end: nullable("string"),
+        },
+        required: ["institution", "degree", "field", "start", "end"],
+        additionalProperties: false,
+      },
+    },
+    certifications: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { name: { type: "string" }, issuer: nullable("string"), year: nullable("string") },
+        required: ["name", "issuer", "year"],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ["email", "phone", "links", "location", "skills", "work_history", "education", "certifications"],
+  additionalProperties: false,
+};
+
+async function parseResumeWithLLM(text, { kind = "resume" } = {}) {
+  const completion = await llmComplete(LLM_FEATURES.RESUME_PARSING, {
+    temperature: 0,
+    maxTokens: 3000,
+    responseFormat: {
+      type: "json_schema",
+      json_schema: { name: "resume_profile", strict: true, schema: PROFILE_SCHEMA },
+    },
+    messages: [
+      {
+        role: "system",
+        content: `Extract a structured candidate profile from the ${kind === "cover_letter" ? "cover letter" : "resume"} text.
+Only use information present in the text; use null or empty arrays when something is missing.
+Dates are "YYYY-MM" or "YYYY"; leave end null and set current=true for ongoing roles.
+Return ONLY valid JSON.`,
+      },
+      { role: "user", content: String(text).slice(0, 20000) },
+    ],
+  });
+  let parsed;
+  try {
+    parsed = JSON.parse(completion.text);
+  } catch {
+    if (!jsonrepairFn) throw new Error("invalid_llm_json");
+    parsed = JSON.parse(jsonrepairFn(completion.text));
+  }
+  const workHistory = Array.isArray(parsed.work_history) ? parsed.work_history.slice(0, 30) : [];
+  return {
+    email: parsed.email || null,
+    phone: parsed.phone || null,
+    links: parsed.links || { linkedin: null, github: null, portfolio: null, other: [] },
+    location: parsed.location || null,
+    skills: Array.isArray(parsed.skills) ? parsed.skills.slice(0, 100) : [],
+    work_history: workHistory,
+    education: Array.isArray(parsed.education) ? parsed.education.slice(0, 10) : [],
+    certifications: Array.isArray(parsed.certifications) ? parsed.certifications.slice(0, 20) : [],
+    total_years_experience: totalYearsExperience(workHistory),
+    _model: completion.model,
+  };
+}
+
+/**
+ * Parse resume/cover letter text into a profile.
+ * @returns {Promise<{ profile: Object, parser: string }>}
+ */
+async function parseResume(text, { kind = "resume" } = {}) {
+  const mode = String(process.env.RESUME_PARSER || "heuristic").toLowerCase();
+  if (mode === "llm" && isLLMConfigured(LLM_FEATURES.RESUME_PARSING)) {
+    try {
+      const { _model, ...profile } = await parseResumeWithLLM(text, { kind });
+      return { profile, parser: `llm:${_model}` };
+    } catch (e) {
+      console.warn("[resume-parser] LLM parse failed, using heuristics:", e.message);
+    }
+  }
+  return { profile: parseResumeHeuristic(text, { kind }), parser: "heuristic" };
+}
+
+module.exports = {
+  parseResume,
+  parseResumeHeuristic,
+  totalYearsExperience,
+};
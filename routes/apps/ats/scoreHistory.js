@@ -0,0 +1,155 @@
+/**
+ * Score History Module
+ * Every AI score is kept as its own candidate_ai_scores row; this module lists them
+ * with their provenance (model, provider, prompt version, resume/cover letter) and
+ * diffs two of them field by field.
+ */
+
+const { DEFAULT_SCHEMA } = require("./helpers");
+
+const SCORES_TABLE = `${DEFAULT_SCHEMA}.candidate_ai_scores`;
+
+const HISTORY_COLUMNS = `id, candidate_id, model, provider, version, prompt_version, reason,
+  job_requisition_id, resume_url, cover_letter_url, source_text_hash,
+  overall_score, experience_fit, skills_fit, culture_fit, location_fit, knockout_failed,
+  risk_flags, strengths, recommendations, rationale, criteria_scores, created_at`;
+
+// Numeric scores: diff reports the delta
+const SCORE_FIELDS = ["overall_score", "experience_fit", "skills_fit", "culture_fit", "location_fit"];
+// What produced the score: reported when changed
+const PROVENANCE_FIELDS = [
+  "model",
+  "provider",
+  "prompt_version",
+  "job_requisition_id",
+  "resume_url",
+  "cover_letter_url",
+  "source_text_hash",
+];
+const LIST_FIELDS = ["risk_flags", "strengths", "recommendations"];
+const TEXT_FIELDS = ["rationale", "knockout_failed"];
+
+/**
+ * @returns {Promise<{ total: number, scores: Array }>} newest first
+ */
+async function listCandidateScores(db, candidateId, { jobRequisitionId = null, limit = 50, offset = 0 } = {}) {
+  const params = [candidateId];
+  let where = "candidate_id = $1";
+  if (jobRequisitionId) {
+    params.push(String(jobRequisitionId));
+    where += ` AND job_requisition_id = $${params.length}`;
+  }
+  const total = Number(
+    (await db.query(`SELECT COUNT(*)::int AS n FROM ${SCORES_TABLE} WHERE ${where}`, params)).rows[0]?.n || 0
+  );
+  params.push(limit, offset);
+  const { rows } = await db.query(
+    `SELECT ${HISTORY_COLUMNS}
+       FROM ${SCORES_TABLE}
+      WHERE ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return { total, scores: rows };
+}
+
+/**
+ * Load score rows of one candidate by id.
+ * @returns {Promise<Map<number, Object>>}
+ */
+async function getCandidateScoresById(db, candidateId, ids) {
+  const { rows } = await db.query(
+    `SELECT ${HISTORY_COLUMNS} FROM ${SCORES_TABLE} WHERE candidate_id = $1 AND id = ANY($2::int[])`,
+    [candidateId, ids]
+  );
+  return new Map(rows.map((r) => [Number(r.id), r]));
+}
+
+/**
+ * The two newest scores (for the default "what changed on the last re-score" diff).
+ * @returns {Promise<Array>} [newer, older] (may be shorter)
+ */
+async function getLatestScorePair(db, candidateId, { jobRequisitionId = null } = {}) {
+  const { scores } = await listCandidateScores(db, candidateId, { jobRequisitionId, limit: 2 });
+  return scores;
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Field-by-field diff from one score row to another.
+ * Only changed fields are listed; unchanged ones are summarized in `unchanged`.
+ */
+function diffCandidateScores(from, to) {
+  const changes = [];
+  const unchanged = [];
+
+  for (const field of SCORE_FIELDS) {
+    const a = from[field] === null || from[field] === undefined ? null : Number(from[field]);
+    const b = to[field] === null || to[field] === undefined ? null : Number(to[field]);
+    if (same(a, b)) unchanged.push(field);
+    else changes.push({ field, kind: "score", from: a, to: b, delta: a !== null && b !== null ? b - a : null });
+  }
+  for (const field of [...PROVENANCE_FIELDS, ...TEXT_FIELDS]) {
+    if (same(from[field], to[field])) unchanged.push(field);
+    else {
+      const kind = PROVENANCE_FIELDS.includes(field) ? "provenance" : "value";
+      changes.push({ field, kind, from: from[field] ?? null, to: to[field] ?? null });
+    }
+  }
+  for (const field of LIST_FIELDS) {
+    const a = Array.isArray(from[field]) ? from[field] : [];
+    const b = Array.isArray(to[field]) ? to[field] : [];
+    const added = b.filter((x) => !a.includes(x));
+    const removed = a.filter((x) => !b.includes(x));
+    if (!added.length && !removed.length) unchanged.push(field);
+    else changes.push({ field, kind: "list", added, removed });
+  }
+
+  // Rubric criteria, matched by label (keys are positional within one rubric revision)
+  const criteriaOf = (row) => {
+    const list = row.criteria_scores?.criteria;
+    return new Map((Array.isArray(list) ? list : []).map((c) => [`${c.type}:${c.label}`, c]));
+  };
+  const ca = criteriaOf(from);
+  const cb = criteriaOf(to);
+  const criteria = [];
+  for (const id of new Set([...ca.keys(), ...cb.keys()])) {
+    const a = ca.get(id);
+    const b = cb.get(id);
+    const ref = b || a;
+    const entry = {
+      type: ref.type,
+      label: ref.label,
+      status: !a ? "added" : !b ? "removed" : "changed",
+      from: a ? { score: a.score, met: a.met, weight: a.weight } : null,
+      to: b ? { score: b.score, met: b.met, weight: b.weight } : null,
+    };
+    if (a && b) {
+      if (same(entry.from, entry.to) && same(a.evidence, b.evidence)) continue;
+      entry.delta = a.score !== null && b.score !== null ? b.score - a.score : null;
+      entry.evidenceChanged = !same(a.evidence, b.evidence);
+    }
+    criteria.push(entry);
+  }
+  if (criteria.length) changes.push({ field: "criteria", kind: "criteria", criteria });
+  else unchanged.push("criteria");
+
+  return {
+    from: { id: from.id, version: from.version, created_at: from.created_at },
+    to: { id: to.id, version: to.version, created_at: to.created_at },
+    resumeChanged: !same(from.resume_url, to.resume_url) || !same(from.source_text_hash, to.source_text_hash),
+    promptChanged: !same(from.prompt_version, to.prompt_version),
+    modelChanged: !same(from.model, to.model),
+    changes,
+    unchanged,
+  };
+}
+
+module.exports = {
+  listCandidateScores,
+  getCandidateScoresById,
+  getLatestScorePair,
+  diffCandidateScores,
+};
@@ -0,0 +1,445 @@
+/**
+ * AI Score Job Queue
+ * Postgres-backed, restart-safe queue for candidate score generation.
+ * Jobs live in score_jobs (one pending row per candidate) with per-attempt
+ * history in score_job_attempts. Each process runs one worker per tenant pool
+ * that claims jobs with FOR UPDATE SKIP LOCKED, so several containers can
+ * share a queue without double-running a job.
+ */
+
+const os = require("os");
+
+const {
+  DEFAULT_SCHEMA,
+  PEOPLE_TABLE,
+  PEOPLE_PK,
+  APP_TABLE,
+} = require("./helpers");
+const { emitCandidateEvent } = require("./realtime");
+
+const JOBS_TABLE = `${DEFAULT_SCHEMA}.score_jobs`;
+const ATTEMPTS_TABLE = `${DEFAULT_SCHEMA}.score_job_attempts`;
+
+const envInt = (name, fallback) => {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+const CONCURRENCY = envInt("SCORE_JOB_CONCURRENCY", 2);
+const MAX_ATTEMPTS = envInt("SCORE_JOB_MAX_ATTEMPTS", 5);
+const POLL_MS = envInt("SCORE_JOB_POLL_MS", 5000);
+const BACKOFF_BASE_MS = envInt("SCORE_JOB_BACKOFF_MS", 30 * 1000);
+const BACKOFF_MAX_MS = envInt("SCORE_JOB_BACKOFF_MAX_MS", 60 * 60 * 1000);
+const STALE_MS = envInt("SCORE_JOB_STALE_MS", 10 * 60 * 1000);
+const BACKFILL_INTERVAL_MS = envInt("SCORE_BACKFILL_INTERVAL_MS", 5 * 60 * 1000);
+const BACKFILL_BATCH = envInt("SCORE_BACKFILL_BATCH", 20);
+
+// Errors that will not succeed on retry; these go straight to the dead-letter state
+const NON_RETRYABLE_ERRORS = ["candidate_not_found", "openai_api_key_missing", "llm_provider_unknown"];
+
+const JOB_STATUSES = ["pending", "running", "succeeded", "dead", "cancelled"];
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Injected during initialization (lives in ats.js)
+let generateAndStoreCandidateScore = null;
+
+function initScoreQueue(deps) {
+  if (deps.generateAndStoreCandidateScore)
+    generateAndStoreCandidateScore = deps.generateAndStoreCandidateScore;
+}
+
+function backoffMs(attempt) {
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempt - 1));
+}
+
+// ==================== WORKER ====================
+// One worker per pool; keyed by the pool object so req.db can find it
+const _workers = new Map();
+
+function getWorker(db) {
+  return _workers.get(db) || null;
+}
+
+/**
+ * Start (once) the polling worker for a tenant pool.
+ */
+function startScoreWorker(db, { appId } = {}) {
+  if (!db) return null;
+  let worker = _workers.get(db);
+  if (worker) {
+    // A producer may have started it before the boot hook knew the app id
+    if (appId && !worker.appId) worker.appId = appId;
+    return worker;
+  }
+  worker = { db, appId: appId || null, active: 0, pumping: false, timer: null, lastRecoverAt: 0 };
+  _workers.set(db, worker);
+  worker.timer = setInterval(() => pump(worker), POLL_MS);
+  if (worker.timer.unref) worker.timer.unref();
+  setImmediate(() => pump(worker));
+  return worker;
+}
+
+function stopScoreWorkers() {
+  for (const worker of _workers.values()) {
+    if (worker.timer) clearInterval(worker.timer);
+    if (worker.backfillTimer) clearInterval(worker.backfillTimer);
+  }
+  _workers.clear();
+}
+
+// Jobs left "running" by a crashed/restarted process go back to the queue
+// (or are superseded when the candidate already has a newer pending job)
+async function recoverStaleJobs(db) {
+  const r = await db.query(
+    `UPDATE ${JOBS_TABLE} j
+        SET status = CASE
+              WHEN EXISTS (
+                SELECT 1 FROM ${JOBS_TABLE} p WHERE p.candidate_id = j.candidate_id AND p.status = 'pending'
+              ) THEN 'cancelled'
+              WHEN j.attempts >= j.max_attempts THEN 'dead'
+              ELSE 'pending'
+            END,
+            last_error = COALESCE(j.last_error, 'worker_lost'),
+            locked_at = NULL,
+            locked_by = NULL,
+            run_at = NOW(),
+            updated_at = NOW()
+      WHERE j.status = 'running' AND j.locked_at < NOW() - ($1::int * INTERVAL '1 millisecond')
+      RETURNING j.id, j.status`,
+    [STALE_MS]
+  );
+  if (r.rowCount) {
+    await db.query(
+      `UPDATE ${JOBS_TABLE} SET finished_at = NOW()
+        WHERE id = ANY($1::int[]) AND status IN ('dead', 'cancelled')`,
+      [r.rows.map((x) => x.id)]
+    );
+  }
+  return r.rowCount;
+}
+
+async function claimJobs(db, limit) {
+  const { rows } = await db.query(
+    `UPDATE ${JOBS_TABLE} j
+        SET status = 'running',
+            attempts = j.attempts + 1,
+            locked_at = NOW(),
+            locked_by = $2,
+            updated_at = NOW()
+      WHERE j.id IN (
+        SELECT q.id FROM ${JOBS_TABLE} q
+         WHERE q.status = 'pending' AND q.run_at <= NOW()
+           AND NOT EXISTS (
+             SELECT 1 FROM ${JOBS_TABLE} r
+              WHERE r.candidate_id = q.candidate_id AND r.status = 'running'
+           )
+         ORDER BY q.priority DESC, q.run_at, q.id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+      )
+      RETURNING j.*`,
+    [limit, WORKER_ID]
+  );
+  return rows;
+}
+
+async function recordAttempt(db, job, status, startedAt, error) {
+  try {
+    await db.query(
+      `INSERT INTO ${ATTEMPTS_TABLE} (job_id, attempt, status, error, worker, started_at, duration_ms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [job.id, job.attempts, status, error || null, WORKER_ID, new Date(startedAt), Date.now() - startedAt]
+    );
+  } catch (e) {
+    console.warn("[score-queue] failed to record attempt", { jobId: job.id, error: e.message });
+  }
+}
+
+async function runJob(worker, job) {
+  const { db } = worker;
+  const startedAt = Date.now();
+  try {
+    if (typeof generateAndStoreCandidateScore !== "function") {
+      throw new Error("score_generator_not_configured");
+    }
+    const result = await generateAndStoreCandidateScore(db, job.candidate_id, {
+      force: job.force,
+      reason: job.reason || undefined,
+    });
+    await db.query(
+      `UPDATE ${JOBS_TABLE}
+          SET status = 'succeeded', result_status = $2, last_error = NULL,
+              locked_at = NULL, locked_by = NULL, finished_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND status = 'running'`,
+      [job.id, result?.status || null]
+    );
+    await recordAttempt(db, job, "succeeded", startedAt, null);
+    if (result?.status && result.status !== "existing") {
+      emitCandidateEvent(db, worker.appId, "candidate_score_completed", job.candidate_id, {
+        status: result.status,
+        overallScore: result.score?.overall_score ?? null,
+        source: "queue",
+      });
+    }
+  } catch (err) {
+    const message = err?.message || String(err);
+    const retryable = !NON_RETRYABLE_ERRORS.includes(message) && job.attempts < job.max_attempts;
+    let status = null;
+    try {
+      status = await failJob(db, job, retryable ? "pending" : "dead", message.slice(0, 2000));
+    } catch (e) {
+      // Left "running"; recoverStaleJobs requeues it once the lock goes stale
+      console.error("[score-queue] failed to update job", { jobId: job.id, error: e.message });
+    }
+    await recordAttempt(db, job, "failed", startedAt, message.slice(0, 2000));
+    console.warn("[score-queue] job failed", {
+      jobId: job.id,
+      candidateId: job.candidate_id,
+      attempt: job.attempts,
+      status,
+      error: message,
+    });
+  }
+}
+
+// Moves a failed running job to "pending" (retry) or "dead". A retry is superseded ("cancelled")
+// when the candidate was queued again while it ran, since only one pending job may exist per
+// candidate (uq_score_jobs_pending_candidate). Returns the new status.
+async function failJob(db, job, status, error, conflictRetry = true) {
+  try {
+    const { rows } = await db.query(
+      `WITH next AS (
+         SELECT CASE
+                  WHEN $2::text = 'pending' AND EXISTS (
+                    SELECT 1 FROM ${JOBS_TABLE} p WHERE p.candidate_id = $5 AND p.status = 'pending'
+                  ) THEN 'cancelled'
+                  ELSE $2::text
+                END AS status
+       )
+       UPDATE ${JOBS_TABLE} j
+          SET status = next.status,
+              last_error = $3,
+              run_at = NOW() + ($4::int * INTERVAL '1 millisecond'),
+              locked_at = NULL, locked_by = NULL,
+              finished_at = CASE WHEN next.status = 'pending' THEN NULL ELSE NOW() END,
+              updated_at = NOW()
+         FROM next
+        WHERE j.id = $1 AND j.status = 'running'
+        RETURNING j.status`,
+      [job.id, status, error, status === "pending" ? backoffMs(job.attempts) : 0, job.candidate_id]
+    );
+    return rows[0]?.status || null;
+  } catch (e) {
+    // A job queued between the check and the update; the check sees it on the second try
+    if (e.code === "23505" && conflictRetry) return failJob(db, job, status, error, false);
+    throw e;
+  }
+}
+
+async function pump(worker) {
+  if (worker.pumping) return;
+  worker.pumping = true;
+  try {
+    if (Date.now() - worker.lastRecoverAt > STALE_MS / 2) {
+      worker.lastRecoverAt = Date.now();
+      await recoverStaleJobs(worker.db);
+    }
+    const free = CONCURRENCY - worker.active;
+    if (free <= 0) return;
+    const jobs = await claimJobs(worker.db, free);
+    for (const job of jobs) {
+      worker.active += 1;
+      runJob(worker, job).finally(() => {
+        worker.active -= 1;
+        setImmediate(() => pump(worker));
+      });
+    }
+  } catch (e) {
+    if (process.env.DEBUG_SCORE_QUEUE === "1")
+      console.warn("[score-queue] poll failed", e.message);
+  } finally {
+    worker.pumping = false;
+  }
+}
+
+// ==================== PRODUCERS ====================
+
+/**
+ * Queue a score job for a candidate. Never throws: callers fire-and-forget
+ * from upload/intake routes.
+ * @returns {Promise<Object|null>} the pending job row, or null on failure
+ */
+async function enqueueCandidateScore(db, candidateId, options = {}) {
+  const id = Number(candidateId);
+  if (!db || !Number.isFinite(id)) return null;
+  const { force = false, priority = 0, reason = null, createdBy = null } = options;
+  try {
+    const { rows } = await db.query(
+      `INSERT INTO ${JOBS_TABLE} (candidate_id, force, priority, reason, max_attempts, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (candidate_id) WHERE status = 'pending'
+       DO UPDATE SET force = ${JOBS_TABLE}.force OR EXCLUDED.force,
+                     priority = GREATEST(${JOBS_TABLE}.priority, EXCLUDED.priority),
+                     updated_at = NOW()
+       RETURNING *`,
+      [id, !!force, Number(priority) || 0, reason, MAX_ATTEMPTS, createdBy]
+    );
+    const worker = startScoreWorker(db);
+    if (worker) setImmediate(() => pump(worker));
+    return rows[0] || null;
+  } catch (e) {
+    console.warn("[score-queue] enqueue failed", { candidateId: id, error: e.message });
+    return null;
+  }
+}
+
+/**
+ * Queue jobs for candidates that have a resume/cover letter but no score yet.
+ * @returns {Promise<number>} number of jobs queued
+ */
+async function enqueueScoreBackfill(db, limit = BACKFILL_BATCH) {
+  const { rows } = await db.query(
+    `INSERT INTO ${JOBS_TABLE} (candidate_id, reason, priority, max_attempts)
+     SELECT c.${PEOPLE_PK}, 'backfill', -1, $2
+       FROM ${PEOPLE_TABLE} c
+      WHERE EXISTS (
+              SELECT 1 FROM ${APP_TABLE} a
+               WHERE a.candidate_id = c.${PEOPLE_PK}
+                 AND (COALESCE(a.resume_url, '') <> '' OR COALESCE(a.cover_letter_url, '') <> '')
+            )
+        AND NOT EXISTS (SELECT 1 FROM ${DEFAULT_SCHEMA}.candidate_ai_scores s WHERE s.candidate_id = c.${PEOPLE_PK})
+        AND NOT EXISTS (
+              SELECT 1 FROM ${JOBS_TABLE} j
+               WHERE j.candidate_id = c.${PEOPLE_PK} AND j.status IN ('pending', 'running', 'dead', 'cancelled')
+            )
+      ORDER BY c.${PEOPLE_PK} DESC
+      LIMIT $1
+     ON CONFLICT (candidate_id) WHERE status = 'pending' DO NOTHING
+     RETURNING id`,
+    [Math.max(1, Number(limit) || BACKFILL_BATCH), MAX_ATTEMPTS]
+  );
+  return rows.length;
+}
+
+/**
+ * Boot hook: start the worker for a tenant and periodically queue unscored candidates.
+ */
+function startScoreBackfill(appId, db) {
+  const worker = startScoreWorker(db, { appId });
+  if (!worker || worker.backfillTimer) return worker;
+  const scan = () =>
+    enqueueScoreBackfill(db).catch((e) => {
+      if (process.env.DEBUG_SCORE_QUEUE === "1")
+        console.warn("[score-queue] backfill scan failed", e.message);
+    });
+  const first = setTimeout(scan, 2000);
+  if (first.unref) first.unref();
+  worker.backfillTimer = setInterval(scan, BACKFILL_INTERVAL_MS);
+  if (worker.backfillTimer.unref) worker.backfillTimer.unref();
+  return worker;
+}
+
+// ==================== ADMIN HELPERS ====================
+
+async function listScoreJobs(db, { status, candidateId, limit = 50, offset = 0 } = {}) {
+  const clauses = ["1=1"];
+  const params = [];
+  if (status) {
+    params.push(status);
+    clauses.push(`j.status = $${params.length}`);
+  }
+  if (candidateId) {
+    params.push(candidateId);
+    clauses.push(`j.candidate_id = $${params.length}`);
+  }
+  const where = clauses.join(" AND ");
+  const total = await db.query(`SELECT COUNT(*)::int AS n FROM ${JOBS_TABLE} j WHERE ${where}`, params);
+  const counts = await db.query(
+    `SELECT status, COUNT(*)::int AS n FROM ${JOBS_TABLE} GROUP BY status`
+  );
+  params.push(Math.max(1, Math.min(500, Number(limit) || 50)));
+  params.push(Math.max(0, Number(offset) || 0));
+  const { rows } = await db.query(
+    `SELECT j.*, TRIM(CONCAT(c.first_name, ' ', c.last_name)) AS candidate_name
+       FROM ${JOBS_TABLE} j
+       LEFT JOIN ${PEOPLE_TABLE} c ON c.${PEOPLE_PK} = j.candidate_id
+      WHERE ${where}
+      ORDER BY j.updated_at DESC, j.id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  const byStatus = Object.fromEntries(JOB_STATUSES.map((s) => [s, 0]));
+  for (const r of counts.rows) byStatus[r.status] = r.n;
+  return { jobs: rows, total: total.rows[0]?.n || 0, counts: byStatus };
+}
+
+async function getScoreJob(db, jobId) {
+  const { rows } = await db.query(`SELECT * FROM ${JOBS_TABLE} WHERE id = $1`, [jobId]);
+  if (!rows.length) return null;
+  const attempts = await db.query(
+    `SELECT attempt, status, error, worker, started_at, finished_at, duration_ms
+       FROM ${ATTEMPTS_TABLE} WHERE job_id = $1 ORDER BY attempt, id`,
+    [jobId]
+  );
+  return { ...rows[0], history: attempts.rows };
+}
+
+/**
+ * Requeue a dead/cancelled/succeeded job. Grants a fresh set of attempts while
+ * keeping the attempt counter (and history) intact.
+ * @returns {Promise<{job?: Object, error?: string}>}
+ */
+async function retryScoreJob(db, jobId, { force } = {}) {
+  const current = await db.query(`SELECT id, candidate_id, status FROM ${JOBS_TABLE} WHERE id = $1`, [jobId]);
+  if (!current.rows.length) return { error: "not_found" };
+  const job = current.rows[0];
+  if (job.status === "pending" || job.status === "running") return { error: `job_${job.status}` };
+  const dup = await db.query(
+    `SELECT id FROM ${JOBS_TABLE} WHERE candidate_id = $1 AND status = 'pending' AND id <> $2`,
+    [job.candidate_id, jobId]
+  );
+  if (dup.rows.length) return { error: "already_queued", jobId: dup.rows[0].id };
+  const { rows } = await db.query(
+    `UPDATE ${JOBS_TABLE}
+        SET status = 'pending', run_at = NOW(), max_attempts = attempts + $2,
+            force = COALESCE($3, force), last_error = NULL, finished_at = NULL, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *`,
+    [jobId, MAX_ATTEMPTS, typeof force === "boolean" ? force : null]
+  );
+  const worker = startScoreWorker(db);
+  if (worker) setImmediate(() => pump(worker));
+  return { job: rows[0] };
+}
+
+/**
+ * Cancel a pending job. Running jobs cannot be interrupted and are rejected.
+ */
+async function cancelScoreJob(db, jobId) {
+  const { rows } = await db.query(
+    `UPDATE ${JOBS_TABLE}
+        SET status = 'cancelled', finished_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *`,
+    [jobId]
+  );
+  if (rows.length) return { job: rows[0] };
+  const current = await db.query(`SELECT status FROM ${JOBS_TABLE} WHERE id = $1`, [jobId]);
+  if (!current.rows.length) return { error: "not_found" };
+  return { error: `job_${current.rows[0].status}` };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  initScoreQueue,
+  startScoreWorker,
+  stopScoreWorkers,
+  getWorker,
+  enqueueCandidateScore,
+  enqueueScoreBackfill,
+  startScoreBackfill,
+  listScoreJobs,
+  getScoreJob,
+  retryScoreJob,
+  cancelScoreJob,
+};
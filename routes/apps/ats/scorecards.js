@@ -0,0 +1,779 @@
+/**
+ * Interview Scorecards Routes Module
+ * Structured interview feedback: scorecard templates per job listing and one scorecard per
+ * interviewer per interview, aggregated across interviewers per candidate.
+ *
+ * Template (scorecard_templates, normalized):
+ *   {
+ *     name: "Technical interview", stage_name: "Technical Interview" | null,
+ *     competencies: [{ key: "competency_1", label: "System design", description, weight: 1 }],
+ *     rating_scale: { min: 1, max: 5, labels: { "1": "Poor", "5": "Excellent" } },
+ *     questions:    [{ key: "question_1", text: "Walk us through ...", required: true }],
+ *     version: 2   // bumped on every edit
+ *   }
+ *
+ * A scorecard (interview_scorecards) is started as a draft by the interviewer, or assigned to
+ * one by someone with "scorecards:manage", and copies the template so later edits do not change
+ * it. Submitting requires every competency rated, every required question answered and a
+ * recommendation (strong_no_hire, no_hire, hire, strong_hire); submitted scorecards are final.
+ *
+ * Blind review: an interviewer with a scorecard on an application only sees the other
+ * interviewers' ratings once all of their own scorecards there are submitted. Users who are not
+ * interviewing on it need "scorecards:read_all". Hidden scorecards still list interviewer and
+ * status so everyone can see who is pending.
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+  DEFAULT_SCHEMA,
+  PEOPLE_TABLE,
+  PEOPLE_PK,
+  APP_TABLE,
+  APP_PK,
+  getPrimaryEmail,
+  getSessionEmails,
+} = require("./helpers");
+const { ensurePermissions, hasPermission, requirePermission } = require("./permissions");
+const { isJobVisible, isApplicationVisible, requireVisible } = require("./departmentScope");
+const { createNotification } = require("./notifications");
+
+const TEMPLATES_TABLE = `${DEFAULT_SCHEMA}.scorecard_templates`;
+const SCORECARDS_TABLE = `${DEFAULT_SCHEMA}.interview_scorecards`;
+
+const RECOMMENDATIONS = ["strong_no_hire", "no_hire", "hire", "strong_hire"];
+const HIRE_RECOMMENDATIONS = ["hire", "strong_hire"];
+const DEFAULT_SCALE = { min: 1, max: 5 };
+const MAX_ITEMS = 30;
+const MAX_ANSWER_LENGTH = 5000;
+const MAX_SUMMARY_LENGTH = 10000;
+
+const READ_ALL_PERMISSION = "scorecards:read_all";
+const MANAGE_PERMISSION = "scorecards:manage";
+
+function invalidTemplate(detail) {
+  const err = new Error("invalid_scorecard_template");
+  err.status = 400;
+  err.detail = detail;
+  return err;
+}
+
+function scorecardError(message, status = 400, detail) {
+  const err = new Error(message);
+  err.status = status;
+  if (detail !== undefined) err.detail = detail;
+  return err;
+}
+
+function sendScorecardError(res, e, label) {
+  if (e.status && e.status < 500) {
+    return res.status(e.status).json({ error: e.message, ...(e.detail !== undefined ? { detail: e.detail } : {}) });
+  }
+  console.error(`${label} error`, e);
+  return res.status(500).json({ error: "db_error", detail: e.message });
+}
+
+// ==================== TEMPLATE VALIDATION ====================
+
+function normalizeKey(value, prefix, index, seen) {
+  const raw = String(value || "").trim().toLowerCase();
+  let key = /^[a-z0-9_]{1,40}$/.test(raw) ? raw : `${prefix}_${index + 1}`;
+  while (seen.has(key)) key = `${key}_${index + 1}`;
+  seen.add(key);
+  return key;
+}
+
+function normalizeCompetencies(list) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) throw invalidTemplate("competencies must be an array");
+  if (list.length > MAX_ITEMS) throw invalidTemplate(`competencies allows at most ${MAX_ITEMS} items`);
+  const seen = new Set();
+  return list.map((item, i) => {
+    const raw = typeof item === "string" ? { label: item } : item || {};
+    const label = String(raw.label ?? raw.name ?? "").trim().slice(0, 200);
+    if (!label) throw invalidTemplate(`competencies[${i}]: label is required`);
+    let weight = 1;
+    if (raw.weight !== undefined && raw.weight !== null && raw.weight !== "") {
+      weight = Number(raw.weight);
+      if (!Number.isFinite(weight) || weight <= 0 || weight > 100) {
+        throw invalidTemplate(`competencies[${i}]: weight must be a number between 0 and 100`);
+      }
+    }
+    return {
+      key: normalizeKey(raw.key, "competency", i, seen),
+      label,
+      description: raw.description ? String(raw.description).trim().slice(0, 1000) : null,
+      weight,
+    };
+  });
+}
+
+function normalizeQuestions(list) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) throw invalidTemplate("questions must be an array");
+  if (list.length > MAX_ITEMS) throw invalidTemplate(`questions allows at most ${MAX_ITEMS} items`);
+  const seen = new Set();
+  return list.map((item, i) => {
+    const raw = typeof item === "string" ? { text: item } : item || {};
+    const text = String(raw.text ?? raw.question ?? "").trim().slice(0, 1000);
+    if (!text) throw invalidTemplate(`questions[${i}]: text is required`);
+    return { key: normalizeKey(raw.key, "question", i, seen), text, required: raw.required !== false };
+  });
+}
+
+function normalizeScale(input) {
+  if (input === undefined || input === null) return { ...DEFAULT_SCALE };
+  if (typeof input !== "object" || Array.isArray(input)) throw invalidTemplate("rating_scale must be an object");
+  const min = input.min === undefined ? DEFAULT_SCALE.min : Number(input.min);
+  const max = input.max === undefined ? DEFAULT_SCALE.max : Number(input.max);
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max > 10 || max <= min) {
+    throw invalidTemplate("rating_scale needs integers with 0 <= min < max <= 10");
+  }
+  const scale = { min, max };
+  if (input.labels && typeof input.labels === "object") {
+    const labels = {};
+    for (const [value, label] of Object.entries(input.labels)) {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < min || n > max) throw invalidTemplate(`rating_scale.labels: ${value} is outside the scale`);
+      if (label) labels[n] = String(label).trim().slice(0, 100);
+    }
+    if (Object.keys(labels).length) scale.labels = labels;
+  }
+  return scale;
+}
+
+/**
+ * Validate and normalize a template from a request body (snake_case or camelCase fields).
+ * @throws {Error} invalid_scorecard_template (status 400)
+ */
+function normalizeTemplate(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) throw invalidTemplate("template must be an object");
+  const name = String(input.name || "").trim().slice(0, 200);
+  if (!name) throw invalidTemplate("name is required");
+  const stageName = input.stage_name ?? input.stageName;
+  const competencies = normalizeCompetencies(input.competencies);
+  const questions = normalizeQuestions(input.questions);
+  if (!competencies.length && !questions.length) throw invalidTemplate("template needs at least one competency or question");
+  return {
+    name,
+    stage_name: stageName ? String(stageName).trim().slice(0, 100) : null,
+    competencies,
+    rating_scale: normalizeScale(input.rating_scale ?? input.ratingScale),
+    questions,
+  };
+}
+
+// ==================== TEMPLATES ====================
+
+async function loadTemplate(db, templateId) {
+  if (!Number.isInteger(templateId)) return null;
+  const { rows } = await db.query(`SELECT * FROM ${TEMPLATES_TABLE} WHERE id = $1`, [templateId]);
+  return rows[0] || null;
+}
+
+// Template by id for the request: 404 when missing or its job is out of the department scope
+async function visibleTemplate(req, templateId) {
+  const template = await loadTemplate(req.db, templateId);
+  if (!template || !(await isJobVisible(req, template.job_listing_id))) throw scorecardError("not_found", 404);
+  return template;
+}
+
+// GET /jobs/:id/scorecard-templates - Scorecard templates of a job (?includeArchived=1)
+router.get("/jobs/:id/scorecard-templates", requireVisible("job"), async (req, res) => {
+  try {
+    const jobListingId = Number(req.params.id);
+    if (!Number.isFinite(jobListingId)) return res.status(400).json({ error: "invalid_id" });
+    const includeArchived = ["1", "true"].includes(String(req.query.includeArchived || ""));
+    const { rows } = await req.db.query(
+      `SELECT * FROM ${TEMPLATES_TABLE}
+        WHERE job_listing_id = $1${includeArchived ? "" : " AND archived_at IS NULL"}
+        ORDER BY created_at ASC, id ASC`,
+      [jobListingId]
+    );
+    res.json(rows);
+  } catch (e) {
+    sendScorecardError(res, e, "GET /jobs/:id/scorecard-templates");
+  }
+});
+
+// POST /jobs/:id/scorecard-templates - Create a template { name, stage_name?, competencies, rating_scale?, questions }
+router.post("/jobs/:id/scorecard-templates", requirePermission(MANAGE_PERMISSION), requireVisible("job"), async (req, res) => {
+  try {
+    const jobListingId = Number(req.params.id);
+    if (!Number.isFinite(jobListingId)) return res.status(400).json({ error: "invalid_id" });
+    const { rows: jobs } = await req.db.query(
+      `SELECT 1 FROM ${DEFAULT_SCHEMA}.job_listings WHERE job_listing_id = $1`,
+      [jobListingId]
+    );
+    if (!jobs.length) return res.status(404).json({ error: "not_found" });
+    const template = normalizeTemplate(req.body);
+    const actor = getPrimaryEmail(req) || null;
+    const { rows } = await req.db.query(
+      `INSERT INTO ${TEMPLATES_TABLE}
+         (job_listing_id, name, stage_name, competencies, rating_scale, questions, created_by, updated_by)
+       VALUES ($1, $2, $3, $4::jsonb, $5::jsonb, $6::jsonb, $7, $7)
+       RETURNING *`,
+      [
+        jobListingId,
+        template.name,
+        template.stage_name,
+        JSON.stringify(template.competencies),
+        JSON.stringify(template.rating_scale),
+        JSON.stringify(template.questions),
+        actor,
+      ]
+    );
+    res.status(201).json(rows[0]);
+  } catch (e) {
+    sendScorecardError(res, e, "POST /jobs/:id/scorecard-templates");
+  }
+});
+
+// GET /scorecard-templates/:templateId - One template
+router.get("/scorecard-templates/:templateId", async (req, res) => {
+  try {
+    res.json(await visibleTemplate(req, Number(req.params.templateId)));
+  } catch (e) {
+    sendScorecardError(res, e, "GET /scorecard-templates/:templateId");
+  }
+});
+
+// PUT /scorecard-templates/:templateId - Replace a template; scorecards already started keep their copy
+router.put("/scorecard-templates/:templateId", requirePermission(MANAGE_PERMISSION), async (req, res) => {
+  try {
+    const existing = await visibleTemplate(req, Number(req.params.templateId));
+    const template = normalizeTemplate(req.body);
+    const { rows } = await req.db.query(
+      `UPDATE ${TEMPLATES_TABLE}
+          SET name = $2, stage_name = $3, competencies = $4::jsonb, rating_scale = $5::jsonb, questions = $6::jsonb,
+              version = version + 1, updated_by = $7, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *`,
+      [
+        existing.id,
+        template.name,
+        template.stage_name,
+        JSON.stringify(template.competencies),
+        JSON.stringify(template.rating_scale),
+        JSON.stringify(template.questions),
+        getPrimaryEmail(req) || null,
+      ]
+    );
+    res.json(rows[0]);
+  } catch (e) {
+    sendScorecardError(res, e, "PUT /scorecard-templates/:templateId");
+  }
+});
+
+// DELETE /scorecard-templates/:templateId - Archive a template (no new scorecards; existing ones stay)
+router.delete("/scorecard-templates/:templateId", requirePermission(MANAGE_PERMISSION), async (req, res) => {
+  try {
+    const existing = await visibleTemplate(req, Number(req.params.templateId));
+    const { rows } = await req.db.query(
+      `UPDATE ${TEMPLATES_TABLE} SET archived_at = COALESCE(archived_at, NOW()), updated_at = NOW()
+        WHERE id = $1 RETURNING *`,
+      [existing.id]
+    );
+    res.json({ success: true, template: rows[0] });
+  } catch (e) {
+    sendScorecardError(res, e, "DELETE /scorecard-templates/:templateId");
+  }
+});
+
+// ==================== SCORECARD CONTENT ====================
+
+/**
+ * Ratings, answers, recommendation and summary from a request body, checked against the
+ * scorecard's template copy. Only the fields present in the body are returned.
+ * @throws {Error} invalid_scorecard (status 400)
+ */
+function normalizeFeedback(template, body) {
+  const out = {};
+  const invalid = (detail) => scorecardError("invalid_scorecard", 400, detail);
+  const scale = template.rating_scale || DEFAULT_SCALE;
+
+  if (body.ratings !== undefined) {
+    if (!body.ratings || typeof body.ratings !== "object" || Array.isArray(body.ratings)) throw invalid("ratings must be an object");
+    const keys = new Set((template.competencies || []).map((c) => c.key));
+    out.ratings = {};
+    for (const [key, value] of Object.entries(body.ratings)) {
+      if (!keys.has(key)) throw invalid(`ratings: unknown competency ${key}`);
+      if (value === null || value === "") continue;
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < scale.min || n > scale.max) {
+        throw invalid(`ratings.${key} must be an integer from ${scale.min} to ${scale.max}`);
+      }
+      out.ratings[key] = n;
+    }
+  }
+  if (body.answers !== undefined) {
+    if (!body.answers || typeof body.answers !== "object" || Array.isArray(body.answers)) throw invalid("answers must be an object");
+    const keys = new Set((template.questions || []).map((q) => q.key));
+    out.answers = {};
+    for (const [key, value] of Object.entries(body.answers)) {
+      if (!keys.has(key)) throw invalid(`answers: unknown question ${key}`);
+      const text = String(value ?? "").trim();
+      if (text.length > MAX_ANSWER_LENGTH) throw invalid(`answers.${key} is longer than ${MAX_ANSWER_LENGTH} characters`);
+      if (text) out.answers[key] = text;
+    }
+  }
+  if (body.recommendation !== undefined) {
+    const value = body.recommendation === null || body.recommendation === "" ? null : String(body.recommendation).trim().toLowerCase();
+    if (value !== null && !RECOMMENDATIONS.includes(value)) throw invalid(`recommendation must be one of ${RECOMMENDATIONS.join(", ")}`);
+    out.recommendation = value;
+  }
+  if (body.summary !== undefined) {
+    const text = body.summary === null ? "" : String(body.summary).trim();
+    if (text.length > MAX_SUMMARY_LENGTH) throw invalid(`summary is longer than ${MAX_SUMMARY_LENGTH} characters`);
+    out.summary = text || null;
+  }
+  const interviewedAt = body.interviewed_at ?? body.interviewedAt;
+  if (interviewedAt !== undefined) {
+    if (interviewedAt !== null && interviewedAt !== "" && Number.isNaN(new Date(interviewedAt).getTime())) {
+      throw invalid("interviewedAt must be a date or timestamp");
+    }
+    out.interviewed_at = interviewedAt || null;
+  }
+  return out;
+}
+
+// What is still missing before a scorecard can be submitted
+function missingForSubmit(card) {
+  const template = card.template || {};
+  const ratings = card.ratings || {};
+  const answers = card.answers || {};
+  const missing = [];
+  for (const c of template.competencies || []) if (ratings[c.key] === undefined) missing.push(`ratings.${c.key}`);
+  for (const q of template.questions || []) if (q.required && !answers[q.key]) missing.push(`answers.${q.key}`);
+  if (!card.recommendation) missing.push("recommendation");
+  return missing;
+}
+
+/**
+ * Weighted mean rating of a scorecard, on its own scale and as 0-100.
+ * @returns {{ averageRating: number, score: number }|null}
+ */
+function scorecardScore(card) {
+  const template = card.template || {};
+  const scale = template.rating_scale || DEFAULT_SCALE;
+  let total = 0;
+  let weights = 0;
+  for (const c of template.competencies || []) {
+    const rating = card.ratings?.[c.key];
+    if (rating === undefined || rating === null) continue;
+    total += rating * (c.weight || 1);
+    weights += c.weight || 1;
+  }
+  if (!weights) return null;
+  const averageRating = total / weights;
+  return {
+    averageRating: Math.round(averageRating * 100) / 100,
+    score: Math.round(((averageRating - scale.min) / (scale.max - scale.min)) * 1000) / 10,
+  };
+}
+
+// A scorecard with its content, or only who/what/status when `hidden`
+function scorecardView(card, hidden) {
+  const base = {
+    id: card.id,
+    application_id: card.application_id,
+    candidate_id: card.candidate_id,
+    template_id: card.template_id,
+    template_name: card.template?.name || null,
+    interviewer_email: card.interviewer_email,
+    interviewer_name: card.interviewer_name,
+    interview_label: card.interview_label,
+    interviewed_at: card.interviewed_at,
+    status: card.status,
+    submitted_at: card.submitted_at,
+  };
+  if (hidden) return { ...base, hidden: true };
+  return {
+    ...base,
+    meeting_id: card.meeting_id,
+    template: card.template,
+    ratings: card.ratings,
+    answers: card.answers,
+    recommendation: card.recommendation,
+    summary: card.summary,
+    ...(scorecardScore(card) || { averageRating: null, score: null }),
+    assigned_by: card.assigned_by,
+    created_at: card.created_at,
+    updated_at: card.updated_at,
+    hidden: false,
+  };
+}
+
+/**
+ * Totals over submitted scorecards: recommendation counts, mean score (0-100) and the mean
+ * rating per competency (matched by key and label across template versions).
+ */
+function aggregateScorecards(cards) {
+  const submitted = cards.filter((c) => c.status === "submitted");
+  const recommendations = Object.fromEntries(RECOMMENDATIONS.map((r) => [r, 0]));
+  const competencies = new Map();
+  const scores = [];
+  for (const card of submitted) {
+    if (card.recommendation) recommendations[card.recommendation] += 1;
+    const score = scorecardScore(card);
+    if (score) scores.push(score.score);
+    const scale = card.template?.rating_scale || DEFAULT_SCALE;
+    for (const c of card.template?.competencies || []) {
+      const rating = card.ratings?.[c.key];
+      if (rating === undefined || rating === null) continue;
+      const id = `${c.key}:${c.label.toLowerCase()}`;
+      const entry = competencies.get(id) || { key: c.key, label: c.label, ratings: [], scores: [] };
+      entry.ratings.push(rating);
+      entry.scores.push(((rating - scale.min) / (scale.max - scale.min)) * 100);
+      competencies.set(id, entry);
+    }
+  }
+  const mean = (list) => (list.length ? Math.round((list.reduce((a, b) => a + b, 0) / list.length) * 10) / 10 : null);
+  const hire = HIRE_RECOMMENDATIONS.reduce((n, r) => n + recommendations[r], 0);
+  return {
+    submitted: submitted.length,
+    recommendations,
+    hire,
+    noHire: submitted.filter((c) => c.recommendation).length - hire,
+    averageScore: mean(scores),
+    competencies: Array.from(competencies.values()).map((c) => ({
+      key: c.key,
+      label: c.label,
+      count: c.ratings.length,
+      averageRating: mean(c.ratings),
+      averageScore: mean(c.scores),
+    })),
+  };
+}
+
+// ==================== BLIND REVIEW ====================
+
+function isOwnScorecard(req, card) {
+  return getSessionEmails(req).includes(String(card.interviewer_email || "").toLowerCase());
+}
+
+/**
+ * Whether the request may see the other interviewers' scorecards of an application's cards:
+ * once all of the user's own scorecards there are submitted, or with scorecards:read_all when
+ * the user is not interviewing on it.
+ */
+function seesOthers(req, cards) {
+  const own = cards.filter((c) => isOwnScorecard(req, c));
+  if (own.length) return own.every((c) => c.status === "submitted");
+  return hasPermission(req, READ_ALL_PERMISSION);
+}
+
+/**
+ * Scorecards of the given applications as the request may see them, grouped per application.
+ * Other interviewers' drafts are always hidden.
+ * @returns {Promise<Array<{ applicationId: number, blind: boolean, cards: Object[], visible: Object[] }>>}
+ */
+async function scorecardsForApplications(req, applicationIds) {
+  await ensurePermissions(req);
+  const { rows } = await req.db.query(
+    `SELECT * FROM ${SCORECARDS_TABLE}
+      WHERE application_id = ANY($1::int[])
+      ORDER BY created_at ASC, id ASC`,
+    [applicationIds]
+  );
+  return applicationIds.map((applicationId) => {
+    const cards = rows.filter((c) => Number(c.application_id) === Number(applicationId));
+    const blind = !seesOthers(req, cards);
+    const visible = cards.filter((c) => isOwnScorecard(req, c) || (!blind && c.status === "submitted"));
+    return {
+      applicationId: Number(applicationId),
+      blind,
+      cards,
+      visible,
+      scorecards: cards.map((c) => scorecardView(c, !visible.includes(c))),
+    };
+  });
+}
+
+// Pending interviewers (drafts) of a set of scorecards
+function pendingInterviewers(cards) {
+  return Array.from(new Set(cards.filter((c) => c.status === "draft").map((c) => c.interviewer_email)));
+}
+
+// ==================== SCORECARDS ====================
+
+async function loadScorecard(req, scorecardId) {
+  if (!Number.isInteger(scorecardId)) throw scorecardError("invalid_scorecard_id");
+  const { rows } = await req.db.query(`SELECT * FROM ${SCORECARDS_TABLE} WHERE id = $1`, [scorecardId]);
+  const card = rows[0];
+  if (!card || !(await isApplicationVisible(req, card.application_id))) throw scorecardError("not_found", 404);
+  return card;
+}
+
+// The caller's own draft: 403 for someone else's scorecard, 409 once submitted
+async function ownDraft(req, scorecardId) {
+  const card = await loadScorecard(req, scorecardId);
+  if (!isOwnScorecard(req, card)) throw scorecardError("forbidden", 403, "only the interviewer can fill in a scorecard");
+  if (card.status !== "draft") throw scorecardError("scorecard_submitted", 409);
+  return card;
+}
+
+async function saveFeedback(db, card, feedback, extra = "") {
+  const sets = [];
+  const params = [card.id];
+  for (const [column, value] of Object.entries(feedback)) {
+    const json = column === "ratings" || column === "answers";
+    params.push(json ? JSON.stringify(value) : value);
+    sets.push(`${column} = $${params.length}${json ? "::jsonb" : ""}`);
+  }
+  const { rows } = await db.query(
+    `UPDATE ${SCORECARDS_TABLE} SET ${[...sets, "updated_at = NOW()", ...(extra ? [extra] : [])].join(", ")}
+      WHERE id = $1 RETURNING *`,
+    params
+  );
+  return rows[0];
+}
+
+// GET /scorecards/mine - The caller's scorecards (?status=draft|submitted)
+router.get("/scorecards/mine", async (req, res) => {
+  try {
+    const params = [getSessionEmails(req)];
+    let where = "LOWER(s.interviewer_email) = ANY($1::text[])";
+    if (req.query.status) {
+      if (!["draft", "submitted"].includes(req.query.status)) return res.status(400).json({ error: "invalid_status" });
+      params.push(req.query.status);
+      where += ` AND s.status = $${params.length}`;
+    }
+    const { rows } = await req.db.query(
+      `SELECT s.*, NULLIF(TRIM(CONCAT_WS(' ', p.first_name, p.last_name)), '') AS candidate_name
+         FROM ${SCORECARDS_TABLE} s
+         LEFT JOIN ${PEOPLE_TABLE} p ON p.${PEOPLE_PK} = s.candidate_id
+        WHERE ${where}
+        ORDER BY s.status ASC, s.interviewed_at DESC NULLS LAST, s.created_at DESC`,
+      params
+    );
+    res.json(rows.map((c) => ({ ...scorecardView(c, false), candidate_name: c.candidate_name || null })));
+  } catch (e) {
+    sendScorecardError(res, e, "GET /scorecards/mine");
+  }
+});
+
+// GET /applications/:id/scorecards - Scorecards of an application (blind until the caller submitted theirs)
+router.get("/applications/:id/scorecards", requireVisible("application"), async (req, res) => {
+  try {
+    const applicationId = Number(req.params.id);
+    if (!Number.isFinite(applicationId)) return res.status(400).json({ error: "invalid_id" });
+    const [group] = await scorecardsForApplications(req, [applicationId]);
+    res.json({
+      applicationId,
+      blind: group.blind,
+      scorecards: group.scorecards,
+      pendingInterviewers: pendingInterviewers(group.cards),
+      summary: group.blind ? null : aggregateScorecards(group.visible),
+    });
+  } catch (e) {
+    sendScorecardError(res, e, "GET /applications/:id/scorecards");
+  }
+});
+
+// POST /applications/:id/scorecards - Start a scorecard { templateId, interviewerEmail?, interviewLabel?, interviewedAt?, meetingId? }
+router.post("/applications/:id/scorecards", requireVisible("application"), async (req, res) => {
+  try {
+    const applicationId = Number(req.params.id);
+    if (!Number.isFinite(applicationId)) return res.status(400).json({ error: "invalid_id" });
+    const body = req.body || {};
+
+    const { rows: apps } = await req.db.query(
+      `SELECT a.${APP_PK} AS application_id, a.candidate_id, a.job_requisition_id, NULLIF(TRIM(CONCAT_WS(' ', p.first_name, p.last_name)), '') AS candidate_name
+         FROM ${APP_TABLE} a
+         LEFT JOIN ${PEOPLE_TABLE} p ON p.${PEOPLE_PK} = a.candidate_id
+        WHERE a.${APP_PK} = $1`,
+      [applicationId]
+    );
+    const app = apps[0];
+    if (!app) return res.status(404).json({ error: "not_found" });
+
+    const template = await loadTemplate(req.db, Number(body.templateId ?? body.template_id));
+    if (!template || template.archived_at) return res.status(400).json({ error: "invalid_template" });
+    const { rows: match } = await req.db.query(
+      `SELECT 1 FROM ${DEFAULT_SCHEMA}.job_listings
+        WHERE job_listing_id = $1 AND job_requisition_id IS NOT DISTINCT FROM $2`,
+      [template.job_listing_id, app.job_requisition_id]
+    );
+    if (!match.length) return res.status(400).json({ error: "invalid_template", detail: "template belongs to another job" });
+
+    // Starting a scorecard for someone else assigns them as interviewer
+    const self = String(getPrimaryEmail(req) || "").toLowerCase();
+    const requested = String(body.interviewerEmail ?? body.interviewer_email ?? "").trim().toLowerCase();
+    const interviewer = requested || self;
+    if (!/^[^\s@]+@[^\s@]+$/.test(interviewer)) return res.status(400).json({ error: "invalid_interviewer" });
+    const assigning = !getSessionEmails(req).includes(interviewer);
+    if (assigning) {
+      await ensurePermissions(req);
+      if (!hasPermission(req, MANAGE_PERMISSION)) return res.status(403).json({ error: "forbidden", missing: [MANAGE_PERMISSION] });
+    }
+
+    const feedback = normalizeFeedback(template, { interviewedAt: body.interviewedAt ?? body.interviewed_at });
+    const snapshot = {
+      id: template.id,
+      version: template.version,
+      name: template.name,
+      stage_name: template.stage_name,
+      competencies: template.competencies,
+      rating_scale: template.rating_scale,
+      questions: template.questions,
+    };
+    const { rows } = await req.db.query(
+      `INSERT INTO ${SCORECARDS_TABLE}
+         (application_id, candidate_id, template_id, template, interviewer_email, interviewer_name,
+          interview_label, interviewed_at, meeting_id, assigned_by)
+       VALUES ($1, $2, $3, $4::jsonb, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (application_id, template_id, LOWER(interviewer_email)) DO NOTHING
+       RETURNING *`,
+      [
+        applicationId,
+        app.candidate_id,
+        template.id,
+        JSON.stringify(snapshot),
+        interviewer,
+        assigning ? body.interviewerName || null : req.session?.user?.displayName || null,
+        String(body.interviewLabel ?? body.interview_label ?? template.name).trim().slice(0, 200) || null,
+        feedback.interviewed_at || null,
+        body.meetingId ?? body.meeting_id ?? null,
+        assigning ? self || null : null,
+      ]
+    );
+    if (!rows.length) {
+      const { rows: existing } = await req.db.query(
+        `SELECT id FROM ${SCORECARDS_TABLE}
+          WHERE application_id = $1 AND template_id = $2 AND LOWER(interviewer_email) = $3`,
+        [applicationId, template.id, interviewer]
+      );
+      return res.status(409).json({ error: "scorecard_exists", id: existing[0]?.id || null });
+    }
+    const card = rows[0];
+
+    if (assigning) {
+      await createNotification(
+        req.db,
+        {
+          userEmail: interviewer,
+          type: "scorecard_assigned",
+          referenceType: "scorecard",
+          referenceId: card.id,
+          message: `Please submit your ${template.name} scorecard for ${app.candidate_name || "a candidate"}`,
+          metadata: { candidateId: app.candidate_id, applicationId, assignedBy: self || null },
+        },
+        { appId: req.appId }
+      );
+    }
+
+    res.status(201).json(scorecardView(card, !isOwnScorecard(req, card)));
+  } catch (e) {
+    sendScorecardError(res, e, "POST /applications/:id/scorecards");
+  }
+});
+
+// GET /scorecards/:scorecardId - One scorecard (content hidden under the same blind rule)
+router.get("/scorecards/:scorecardId", async (req, res) => {
+  try {
+    const card = await loadScorecard(req, Number(req.params.scorecardId));
+    const [group] = await scorecardsForApplications(req, [Number(card.application_id)]);
+    res.json(group.scorecards.find((c) => c.id === card.id));
+  } catch (e) {
+    sendScorecardError(res, e, "GET /scorecards/:scorecardId");
+  }
+});
+
+// PUT /scorecards/:scorecardId - Save a draft { ratings?, answers?, recommendation?, summary?, interviewedAt? }
+router.put("/scorecards/:scorecardId", async (req, res) => {
+  try {
+    const card = await ownDraft(req, Number(req.params.scorecardId));
+    const feedback = normalizeFeedback(card.template, req.body || {});
+    if (!Object.keys(feedback).length) return res.status(400).json({ error: "no_updates_provided" });
+    res.json(scorecardView(await saveFeedback(req.db, card, feedback), false));
+  } catch (e) {
+    sendScorecardError(res, e, "PUT /scorecards/:scorecardId");
+  }
+});
+
+// POST /scorecards/:scorecardId/submit - Submit (optionally with last changes); final afterwards
+router.post("/scorecards/:scorecardId/submit", async (req, res) => {
+  try {
+    const card = await ownDraft(req, Number(req.params.scorecardId));
+    const feedback = normalizeFeedback(card.template, req.body || {});
+    const missing = missingForSubmit({ ...card, ...feedback });
+    if (missing.length) return res.status(400).json({ error: "incomplete_scorecard", missing });
+    const saved = await saveFeedback(req.db, card, feedback, "status = 'submitted', submitted_at = NOW()");
+
+    if (saved.assigned_by && !isOwnScorecard(req, { interviewer_email: saved.assigned_by })) {
+      await createNotification(
+        req.db,
+        {
+          userEmail: saved.assigned_by,
+          type: "scorecard_submitted",
+          referenceType: "scorecard",
+          referenceId: saved.id,
+          message: `${saved.interviewer_name || saved.interviewer_email} submitted a ${saved.template?.name || "scorecard"}`,
+          metadata: { candidateId: saved.candidate_id, applicationId: saved.application_id },
+        },
+        { appId: req.appId }
+      );
+    }
+
+    res.json(scorecardView(saved, false));
+  } catch (e) {
+    sendScorecardError(res, e, "POST /scorecards/:scorecardId/submit");
+  }
+});
+
+// DELETE /scorecards/:scorecardId - Remove a draft or an assignment (interviewer or scorecards:manage)
+router.delete("/scorecards/:scorecardId", async (req, res) => {
+  try {
+    const card = await loadScorecard(req, Number(req.params.scorecardId));
+    await ensurePermissions(req);
+    if (!isOwnScorecard(req, card) && !hasPermission(req, MANAGE_PERMISSION)) return res.status(403).json({ error: "forbidden" });
+    if (card.status !== "draft") return res.status(409).json({ error: "scorecard_submitted" });
+    await req.db.query(`DELETE FROM ${SCORECARDS_TABLE} WHERE id = $1`, [card.id]);
+    res.json({ success: true, id: card.id });
+  } catch (e) {
+    sendScorecardError(res, e, "DELETE /scorecards/:scorecardId");
+  }
+});
+
+// ==================== CANDIDATE SUMMARY ====================
+
+// GET /candidates/:id/scorecards - Scorecards of all of a candidate's applications with the aggregate over those the caller may see
+router.get("/candidates/:id/scorecards", requireVisible("candidate"), async (req, res) => {
+  try {
+    const candidateId = Number(req.params.id);
+    if (!Number.isFinite(candidateId)) return res.status(400).json({ error: "invalid_id" });
+
+    const { rows: apps } = await req.db.query(
+      `SELECT DISTINCT application_id FROM ${SCORECARDS_TABLE} WHERE candidate_id = $1 ORDER BY application_id`,
+      [candidateId]
+    );
+    const applicationIds = [];
+    for (const { application_id: id } of apps) {
+      if (await isApplicationVisible(req, id)) applicationIds.push(Number(id));
+    }
+    const groups = applicationIds.length ? await scorecardsForApplications(req, applicationIds) : [];
+    const visible = groups.flatMap((g) => (g.blind ? [] : g.visible));
+    const all = groups.flatMap((g) => g.cards);
+
+    res.json({
+      candidateId,
+      blind: groups.some((g) => g.blind),
+      summary: aggregateScorecards(visible),
+      hiddenSubmitted: all.filter((c) => c.status === "submitted").length - visible.filter((c) => c.status === "submitted").length,
+      pendingInterviewers: pendingInterviewers(all),
+      applications: groups.map((g) => ({
+        applicationId: g.applicationId,
+        blind: g.blind,
+        scorecards: g.scorecards,
+      })),
+    });
+  } catch (e) {
+    sendScorecardError(res, e, "GET /candidates/:id/scorecards");
+  }
+});
+
+module.exports = router;
+module.exports.normalizeTemplate = normalizeTemplate;
+module.exports.aggregateScorecards = aggregateScorecards;
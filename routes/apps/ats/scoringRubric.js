@@ -0,0 +1,268 @@
+/**
+ * Scoring Rubric Module
+ * Per-job weighted rubric (job_listings.scoring_rubric) used by AI scoring.
+ *
+ * Stored shape (normalized):
+ *   {
+ *     version: 3,                       // bumped on every save; stale scores are regenerated
+ *     must_haves:    [{ key: "must_1", label: "Node.js", weight: 3 }],
+ *     nice_to_haves: [{ key: "nice_1", label: "Kubernetes", weight: 1 }],
+ *     min_years:     { key: "min_years", years: 5, weight: 2 } | null,
+ *     knockouts:     [{ key: "knockout_1", label: "Authorized to work in the US" }],
+ *     updated_at, updated_by
+ *   }
+ *
+ * Knockouts carry no weight: any knockout the model marks as not met zeroes the overall score.
+ */
+
+const DEFAULT_WEIGHTS = { must_have: 3, nice_to_have: 1, min_years: 2 };
+const MAX_ITEMS = 25;
+const MAX_EVIDENCE = 3;
+
+function invalidRubric(detail) {
+  const err = new Error("invalid_rubric");
+  err.status = 400;
+  err.detail = detail;
+  return err;
+}
+
+function normalizeWeight(value, fallback, field) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0 || n > 100) {
+    throw invalidRubric(`${field}: weight must be a number between 0 and 100`);
+  }
+  return n;
+}
+
+function normalizeItems(list, { prefix, field, weighted, defaultWeight }) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) throw invalidRubric(`${field} must be an array`);
+  if (list.length > MAX_ITEMS) throw invalidRubric(`${field} allows at most ${MAX_ITEMS} items`);
+  const seen = new Set();
+  const out = [];
+  list.forEach((item, i) => {
+    const raw = typeof item === "string" ? { label: item } : item || {};
+    const label = String(raw.label ?? raw.skill ?? raw.name ?? "").trim().slice(0, 200);
+    if (!label) throw invalidRubric(`${field}[${i}]: label is required`);
+    const dedupe = label.toLowerCase();
+    if (seen.has(dedupe)) return;
+    seen.add(dedupe);
+    const entry = { key: `${prefix}_${out.length + 1}`, label };
+    if (weighted) entry.weight = normalizeWeight(raw.weight, defaultWeight, `${field}[${i}]`);
+    out.push(entry);
+  });
+  return out;
+}
+
+/**
+ * Validate and normalize a rubric from a request body.
+ * Items may be plain strings or { label|skill, weight }.
+ * @throws {Error} invalid_rubric (status 400)
+ */
+function normalizeRubric(input, { previousVersion = 0, updatedBy = null } = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw invalidRubric("rubric must be an object");
+  }
+  const mustHaves = normalizeItems(input.must_haves, {
+    prefix: "must",
+    field: "must_haves",
+    weighted: true,
+    defaultWeight: DEFAULT_WEIGHTS.must_have,
+  });
+  const niceToHaves = normalizeItems(input.nice_to_haves, {
+    prefix: "nice",
+    field: "nice_to_haves",
+    weighted: true,
+    defaultWeight: DEFAULT_WEIGHTS.nice_to_have,
+  });
+  const knockouts = normalizeItems(input.knockouts, {
+    prefix: "knockout",
+    field: "knockouts",
+    weighted: false,
+  });
+
+  let minYears = null;
+  const rawYears = input.min_years;
+  if (rawYears !== undefined && rawYears !== null && rawYears !== "") {
+    const obj = typeof rawYears === "object" ? rawYears : { years: rawYears };
+    const years = Number(obj.years);
+    if (!Number.isFinite(years) || years < 0 || years > 60) {
+      throw invalidRubric("min_years.years must be a number between 0 and 60");
+    }
+    minYears = {
+      key: "min_years",
+      years,
+      weight: normalizeWeight(obj.weight, DEFAULT_WEIGHTS.min_years, "min_years"),
+    };
+  }
+
+  if (!mustHaves.length && !niceToHaves.length && !minYears && !knockouts.length) {
+    throw invalidRubric("rubric needs at least one criterion");
+  }
+
+  return {
+    version: (Number(previousVersion) || 0) + 1,
+    must_haves: mustHaves,
+    nice_to_haves: niceToHaves,
+    min_years: minYears,
+    knockouts,
+    updated_at: new Date().toISOString(),
+    updated_by: updatedBy,
+  };
+}
+
+/**
+ * Flatten a rubric into the list of criteria the model scores.
+ */
+function rubricCriteria(rubric) {
+  if (!rubric) return [];
+  const out = [];
+  for (const c of rubric.must_haves || []) out.push({ ...c, type: "must_have" });
+  for (const c of rubric.nice_to_haves || []) out.push({ ...c, type: "nice_to_have" });
+  if (rubric.min_years) {
+    out.push({
+      key: rubric.min_years.key || "min_years",
+      type: "min_years",
+      label: `At least ${rubric.min_years.years} years of relevant experience`,
+      weight: rubric.min_years.weight,
+    });
+  }
+  for (const c of rubric.knockouts || []) out.push({ ...c, type: "knockout", weight: 0 });
+  return out;
+}
+
+/**
+ * Prompt section describing the rubric; appended to the scoring system prompt.
+ */
+function buildRubricPrompt(rubric) {
+  const lines = rubricCriteria(rubric).map((c) => {
+    const kind = {
+      must_have: "MUST-HAVE",
+      nice_to_have: "NICE-TO-HAVE",
+      min_years: "MINIMUM EXPERIENCE",
+      knockout: "KNOCKOUT",
+    }[c.type];
+    const weight = c.type === "knockout" ? "" : ` (weight ${c.weight})`;
+    return `- [${c.key}] ${kind}: ${c.label}${weight}`;
+  });
+  return `JOB-SPECIFIC RUBRIC:
+The hiring team defined the criteria below for this position. Score EVERY criterion in the "criteria" array using its key.
+
+${lines.join("\n")}
+
+For each criterion:
+- score: 0-100 for how well the candidate satisfies it
+- met: true only if the application materials show the criterion is satisfied
+- evidence: up to ${MAX_EVIDENCE} short verbatim quotes from the resume or cover letter that support the score; empty if there is none
+KNOCKOUT criteria are pass/fail: set met=false only when the materials clearly show the candidate does not satisfy it.
+Do not infer skills that are not supported by the text.`;
+}
+
+/**
+ * JSON schema for the rubric part of the structured response.
+ */
+function rubricResponseSchema(rubric) {
+  const keys = rubricCriteria(rubric).map((c) => c.key);
+  return {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        key: { type: "string", enum: keys },
+        score: { type: "number" },
+        met: { type: "boolean" },
+        evidence: { type: "array", items: { type: "string" } },
+      },
+      required: ["key", "score", "met", "evidence"],
+      additionalProperties: false,
+    },
+  };
+}
+
+const squash = (s) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+/**
+ * Combine the model's per-criterion output with the rubric weights.
+ * Evidence quotes are checked against the source text so hallucinated quotes are visible.
+ * @returns {{ criteria: Array, overall: number|null, skillsFit: number|null,
+ *             experienceFit: number|null, knockoutFailed: boolean, failedKnockouts: string[] }}
+ */
+function applyRubricScores(rubric, modelCriteria, sourceText = "") {
+  const byKey = new Map();
+  for (const c of Array.isArray(modelCriteria) ? modelCriteria : []) {
+    if (c && c.key && !byKey.has(c.key)) byKey.set(String(c.key), c);
+  }
+  const haystack = squash(sourceText);
+  const clamp = (v) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.max(0, Math.min(100, Math.round(n))) : null;
+  };
+
+  const criteria = rubricCriteria(rubric).map((c) => {
+    const m = byKey.get(c.key) || {};
+    const evidence = (Array.isArray(m.evidence) ? m.evidence : [])
+      .map((q) => String(q || "").trim().slice(0, 300))
+      .filter(Boolean)
+      .slice(0, MAX_EVIDENCE)
+      .map((quote) => ({ quote, verified: haystack ? haystack.includes(squash(quote)) : false }));
+    return {
+      key: c.key,
+      type: c.type,
+      label: c.label,
+      weight: c.weight,
+      score: clamp(m.score),
+      met: typeof m.met === "boolean" ? m.met : null,
+      evidence,
+    };
+  });
+
+  const weightedAverage = (list) => {
+    const scored = list.filter((c) => c.score !== null && c.weight > 0);
+    const total = scored.reduce((sum, c) => sum + c.weight, 0);
+    if (!total) return null;
+    return Math.round(scored.reduce((sum, c) => sum + c.score * c.weight, 0) / total);
+  };
+
+  const failedKnockouts = criteria
+    .filter((c) => c.type === "knockout" && c.met === false)
+    .map((c) => c.label);
+  const knockoutFailed = failedKnockouts.length > 0;
+  const overall = weightedAverage(criteria);
+
+  return {
+    criteria,
+    overall: knockoutFailed ? 0 : overall,
+    skillsFit: weightedAverage(criteria.filter((c) => c.type === "must_have" || c.type === "nice_to_have")),
+    experienceFit: weightedAverage(criteria.filter((c) => c.type === "min_years")),
+    knockoutFailed,
+    failedKnockouts,
+  };
+}
+
+/**
+ * Load the rubric for a requisition; null when the job has none (or the column is missing).
+ */
+async function getJobRubric(db, schema, jobRequisitionId) {
+  if (!jobRequisitionId) return null;
+  try {
+    const r = await db.query(
+      `SELECT scoring_rubric FROM ${schema}.job_listings WHERE job_requisition_id = $1 LIMIT 1`,
+      [jobRequisitionId]
+    );
+    const rubric = r.rows[0]?.scoring_rubric || null;
+    return rubric && rubricCriteria(rubric).length ? rubric : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  normalizeRubric,
+  rubricCriteria,
+  buildRubricPrompt,
+  rubricResponseSchema,
+  applyRubricScores,
+  getJobRubric,
+};
@@ -0,0 +1,257 @@
+/**
+ * Candidate Document Search Index
+ * Stores extracted resume/cover letter text in Postgres (candidate_documents)
+ * and runs ranked full-text queries against its tsvector index.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const mime = require("mime-types");
+
+const {
+  DEFAULT_SCHEMA,
+  PEOPLE_TABLE,
+  PEOPLE_PK,
+  APP_TABLE,
+  APP_PK,
+  FILES_ROOT,
+  FILES_PUBLIC_URL,
+  extractTextFromBuffer,
+} = require("./helpers");
+const { parseSearchQuery, compileSearchQuery } = require("./searchQuery");
+const { candidateScopeSql } = require("./departmentScope");
+
+const DOCUMENTS_TABLE = `${DEFAULT_SCHEMA}.candidate_documents`;
+const SEARCH_CONFIG = "english";
+const HEADLINE_OPTIONS =
+  "StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=\" … \"";
+
+// Postgres TEXT rejects NUL bytes, which pdf-parse occasionally emits
+function cleanContent(text) {
+  return String(text || "").replace(/\u0000/g, "").trim();
+}
+
+/**
+ * Upsert the extracted text of a single document into the search index.
+ * Empty text is ignored so a failed extraction never wipes a previous entry.
+ */
+async function indexCandidateDocument(
+  db,
+  { candidateId, applicationId = null, kind, sourceUrl, content }
+) {
+  const text = cleanContent(content);
+  if (!candidateId || !kind || !sourceUrl || !text) return false;
+  await db.query(
+    `INSERT INTO ${DOCUMENTS_TABLE} (candidate_id, application_id, kind, source_url, content)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (candidate_id, kind, source_url)
+     DO UPDATE SET application_id = COALESCE(EXCLUDED.application_id, ${DOCUMENTS_TABLE}.application_id),
+                   content = EXCLUDED.content,
+                   updated_at = NOW()`,
+    [candidateId, applicationId, kind, sourceUrl, text]
+  );
+  return true;
+}
+
+/**
+ * Resolve a stored file URL to extracted text using the on-disk sidecar,
+ * falling back to extracting the original file. Only local storage is handled.
+ */
+async function readLocalDocumentText(urlStr) {
+  if (!urlStr) return "";
+  const url = String(urlStr);
+  const pubBase = String(FILES_PUBLIC_URL || "").replace(/\/$/, "");
+  let rel = "";
+  try {
+    const u = new URL(url, "http://local");
+    if (/\/files-signed(\/|$)/.test(u.pathname) && u.searchParams.has("key")) {
+      rel = u.searchParams.get("key");
+    }
+  } catch {}
+  if (!rel && pubBase && url.startsWith(pubBase + "/")) {
+    rel = url.slice(pubBase.length + 1);
+  } else if (!rel && /\/files\//.test(url)) {
+    rel = url.replace(/^.*\/files\//, "");
+  }
+  if (!rel) return "";
+
+  const rootResolved = path.resolve(FILES_ROOT);
+  const abs = path.resolve(FILES_ROOT, rel.split("?")[0].replace(/^\/+/, ""));
+  if (!abs.startsWith(rootResolved)) return "";
+
+  try {
+    const text = await fs.promises.readFile(abs + ".txt", "utf8");
+    if (text && text.trim()) return text;
+  } catch {}
+  try {
+    const buf = await fs.promises.readFile(abs);
+    return await extractTextFromBuffer(buf, abs, mime.lookup(abs) || "");
+  } catch {
+    return "";
+  }
+}
+
+// Per-tenant backfill progress, keyed by app id
+const _backfillState = new Map();
+
+function getBackfillStatus(appId) {
+  return _backfillState.get(appId || "default") || { running: false };
+}
+
+/**
+ * Index every application resume/cover letter that is not yet in candidate_documents.
+ * @param {Object} db - Tenant pool
+ * @param {Object} options
+ * @param {string} [options.appId] - Key used for progress tracking
+ * @param {Function} [options.getText] - (url) => Promise<string>; defaults to local sidecar lookup
+ * @param {number} [options.batchSize]
+ */
+async function backfillCandidateDocuments(db, options = {}) {
+  const key = options.appId || "default";
+  const getText = options.getText || readLocalDocumentText;
+  const batchSize = Math.max(1, Math.min(500, Number(options.batchSize) || 100));
+
+  const current = _backfillState.get(key);
+  if (current && current.running) return current;
+
+  const state = {
+    running: true,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    scanned: 0,
+    indexed: 0,
+    empty: 0,
+    failed: 0,
+    error: null,
+  };
+  _backfillState.set(key, state);
+
+  try {
+    // Keyset cursor over (application, kind) so unreadable files are not retried forever
+    let lastId = 0;
+    let lastKind = "";
+    for (;;) {
+      // Pending documents: any resume/cover URL with no matching index row yet
+      const { rows } = await db.query(
+        `SELECT a.${APP_PK} AS application_id, a.candidate_id, docs.kind, docs.url
+           FROM ${APP_TABLE} a
+           CROSS JOIN LATERAL (VALUES ('resume', a.resume_url), ('cover_letter', a.cover_letter_url)) AS docs(kind, url)
+          WHERE (a.${APP_PK}, docs.kind) > ($1::int, $2::text)
+            AND a.candidate_id IS NOT NULL
+            AND COALESCE(docs.url, '') <> ''
+            AND NOT EXISTS (
+              SELECT 1 FROM ${DOCUMENTS_TABLE} d
+               WHERE d.candidate_id = a.candidate_id AND d.kind = docs.kind AND d.source_url = docs.url
+            )
+          ORDER BY a.${APP_PK}, docs.kind
+          LIMIT $3`,
+        [lastId, lastKind, batchSize]
+      );
+      if (!rows.length) break;
+
+      for (const r of rows) {
+        state.scanned++;
+        lastId = Number(r.application_id);
+        lastKind = r.kind;
+        try {
+          const text = await getText(r.url);
+          const ok = await indexCandidateDocument(db, {
+            candidateId: r.candidate_id,
+            applicationId: r.application_id,
+            kind: r.kind,
+            sourceUrl: r.url,
+            content: text,
+          });
+          if (ok) state.indexed++;
+          else state.empty++;
+        } catch (e) {
+          state.failed++;
+          if (process.env.DEBUG_SEARCH === "1")
+            console.warn("[SEARCH_INDEX] backfill item failed:", r.url, e.message);
+        }
+      }
+    }
+  } catch (e) {
+    state.error = e.message;
+    console.error("[SEARCH_INDEX] backfill error", e);
+  } finally {
+    state.running = false;
+    state.finishedAt = new Date().toISOString();
+  }
+  return state;
+}
+
+/**
+ * Ranked candidate search. `q` uses the query language in searchQuery.js
+ * (boolean operators, prefix wildcards, field scopes); malformed queries throw
+ * an `invalid_query` error with reason/position. Returns one row per matching
+ * candidate with its best matching document, ordered by relevance.
+ * `departments` is a department scope (departmentScope.js); null searches everyone.
+ */
+async function searchCandidateDocuments(db, q, { ids = null, limit = 200, departments = null } = {}) {
+  const ast = parseSearchQuery(q);
+  if (!ast) return [];
+
+  const params = [];
+  const { where, rankQuery } = compileSearchQuery(ast, params, "c");
+  const clauses = [where];
+  if (Array.isArray(ids)) {
+    params.push(ids);
+    clauses.push(`c.${PEOPLE_PK} = ANY($${params.length}::int[])`);
+  }
+  const scopeSql = candidateScopeSql(departments, params, `c.${PEOPLE_PK}`);
+  params.push(Math.max(1, Math.min(5000, Number(limit) || 200)));
+  const limitParam = `$${params.length}`;
+
+  // ts_headline runs only on the final page; content is HTML-escaped first so
+  // the only markup in snippets is the <mark> highlighting.
+  const { rows } = await db.query(
+    `WITH rq AS (
+       SELECT ${rankQuery} AS query
+     ), ranked AS (
+       SELECT c.${PEOPLE_PK} AS candidate_id, bd.application_id, bd.kind, bd.source_url, bd.content,
+              COALESCE(bd.score, 0) AS score
+         FROM ${PEOPLE_TABLE} c
+         CROSS JOIN rq
+         LEFT JOIN LATERAL (
+           SELECT d.application_id, d.kind, d.source_url, d.content,
+                  ts_rank_cd(d.search_vector, rq.query, 32) AS score
+             FROM ${DOCUMENTS_TABLE} d
+            WHERE d.candidate_id = c.${PEOPLE_PK} AND d.search_vector @@ rq.query
+            ORDER BY score DESC, d.updated_at DESC
+            LIMIT 1
+         ) bd ON TRUE
+        WHERE ${clauses.join(" AND ")}${scopeSql}
+        ORDER BY score DESC, c.${PEOPLE_PK} DESC
+        LIMIT ${limitParam}
+     )
+     SELECT ranked.candidate_id, ranked.application_id, ranked.kind, ranked.source_url, ranked.score,
+            CASE WHEN ranked.content IS NULL THEN NULL
+                 ELSE ts_headline('${SEARCH_CONFIG}',
+                   replace(replace(replace(ranked.content, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+                   rq.query, '${HEADLINE_OPTIONS}')
+            END AS snippet
+       FROM ranked, rq
+      ORDER BY ranked.score DESC, ranked.candidate_id DESC`,
+    params
+  );
+
+  return rows.map((r) => ({
+    candidateId: r.candidate_id,
+    applicationId: r.application_id,
+    kind: r.kind,
+    sourceUrl: r.source_url,
+    score: Number(r.score) || 0,
+    snippet: r.snippet || "",
+  }));
+}
+
+module.exports = {
+  DOCUMENTS_TABLE,
+  SEARCH_CONFIG,
+  indexCandidateDocument,
+  readLocalDocumentText,
+  backfillCandidateDocuments,
+  getBackfillStatus,
+  searchCandidateDocuments,
+};
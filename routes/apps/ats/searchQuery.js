@@ -0,0 +1,355 @@
+/**
+ * Candidate Search Query Language
+ * Parses recruiter search strings into an AST and compiles them to SQL
+ * over candidates, applications, candidate_skills, application_stages and
+ * the candidate_documents full-text index.
+ *
+ * Syntax:
+ *   java kotlin              implicit AND
+ *   java OR kotlin           also `,` and `|` (legacy separators)
+ *   NOT intern, -intern      negation
+ *   (java OR kotlin) AND NOT intern
+ *   "machine learning"       phrase
+ *   engineer*                prefix wildcard (trailing only)
+ *   skill:react              candidate skill (exact, or prefix with *)
+ *   location:ohio            candidate city/state/country/address (contains)
+ *   stage:interview          latest stage name or status of any application
+ *   source:linkedin          application/candidate source (exact, or prefix with *)
+ *   applied:>2025-01-01      application date; >, >=, <, <=, = (default =)
+ */
+
+const {
+  DEFAULT_SCHEMA,
+  PEOPLE_PK,
+  APP_TABLE,
+  APP_PK,
+} = require("./helpers");
+
+const SEARCH_FIELDS = ["skill", "location", "stage", "source", "applied"];
+const KEYWORDS = { and: "AND", or: "OR", not: "NOT" };
+
+function queryError(reason, message, position, token) {
+  const err = new Error("invalid_query");
+  err.status = 400;
+  err.reason = reason;
+  err.detail = message;
+  err.position = position;
+  if (token !== undefined) err.token = token;
+  return err;
+}
+
+// --- Tokenizer ---
+
+function readQuoted(input, start) {
+  const end = input.indexOf('"', start + 1);
+  if (end === -1) {
+    throw queryError("unterminated_quote", "Missing closing quote", start);
+  }
+  return { text: input.slice(start + 1, end), next: end + 1 };
+}
+
+function parseWord(raw, position) {
+  if (raw === "*") {
+    throw queryError("invalid_wildcard", "A wildcard needs a prefix, e.g. engineer*", position, raw);
+  }
+  const prefix = raw.endsWith("*");
+  const value = prefix ? raw.slice(0, -1) : raw;
+  if (value.includes("*")) {
+    throw queryError(
+      "invalid_wildcard",
+      "Only trailing (prefix) wildcards are supported",
+      position,
+      raw
+    );
+  }
+  return { value, prefix };
+}
+
+function parseAppliedValue(raw, position) {
+  const m = /^(>=|<=|>|<|=)?(\d{4}-\d{2}-\d{2})$/.exec(raw);
+  if (!m || Number.isNaN(Date.parse(m[2]))) {
+    throw queryError(
+      "invalid_date",
+      "applied: expects a date like 2025-01-01, optionally prefixed with >, >=, <, <= or =",
+      position,
+      raw
+    );
+  }
+  return { op: m[1] || "=", value: m[2] };
+}
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch === "(" ? "LPAREN" : "RPAREN", position: i, text: ch });
+      i++;
+      continue;
+    }
+    if (ch === "," || ch === "|") {
+      tokens.push({ type: "OR", position: i, text: ch });
+      i++;
+      continue;
+    }
+    if (ch === '"') {
+      const { text, next } = readQuoted(input, i);
+      tokens.push({ type: "TERM", position: i, text: input.slice(i, next), value: text, phrase: true, prefix: false });
+      i = next;
+      continue;
+    }
+    if (ch === "-" && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      tokens.push({ type: "NOT", position: i, text: ch });
+      i++;
+      continue;
+    }
+
+    const start = i;
+    while (i < input.length && !/[\s()",|]/.test(input[i])) i++;
+    const raw = input.slice(start, i);
+
+    const fieldMatch = /^([a-z_]+):(.*)$/i.exec(raw);
+    if (fieldMatch && !fieldMatch[2].startsWith("//")) {
+      const field = fieldMatch[1].toLowerCase();
+      if (!SEARCH_FIELDS.includes(field)) {
+        throw queryError(
+          "unknown_field",
+          `Unknown field "${fieldMatch[1]}". Supported: ${SEARCH_FIELDS.join(", ")}`,
+          start,
+          raw
+        );
+      }
+      let valueRaw = fieldMatch[2];
+      let phrase = false;
+      if (!valueRaw && input[i] === '"') {
+        const quoted = readQuoted(input, i);
+        valueRaw = quoted.text;
+        phrase = true;
+        i = quoted.next;
+      }
+      if (!valueRaw.trim()) {
+        throw queryError("empty_field_value", `${field}: needs a value`, start, raw);
+      }
+      const valuePos = start + field.length + 1;
+      if (field === "applied") {
+        const { op, value } = parseAppliedValue(valueRaw, valuePos);
+        tokens.push({ type: "FIELD", position: start, text: input.slice(start, i), field, op, value, prefix: false });
+      } else {
+        const { value, prefix } = phrase ? { value: valueRaw, prefix: false } : parseWord(valueRaw, valuePos);
+        tokens.push({ type: "FIELD", position: start, text: input.slice(start, i), field, op: "=", value, prefix });
+      }
+      continue;
+    }
+
+    const keyword = KEYWORDS[raw.toLowerCase()];
+    if (keyword) {
+      tokens.push({ type: keyword, position: start, text: raw });
+      continue;
+    }
+
+    const { value, prefix } = parseWord(raw, start);
+    tokens.push({ type: "TERM", position: start, text: raw, value, phrase: false, prefix });
+  }
+  return tokens;
+}
+
+// --- Parser (recursive descent) ---
+// or   := and (OR and)*
+// and  := not ((AND)? not)*
+// not  := (NOT | -) not | primary
+// primary := '(' or ')' | TERM | FIELD
+
+function parseSearchQuery(input) {
+  const text = String(input || "");
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const describe = (tok) => (tok ? `"${tok.text}"` : "end of query");
+
+  function expectTerm() {
+    const tok = peek();
+    throw queryError(
+      "expected_term",
+      `Expected a search term but found ${describe(tok)}`,
+      tok ? tok.position : text.length,
+      tok ? tok.text : undefined
+    );
+  }
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() && peek().type === "OR") {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: "or", children };
+  }
+
+  function parseAnd() {
+    const children = [parseNot()];
+    for (;;) {
+      const tok = peek();
+      if (!tok || tok.type === "OR" || tok.type === "RPAREN") break;
+      if (tok.type === "AND") pos++;
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: "and", children };
+  }
+
+  function parseNot() {
+    const tok = peek();
+    if (tok && tok.type === "NOT") {
+      pos++;
+      return { type: "not", child: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const tok = peek();
+    if (!tok) return expectTerm();
+    if (tok.type === "LPAREN") {
+      pos++;
+      const node = parseOr();
+      const close = peek();
+      if (!close || close.type !== "RPAREN") {
+        throw queryError("missing_closing_paren", "Missing closing parenthesis", tok.position, "(");
+      }
+      pos++;
+      return node;
+    }
+    if (tok.type === "TERM") {
+      pos++;
+      return { type: "term", value: tok.value, phrase: tok.phrase, prefix: tok.prefix };
+    }
+    if (tok.type === "FIELD") {
+      pos++;
+      return { type: "field", field: tok.field, op: tok.op, value: tok.value, prefix: tok.prefix };
+    }
+    return expectTerm();
+  }
+
+  if (!tokens.length) return null;
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    const tok = tokens[pos];
+    throw queryError("unexpected_token", `Unexpected ${describe(tok)}`, tok.position, tok.text);
+  }
+  return ast;
+}
+
+// --- SQL compiler ---
+
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, (m) => `\\${m}`);
+}
+
+/**
+ * Compile an AST into a SQL boolean expression over candidate alias `c`.
+ * Parameters are appended to `params`; positive (non-negated) text terms are
+ * collected as tsquery expressions so the caller can rank and highlight.
+ */
+function compileSearchQuery(ast, params, alias = "c") {
+  // searchIndex.js owns the documents table and requires this module, so resolve it at call time
+  const { DOCUMENTS_TABLE, SEARCH_CONFIG } = require("./searchIndex");
+  const rankQueries = [];
+  const candidateId = `${alias}.${PEOPLE_PK}`;
+
+  const addParam = (v) => {
+    params.push(v);
+    return `$${params.length}`;
+  };
+
+  // Case-insensitive text match: exact by default, prefix when the value had a trailing *
+  const matchText = (expr, node, { contains = false } = {}) => {
+    if (node.prefix || contains) {
+      const pattern = `${contains ? "%" : ""}${escapeLike(node.value)}%`;
+      return `COALESCE(${expr}, '') ILIKE ${addParam(pattern)}`;
+    }
+    return `LOWER(TRIM(COALESCE(${expr}, ''))) = LOWER(TRIM(${addParam(node.value)}))`;
+  };
+
+  function textQuery(node) {
+    if (node.phrase) return `phraseto_tsquery('${SEARCH_CONFIG}', ${addParam(node.value)})`;
+    if (node.prefix) {
+      const lexeme = String(node.value).toLowerCase().replace(/[^a-z0-9]/g, "");
+      if (!lexeme) {
+        throw queryError("invalid_wildcard", "A wildcard needs a prefix, e.g. engineer*", 0, `${node.value}*`);
+      }
+      return `to_tsquery('${SEARCH_CONFIG}', ${addParam(`${lexeme}:*`)})`;
+    }
+    return `plainto_tsquery('${SEARCH_CONFIG}', ${addParam(node.value)})`;
+  }
+
+  function compileField(node) {
+    switch (node.field) {
+      case "skill":
+        return `EXISTS (SELECT 1 FROM ${DEFAULT_SCHEMA}.candidate_skills cs
+                  JOIN ${DEFAULT_SCHEMA}.skills s ON s.skill_id = cs.skill_id
+                 WHERE cs.candidate_id = ${candidateId} AND ${matchText("s.skill_name", node)})`;
+      case "location":
+        return matchText(
+          `concat_ws(', ', ${alias}.city, ${alias}.state, ${alias}.country, ${alias}.address)`,
+          node,
+          { contains: true }
+        );
+      case "stage":
+        return `EXISTS (SELECT 1 FROM ${APP_TABLE} sa
+                  JOIN LATERAL (
+                    SELECT st.stage_name, st.status FROM ${DEFAULT_SCHEMA}.application_stages st
+                     WHERE st.application_id = sa.${APP_PK}
+                     ORDER BY st.updated_at DESC NULLS LAST, st.stage_id DESC LIMIT 1
+                  ) ls ON TRUE
+                 WHERE sa.candidate_id = ${candidateId}
+                   AND (${matchText("ls.stage_name", node)} OR ${matchText("ls.status", node)}))`;
+      case "source":
+        return `(${matchText(`to_jsonb(${alias})->>'source'`, node)}
+                 OR EXISTS (SELECT 1 FROM ${APP_TABLE} sa
+                             WHERE sa.candidate_id = ${candidateId}
+                               AND ${matchText(`to_jsonb(sa)->>'application_source'`, node)}))`;
+      case "applied":
+        return `EXISTS (SELECT 1 FROM ${APP_TABLE} sa
+                 WHERE sa.candidate_id = ${candidateId}
+                   AND sa.application_date::date ${node.op} ${addParam(node.value)}::date)`;
+      default:
+        throw queryError("unknown_field", `Unknown field "${node.field}"`, 0, node.field);
+    }
+  }
+
+  function compile(node, negated) {
+    switch (node.type) {
+      case "and":
+      case "or":
+        return `(${node.children.map((c) => compile(c, negated)).join(node.type === "and" ? " AND " : " OR ")})`;
+      case "not":
+        return `NOT (${compile(node.child, !negated)})`;
+      case "field":
+        return compileField(node);
+      case "term": {
+        const tsq = textQuery(node);
+        if (!negated) rankQueries.push(tsq);
+        return `EXISTS (SELECT 1 FROM ${DOCUMENTS_TABLE} d
+                 WHERE d.candidate_id = ${candidateId} AND d.search_vector @@ ${tsq})`;
+      }
+      default:
+        throw queryError("unexpected_token", `Unsupported node ${node.type}`, 0);
+    }
+  }
+
+  const where = ast ? compile(ast, false) : "TRUE";
+  const rankQuery = rankQueries.length ? `(${rankQueries.join(" || ")})` : "NULL::tsquery";
+  return { where, rankQuery };
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  tokenize,
+  parseSearchQuery,
+  compileSearchQuery,
+};
@@ -10,6 +10,7 @@ const {
   DEFAULT_SCHEMA,
   ensureAdminTables,
 } = require("./helpers");
+const { visibleCandidateIds, requireVisible } = require("./departmentScope");
 
 // ==================== SKILLS ====================
 // GET /skills - List all skills
@@ -53,7 +54,7 @@ router.post("/", async (req, res) => {
 // These routes are mounted at /candidates in the main router
 
 // GET /candidates/:id/skills - List skills for a candidate
-router.get("/candidates/:id/skills", async (req, res) => {
+router.get("/candidates/:id/skills", requireVisible("candidate"), async (req, res) => {
   try {
     await ensureAdminTables(req.db);
     const id = parseInt(req.params.id, 10);
@@ -83,6 +84,8 @@ router.post("/candidates/skills/batch", async (req, res) => {
     if (!ids.length) return res.json({});
     // Cap to avoid pathological payloads
     if (ids.length > 1000) ids = ids.slice(0, 1000);
+    ids = await visibleCandidateIds(req, ids);
+    if (!ids.length) return res.json({});
     const sql = `
       SELECT cs.candidate_id, s.skill_id, s.skill_name, cs.proficiency_level
         FROM ${DEFAULT_SCHEMA}.candidate_skills cs
@@ -108,7 +111,7 @@ router.post("/candidates/skills/batch", async (req, res) => {
 });
 
 // POST /candidates/:id/skills - Add or update a candidate's skill
-router.post("/candidates/:id/skills", async (req, res) => {
+router.post("/candidates/:id/skills", requireVisible("candidate"), async (req, res) => {
   try {
     await ensureAdminTables(req.db);
     const id = parseInt(req.params.id, 10);
@@ -163,7 +166,7 @@ router.post("/candidates/:id/skills", async (req, res) => {
 });
 
 // DELETE /candidates/:id/skills/:skillId - Remove a skill from a candidate
-router.delete("/candidates/:id/skills/:skillId", async (req, res) => {
+router.delete("/candidates/:id/skills/:skillId", requireVisible("candidate"), async (req, res) => {
   try {
     await ensureAdminTables(req.db);
     const id = parseInt(req.params.id, 10);
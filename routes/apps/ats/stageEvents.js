@@ -0,0 +1,237 @@
+/**
+ * Stage Events Module
+ * Immutable log of application stage/status transitions (application_stage_events).
+ * application_stages keeps only the latest state per application; every move is also
+ * recorded here with from/to stage, actor, reason and time, so the funnel can be rebuilt.
+ */
+
+const { DEFAULT_SCHEMA, APP_TABLE, APP_PK } = require("./helpers");
+const { resolvePipelineForApplication, checkTransition } = require("./pipelines");
+
+const STAGE_EVENTS_TABLE = `${DEFAULT_SCHEMA}.application_stage_events`;
+
+const same = (a, b) => String(a ?? "").trim().toLowerCase() === String(b ?? "").trim().toLowerCase();
+
+/**
+ * Record one transition. Nothing is written when neither stage nor status changed.
+ * @param {Object} event
+ * @param {number} event.applicationId
+ * @param {string} [event.source] - stage_update | application_created | bulk | ...
+ * @param {number} [event.actorUserId] - app_user id (see getActorUserId)
+ * @param {string} [event.actorLabel] - email/name, kept when the user row is unavailable
+ * @returns {Promise<Object|null>} the event row
+ */
+async function recordStageEvent(
+  db,
+  {
+    applicationId,
+    candidateId = null,
+    fromStage = null,
+    toStage = null,
+    fromStatus = null,
+    toStatus = null,
+    reason = null,
+    notes = null,
+    actorUserId = null,
+    actorLabel = null,
+    source = "stage_update",
+  }
+) {
+  if (!applicationId) return null;
+  const initial = fromStage === null && fromStatus === null;
+  if (!initial && same(fromStage, toStage) && same(fromStatus, toStatus)) return null;
+  const { rows } = await db.query(
+    `INSERT INTO ${STAGE_EVENTS_TABLE}
+       (application_id, candidate_id, from_stage, to_stage, from_status, to_status, reason, notes, actor_user_id, actor_label, source)
+     VALUES ($1, COALESCE($2, (SELECT candidate_id FROM ${APP_TABLE} WHERE ${APP_PK} = $1)), $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      applicationId,
+      candidateId,
+      fromStage,
+      toStage,
+      fromStatus,
+      toStatus,
+      reason ? String(reason).slice(0, 2000) : null,
+      notes || null,
+      actorUserId,
+      actorLabel ? String(actorLabel).slice(0, 255) : null,
+      source,
+    ]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Move a candidate's latest application (or the given one) to a stage (and/or status),
+ * enforcing its pipeline and logging the transition. Run inside the caller's transaction: the
+ * latest stage row is locked, updated in place and the event is written alongside it.
+ * enforcePipeline: false is for moves the system makes on its own (an accepted offer hires the
+ * candidate whatever stage they are in); the stage name must still belong to the pipeline.
+ * @throws {Error} "Missing application for candidate" (400), unknown_stage (400),
+ *   transition_not_allowed (409); err.detail holds { pipeline, from, to, allowedStages }
+ * @returns {Promise<{ applicationId, fromStage, toStage, fromStatus, toStatus, event }>}
+ */
+async function applyStageChange(
+  db,
+  candidateId,
+  {
+    stage,
+    status,
+    notes,
+    internalScore,
+    reason = null,
+    actorUserId = null,
+    actorLabel = null,
+    source = "stage_update",
+    applicationId = null,
+    enforcePipeline = true,
+  }
+) {
+  const { rows } = await db.query(
+    applicationId
+      ? `SELECT ${APP_PK} FROM ${APP_TABLE} WHERE candidate_id = $1 AND ${APP_PK} = $2`
+      : `SELECT ${APP_PK} FROM ${APP_TABLE} WHERE candidate_id = $1 ORDER BY application_date DESC NULLS LAST, ${APP_PK} DESC LIMIT 1`,
+    applicationId ? [candidateId, applicationId] : [candidateId]
+  );
+  const appId = rows[0]?.[APP_PK];
+  if (!appId) {
+    const err = new Error("Missing application for candidate");
+    err.status = 400;
+    throw err;
+  }
+
+  const current = await db.query(
+    `SELECT stage_id, stage_name, status FROM ${DEFAULT_SCHEMA}.application_stages
+      WHERE application_id = $1 ORDER BY updated_at DESC NULLS LAST, stage_id DESC LIMIT 1
+      FOR UPDATE`,
+    [appId]
+  );
+  const fromStage = current.rows[0]?.stage_name || null;
+  const fromStatus = current.rows[0]?.status || null;
+
+  // Stage moves must follow the pipeline assigned to the job/department
+  let stageName = stage ? String(stage).trim() : null;
+  let statusVal = status || null;
+  if (stageName) {
+    const pipeline = await resolvePipelineForApplication(db, appId);
+    let check = checkTransition(pipeline, fromStage, stageName);
+    if (!check.allowed && !enforcePipeline && check.error === "transition_not_allowed") {
+      check = { allowed: true, stage: pipeline.stages.find((s) => s.name.toLowerCase() === stageName.toLowerCase()) };
+    }
+    if (!check.allowed) {
+      const err = new Error(check.error);
+      err.status = check.error === "unknown_stage" ? 400 : 409;
+      err.detail = {
+        pipeline: { id: pipeline.id, name: pipeline.name },
+        from: fromStage,
+        to: stageName,
+        allowedStages: check.allowedStages,
+      };
+      throw err;
+    }
+    if (check.stage) {
+      stageName = check.stage.name;
+      // Terminal stages carry their outcome as the status unless one was given
+      if (check.stage.terminal && !statusVal) statusVal = check.stage.terminal;
+    }
+  }
+
+  const scoreVal = internalScore === "" || internalScore === undefined || internalScore === null
+    ? null
+    : Number(internalScore);
+
+  if (current.rows[0]) {
+    await db.query(
+      `UPDATE ${DEFAULT_SCHEMA}.application_stages
+        SET stage_name = COALESCE($2, stage_name),
+            status = COALESCE($3, status),
+            notes = COALESCE($4, notes),
+            internal_score = COALESCE($5::numeric, internal_score),
+            updated_at = NOW()
+      WHERE stage_id = $1`,
+      [current.rows[0].stage_id, stageName, statusVal, notes || null, scoreVal]
+    );
+  } else {
+    await db.query(
+      `INSERT INTO ${DEFAULT_SCHEMA}.application_stages (application_id, stage_name, status, notes, internal_score, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())`,
+      [appId, stageName || "Applied", statusVal || "new", notes || null, scoreVal]
+    );
+  }
+
+  const toStage = stageName || fromStage || "Applied";
+  const toStatus = statusVal || fromStatus || "new";
+  const event = await recordStageEvent(db, {
+    applicationId: appId,
+    candidateId,
+    fromStage,
+    toStage,
+    fromStatus,
+    toStatus,
+    reason,
+    notes: notes || null,
+    actorUserId,
+    actorLabel,
+    source,
+  });
+  return { applicationId: appId, fromStage, toStage, fromStatus, toStatus, event };
+}
+
+/**
+ * Transitions of a candidate's applications, oldest first. Each event carries the
+ * time spent in the stage it entered (`duration_seconds`, open-ended for the current stage).
+ * @returns {Promise<Array>}
+ */
+async function listStageTimeline(db, candidateId, { applicationId = null } = {}) {
+  const params = [candidateId];
+  let where = "e.candidate_id = $1";
+  if (applicationId) {
+    params.push(applicationId);
+    where += ` AND e.application_id = $${params.length}`;
+  }
+  const { rows } = await db.query(
+    `SELECT e.id, e.application_id, e.candidate_id, e.from_stage, e.to_stage, e.from_status, e.to_status,
+            e.reason, e.notes, e.source, e.occurred_at,
+            e.actor_user_id, COALESCE(u.display_name, u.email, e.actor_label) AS actor,
+            a.job_requisition_id,
+            LEAD(e.occurred_at) OVER w AS left_at,
+            EXTRACT(EPOCH FROM (COALESCE(LEAD(e.occurred_at) OVER w, NOW()) - e.occurred_at))::int AS duration_seconds
+       FROM ${STAGE_EVENTS_TABLE} e
+       LEFT JOIN ${DEFAULT_SCHEMA}.app_user u ON u.id = e.actor_user_id
+       LEFT JOIN ${APP_TABLE} a ON a.${APP_PK} = e.application_id
+      WHERE ${where}
+     WINDOW w AS (PARTITION BY e.application_id ORDER BY e.occurred_at, e.id)
+      ORDER BY e.occurred_at, e.id`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * SQL (CTE body) yielding one row per stay in a stage:
+ *   application_id, stage, entered_at, left_at (NULL while still in the stage), days
+ * Status-only events inside a stage do not split the stay.
+ */
+function stageStaysSql() {
+  return `
+    SELECT application_id,
+           COALESCE(NULLIF(to_stage, ''), 'Unspecified') AS stage,
+           occurred_at AS entered_at,
+           left_at,
+           EXTRACT(EPOCH FROM (COALESCE(left_at, NOW()) - occurred_at)) / 86400.0 AS days
+      FROM (
+        SELECT e.application_id, e.to_stage, e.occurred_at,
+               LEAD(e.occurred_at) OVER (PARTITION BY e.application_id ORDER BY e.occurred_at, e.id) AS left_at
+          FROM ${STAGE_EVENTS_TABLE} e
+         WHERE e.from_stage IS NULL OR LOWER(e.from_stage) IS DISTINCT FROM LOWER(e.to_stage)
+      ) entries`;
+}
+
+module.exports = {
+  STAGE_EVENTS_TABLE,
+  recordStageEvent,
+  applyStageChange,
+  listStageTimeline,
+  stageStaysSql,
+};
@@ -0,0 +1,373 @@
+/**
+ * Trash and Confirmation Tokens
+ * Safety net for the destructive admin endpoints (DELETE /admin/candidates/all and
+ * /admin/applications/all).
+ *
+ * - A preview call counts what would be deleted and issues a single-use confirmation token
+ *   (admin_confirmations, stored hashed) that expires after ADMIN_CONFIRM_TTL_SECONDS
+ * - The delete itself needs that token, from the same user, while the counts still match
+ * - Deleted rows are copied into trash_rows (one trash_batches row per delete) before the
+ *   DELETE: the root table plus every table that follows it through ON DELETE CASCADE foreign
+ *   keys (applications, application_stages, candidate_skills, stage events, ...), found in the
+ *   catalog so tables added later are covered too
+ * - A batch can be restored until its purge_after (TRASH_RETENTION_DAYS); after that a
+ *   periodic purge drops its rows and marks it purged
+ */
+
+const crypto = require("crypto");
+const { DEFAULT_SCHEMA, PEOPLE_TABLE, APP_TABLE } = require("./helpers");
+
+const BATCHES_TABLE = `${DEFAULT_SCHEMA}.trash_batches`;
+const ROWS_TABLE = `${DEFAULT_SCHEMA}.trash_rows`;
+const CONFIRMATIONS_TABLE = `${DEFAULT_SCHEMA}.admin_confirmations`;
+
+const envInt = (name, fallback) => {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+const RETENTION_DAYS = envInt("TRASH_RETENTION_DAYS", 30);
+const CONFIRM_TTL_SECONDS = envInt("ADMIN_CONFIRM_TTL_SECONDS", 120);
+const PURGE_INTERVAL_MS = envInt("TRASH_PURGE_INTERVAL_MS", 60 * 60 * 1000);
+
+// Destructive operations that go through the trash: kind -> root table
+const TRASH_KINDS = {
+  candidates: { table: PEOPLE_TABLE, action: "candidates.delete_all" },
+  applications: { table: APP_TABLE, action: "applications.delete_all" },
+};
+
+function trashError(message, status, detail) {
+  const err = new Error(message);
+  err.status = status;
+  if (detail !== undefined) err.detail = detail;
+  return err;
+}
+
+function kindConfig(kind) {
+  const config = TRASH_KINDS[kind];
+  if (!config) throw trashError("invalid_kind", 400, `kind must be one of ${Object.keys(TRASH_KINDS).join(", ")}`);
+  return config;
+}
+
+// ==================== CASCADE DISCOVERY ====================
+
+/**
+ * The root table and every table its rows cascade to, parents before children, each with the
+ * condition selecting the rows a "delete everything in root" removes from it.
+ * @returns {Promise<Array<{ table: string, name: string, where: string }>>}
+ */
+async function cascadeTables(db, rootTable) {
+  const { rows } = await db.query(
+    `WITH RECURSIVE deps AS (
+       SELECT to_regclass($1)::oid AS child, NULL::oid AS parent, NULL::int2[] AS cols,
+              NULL::int2[] AS refcols, 0 AS depth
+       UNION ALL
+       SELECT con.conrelid, con.confrelid, con.conkey, con.confkey, d.depth + 1
+         FROM pg_constraint con
+         JOIN deps d ON con.confrelid = d.child
+        WHERE con.contype = 'f'
+          AND con.confdeltype = 'c'
+          AND con.conrelid <> con.confrelid
+          AND d.depth < 8
+     )
+     SELECT d.depth, cn.nspname || '.' || cc.relname AS child, pn.nspname || '.' || pc.relname AS parent,
+            cc.relname AS name,
+            ARRAY(SELECT a.attname FROM unnest(d.cols) WITH ORDINALITY k(num, ord)
+                    JOIN pg_attribute a ON a.attrelid = d.child AND a.attnum = k.num ORDER BY k.ord) AS cols,
+            ARRAY(SELECT a.attname FROM unnest(d.refcols) WITH ORDINALITY k(num, ord)
+                    JOIN pg_attribute a ON a.attrelid = d.parent AND a.attnum = k.num ORDER BY k.ord) AS refcols
+       FROM deps d
+       JOIN pg_class cc ON cc.oid = d.child
+       JOIN pg_namespace cn ON cn.oid = cc.relnamespace
+       LEFT JOIN pg_class pc ON pc.oid = d.parent
+       LEFT JOIN pg_namespace pn ON pn.oid = pc.relnamespace
+      ORDER BY d.depth`,
+    [rootTable]
+  );
+  if (!rows.length) throw trashError("table_not_found", 500, rootTable);
+
+  // A table reached along several paths loses the rows of any of them
+  const tables = new Map();
+  for (const row of rows) {
+    const entry = tables.get(row.child) || { table: row.child, name: row.name, depth: 0, links: [] };
+    entry.depth = Math.max(entry.depth, row.depth);
+    if (row.parent) entry.links.push({ parent: row.parent, cols: row.cols, refcols: row.refcols });
+    tables.set(row.child, entry);
+  }
+
+  let alias = 0;
+  const condition = (table, ref, seen) => {
+    const entry = tables.get(table);
+    if (!entry.links.length) return "TRUE";
+    const parts = entry.links
+      .filter((link) => !seen.has(link.parent))
+      .map((link) => {
+        const a = `t${++alias}`;
+        const cols = link.cols.map((c) => `${ref}.${c}`).join(", ");
+        const refcols = link.refcols.map((c) => `${a}.${c}`).join(", ");
+        const inner = condition(link.parent, a, new Set([...seen, link.parent]));
+        return `(${cols}) IN (SELECT ${refcols} FROM ${link.parent} ${a} WHERE ${inner})`;
+      });
+    return parts.length ? parts.join(" OR ") : "FALSE";
+  };
+
+  return Array.from(tables.values())
+    .sort((a, b) => a.depth - b.depth)
+    .map((entry) => ({ table: entry.table, name: entry.name, where: condition(entry.table, "r", new Set([entry.table])) }));
+}
+
+/**
+ * Rows a delete of `kind` would remove, per table name (e.g. { candidates: 12, applications: 30 }).
+ */
+async function previewDelete(db, kind) {
+  const tables = await cascadeTables(db, kindConfig(kind).table);
+  return countRows(db, tables);
+}
+
+async function countRows(db, tables) {
+  const counts = {};
+  for (const t of tables) {
+    const { rows } = await db.query(`SELECT COUNT(*)::int AS n FROM ${t.table} r WHERE ${t.where}`);
+    counts[t.name] = rows[0]?.n || 0;
+  }
+  return counts;
+}
+
+const sameCounts = (a, b) =>
+  Object.keys({ ...a, ...b }).every((key) => (a[key] || 0) === (b[key] || 0));
+
+// ==================== CONFIRMATION TOKENS ====================
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Issue a single-use token confirming `action` for `issuedTo`, remembering what was previewed.
+ * @returns {Promise<{ token: string, expiresAt: Date }>}
+ */
+async function issueConfirmation(db, { action, issuedTo, preview }) {
+  const token = crypto.randomBytes(24).toString("hex");
+  const { rows } = await db.query(
+    `INSERT INTO ${CONFIRMATIONS_TABLE} (token_hash, action, issued_to, preview, expires_at)
+     VALUES ($1, $2, $3, $4::jsonb, NOW() + ($5::int * INTERVAL '1 second'))
+     RETURNING expires_at`,
+    [hashToken(token), action, String(issuedTo || "").toLowerCase(), JSON.stringify(preview || null), CONFIRM_TTL_SECONDS]
+  );
+  // Used and expired tokens are only kept for a day
+  db.query(`DELETE FROM ${CONFIRMATIONS_TABLE} WHERE expires_at < NOW() - INTERVAL '1 day'`).catch(() => {});
+  return { token, expiresAt: rows[0].expires_at };
+}
+
+/**
+ * Mark a token used. Run inside the transaction of the confirmed operation so a rollback
+ * leaves it usable.
+ * @throws {Error} confirmation_required (428) / invalid_confirmation (403)
+ * @returns {Promise<Object>} the preview stored with the token
+ */
+async function consumeConfirmation(db, { token, action, issuedTo }) {
+  if (!token) throw trashError("confirmation_required", 428, "request a token from the preview endpoint first");
+  const { rows } = await db.query(
+    `UPDATE ${CONFIRMATIONS_TABLE}
+        SET used_at = NOW()
+      WHERE token_hash = $1 AND action = $2 AND issued_to = $3
+        AND used_at IS NULL AND expires_at > NOW()
+      RETURNING preview`,
+    [hashToken(token), action, String(issuedTo || "").toLowerCase()]
+  );
+  if (!rows.length) throw trashError("invalid_confirmation", 403, "token is unknown, expired, already used or for another user");
+  return rows[0].preview;
+}
+
+// ==================== DELETE / RESTORE ====================
+
+/**
+ * Confirmed delete of everything in the kind's root table, keeping the rows in the trash.
+ * Fails with 409 preview_outdated (nothing deleted) when the counts changed since the
+ * preview; the caller previews again and confirms the new counts.
+ * @returns {Promise<{ batchId: number, counts: Object, purgeAfter: Date }>}
+ */
+async function deleteAllToTrash(db, kind, { token, actor }) {
+  const config = kindConfig(kind);
+  const client = typeof db.connect === "function" ? await db.connect() : db;
+  try {
+    await client.query("BEGIN");
+    const preview = await consumeConfirmation(client, { token, action: config.action, issuedTo: actor });
+    const tables = await cascadeTables(client, config.table);
+    // Lock the root table so nothing is added between the copy and the delete
+    await client.query(`LOCK TABLE ${config.table} IN SHARE ROW EXCLUSIVE MODE`);
+    const counts = await countRows(client, tables);
+    if (!sameCounts(counts, preview?.counts || {})) {
+      throw trashError("preview_outdated", 409, { previewed: preview?.counts || {}, current: counts });
+    }
+
+    const batch = await client.query(
+      `INSERT INTO ${BATCHES_TABLE} (kind, root_table, tables, counts, deleted_by, purge_after)
+       VALUES ($1, $2, $3::jsonb, $4::jsonb, $5, NOW() + ($6::int * INTERVAL '1 day'))
+       RETURNING id, purge_after`,
+      [kind, config.table, JSON.stringify(tables.map((t) => t.table)), JSON.stringify(counts), actor || null, RETENTION_DAYS]
+    );
+    const batchId = batch.rows[0].id;
+    for (const t of tables) {
+      await client.query(
+        `INSERT INTO ${ROWS_TABLE} (batch_id, table_name, row_data)
+         SELECT $1, $2, to_jsonb(r) FROM ${t.table} r WHERE ${t.where}`,
+        [batchId, t.table]
+      );
+    }
+    await client.query(`DELETE FROM ${config.table}`);
+    await client.query("COMMIT");
+    return { batchId, counts, purgeAfter: batch.rows[0].purge_after };
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    if (client !== db && typeof client.release === "function") client.release();
+  }
+}
+
+async function insertableColumns(db, table) {
+  const [schema, name] = table.split(".");
+  const { rows } = await db.query(
+    `SELECT column_name FROM information_schema.columns
+      WHERE table_schema = $1 AND table_name = $2 AND is_generated = 'NEVER'
+      ORDER BY ordinal_position`,
+    [schema, name]
+  );
+  return rows.map((r) => r.column_name);
+}
+
+/**
+ * Put a batch's rows back, parents first, with their original ids.
+ * @throws {Error} not_found (404), already_restored / purged (409), restore_conflict (409)
+ * @returns {Promise<{ batchId: number, counts: Object }>}
+ */
+async function restoreBatch(db, batchId, { actor } = {}) {
+  const client = typeof db.connect === "function" ? await db.connect() : db;
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(`SELECT * FROM ${BATCHES_TABLE} WHERE id = $1 FOR UPDATE`, [batchId]);
+    const batch = rows[0];
+    if (!batch) throw trashError("not_found", 404);
+    if (batch.restored_at) throw trashError("already_restored", 409);
+    if (batch.purged_at) throw trashError("purged", 409);
+
+    const counts = {};
+    for (const table of batch.tables || []) {
+      const columns = await insertableColumns(client, table);
+      if (!columns.length) continue; // table dropped since the delete
+      const list = columns.join(", ");
+      try {
+        const inserted = await client.query(
+          `INSERT INTO ${table} (${list}) OVERRIDING SYSTEM VALUE
+           SELECT ${columns.map((c) => `p.${c}`).join(", ")}
+             FROM ${ROWS_TABLE} t, jsonb_populate_record(NULL::${table}, t.row_data) p
+            WHERE t.batch_id = $1 AND t.table_name = $2
+            ORDER BY t.id`,
+          [batchId, table]
+        );
+        counts[table.split(".").pop()] = inserted.rowCount;
+      } catch (e) {
+        // Rows created since the delete can take a unique value back (e.g. a candidate email)
+        if (e.code === "23505" || e.code === "23503") {
+          throw trashError("restore_conflict", 409, `${table}: ${e.detail || e.message}`);
+        }
+        throw e;
+      }
+    }
+
+    await client.query(`DELETE FROM ${ROWS_TABLE} WHERE batch_id = $1`, [batchId]);
+    await client.query(
+      `UPDATE ${BATCHES_TABLE} SET restored_at = NOW(), restored_by = $2 WHERE id = $1`,
+      [batchId, actor || null]
+    );
+    await client.query("COMMIT");
+    return { batchId: Number(batchId), counts };
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    if (client !== db && typeof client.release === "function") client.release();
+  }
+}
+
+// ==================== LISTING / PURGE ====================
+
+const BATCH_COLUMNS = `id, kind, root_table, counts, deleted_by, deleted_at, purge_after,
+  restored_at, restored_by, purged_at`;
+
+function batchStatus(batch) {
+  if (batch.restored_at) return "restored";
+  if (batch.purged_at) return "purged";
+  return "in_trash";
+}
+
+async function listTrashBatches(db, { status, limit = 50, offset = 0 } = {}) {
+  const clauses = ["1=1"];
+  if (status === "in_trash") clauses.push("restored_at IS NULL AND purged_at IS NULL");
+  else if (status === "restored") clauses.push("restored_at IS NOT NULL");
+  else if (status === "purged") clauses.push("purged_at IS NOT NULL");
+  const { rows } = await db.query(
+    `SELECT ${BATCH_COLUMNS} FROM ${BATCHES_TABLE}
+      WHERE ${clauses.join(" AND ")}
+      ORDER BY deleted_at DESC, id DESC
+      LIMIT $1 OFFSET $2`,
+    [Math.max(1, Math.min(200, Number(limit) || 50)), Math.max(0, Number(offset) || 0)]
+  );
+  return rows.map((r) => ({ ...r, status: batchStatus(r) }));
+}
+
+async function getTrashBatch(db, batchId) {
+  const { rows } = await db.query(`SELECT ${BATCH_COLUMNS} FROM ${BATCHES_TABLE} WHERE id = $1`, [batchId]);
+  return rows[0] ? { ...rows[0], status: batchStatus(rows[0]) } : null;
+}
+
+/**
+ * Drop the rows of batches past their retention window.
+ * @returns {Promise<number>} batches purged
+ */
+async function purgeExpiredTrash(db) {
+  const { rows } = await db.query(
+    `UPDATE ${BATCHES_TABLE} SET purged_at = NOW()
+      WHERE purge_after <= NOW() AND restored_at IS NULL AND purged_at IS NULL
+      RETURNING id`
+  );
+  if (rows.length) {
+    await db.query(`DELETE FROM ${ROWS_TABLE} WHERE batch_id = ANY($1::int[])`, [rows.map((r) => r.id)]);
+  }
+  return rows.length;
+}
+
+// One purge timer per pool
+const _purgeTimers = new Map();
+
+/**
+ * Boot hook: purge expired trash now and every TRASH_PURGE_INTERVAL_MS.
+ */
+function startTrashPurge(db) {
+  if (!db || _purgeTimers.has(db)) return;
+  const run = () =>
+    purgeExpiredTrash(db)
+      .then((n) => {
+        if (n) console.log(`[trash] purged ${n} expired batch(es)`);
+      })
+      .catch((e) => console.warn("[trash] purge failed:", e.message));
+  const first = setTimeout(run, 5000);
+  if (first.unref) first.unref();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  if (timer.unref) timer.unref();
+  _purgeTimers.set(db, timer);
+}
+
+module.exports = {
+  TRASH_KINDS,
+  RETENTION_DAYS,
+  CONFIRM_TTL_SECONDS,
+  previewDelete,
+  issueConfirmation,
+  consumeConfirmation,
+  deleteAllToTrash,
+  restoreBatch,
+  listTrashBatches,
+  getTrashBatch,
+  purgeExpiredTrash,
+  startTrashPurge,
+};
@@ -134,7 +134,7 @@ function initializeRoutes(pools) {
                 reminder_token: reminderToken
             };
 
-            await emailService.sendInterviewReminder(reminderData);
+            await emailService.sendInterviewReminder(reminderData, { db });
 
             console.log(`[InterviewReminders] ✓ Manual reminder sent to ${candidateEmail} for "${meetingSubject}"`);
 
@@ -9,6 +9,12 @@ const Mailgun = require('mailgun.js');
 const path = require('path');
 const axios = require('axios');
 
+const escape = value => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
 class EmailService {
     constructor() {
         this.transporter = null;
@@ -78,6 +84,26 @@ class EmailService {
         return this.provider !== null;
     }
 
+    /**
+     * Render the stored template for a candidate email (routes/apps/ats/emailTemplateRenderer.js).
+     * Returns null without a database in the context, when no template is stored or when
+     * rendering fails; callers then use their built-in HTML.
+     * @param {string} key - interview_reminder, rejection, application_confirmation
+     * @param {Object} values - the merge values the built-in email uses
+     * @param {Object} [context] - { db, candidateId, candidateEmail, applicationId, department }
+     * @returns {Promise<{subject: string, html: string}|null>}
+     */
+    async renderStoredTemplate(key, values, context) {
+        if (!context || !context.db) return null;
+        try {
+            const { renderEmailTemplate } = require('../routes/apps/ats/emailTemplateRenderer');
+            return await renderEmailTemplate(context.db, key, { ...context, values });
+        } catch (error) {
+            console.error(`[EmailService] Stored ${key} template failed, using built-in:`, error.message);
+            return null;
+        }
+    }
+
     /**
      * Send an email
      * @param {Object} options - Email options
@@ -85,18 +111,19 @@ class EmailService {
      * @param {string} options.subject - Email subject
      * @param {string} options.html - HTML content
      * @param {string} options.text - Plain text content (optional, will be generated from HTML if not provided)
+     * @param {Array<{filename: string, content: Buffer, contentType?: string}>} options.attachments - Optional file attachments
      * @returns {Promise<Object>} Send result
      */
-    async sendMail({ to, subject, html, text, headers }) {
+    async sendMail({ to, subject, html, text, headers, attachments }) {
         if (!this.isConfigured()) {
             throw new Error('Email service not configured. Please configure email settings in .env');
         }
 
         try {
             if (this.provider === 'mailgun') {
-                return await this.sendViaMailgun({ to, subject, html, text, headers });
+                return await this.sendViaMailgun({ to, subject, html, text, headers, attachments });
             } else if (this.provider === 'smtp') {
-                return await this.sendViaSMTP({ to, subject, html, text, headers });
+                return await this.sendViaSMTP({ to, subject, html, text, headers, attachments });
             }
         } catch (error) {
             console.error(`[EmailService] Failed to send email to ${to}:`, error);
@@ -107,7 +134,7 @@ class EmailService {
     /**
      * Send email via Mailgun API
      */
-    async sendViaMailgun({ to, subject, html, text, headers }) {
+    async sendViaMailgun({ to, subject, html, text, headers, attachments }) {
         const messageData = {
             from: this.from,
             to: [to],
@@ -122,6 +149,14 @@ class EmailService {
             messageData['h:References'] = headers['References'];
         }
 
+        if (attachments && attachments.length) {
+            messageData.attachment = attachments.map(a => ({
+                filename: a.filename,
+                data: a.content,
+                contentType: a.contentType
+            }));
+        }
+
         const response = await this.mailgunClient.messages.create(this.mailgunDomain, messageData);
         console.log(`[EmailService] Email sent via Mailgun to ${to}: ${response.id}`);
         return { success: true, messageId: response.id, provider: 'mailgun' };
@@ -130,7 +165,7 @@ class EmailService {
     /**
      * Send email via SMTP (nodemailer)
      */
-    async sendViaSMTP({ to, subject, html, text, headers }) {
+    async sendViaSMTP({ to, subject, html, text, headers, attachments }) {
         const mailOptions = {
             from: this.from,
             to,
@@ -144,6 +179,14 @@ class EmailService {
             mailOptions.headers = headers;
         }
 
+        if (attachments && attachments.length) {
+            mailOptions.attachments = attachments.map(a => ({
+                filename: a.filename,
+                content: a.content,
+                contentType: a.contentType
+            }));
+        }
+
         const info = await this.transporter.sendMail(mailOptions);
         console.log(`[EmailService] Email sent via SMTP to ${to}: ${info.messageId}`);
         return { success: true, messageId: info.messageId, provider: 'smtp' };
@@ -226,9 +269,10 @@ class EmailService {
     /**
      * Send interview reminder email
      * @param {Object} reminder - Reminder data
+     * @param {Object} [templateContext] - { db, ... } to use the stored interview_reminder template
      * @returns {Promise<Object>} Send result
      */
-    async sendInterviewReminder(reminder) {
+    async sendInterviewReminder(reminder, templateContext = null) {
         const { candidate_email, meeting_subject, meeting_start, meeting_end, meeting_location, meeting_web_link, organizer_name, reminder_token } = reminder;
 
         const startDate = new Date(meeting_start);
@@ -246,9 +290,23 @@ class EmailService {
         const cancelUrl = `${baseUrl}/api/interview-reminders/cancel/${reminder_token}`;
         const rescheduleUrl = `${baseUrl}/api/interview-reminders/reschedule/${reminder_token}`;
 
-        const subject = `Reminder: Interview Tomorrow - ${meeting_subject}`;
+        const stored = await this.renderStoredTemplate('interview_reminder', {
+            meeting_subject,
+            interview_date: dateStr,
+            interview_time: timeStr,
+            interview_end_time: endTimeStr,
+            duration_minutes: duration,
+            location: meeting_location,
+            meeting_link: meeting_web_link,
+            organizer_name,
+            confirm_url: confirmUrl,
+            reschedule_url: rescheduleUrl,
+            cancel_url: cancelUrl
+        }, templateContext && { candidateEmail: candidate_email, ...templateContext });
 
-        const html = this.generateReminderHtml({
+        const subject = stored ? stored.subject : `Reminder: Interview Tomorrow - ${meeting_subject}`;
+
+        const html = stored ? stored.html : this.generateReminderHtml({
             meeting_subject,
             dateStr,
             timeStr,
@@ -647,9 +705,10 @@ class EmailService {
      * @param {string} options.rejectionReason - Reason for rejection
      * @param {boolean} options.shouldArchive - Whether candidate will be archived
      * @param {string} options.feedbackToken - Unique token for feedback requests
+     * @param {Object} [templateContext] - { db, candidateId, ... } to use the stored rejection template
      * @returns {Promise<Object>} Send result
      */
-    async sendRejectionEmail({ candidateEmail, candidateName, jobTitle, rejectionReason, shouldArchive, feedbackToken }) {
+    async sendRejectionEmail({ candidateEmail, candidateName, jobTitle, rejectionReason, shouldArchive, feedbackToken }, templateContext = null) {
         const baseUrl = process.env.API_BASE_URL || 'https://ats.s3protection.com';
         const feedbackUrl = `${baseUrl}/ats/api/ats/rejection-feedback/request/${feedbackToken}`;
 
@@ -690,9 +749,18 @@ class EmailService {
         };
 
         const template = messageTemplates[rejectionReason] || messageTemplates['other'];
-        const subject = `Update on Your Application - ${jobTitle}`;
-
-        const html = this.generateRejectionHtml({
+        const stored = await this.renderStoredTemplate('rejection', {
+            candidate_name: candidateName,
+            candidate_email: candidateEmail,
+            job_title: jobTitle,
+            rejection_reason: messageTemplates[rejectionReason] ? rejectionReason : 'other',
+            rejection_message: template.message,
+            keep_in_touch: template.keepInTouch,
+            feedback_url: feedbackUrl
+        }, templateContext);
+        const subject = stored ? stored.subject : `Update on Your Application - ${jobTitle}`;
+
+        const html = stored ? stored.html : this.generateRejectionHtml({
             candidateName,
             jobTitle,
             message: template.message,
@@ -872,14 +940,21 @@ class EmailService {
 
     /**
      * Send application confirmation email to candidate
+     * @param {Object} [templateContext] - { db, candidateId, applicationId } to use the stored
+     *   application_confirmation template
      */
-    async sendApplicationConfirmation({ candidateEmail, candidateName, jobTitle }) {
+    async sendApplicationConfirmation({ candidateEmail, candidateName, jobTitle }, templateContext = null) {
         if (!this.isConfigured()) {
             throw new Error('Email service not configured');
         }
 
-        const subject = `Application Received - ${jobTitle}`;
-        const html = this.generateApplicationConfirmationHtml({ candidateName, jobTitle });
+        const stored = await this.renderStoredTemplate('application_confirmation', {
+            candidate_name: candidateName,
+            candidate_email: candidateEmail,
+            job_title: jobTitle
+        }, templateContext);
+        const subject = stored ? stored.subject : `Application Received - ${jobTitle}`;
+        const html = stored ? stored.html : this.generateApplicationConfirmationHtml({ candidateName, jobTitle });
         const text = this.stripHtml(html);
 
         return this.sendMail({
@@ -964,6 +1039,145 @@ class EmailService {
         `.trim();
     }
 
+    /**
+     * Send an offer letter with its accept/decline link (routes/apps/ats/offers.js)
+     * @param {Object} options
+     * @param {string} options.candidateEmail - Candidate's email
+     * @param {string} options.subject - Rendered letter subject
+     * @param {string} options.letterHtml - Rendered letter body (merge fields already escaped)
+     * @param {string} options.offerUrl - Public page to accept or decline
+     * @param {Date|string} options.expiresAt - Offer expiry
+     * @returns {Promise<Object>} Send result
+     */
+    async sendOfferEmail({ candidateEmail, subject, letterHtml, offerUrl, expiresAt }) {
+        const expires = expiresAt
+            ? new Date(expiresAt).toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short' })
+            : null;
+        const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="margin: 0; padding: 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #333; background-color: #f5f5f5;">
+    <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; padding: 30px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); line-height: 1.6;">
+        ${letterHtml}
+        <p style="margin: 30px 0; text-align: center;">
+            <a href="${offerUrl}" style="display: inline-block; background-color: #28a745; color: #ffffff; padding: 12px 30px; border-radius: 6px; text-decoration: none; font-weight: 600;">Review and respond to your offer</a>
+        </p>
+        ${expires ? `<p style="margin: 0; color: #999; font-size: 12px; text-align: center;">This offer expires on ${expires}.</p>` : ''}
+    </div>
+</body>
+</html>
+        `.trim();
+
+        return this.sendMail({
+            to: candidateEmail,
+            subject,
+            html,
+            text: this.stripHtml(html)
+        });
+    }
+
+    /**
+     * Send a generated report file as an attachment
+     * @param {Object} options - Report email options
+     * @param {string} options.to - Recipient email address
+     * @param {string} options.reportTitle - Report type title (e.g. "Hiring Funnel Report")
+     * @param {string} options.definitionName - Name of the saved report definition
+     * @param {string} options.fileName - Attachment file name
+     * @param {Buffer} options.content - Report file contents
+     * @param {string} options.contentType - Attachment MIME type (defaults to .xlsx)
+     * @param {number} options.rowCount - Rows exported
+     * @param {Date} options.generatedAt - Generation time
+     * @returns {Promise<Object>} Send result
+     */
+    async sendScheduledReport({ to, reportTitle, definitionName, fileName, content, contentType, rowCount, generatedAt }) {
+        const name = definitionName || reportTitle;
+        const subject = `Scheduled Report: ${name}`;
+        const when = (generatedAt || new Date()).toLocaleString('en-US', {
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        });
+        const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+</head>
+<body style="margin: 0; padding: 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #333;">
+    <h2 style="margin: 0 0 16px;">${escape(name)}</h2>
+    <p style="margin: 0 0 8px;"><strong>Report:</strong> ${escape(reportTitle)}</p>
+    <p style="margin: 0 0 8px;"><strong>Generated:</strong> ${escape(when)}</p>
+    <p style="margin: 0 0 20px;"><strong>Rows exported:</strong> ${escape(rowCount ?? 0)}</p>
+    <p style="margin: 0 0 20px;">The report is attached (${escape(fileName)}).</p>
+    <p style="margin: 0; color: #999; font-size: 12px;">This is an automated report from the Application Management Dashboard.</p>
+</body>
+</html>
+        `.trim();
+
+        return this.sendMail({
+            to,
+            subject,
+            html,
+            attachments: [{
+                filename: fileName,
+                content,
+                contentType: contentType || 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            }]
+        });
+    }
+
+    /**
+     * Send a digest of unread notifications (routes/apps/ats/notifications.js)
+     * @param {Object} options
+     * @param {string} options.to - Recipient
+     * @param {Object[]} options.notifications - Rows (type, message, created_at), oldest first
+     * @param {number} options.unreadCount - All unread notifications of the recipient
+     * @returns {Promise<Object>} Send result
+     */
+    async sendNotificationDigest({ to, notifications, unreadCount }) {
+        const count = unreadCount || notifications.length;
+        const subject = `You have ${count} unread notification${count === 1 ? '' : 's'}`;
+        const baseUrl = process.env.API_BASE_URL || 'https://ats.s3protection.com';
+        const items = notifications.map(n => {
+            const when = new Date(n.created_at).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+            const label = String(n.type || 'notification').replace(/_/g, ' ');
+            return `
+        <li style="margin: 0 0 12px;">
+            <div style="color: #999; font-size: 12px;">${escape(label)} &middot; ${escape(when)}</div>
+            <div>${escape(n.message || '')}</div>
+        </li>`;
+        }).join('');
+        const more = count > notifications.length
+            ? `<p style="margin: 0 0 20px;">and ${count - notifications.length} more.</p>`
+            : '';
+        const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+</head>
+<body style="margin: 0; padding: 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #333;">
+    <h2 style="margin: 0 0 16px;">${escape(subject)}</h2>
+    <ul style="margin: 0 0 20px; padding-left: 20px;">${items}
+    </ul>
+    ${more}
+    <p style="margin: 0 0 20px;"><a href="${escape(baseUrl)}">Open the dashboard</a> to read them.</p>
+    <p style="margin: 0; color: #999; font-size: 12px;">You get this digest because email notifications are on in your notification settings.</p>
+</body>
+</html>
+        `.trim();
+
+        return this.sendMail({
+            to,
+            subject,
+            html,
+            text: this.stripHtml(html)
+        });
+    }
+
     /**
      * Strip HTML tags for plain text version
      */
@@ -369,7 +369,7 @@ class InterviewReminderScheduler {
                 reminder_token: reminderToken
             };
 
-            await emailService.sendInterviewReminder(reminderData);
+            await emailService.sendInterviewReminder(reminderData, { db });
 
             console.log(`[InterviewReminder] ✓ Sent reminder to ${candidateEmail} for "${meeting.subject}" at ${meetingStart.toISOString()}`);
             return true;
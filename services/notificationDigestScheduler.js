@@ -0,0 +1,87 @@
+/**
+ * Notification Digest Scheduler
+ * Emails unread notifications to users who chose an hourly or daily digest
+ * (routes/apps/ats/notifications.js decides who is due)
+ */
+
+const cron = require('node-cron');
+const emailService = require('./emailService');
+const notifications = require('../routes/apps/ats/notifications');
+
+class NotificationDigestScheduler {
+    constructor(pools, appIds = ['ats']) {
+        this.pools = pools;
+        this.appIds = appIds.filter(appId => this.pools[appId]);
+        this.job = null;
+        this.isRunning = false;
+
+        // Configuration
+        this.CRON = process.env.NOTIFICATION_DIGEST_CRON || '*/15 * * * *'; // Every 15 minutes by default
+
+        console.log(`[NotificationDigest] Check interval: ${this.CRON}`);
+    }
+
+    /**
+     * Start the scheduler
+     */
+    start() {
+        if (this.job) {
+            console.log('[NotificationDigest] Scheduler already running');
+            return;
+        }
+
+        if (!cron.validate(this.CRON)) {
+            console.error(`[NotificationDigest] ✗ Invalid cron expression: ${this.CRON}`);
+            return;
+        }
+
+        if (!emailService.isConfigured()) {
+            console.log('[NotificationDigest] ⚠️  Email not configured; digests will not be sent');
+        }
+
+        this.job = cron.schedule(this.CRON, async () => {
+            await this.run();
+        });
+
+        console.log('[NotificationDigest] ✓ Scheduler started');
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        if (this.job) {
+            this.job.stop();
+            this.job = null;
+            console.log('[NotificationDigest] Scheduler stopped');
+        }
+    }
+
+    /**
+     * Send the digests that are due, for every app
+     */
+    async run() {
+        if (this.isRunning) {
+            console.log('[NotificationDigest] Previous run still in progress, skipping...');
+            return;
+        }
+
+        this.isRunning = true;
+        try {
+            for (const appId of this.appIds) {
+                try {
+                    const { sent, failed } = await notifications.sendDueDigests(this.pools[appId], emailService);
+                    if (sent || failed) {
+                        console.log(`[NotificationDigest] '${appId}': ${sent} sent, ${failed} failed`);
+                    }
+                } catch (error) {
+                    console.error(`[NotificationDigest] ✗ Run failed for '${appId}':`, error.message);
+                }
+            }
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+module.exports = NotificationDigestScheduler;
@@ -0,0 +1,195 @@
+/**
+ * Realtime Service
+ * socket.io server for live dashboard and pipeline updates. Sockets are authenticated with
+ * the express session (same "sid" cookie as the API) and join rooms per department and per
+ * job requisition, so updates only reach the people watching them.
+ *
+ * Rooms (per app):
+ *   `${appId}:all`                  - every event of the app (dashboards)
+ *   `${appId}:department:<name>`    - department name, lower-cased
+ *   `${appId}:requisition:<id>`     - job requisition id
+ *   `${appId}:user:<email>`         - one user's sockets (joined automatically on connect, for
+ *                                     personal events such as notifications; not subscribable)
+ *
+ * Client:
+ *   const socket = io(url, { withCredentials: true, auth: { appId: 'ats' } });
+ *   socket.emit('subscribe', { departments: ['Engineering'], requisitions: ['REQ-12'] }, ack);
+ *   socket.emit('unsubscribe', { departments: ['Engineering'] }, ack);
+ * ack receives { rooms } (the socket's current rooms) or { error }. Rooms refused by the
+ * authorizeRooms option are listed in `denied`.
+ */
+
+const { Server } = require('socket.io');
+
+const MAX_ROOMS_PER_SOCKET = 200;
+
+function listOf(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(v => String(v).trim()).filter(Boolean);
+}
+
+// CORS headers do not cover the websocket transport, so the handshake Origin is checked here too.
+// false = same host only, true = any origin, otherwise a list of origins.
+function originAllowed(req, corsOrigin) {
+    const origin = req.headers.origin;
+    if (!origin || corsOrigin === true) return true; // non-browser clients send no Origin
+    if (corsOrigin === false) {
+        const host = String(req.headers['x-forwarded-host'] || req.headers.host || '').split(',')[0].trim();
+        try {
+            return new URL(origin).host === host;
+        } catch {
+            return false;
+        }
+    }
+    return listOf(corsOrigin).includes(origin);
+}
+
+class RealtimeService {
+    constructor() {
+        this.io = null;
+        this.appIds = null;
+        this.authorizeRooms = null;
+    }
+
+    /**
+     * Create the socket.io server on the HTTP server
+     * @param {http.Server} server
+     * @param {Object} options
+     * @param {Function} options.sessionMiddleware - the express-session middleware used by the app
+     * @param {string[]} [options.appIds] - apps a socket may connect to (default: any)
+     * @param {string|string[]|boolean} [options.corsOrigin] - allowed origins (default: false, same origin only;
+     *   cross-origin frontends must be listed)
+     * @param {Function} [options.authorizeRooms] - (socket, rooms) => Promise<string[]>, the rooms the
+     *   socket may join (default: all of them)
+     * @returns {Server}
+     */
+    attach(server, { sessionMiddleware, appIds = null, corsOrigin = false, authorizeRooms = null } = {}) {
+        this.appIds = appIds;
+        this.authorizeRooms = authorizeRooms;
+        this.io = new Server(server, {
+            cors: {
+                origin: corsOrigin,
+                methods: ['GET', 'POST'],
+                credentials: true // the session cookie has to be sent with the handshake
+            },
+            allowRequest: (req, callback) => callback(null, originAllowed(req, corsOrigin))
+        });
+
+        if (sessionMiddleware) {
+            this.io.engine.use(sessionMiddleware);
+        }
+
+        this.io.use((socket, next) => {
+            const user = socket.request.session?.user;
+            if (!user) return next(new Error('unauthorized'));
+
+            const appId = String(socket.handshake.auth?.appId || socket.handshake.query?.appId || 'ats');
+            if (this.appIds && !this.appIds.includes(appId)) return next(new Error('unknown_app'));
+
+            socket.data.appId = appId;
+            socket.data.user = {
+                id: user.id || null,
+                email: user.emails?.[0] || null,
+                displayName: user.displayName || null
+            };
+            next();
+        });
+
+        this.io.on('connection', socket => {
+            const emails = Array.isArray(socket.request.session?.user?.emails) ? socket.request.session.user.emails : [];
+            socket.join(Array.from(new Set(emails.filter(Boolean).map(email => this.userRoom(socket.data.appId, email)))));
+
+            socket.on('subscribe', async (body, ack) => {
+                const requested = this.roomsFor(socket.data.appId, body);
+                let rooms = requested;
+                if (this.authorizeRooms) {
+                    try {
+                        rooms = await this.authorizeRooms(socket, requested);
+                    } catch (error) {
+                        console.warn('[Realtime] room authorization failed:', error.message);
+                        return reply(ack, { error: 'authorization_failed' });
+                    }
+                }
+                const denied = requested.filter(room => !rooms.includes(room));
+                const current = this.socketRooms(socket);
+                const added = rooms.filter(room => !current.includes(room));
+                if (current.length + added.length > MAX_ROOMS_PER_SOCKET) {
+                    return reply(ack, { error: 'too_many_rooms', max: MAX_ROOMS_PER_SOCKET });
+                }
+                socket.join(added);
+                reply(ack, denied.length ? { rooms: this.socketRooms(socket), denied } : { rooms: this.socketRooms(socket) });
+            });
+
+            socket.on('unsubscribe', (body, ack) => {
+                for (const room of this.roomsFor(socket.data.appId, body)) {
+                    socket.leave(room);
+                }
+                reply(ack, { rooms: this.socketRooms(socket) });
+            });
+        });
+
+        return this.io;
+    }
+
+    /** Room name for one scope (all | department | requisition) of an app */
+    room(appId, scope, key) {
+        if (scope === 'all') return `${appId}:all`;
+        const value = scope === 'department' ? String(key).trim().toLowerCase() : String(key).trim();
+        return `${appId}:${scope}:${value}`;
+    }
+
+    /** Personal room of one user (by email, lower-cased) */
+    userRoom(appId, email) {
+        return `${appId}:user:${String(email).trim().toLowerCase()}`;
+    }
+
+    /** Rooms named by a subscribe/unsubscribe message: { all, departments, requisitions } */
+    roomsFor(appId, body = {}) {
+        const spec = body && typeof body === 'object' ? body : {};
+        const rooms = [];
+        if (spec.all) rooms.push(this.room(appId, 'all'));
+        for (const name of listOf(spec.departments ?? spec.department)) {
+            rooms.push(this.room(appId, 'department', name));
+        }
+        for (const id of listOf(spec.requisitions ?? spec.requisition)) {
+            rooms.push(this.room(appId, 'requisition', id));
+        }
+        return Array.from(new Set(rooms));
+    }
+
+    socketRooms(socket) {
+        const personal = `${socket.data.appId}:user:`;
+        return Array.from(socket.rooms).filter(room => room !== socket.id && !room.startsWith(personal));
+    }
+
+    /**
+     * Emit an event to the app's `all` room and the given rooms. A socket in several of
+     * the rooms receives the event once.
+     * @returns {boolean} false when the socket server is not running
+     */
+    emitToRooms(appId, rooms, event, payload) {
+        if (!this.io) return false;
+        const targets = Array.from(new Set([this.room(appId, 'all'), ...rooms]));
+        this.io.to(targets).emit(event, { appId, ...payload, timestamp: new Date().toISOString() });
+        return true;
+    }
+
+    /**
+     * Emit an event to one user's sockets only (not the `all` room).
+     * @param {string|string[]} emails - the user's email(s); a socket gets the event once
+     * @returns {boolean} false when the socket server is not running
+     */
+    emitToUser(appId, emails, event, payload) {
+        const rooms = listOf(emails).map(email => this.userRoom(appId, email));
+        if (!this.io || !rooms.length) return false;
+        this.io.to(rooms).emit(event, { appId, ...payload, timestamp: new Date().toISOString() });
+        return true;
+    }
+}
+
+function reply(ack, body) {
+    if (typeof ack === 'function') ack(body);
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,162 @@
+/**
+ * Report Scheduler
+ * Runs saved report definitions on their cron schedules and emails the workbooks
+ */
+
+const cron = require('node-cron');
+const emailService = require('./emailService');
+const reports = require('../routes/apps/ats/reports');
+
+class ReportScheduler {
+    constructor(pools, appIds = ['ats']) {
+        this.pools = pools;
+        this.appIds = appIds.filter(appId => this.pools[appId]);
+        this.jobs = new Map(); // `${appId}:${definitionId}` -> cron task
+        this.running = new Set(); // definitions currently generating
+        this.purgeJob = null;
+        this.started = false;
+
+        // Configuration
+        this.PURGE_CRON = process.env.REPORT_PURGE_CRON || '30 3 * * *'; // Daily at 03:30 by default
+
+        console.log(`[ReportScheduler] Purge interval: ${this.PURGE_CRON}`);
+    }
+
+    /**
+     * Start the scheduler: load every enabled definition and the retention purge
+     */
+    async start() {
+        if (this.started) {
+            console.log('[ReportScheduler] Scheduler already running');
+            return;
+        }
+        this.started = true;
+
+        if (!emailService.isConfigured()) {
+            console.log('[ReportScheduler] ⚠️  Email not configured; scheduled reports will be stored but not emailed');
+        }
+
+        if (cron.validate(this.PURGE_CRON)) {
+            this.purgeJob = cron.schedule(this.PURGE_CRON, async () => {
+                await this.purgeExpired();
+            });
+        } else {
+            console.error(`[ReportScheduler] ✗ Invalid cron expression: ${this.PURGE_CRON}`);
+        }
+
+        for (const appId of this.appIds) {
+            await this.reload(appId);
+        }
+
+        console.log(`[ReportScheduler] ✓ Scheduler started (${this.jobs.size} scheduled reports)`);
+    }
+
+    /**
+     * Stop all scheduled reports
+     */
+    stop() {
+        for (const task of this.jobs.values()) {
+            task.stop();
+        }
+        this.jobs.clear();
+        if (this.purgeJob) {
+            this.purgeJob.stop();
+            this.purgeJob = null;
+        }
+        if (this.started) {
+            this.started = false;
+            console.log('[ReportScheduler] Scheduler stopped');
+        }
+    }
+
+    /**
+     * Re-read the enabled definitions of one app and replace its cron tasks.
+     * Called at start and whenever a definition is created, changed or deleted.
+     */
+    async reload(appId = 'ats') {
+        if (!this.started || !this.appIds.includes(appId)) return;
+
+        let definitions;
+        try {
+            definitions = await reports.listScheduledDefinitions(this.pools[appId]);
+        } catch (error) {
+            console.error(`[ReportScheduler] Failed to load definitions for '${appId}':`, error.message);
+            return;
+        }
+
+        for (const [key, task] of this.jobs) {
+            if (key.startsWith(`${appId}:`)) {
+                task.stop();
+                this.jobs.delete(key);
+            }
+        }
+
+        for (const definition of definitions) {
+            if (!cron.validate(definition.schedule_cron)) {
+                console.error(`[ReportScheduler] ✗ Invalid cron expression for definition ${definition.id}: ${definition.schedule_cron}`);
+                continue;
+            }
+            const options = definition.timezone ? { timezone: definition.timezone } : {};
+            try {
+                const task = cron.schedule(definition.schedule_cron, async () => {
+                    await this.runDefinition(appId, definition.id);
+                }, options);
+                this.jobs.set(`${appId}:${definition.id}`, task);
+            } catch (error) {
+                console.error(`[ReportScheduler] Failed to schedule definition ${definition.id}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Generate one definition, store the run and email the workbook
+     */
+    async runDefinition(appId, definitionId) {
+        const key = `${appId}:${definitionId}`;
+        if (this.running.has(key)) {
+            console.log(`[ReportScheduler] Definition ${definitionId} still running, skipping...`);
+            return;
+        }
+
+        this.running.add(key);
+        const db = this.pools[appId];
+        try {
+            // Re-read so a definition disabled since the last reload is not run
+            const { rows } = await db.query(
+                `SELECT * FROM ${reports.REPORT_DEFINITIONS_TABLE} WHERE id = $1 AND enabled`,
+                [definitionId]
+            );
+            const definition = rows[0];
+            if (!definition || !definition.schedule_cron) return;
+
+            const run = await reports.runReportDefinition(db, definition, {
+                trigger: 'schedule',
+                emailService
+            });
+            console.log(`[ReportScheduler] ✓ "${definition.name}" generated (${run.row_count} rows, emailed to ${run.emailed_to.length})`);
+            if (run.email_error) {
+                console.warn(`[ReportScheduler] Email delivery issues for "${definition.name}": ${run.email_error}`);
+            }
+        } catch (error) {
+            console.error(`[ReportScheduler] ✗ Definition ${definitionId} failed:`, error.message);
+        } finally {
+            this.running.delete(key);
+        }
+    }
+
+    /**
+     * Remove workbooks past REPORT_RETENTION_DAYS (run history is kept)
+     */
+    async purgeExpired() {
+        for (const appId of this.appIds) {
+            try {
+                const count = await reports.purgeExpiredReportRuns(this.pools[appId]);
+                if (count) console.log(`[ReportScheduler] Expired ${count} report files for '${appId}'`);
+            } catch (error) {
+                console.error(`[ReportScheduler] Purge failed for '${appId}':`, error.message);
+            }
+        }
+    }
+}
+
+module.exports = ReportScheduler;